@@ -6,6 +6,8 @@ module.exports = {
   // Token expiration times
   ACCESS_TOKEN_EXPIRY: '24h',
   REFRESH_TOKEN_EXPIRY: '7d',
+  // Superadmin "view as user" tokens (no refresh token is issued)
+  IMPERSONATION_TOKEN_EXPIRY_MINUTES: 15,
   
   // Token types
   TOKEN_TYPES: {
@@ -13,6 +15,10 @@ module.exports = {
     REFRESH: 'refresh',
     EMAIL_VERIFICATION: 'email_verification',
     PASSWORD_RESET: 'password_reset',
+    TWO_FACTOR: 'two_factor',
+    ACCOUNT_UNLOCK: 'account_unlock',
+    EMAIL_CHANGE: 'email_change',
+    MAGIC_LINK: 'magic_link',
   },
   
   // Role hierarchy (higher number = more permissions)
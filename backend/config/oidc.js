@@ -0,0 +1,54 @@
+/**
+ * OIDC Configuration
+ * Staff single sign-on (authorization code + PKCE). Disabled unless
+ * OIDC_ISSUER and OIDC_CLIENT_ID are set.
+ */
+
+const STAFF_ROLES = ['admin', 'superadmin'];
+
+/**
+ * Parse OIDC_ROLE_MAPPING ("group=role,other-group=role") into { group: role }
+ * Only staff roles are accepted; anything else is ignored with a warning.
+ * @param {string} value - Raw env value
+ * @returns {object}
+ */
+const parseRoleMapping = (value) => {
+  const mapping = {};
+
+  for (const pair of (value || '').split(',')) {
+    const [group, role] = pair.split('=').map((part) => part && part.trim());
+    if (!group || !role) continue;
+
+    if (!STAFF_ROLES.includes(role)) {
+      console.warn(`🔐 [OIDC] Ignoring mapping ${group}=${role}: role must be one of ${STAFF_ROLES.join(', ')}`);
+      continue;
+    }
+
+    mapping[group] = role;
+  }
+
+  return mapping;
+};
+
+const OIDC_CONFIG = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  // Optional - public clients rely on PKCE alone
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  // Must match the redirect URI registered with the IdP; points at GET /api/auth/oidc/callback
+  redirectUri: process.env.OIDC_REDIRECT_URI || '',
+  scopes: process.env.OIDC_SCOPES || 'openid email profile groups',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+  // Button label on the login page
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+};
+
+const isOidcEnabled = () => !!(OIDC_CONFIG.issuer && OIDC_CONFIG.clientId && OIDC_CONFIG.redirectUri);
+
+module.exports = {
+  STAFF_ROLES,
+  OIDC_CONFIG,
+  isOidcEnabled,
+  parseRoleMapping,
+};
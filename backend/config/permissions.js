@@ -0,0 +1,61 @@
+/**
+ * Permission Configuration
+ * Named permissions that roles are built from. Roles and their permissions
+ * live in the roles / role_permissions tables; this is the fixed catalogue.
+ */
+
+const PERMISSIONS = {
+  'complaints.read': 'View all complaints, escalations and dashboards',
+  'complaints.update': 'Change complaint status',
+  'complaints.resolve': 'Resolve complaints with a resolution photo',
+  'complaints.escalate': 'Escalate complaints and run the escalation check',
+  'complaints.assign': 'Assign escalated complaints to admins',
+  'complaints.notes': 'Read and write internal staff notes on complaints',
+  'categories.manage': 'Add, edit and retire complaint categories',
+  'users.read': 'View user accounts',
+  'users.manage': 'Create, edit and delete user accounts',
+  'admins.manage': 'View staff accounts and manage the admin whitelist',
+  'reports.read': 'View statistics and admin performance',
+  'reports.export': 'Export reports as CSV or PDF',
+  'settings.manage': 'Change system settings',
+  'security.manage': 'Review failed logins and unlock accounts',
+  'roles.manage': 'Create and edit roles',
+  'api_keys.manage': 'Issue, rotate and revoke API keys',
+  'zones.manage': 'Upload ward/zone boundaries and choose who their complaints go to',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Seeded for the built-in admin role (editable afterwards)
+const DEFAULT_ADMIN_PERMISSIONS = [
+  'complaints.read',
+  'complaints.update',
+  'complaints.resolve',
+  'complaints.escalate',
+  'complaints.notes',
+  'categories.manage',
+  'users.read',
+  'reports.read',
+  'reports.export',
+];
+
+// Scopes an API key can carry. Keys are checked by requirePermission like roles;
+// complaints.create is only meaningful for keys (people file complaints without it).
+const API_KEY_SCOPES = {
+  'complaints.create': 'File complaints on behalf of citizens',
+  'complaints.read': PERMISSIONS['complaints.read'],
+  'complaints.update': PERMISSIONS['complaints.update'],
+  'complaints.resolve': PERMISSIONS['complaints.resolve'],
+  'reports.read': PERMISSIONS['reports.read'],
+};
+
+// Role names: lowercase slug that fits users.role
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,19}$/;
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ADMIN_PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLE_NAME_PATTERN,
+};
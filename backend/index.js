@@ -9,16 +9,27 @@ require("dotenv").config({ path: path.join(__dirname, ".env") });
 const express = require("express");
 const cors = require("cors");
 
-const upload = require("./utils/multer");
-const cloudinary = require("./utils/cloudinary");
-
 const db = require("./config/db");
 
-const { authenticate, requireAdmin } = require("./middleware/auth");
+const { authenticate, requirePermission, requireScope, requireVerifiedEmail } = require("./middleware/auth");
+const { resolveComplaintParam } = require("./middleware/complaintReference");
+const { nextComplaintReference } = require("./services/referenceService");
+const { ComplaintError, updateOwnComplaint, withdrawOwnComplaint } = require("./services/complaintService");
+const { CategoryError, listCategories, assertActiveCategory, validateFieldAnswers } = require("./services/categoryService");
+const { LocationError, parseLocation, parseBbox, bboxCondition } = require("./services/locationService");
+const { routeComplaintToZone } = require("./services/zoneService");
+const { AttachmentError, validateFiles, storeFiles, recordAttachments } = require("./services/attachmentService");
+const { attachmentUpload, uploadedFiles } = require("./middleware/attachmentUpload");
+const { hasPermission } = require("./services/permissionService");
+const { validateEmail } = require("./middleware/security");
 
 const initAuthRoutes = require("./routes/auth");
+const initPasswordResetRoutes = require("./routes/passwordReset");
 const initAdminRoutes = require("./routes/admin");
 const initSuperadminRoutes = require("./routes/superadmin");
+const initAccountRoutes = require("./routes/account");
+const initPublicComplaintRoutes = require("./routes/publicComplaints");
+const initComplaintRoutes = require("./routes/complaints");
 
 const {
   sendResolutionEmail,
@@ -31,6 +42,15 @@ const { runMigrations } = require("./utils/migrations");
 
 const app = express();
 
+// Shared with middleware that is mounted without a factory (auth, complaint references)
+app.locals.db = db;
+
+// Render (and most hosts) put a proxy in front of the app. Trusting exactly that many hops makes
+// req.ip the real client address, which every per-IP limit and the login IP block key on;
+// trusting more would let clients pick their own IP through X-Forwarded-For
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set("trust proxy", TRUST_PROXY_HOPS >= 0 ? TRUST_PROXY_HOPS : (process.env.NODE_ENV === "production" ? 1 : 0));
+
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
 
@@ -73,9 +93,38 @@ process.on("uncaughtException", (err) => {
 // ================= AUTH ROUTES =================
 
 app.use("/api/auth", initAuthRoutes(db));
+app.use("/api/auth", initPasswordResetRoutes(db));
 // Mount admin and superadmin route modules so frontend can call /api/admin/* and /api/superadmin/*
 app.use("/api/admin", initAdminRoutes(db));
 app.use("/api/superadmin", initSuperadminRoutes(db));
+app.use("/api/user", initAccountRoutes(db));
+// Anonymous filing (/api/public/complaints) and tracking (/api/track/:code), no account needed
+app.use("/api", initPublicComplaintRoutes(db));
+// Attachments shared by a complaint's owner and staff (/api/complaints/:id/attachments)
+app.use("/api/complaints", initComplaintRoutes(db));
+
+
+// ================= CATEGORIES =================
+// Public: every complaint form offers these
+
+app.get("/api/categories", async (req, res) => {
+
+  try {
+
+    res.json({
+      success: true,
+      categories: await listCategories(db)
+    });
+
+  } catch (err) {
+
+    console.error("Get categories error:", err);
+
+    res.status(500).json({ error: "Failed to fetch categories" });
+
+  }
+
+});
 
 
 // =======================================================
@@ -145,7 +194,9 @@ app.get("/api/user/dashboard", authenticate, async (req, res) => {
 app.post(
   "/api/user/complaints",
   authenticate,
-  upload.single("image"),
+  requireScope("complaints.create"),
+  requireVerifiedEmail(db),
+  attachmentUpload,
   async (req, res) => {
 
     try {
@@ -157,35 +208,66 @@ app.post(
         is_anonymous
       } = req.body;
 
+      const apiKey = req.user?.apiKey || null;
+
       const userId = req.user?.id || null;
-      const email = req.user?.email || null;
-      const name = req.user?.name || null;
+      // Integrations file on behalf of a citizen, who is named in the body
+      const email = (apiKey ? req.body.email : req.user?.email) || null;
+      const name = (apiKey ? req.body.name : req.user?.name) || null;
 
       if (!category || !description)
         return res.status(400).json({
           error: "Category and description required"
         });
 
-      let imageUrl = null;
+      let customFields;
 
-      if (req.file) {
+      try {
+        customFields = validateFieldAnswers(await assertActiveCategory(db, category), req.body.custom_fields);
+      } catch (categoryErr) {
+        if (categoryErr instanceof CategoryError)
+          return res.status(categoryErr.status).json({ error: categoryErr.message, code: categoryErr.code });
+        throw categoryErr;
+      }
 
-        try {
-          const uploadResult =
-            await cloudinary.uploader.upload(
-              `data:${req.file.mimetype};base64,${req.file.buffer.toString("base64")}`,
-              { folder: "complaints" }
-            );
-
-          imageUrl = uploadResult.secure_url;
-        } catch (uploadErr) {
-          // Do not fail complaint creation if image upload fails.
-          console.error("Cloudinary upload failed, creating complaint without image:", uploadErr.message);
-          imageUrl = null;
-        }
+      let location;
 
+      try {
+        location = parseLocation(req.body);
+      } catch (locationErr) {
+        if (locationErr instanceof LocationError)
+          return res.status(locationErr.status).json({ error: locationErr.message, code: locationErr.code });
+        throw locationErr;
       }
 
+      if (apiKey && email && !validateEmail(email))
+        return res.status(400).json({
+          error: "Valid email is required"
+        });
+
+      const files = uploadedFiles(req);
+
+      try {
+        validateFiles(files);
+      } catch (fileErr) {
+        if (fileErr instanceof AttachmentError)
+          return res.status(fileErr.status).json({ error: fileErr.message, code: fileErr.code });
+        throw fileErr;
+      }
+
+      let storedFiles = [];
+
+      try {
+        storedFiles = await storeFiles(files, "complaints");
+      } catch (uploadErr) {
+        // Do not fail complaint creation if an upload fails.
+        console.error("Cloudinary upload failed, creating complaint without attachments:", uploadErr.message);
+      }
+
+      // The first image stays on the complaint row for screens and emails that show one picture
+      const imageUrl =
+        storedFiles.find((file) => file.mimeType.startsWith("image/"))?.url || null;
+
       // Build INSERT dynamically so app still works if optional columns are missing in deployed DB.
       const columnRes = await db.query(`
         SELECT column_name
@@ -211,6 +293,7 @@ app.post(
         placeholders.push('NOW()');
       };
 
+      addParam('reference', await nextComplaintReference(db), '::text');
       addParam('user_id', userId, '::int');
       addParam('category', category, '::text');
       addParam('description', description, '::text');
@@ -221,6 +304,10 @@ app.post(
       addParam('status', 'new', '::text');
       addParam('problem_image_url', imageUrl, '::text');
       addParam('before_image_url', imageUrl, '::text');
+      addParam('custom_fields', customFields ? JSON.stringify(customFields) : null, '::jsonb');
+      addParam('latitude', location.latitude, '::double precision');
+      addParam('longitude', location.longitude, '::double precision');
+      addParam('address', location.address, '::text');
       addNow('created_at');
       addNow('status_updated_at');
 
@@ -231,6 +318,12 @@ app.post(
 
       const complaintId = insertResult.rows[0].id;
 
+      try {
+        await recordAttachments(db, complaintId, storedFiles, { user: req.user, kind: "evidence" });
+      } catch (attachErr) {
+        console.error("Failed to record complaint attachments:", attachErr.message);
+      }
+
       const complaintResult =
         await db.query(
           "SELECT * FROM complaints WHERE id=$1",
@@ -242,13 +335,22 @@ app.post(
         await db.query(
           `INSERT INTO status_history (complaint_id, old_status, new_status, changed_by, changed_by_role, changed_at, notes)
            VALUES ($1, NULL, 'new', $2, $3, NOW(), 'Complaint created')`,
-          [complaintId, email || 'anonymous', 'user']
+          [complaintId, apiKey ? `api-key:${apiKey.name}` : email || 'anonymous', apiKey ? 'api_key' : 'user']
         );
       } catch (historyErr) {
         console.warn('Failed to record initial status history:', historyErr.message);
         // Don't block complaint creation if history fails
       }
 
+      // 🗺️ Tag the complaint with its ward/zone and hand it to whoever the zone routes to
+      try {
+        const zone = await routeComplaintToZone(db, complaintId, location);
+        if (zone)
+          console.log(`🗺️ Complaint ${complaintId} routed to zone ${zone.name}${zone.target ? ` (${zone.target})` : ""}`);
+      } catch (zoneErr) {
+        console.error("Failed to route complaint to a zone:", zoneErr.message);
+      }
+
       sendComplaintSubmissionEmail(
         complaintResult.rows[0]
       ).catch(err =>
@@ -257,7 +359,8 @@ app.post(
 
       res.status(201).json({
         success: true,
-        id: complaintId
+        id: complaintId,
+        reference: complaintResult.rows[0].reference || null
       });
 
     }
@@ -333,6 +436,7 @@ app.get("/api/user/complaints", authenticate, async (req, res) => {
     const selectSql = `
       SELECT
         ${col('id')},
+        ${col('reference')},
         ${col('category', "''")},
         ${col('description', "''")},
         ${col('email')},
@@ -378,24 +482,98 @@ app.get("/api/user/complaints", authenticate, async (req, res) => {
 
 
 
+// ================= EDIT OWN COMPLAINT =================
+// Only while the complaint is still 'new'; see services/complaintService.js
+
+const sendComplaintError = (res, err, fallback) => {
+
+  if (err instanceof ComplaintError || err instanceof CategoryError)
+    return res.status(err.status).json({ error: err.message, code: err.code });
+
+  console.error(`${fallback}:`, err);
+
+  res.status(500).json({ error: fallback });
+
+};
+
+app.patch(
+  "/api/user/complaints/:id",
+  authenticate,
+  resolveComplaintParam(),
+  async (req, res) => {
+
+    try {
+
+      const complaint = await updateOwnComplaint(db, req.user, req.params.id, req.body || {});
+
+      console.log(`📝 Complaint ${complaint.reference || complaint.id} edited by ${req.user.email}`);
+
+      res.json({ success: true, complaint });
+
+    }
+    catch (err) {
+
+      sendComplaintError(res, err, "Failed to update complaint");
+
+    }
+
+  }
+);
+
+
+// ================= WITHDRAW OWN COMPLAINT =================
+
+app.post(
+  "/api/user/complaints/:id/withdraw",
+  authenticate,
+  resolveComplaintParam(),
+  async (req, res) => {
+
+    try {
+
+      const complaint = await withdrawOwnComplaint(db, req.user, req.params.id, req.body?.reason);
+
+      console.log(`📝 Complaint ${complaint.reference || complaint.id} withdrawn by ${req.user.email}`);
+
+      res.json({ success: true, complaint });
+
+    }
+    catch (err) {
+
+      sendComplaintError(res, err, "Failed to withdraw complaint");
+
+    }
+
+  }
+);
+
+
 // =======================================================
 // ================= ADMIN ROUTES ========================
 // =======================================================
 
 
 // ================= GET ALL =================
+// ?bbox=west,south,east,north limits the list to complaints located inside it
 
 app.get(
   "/api/admin/complaints",
   authenticate,
-  requireAdmin,
+  requirePermission("complaints.read"),
   async (req, res) => {
 
     try {
 
+      const where =
+        req.query.bbox ? bboxCondition(parseBbox(req.query.bbox)) : null;
+
       const result =
         await db.query(
-          "SELECT * FROM complaints ORDER BY created_at DESC"
+          `SELECT c.*, z.name AS zone_name
+           FROM complaints c
+           LEFT JOIN zones z ON z.id = c.zone_id
+           ${where ? `WHERE ${where.sql} ` : ""}ORDER BY c.created_at DESC`,
+          where ? where.params : []
         );
 
       res.json(result.rows);
@@ -403,6 +581,9 @@ app.get(
     }
     catch (err) {
 
+      if (err instanceof LocationError)
+        return res.status(err.status).json({ error: err.message, code: err.code });
+
       console.error(err);
 
       res.status(500).json({
@@ -420,7 +601,8 @@ app.get(
 app.put(
   "/api/admin/complaints/:id/status",
   authenticate,
-  requireAdmin,
+  requirePermission("complaints.update"),
+  resolveComplaintParam(),
   async (req, res) => {
 
     try {
@@ -433,6 +615,13 @@ app.put(
       
       const oldStatus = currentResult.rows[0]?.status;
 
+      // A citizen's withdrawal is final
+      if (oldStatus === 'withdrawn')
+        return res.status(409).json({
+          error: 'Withdrawn complaints cannot change status',
+          code: 'COMPLAINT_WITHDRAWN'
+        });
+
       if (req.body.status === 'resolved') {
         await db.query(
           `UPDATE complaints
@@ -482,10 +671,19 @@ app.put(
 app.put(
   "/api/admin/complaints/:id/resolve",
   authenticate,
-  requireAdmin,
-  upload.single("image"),
+  requirePermission("complaints.resolve"),
+  resolveComplaintParam(),
+  attachmentUpload,
   async (req, res) => {
 
+    const files = uploadedFiles(req);
+
+    try {
+      validateFiles(files);
+    } catch (fileErr) {
+      return res.status(fileErr.status || 400).json({ error: fileErr.message, code: fileErr.code });
+    }
+
     const client = await db.connect();
 
     try {
@@ -493,8 +691,9 @@ app.put(
       await client.query("BEGIN");
 
       // Capture previous status for an accurate status timeline entry.
+      // Locked so a withdrawal cannot land between this check and the update
       const currentResult = await client.query(
-        'SELECT status FROM complaints WHERE id = $1',
+        'SELECT status FROM complaints WHERE id = $1 FOR UPDATE',
         [req.params.id]
       );
 
@@ -505,19 +704,17 @@ app.put(
 
       const oldStatus = currentResult.rows[0].status;
 
-      let imageUrl = null;
-
-      if (req.file) {
+      if (oldStatus === 'withdrawn') {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: 'Withdrawn complaints cannot be resolved', code: 'COMPLAINT_WITHDRAWN' });
+      }
 
-        const uploadResult =
-          await cloudinary.uploader.upload(
-            `data:${req.file.mimetype};base64,${req.file.buffer.toString("base64")}`,
-            { folder: "complaints/resolved" }
-          );
+      const storedFiles = await storeFiles(files, "complaints/resolved");
 
-        imageUrl = uploadResult.secure_url;
+      const imageUrl =
+        storedFiles.find((file) => file.mimeType.startsWith("image/"))?.url || null;
 
-      }
+      await recordAttachments(client, req.params.id, storedFiles, { user: req.user, kind: "resolution" });
 
       await client.query(
 
@@ -626,7 +823,7 @@ app.get("/api/health", async (req, res) => {
 });
 
 // ================= ESCALATIONS (generic listing for admin/superadmin views) =================
-app.get("/api/escalations", authenticate, requireAdmin, async (req, res) => {
+app.get("/api/escalations", authenticate, requirePermission("complaints.read"), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
@@ -644,7 +841,7 @@ app.get("/api/escalations", authenticate, requireAdmin, async (req, res) => {
 
     const result = await db.query(
       `
-      SELECT eh.id as id, eh.complaint_id, eh.escalation_level, eh.reason as escalation_reason, eh.created_at as escalated_at,
+      SELECT eh.id as id, eh.complaint_id, c.reference, eh.escalation_level, eh.reason as escalation_reason, eh.created_at as escalated_at,
              c.category, c.description, c.priority, c.status, c.email as complaint_email
       FROM escalation_history eh
       LEFT JOIN complaints c ON eh.complaint_id = c.id
@@ -662,7 +859,7 @@ app.get("/api/escalations", authenticate, requireAdmin, async (req, res) => {
 });
 
 // ================= GET STATUS HISTORY FOR COMPLAINT =================
-app.get("/api/complaints/:id/status-history", authenticate, async (req, res) => {
+app.get("/api/complaints/:id/status-history", authenticate, resolveComplaintParam(), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -678,8 +875,8 @@ app.get("/api/complaints/:id/status-history", authenticate, async (req, res) =>
 
     const complaint = complaintResult.rows[0];
 
-    // Check permission: user owns complaint or is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
+    // Check permission: user owns complaint or can read all complaints
+    if (!(await hasPermission(db, req.user.role, 'complaints.read'))) {
       if (complaint.user_id !== req.user.id && complaint.email?.toLowerCase() !== req.user.email?.toLowerCase()) {
         return res.status(403).json({ error: "Access denied" });
       }
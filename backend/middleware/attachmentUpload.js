@@ -0,0 +1,63 @@
+/**
+ * Attachment Upload Middleware
+ * Accepts the legacy single `image` field plus up to MAX_FILES_PER_UPLOAD `attachments`
+ * (imageUpload takes the `image` field alone, for anonymous filing)
+ */
+
+const multer = require('multer');
+const upload = require('../utils/multer');
+const { MAX_FILES_PER_UPLOAD } = require('../services/attachmentService');
+
+const acceptFiles = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'attachments', maxCount: MAX_FILES_PER_UPLOAD },
+]);
+
+const acceptImage = upload.single('image');
+
+/**
+ * Middleware: Parse multipart uploads
+ * Multer limit errors (too many files, file over 5MB) become 400s instead of reaching the default handler
+ */
+const attachmentUpload = (req, res, next) => {
+  acceptFiles(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'Each file must be 5MB or smaller'
+        : `At most ${MAX_FILES_PER_UPLOAD} attachments can be uploaded at once`;
+      return res.status(400).json({ error: message, code: 'UPLOAD_REJECTED' });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
+/**
+ * Middleware: Parse a multipart upload with at most one `image`
+ * Multer errors (file over 5MB, any other file field) become 400s like attachmentUpload's
+ */
+const imageUpload = (req, res, next) => {
+  acceptImage(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'The image must be 5MB or smaller'
+        : 'Only one file can be uploaded, in the image field';
+      return res.status(400).json({ error: message, code: 'UPLOAD_REJECTED' });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
+/**
+ * Every file parsed by attachmentUpload, `image` first
+ * @param {object} req - Express request
+ * @returns {Array} - Multer files
+ */
+const uploadedFiles = (req) => [...(req.files?.image || []), ...(req.files?.attachments || [])];
+
+module.exports = {
+  attachmentUpload,
+  imageUpload,
+  uploadedFiles,
+};
@@ -4,13 +4,34 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { ROLES, ROLE_HIERARCHY } = require('../config/jwt');
+const crypto = require('crypto');
+const {
+  ROLES,
+  ROLE_HIERARCHY,
+  TOKEN_TYPES,
+  ACCESS_TOKEN_EXPIRY,
+  REFRESH_TOKEN_EXPIRY,
+  IMPERSONATION_TOKEN_EXPIRY_MINUTES,
+} = require('../config/jwt');
+const { getSetting } = require('../services/settingsService');
+const { isSessionActive } = require('../services/sessionService');
+const { getTokenVersion } = require('../services/tokenVersionService');
+const { getRolePermissions } = require('../services/permissionService');
+const { useApiKey } = require('../services/apiKeyService');
+const { isImpersonationActive, logImpersonatedRequest } = require('../services/impersonationService');
+const { apiKeyLimiter } = require('./security');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
+// req.user.role for requests authenticated with an API key (never stored in users.role)
+const API_KEY_ROLE = 'api_key';
+
+// The app's database connection; index.js sets app.locals.db so these plain middlewares need no factory
+const getDb = (req) => req.app.locals.db;
+
 /**
  * Generate JWT Access Token
- * @param {object} payload - { id, email, role, name (optional) }
+ * @param {object} payload - { id, email, role, name (optional), sid (session id), token_version }
  * @returns {string} - JWT token
  */
 const generateAccessToken = (payload) => {
@@ -20,16 +41,20 @@ const generateAccessToken = (payload) => {
       email: payload.email,
       role: payload.role,
       name: payload.name || null,  // Include name in token for display
-      type: 'access',
+      sid: payload.sid || null,
+      ver: payload.token_version || 0,
+      type: TOKEN_TYPES.ACCESS,
     },
     JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
   );
 };
 
 /**
  * Generate Refresh Token
- * @param {object} payload - { id, email }
+ * Every token gets a unique jti so rotated tokens never collide,
+ * and carries the family id of the login session it belongs to.
+ * @param {object} payload - { id, email, family }
  * @returns {string} - JWT refresh token
  */
 const generateRefreshToken = (payload) => {
@@ -37,10 +62,11 @@ const generateRefreshToken = (payload) => {
     {
       id: payload.id,
       email: payload.email,
-      type: 'refresh',
+      family: payload.family,
+      type: TOKEN_TYPES.REFRESH,
     },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: REFRESH_TOKEN_EXPIRY, jwtid: crypto.randomUUID() }
   );
 };
 
@@ -53,13 +79,120 @@ const generateEmailVerificationToken = (email) => {
   return jwt.sign(
     {
       email,
-      type: 'email_verification',
+      type: TOKEN_TYPES.EMAIL_VERIFICATION,
     },
     JWT_SECRET,
     { expiresIn: '24h' }
   );
 };
 
+/**
+ * Generate Two-Factor Challenge Token
+ * Issued after a correct password when a second step is still needed
+ * @param {object} user - { id, email }
+ * @param {string} purpose - 'verify' (enter a code) or 'setup' (enrolment required)
+ * @returns {string} - Short-lived JWT token
+ */
+const generateTwoFactorToken = (user, purpose) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      purpose,
+      type: TOKEN_TYPES.TWO_FACTOR,
+    },
+    JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+};
+
+/**
+ * Generate Account Unlock Token
+ * Sent by email when an account is locked after repeated failed logins
+ * @param {object} user - { id, email }
+ * @returns {string} - JWT token
+ */
+const generateAccountUnlockToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      type: TOKEN_TYPES.ACCOUNT_UNLOCK,
+    },
+    JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+};
+
+/**
+ * Generate Email Change Token
+ * Sent to the new address; confirming it moves the account over
+ * @param {object} user - { id, email } (current address)
+ * @param {string} newEmail - Requested address
+ * @returns {string} - JWT token
+ */
+const generateEmailChangeToken = (user, newEmail) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      newEmail,
+      type: TOKEN_TYPES.EMAIL_CHANGE,
+    },
+    JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+};
+
+/**
+ * Generate Magic Link Token
+ * Single use is enforced through the jti (see services/magicLinkService.js)
+ * @param {object} user - { id, email }
+ * @param {string} jti - Link id
+ * @param {number} expiryMinutes - Link lifetime
+ * @returns {string} - JWT token
+ */
+const generateMagicLinkToken = (user, jti, expiryMinutes) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      type: TOKEN_TYPES.MAGIC_LINK,
+    },
+    JWT_SECRET,
+    { expiresIn: `${expiryMinutes}m`, jwtid: jti }
+  );
+};
+
+/**
+ * Generate Impersonation Access Token
+ * An access token for the target user marked with `imp` (who is viewing and which session);
+ * it has no login session and no refresh token, and dies with its impersonation session
+ * @param {object} target - User row being viewed
+ * @param {object} impersonation - { id, superadminId, superadminEmail }
+ * @returns {string} - Short-lived JWT token
+ */
+const generateImpersonationToken = (target, impersonation) => {
+  return jwt.sign(
+    {
+      id: target.id,
+      email: target.email,
+      role: target.role,
+      name: target.name || null,
+      sid: null,
+      ver: target.token_version || 0,
+      imp: {
+        id: impersonation.id,
+        by: impersonation.superadminId,
+        byEmail: impersonation.superadminEmail,
+      },
+      type: TOKEN_TYPES.ACCESS,
+    },
+    JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TOKEN_EXPIRY_MINUTES}m` }
+  );
+};
+
 /**
  * Verify JWT Token
  * @param {string} token - JWT token
@@ -73,11 +206,100 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Check that an access token has not been invalidated server-side
+ * - its session was not revoked (tokens issued before sessions existed carry no sid)
+ * - the user's token version was not bumped by a role/status/password change
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} decoded - Verified access token payload
+ * @returns {object|null} - { error, code } describing why the token is rejected, or null if valid
+ */
+const checkTokenRevocation = async (db, decoded) => {
+  if (decoded.sid && !(await isSessionActive(db, decoded.sid))) {
+    return { error: 'Session revoked', code: 'SESSION_REVOKED', message: 'This session has been signed out' };
+  }
+
+  const version = await getTokenVersion(db, decoded.id);
+  if (version === null || version !== (decoded.ver || 0)) {
+    return { error: 'Token revoked', code: 'TOKEN_REVOKED', message: 'Your account has changed, please sign in again' };
+  }
+
+  return null;
+};
+
+/**
+ * Apply the rules for a request made with an impersonation token
+ * - the impersonation session must still be open
+ * - impersonation is read-only: anything but GET/HEAD is refused
+ * - every request, refused or not, is written to the audit trail once answered
+ * @returns {boolean} - Whether the request may continue (a response was sent otherwise)
+ */
+const guardImpersonation = async (db, req, res, decoded) => {
+  const impersonationId = decoded.imp.id;
+
+  if (!(await isImpersonationActive(db, impersonationId))) {
+    res.status(401).json({
+      error: 'Impersonation ended',
+      code: 'IMPERSONATION_ENDED',
+      message: 'This impersonation session has ended'
+    });
+    return false;
+  }
+
+  res.on('finish', () => {
+    logImpersonatedRequest(db, impersonationId, {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+    });
+  });
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.status(403).json({
+      error: 'Forbidden',
+      code: 'IMPERSONATION_READ_ONLY',
+      message: 'Changes cannot be made while viewing as another user'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Authenticate a request carrying `Authorization: ApiKey <key>`
+ * The key acts as a pseudo-user with role API_KEY_ROLE whose permissions are its scopes,
+ * and is held to its own per-minute rate limit.
+ */
+const authenticateApiKey = async (db, req, res, next, key) => {
+  const apiKey = await useApiKey(db, key, req.ip);
+
+  if (!apiKey) {
+    return res.status(401).json({ 
+      error: 'Invalid API key', 
+      message: 'API key is invalid, expired or revoked',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  req.user = {
+    id: null,
+    email: null,
+    name: apiKey.name,
+    role: API_KEY_ROLE,
+    sessionId: null,
+    apiKey,
+  };
+
+  return apiKeyLimiter(req, res, next);
+};
+
 /**
  * Middleware: Authenticate JWT Token
+ * Also accepts API keys (see authenticateApiKey)
  * Extracts and verifies JWT from Authorization header
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -88,6 +310,11 @@ const authenticate = (req, res, next) => {
       });
     }
 
+    if (authHeader.startsWith('ApiKey ')) {
+      // awaited so a database error lands in the catch below instead of hanging the request
+      return await authenticateApiKey(getDb(req), req, res, next, authHeader.slice(7).trim());
+    }
+
     const token = authHeader.startsWith('Bearer ') 
       ? authHeader.slice(7) 
       : authHeader;
@@ -108,11 +335,22 @@ const authenticate = (req, res, next) => {
       });
     }
 
+    const revoked = await checkTokenRevocation(getDb(req), decoded);
+    if (revoked) {
+      return res.status(401).json(revoked);
+    }
+
+    if (decoded.imp && !(await guardImpersonation(getDb(req), req, res, decoded))) {
+      return;
+    }
+
     // Attach user info to request
     req.user = {
       id: decoded.id,
       email: decoded.email,
       role: decoded.role,
+      sessionId: decoded.sid || null,
+      impersonator: decoded.imp || null,
     };
 
     next();
@@ -129,7 +367,7 @@ const authenticate = (req, res, next) => {
  * Middleware: Optional Authentication
  * Authenticates if token is provided, continues without user if not
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -144,11 +382,13 @@ const optionalAuth = (req, res, next) => {
 
     const decoded = verifyToken(token);
     
-    if (decoded && decoded.type === 'access') {
+    // Impersonation tokens never count here: every optionalAuth route changes state
+    if (decoded && decoded.type === 'access' && !decoded.imp && !(await checkTokenRevocation(getDb(req), decoded))) {
       req.user = {
         id: decoded.id,
         email: decoded.email,
         role: decoded.role,
+        sessionId: decoded.sid || null,
       };
     } else {
       req.user = null;
@@ -231,6 +471,64 @@ const requireSuperadmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware Factory: Require Permission(s)
+ * Passes when the user's role grants every listed permission (see config/permissions.js);
+ * API keys are checked against their scopes instead
+ * @param {...string} permissions - Permission names
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Unauthorized', 
+        message: 'Authentication required' 
+      });
+    }
+
+    try {
+      const granted = req.user.apiKey
+        ? req.user.apiKey.scopes
+        : await getRolePermissions(getDb(req), req.user.role);
+      const missing = permissions.filter((permission) => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({ 
+          error: 'Forbidden', 
+          message: `Missing permission: ${missing.join(', ')}`,
+          code: 'MISSING_PERMISSION'
+        });
+      }
+
+      req.user.permissions = granted;
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err.message);
+      return res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+};
+
+/**
+ * Middleware Factory: Require API Key Scope
+ * For routes open to every signed-in person that API keys may also call:
+ * people pass through, keys need the scope
+ * @param {string} scope - Scope name (see API_KEY_SCOPES in config/permissions.js)
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.user?.apiKey && !req.user.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ 
+        error: 'Forbidden', 
+        message: `API key is missing scope: ${scope}`,
+        code: 'MISSING_SCOPE'
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Middleware: Require User Role (regular users only)
  */
@@ -301,18 +599,72 @@ const requireOwnerOrAdmin = (emailField = 'email') => {
   };
 };
 
+/**
+ * Middleware Factory: Require Verified Email
+ * Only enforced while the superadmin setting requireEmailVerification is on
+ * @param {object} db - PostgreSQL database connection
+ */
+const requireVerifiedEmail = (db) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Unauthorized', 
+        message: 'Authentication required' 
+      });
+    }
+
+    // API keys have no mailbox to verify
+    if (req.user.apiKey) {
+      return next();
+    }
+
+    try {
+      const required = await getSetting(db, 'requireEmailVerification');
+      if (!required) {
+        return next();
+      }
+
+      const result = await db.query(
+        'SELECT email_verified FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      if (!result.rows[0]?.email_verified) {
+        return res.status(403).json({ 
+          error: 'Please verify your email address before submitting complaints',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error('Email verification check error:', err.message);
+      return res.status(500).json({ error: 'Failed to check email verification' });
+    }
+  };
+};
+
 module.exports = {
   JWT_SECRET,
+  API_KEY_ROLE,
   generateAccessToken,
   generateRefreshToken,
   generateEmailVerificationToken,
+  generateTwoFactorToken,
+  generateAccountUnlockToken,
+  generateEmailChangeToken,
+  generateMagicLinkToken,
+  generateImpersonationToken,
   verifyToken,
   authenticate,
   optionalAuth,
   requireRole,
   requireAdmin,
   requireSuperadmin,
+  requirePermission,
+  requireScope,
   requireUser,
   requireMinRole,
   requireOwnerOrAdmin,
+  requireVerifiedEmail,
 };
@@ -0,0 +1,58 @@
+/**
+ * Complaint Reference Middleware
+ * Lets routes that take a complaint id also take its reference (e.g. CMP-2026-000123)
+ * Uses the app's connection from app.locals.db (set in index.js)
+ */
+
+const { resolveComplaintId } = require('../services/referenceService');
+
+const notFound = (res) => res.status(404).json({ error: 'Complaint not found' });
+
+/**
+ * Middleware Factory: Resolve a complaint id or reference in the URL
+ * Rewrites req.params[param] to the numeric id; unknown references get a 404
+ * @param {string} param - Route parameter name
+ */
+const resolveComplaintParam = (param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const id = await resolveComplaintId(req.app.locals.db, req.params[param]);
+      if (id === null) return notFound(res);
+
+      req.params[param] = String(id);
+      next();
+    } catch (err) {
+      console.error('Complaint reference lookup error:', err.message);
+      return res.status(500).json({ error: 'Failed to look up complaint' });
+    }
+  };
+};
+
+/**
+ * Middleware Factory: Resolve a complaint id or reference in the request body
+ * A missing field is left for the route to report
+ * @param {string} field - Body field name
+ */
+const resolveComplaintBody = (field = 'complaintId') => {
+  return async (req, res, next) => {
+    if (req.body?.[field] === undefined || req.body[field] === null || req.body[field] === '') {
+      return next();
+    }
+
+    try {
+      const id = await resolveComplaintId(req.app.locals.db, req.body[field]);
+      if (id === null) return notFound(res);
+
+      req.body[field] = id;
+      next();
+    } catch (err) {
+      console.error('Complaint reference lookup error:', err.message);
+      return res.status(500).json({ error: 'Failed to look up complaint' });
+    }
+  };
+};
+
+module.exports = {
+  resolveComplaintParam,
+  resolveComplaintBody,
+};
@@ -34,6 +34,7 @@ const authLimiter = rateLimit({
   max: 5,
   message: {
     error: 'Too many login attempts. Please try again after 15 minutes.',
+    code: 'TOO_MANY_ATTEMPTS',
     retryAfter: '15 minutes'
   },
   standardHeaders: true,
@@ -56,6 +57,22 @@ const complaintLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Public tracking lookup rate limiter
+ * 30 lookups per 15 minutes per IP, so codes and passphrases cannot be guessed by brute force
+ */
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    error: 'Too many tracking lookups. Please try again after 15 minutes.',
+    code: 'TOO_MANY_LOOKUPS',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Password reset rate limiter
  * 3 attempts per hour per IP
@@ -71,6 +88,69 @@ const passwordResetLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Verification email rate limiter
+ * 5 resend requests per hour per IP
+ */
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    error: 'Too many verification email requests. Please try again after an hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Two-factor code rate limiter
+ * 10 failed code attempts per 15 minutes per IP
+ */
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: 'Too many verification code attempts. Please try again after 15 minutes.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Magic link rate limiter
+ * 5 login link emails per hour per IP
+ */
+const magicLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    error: 'Too many login link requests. Please try again after an hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * API key rate limiter
+ * Per key, using the key's own requests-per-minute limit (see services/apiKeyService.js)
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.user?.apiKey?.rateLimit || 60,
+  keyGenerator: (req) => `api-key:${req.user?.apiKey?.id}`,
+  message: {
+    error: 'API key rate limit exceeded. Please slow down.',
+    code: 'API_KEY_RATE_LIMITED',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // ================= HELMET CONFIGURATION =================
 
 const helmetConfig = helmet({
@@ -165,35 +245,6 @@ const validateSignup = (req, res, next) => {
   next();
 };
 
-/**
- * Complaint validation middleware
- */
-const validateComplaint = (req, res, next) => {
-  const { category, description, priority } = req.body;
-  const errors = [];
-
-  const validCategories = ['road', 'water', 'electricity', 'sanitation', 'public_safety', 'other'];
-  const validPriorities = ['low', 'medium', 'high'];
-
-  if (!category || !validCategories.includes(category)) {
-    errors.push('Valid category is required');
-  }
-
-  if (!description || description.length < 10 || description.length > 2000) {
-    errors.push('Description must be between 10 and 2000 characters');
-  }
-
-  if (priority && !validPriorities.includes(priority)) {
-    errors.push('Priority must be low, medium, or high');
-  }
-
-  if (errors.length > 0) {
-    return res.status(400).json({ errors });
-  }
-
-  next();
-};
-
 // ================= COMPRESSION =================
 
 const compressionMiddleware = compression({
@@ -211,12 +262,16 @@ module.exports = {
   generalLimiter,
   authLimiter,
   complaintLimiter,
+  trackingLimiter,
   passwordResetLimiter,
+  verificationEmailLimiter,
+  twoFactorLimiter,
+  magicLinkLimiter,
+  apiKeyLimiter,
   helmetConfig,
   sanitizeInput,
   validateEmail,
   validatePassword,
   validateSignup,
-  validateComplaint,
   compressionMiddleware,
 };
@@ -0,0 +1,138 @@
+/**
+ * Account Routes
+ * Citizen self-service for data-subject requests: personal data export and account deletion
+ */
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { ROLES } = require('../config/jwt');
+const { sendAccountDeletionEmail } = require('../services/emailService');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildDataExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  processScheduledDeletions,
+} = require('../services/accountService');
+
+/**
+ * Initialize account routes with database connection
+ * @param {object} db - PostgreSQL database connection
+ */
+const initAccountRoutes = (db) => {
+
+  // Remove accounts whose grace period has ended
+  setInterval(() => processScheduledDeletions(db), 60 * 60 * 1000);
+  setTimeout(() => processScheduledDeletions(db), 10000);
+
+  // ================= EXPORT PERSONAL DATA =================
+  router.get('/export', authenticate, async (req, res) => {
+    try {
+      const data = await buildDataExport(db, req.user.id);
+      if (!data) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const date = data.exportedAt.slice(0, 10);
+      res.setHeader('Content-Disposition', `attachment; filename="complaint-portal-data-${date}.json"`);
+      res.json(data);
+    } catch (err) {
+      console.error('Data export error:', err);
+      res.status(500).json({ error: 'Failed to export your data' });
+    }
+  });
+
+  // ================= ACCOUNT DELETION STATUS =================
+  router.get('/account', authenticate, async (req, res) => {
+    try {
+      const result = await db.query('SELECT role, deletion_scheduled_at FROM users WHERE id = $1', [req.user.id]);
+      const user = result.rows[0];
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({
+        canDelete: user.role === ROLES.USER,
+        deletionScheduledAt: user.deletion_scheduled_at,
+        graceDays: ACCOUNT_DELETION_GRACE_DAYS
+      });
+    } catch (err) {
+      console.error('Get account status error:', err);
+      res.status(500).json({ error: 'Failed to fetch account status' });
+    }
+  });
+
+  // ================= REQUEST ACCOUNT DELETION =================
+  router.delete('/account', authenticate, async (req, res) => {
+    try {
+      const { password } = req.body || {};
+      if (!password) {
+        return res.status(400).json({ error: 'Current password is required' });
+      }
+
+      const result = await db.query(
+        'SELECT id, email, name, role, password_hash, deletion_scheduled_at FROM users WHERE id = $1',
+        [req.user.id]
+      );
+      const user = result.rows[0];
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Staff accounts are removed by a superadmin so complaints are never left unowned by accident
+      if (user.role !== ROLES.USER) {
+        return res.status(403).json({
+          error: 'Staff accounts cannot be deleted from here. Ask a superadmin.',
+          code: 'STAFF_ACCOUNT'
+        });
+      }
+
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        return res.status(400).json({ error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
+      }
+
+      if (user.deletion_scheduled_at) {
+        return res.status(409).json({
+          error: 'Account deletion is already scheduled',
+          code: 'DELETION_PENDING',
+          deletionScheduledAt: user.deletion_scheduled_at
+        });
+      }
+
+      const deletionScheduledAt = await scheduleAccountDeletion(db, user.id);
+      console.log(`🗑️ [ACCOUNT] Deletion scheduled for ${user.email} on ${new Date(deletionScheduledAt).toISOString()}`);
+
+      sendAccountDeletionEmail(user.email, user.name, deletionScheduledAt)
+        .catch(err => console.error('📧 Account deletion email error:', err.message));
+
+      res.json({
+        message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days`,
+        deletionScheduledAt
+      });
+    } catch (err) {
+      console.error('Request account deletion error:', err);
+      res.status(500).json({ error: 'Failed to schedule account deletion' });
+    }
+  });
+
+  // ================= CANCEL ACCOUNT DELETION =================
+  router.post('/account/cancel-deletion', authenticate, async (req, res) => {
+    try {
+      if (!(await cancelAccountDeletion(db, req.user.id))) {
+        return res.status(400).json({ error: 'No account deletion is pending', code: 'NO_DELETION_PENDING' });
+      }
+
+      console.log(`🗑️ [ACCOUNT] Deletion cancelled for ${req.user.email}`);
+      res.json({ message: 'Account deletion cancelled' });
+    } catch (err) {
+      console.error('Cancel account deletion error:', err);
+      res.status(500).json({ error: 'Failed to cancel account deletion' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = initAccountRoutes;
@@ -6,10 +6,22 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const { authenticate, requireAdmin, requireSuperadmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveComplaintParam } = require('../middleware/complaintReference');
+const { roleExists, isRoleWithin } = require('../services/permissionService');
 const { getEscalationStats } = require('../services/escalationService');
 const { triggerEscalationCheck } = require('../services/scheduler');
 const { sendStatusChangeEmail } = require('../services/emailService');
+const { bumpTokenVersion } = require('../services/tokenVersionService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { deleteAccount } = require('../services/accountService');
+const {
+  CategoryError,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../services/categoryService');
 
 /**
  * Initialize admin routes with database connection
@@ -17,12 +29,58 @@ const { sendStatusChangeEmail } = require('../services/emailService');
  */
 const initAdminRoutes = (db) => {
 
-  // Apply authentication and admin role check to all routes
+  // Every route needs a signed-in user; each one then checks its own permission
   router.use(authenticate);
-  router.use(requireAdmin);
+
+  /**
+   * Make a role/status change take effect immediately: existing access tokens
+   * stop working, and users who are no longer active are signed out everywhere.
+   */
+  const invalidateUserTokens = async (user) => {
+    await bumpTokenVersion(db, user.id);
+    if (user.status && user.status !== 'active') {
+      await revokeAllSessions(db, user.id);
+    }
+  };
+
+  /**
+   * Roles must exist, and only a superadmin may hand out the superadmin role or
+   * touch a superadmin account, so users.manage cannot be used to escalate.
+   * Other roles can only be granted, or their accounts changed, by staff whose
+   * own role holds every permission they carry.
+   * @returns {object|null} - { status, body } when the change is not allowed
+   */
+  const checkUserChange = async (req, targetId, role) => {
+    if (role !== undefined && !(await roleExists(db, role))) {
+      return { status: 400, body: { error: 'Invalid role', code: 'INVALID_ROLE' } };
+    }
+
+    if (req.user.role === 'superadmin') return null;
+
+    if (role === 'superadmin') {
+      return { status: 403, body: { error: 'Only a superadmin can grant the superadmin role', code: 'MISSING_PERMISSION' } };
+    }
+
+    if (role !== undefined && !(await isRoleWithin(db, role, req.user.role))) {
+      return { status: 403, body: { error: 'You cannot grant a role with permissions you do not have', code: 'MISSING_PERMISSION' } };
+    }
+
+    if (targetId) {
+      const target = await db.query('SELECT role FROM users WHERE id = $1', [targetId]);
+      const targetRole = target.rows[0]?.role;
+      if (targetRole === 'superadmin') {
+        return { status: 403, body: { error: 'Only a superadmin can change a superadmin account', code: 'MISSING_PERMISSION' } };
+      }
+      if (targetRole && !(await isRoleWithin(db, targetRole, req.user.role))) {
+        return { status: 403, body: { error: 'You cannot change an account with permissions you do not have', code: 'MISSING_PERMISSION' } };
+      }
+    }
+
+    return null;
+  };
 
   // ================= GET ESCALATION STATS =================
-  router.get('/escalation-stats', async (req, res) => {
+  router.get('/escalation-stats', requirePermission('complaints.read'), async (req, res) => {
     try {
       const stats = await getEscalationStats(db);
       res.json(stats);
@@ -33,7 +91,7 @@ const initAdminRoutes = (db) => {
   });
 
   // ================= TRIGGER MANUAL ESCALATION CHECK =================
-  router.post('/trigger-escalation', async (req, res) => {
+  router.post('/trigger-escalation', requirePermission('complaints.escalate'), async (req, res) => {
     try {
       const result = await triggerEscalationCheck(db);
       res.json({
@@ -47,7 +105,7 @@ const initAdminRoutes = (db) => {
   });
 
   // ================= ESCALATE COMPLAINT =================
-  router.post('/escalate/:complaintId', async (req, res) => {
+  router.post('/escalate/:complaintId', requirePermission('complaints.escalate'), resolveComplaintParam('complaintId'), async (req, res) => {
     try {
       const { complaintId } = req.params;
       const { reason } = req.body;
@@ -63,6 +121,11 @@ const initAdminRoutes = (db) => {
       }
 
       const currentComplaint = complaint.rows[0];
+
+      if (currentComplaint.status === 'withdrawn') {
+        return res.status(409).json({ error: 'Withdrawn complaints cannot be escalated', code: 'COMPLAINT_WITHDRAWN' });
+      }
+
       const newEscalationLevel = (currentComplaint.escalation_level || 0) + 1;
 
       // Update complaint with escalation
@@ -102,7 +165,7 @@ const initAdminRoutes = (db) => {
   });
 
   // ================= GET ALL USERS (Admin can view only) =================
-  router.get('/users', async (req, res) => {
+  router.get('/users', requirePermission('users.read'), async (req, res) => {
     try {
       const result = await db.query(
         'SELECT id, email, name, role, status, email_verified, created_at FROM users ORDER BY created_at DESC'
@@ -119,8 +182,19 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  // ================= CREATE USER (Superadmin only) =================
-  router.post('/users', requireSuperadmin, async (req, res) => {
+  // ================= LIST ROLES (for role pickers) =================
+  router.get('/roles', requirePermission('users.read'), async (req, res) => {
+    try {
+      const result = await db.query('SELECT name, description, is_system FROM roles ORDER BY is_system DESC, name');
+      res.json({ success: true, roles: result.rows });
+    } catch (err) {
+      console.error('Get roles error:', err);
+      res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+  });
+
+  // ================= CREATE USER (users.manage) =================
+  router.post('/users', requirePermission('users.manage'), async (req, res) => {
     try {
       const { email, password, name, role = 'user', status = 'active' } = req.body;
       const bcrypt = require('bcryptjs');
@@ -138,9 +212,9 @@ const initAdminRoutes = (db) => {
       }
 
       // Validate role
-      const validRoles = ['user', 'admin', 'superadmin'];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({ error: 'Invalid role. Must be: user, admin, or superadmin' });
+      const denied = await checkUserChange(req, null, role);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
       }
 
       // Validate status
@@ -184,23 +258,24 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  // ================= UPDATE USER (Superadmin only - handles role, status, name) =================
-  router.put('/users/:id', requireSuperadmin, async (req, res) => {
+  // ================= UPDATE USER (users.manage - handles role, status, name) =================
+  router.put('/users/:id', requirePermission('users.manage'), async (req, res) => {
     try {
       const { id } = req.params;
       const { role, status, name, display_name } = req.body;
 
       console.log('📝 Update user request:', { id, role, status, name, display_name });
 
+      const denied = await checkUserChange(req, id, role);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
       // Build dynamic update query for PostgreSQL
       const updates = [];
       const values = [];
 
       if (role !== undefined) {
-        const validRoles = ['user', 'admin', 'superadmin'];
-        if (!validRoles.includes(role)) {
-          return res.status(400).json({ error: 'Invalid role. Must be: user, admin, or superadmin' });
-        }
         updates.push(`role = $${updates.length + 1}`);
         values.push(role);
       }
@@ -239,6 +314,10 @@ const initAdminRoutes = (db) => {
         return res.status(404).json({ error: 'User not found' });
       }
 
+      if (role !== undefined || status !== undefined) {
+        await invalidateUserTokens(result.rows[0]);
+      }
+
       res.json({ 
         message: 'User updated successfully',
         user: result.rows[0]
@@ -249,23 +328,24 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  // ================= PATCH USER (Superadmin only - partial update) =================
-  router.patch('/users/:id', requireSuperadmin, async (req, res) => {
+  // ================= PATCH USER (users.manage - partial update) =================
+  router.patch('/users/:id', requirePermission('users.manage'), async (req, res) => {
     try {
       const { id } = req.params;
       const { role, status, name, display_name } = req.body;
 
       console.log('📝 PATCH user request:', { id, role, status, name, display_name });
 
+      const denied = await checkUserChange(req, id, role);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
       // Build dynamic update query for PostgreSQL
       const updates = [];
       const values = [];
 
       if (role !== undefined) {
-        const validRoles = ['user', 'admin', 'superadmin'];
-        if (!validRoles.includes(role)) {
-          return res.status(400).json({ error: 'Invalid role. Must be: user, admin, or superadmin' });
-        }
         updates.push(`role = $${updates.length + 1}`);
         values.push(role);
       }
@@ -304,6 +384,10 @@ const initAdminRoutes = (db) => {
         return res.status(404).json({ error: 'User not found' });
       }
 
+      if (role !== undefined || status !== undefined) {
+        await invalidateUserTokens(result.rows[0]);
+      }
+
       res.json({ 
         message: 'User updated successfully',
         user: result.rows[0]
@@ -314,19 +398,19 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  // ================= UPDATE USER ROLE (Superadmin only - legacy endpoint) =================
-  router.put('/users/:id/role', requireSuperadmin, async (req, res) => {
+  // ================= UPDATE USER ROLE (users.manage - legacy endpoint) =================
+  router.put('/users/:id/role', requirePermission('users.manage'), async (req, res) => {
     try {
       const { id } = req.params;
       const { role } = req.body;
 
-      const validRoles = ['user', 'admin', 'superadmin'];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({ error: 'Invalid role' });
+      const denied = await checkUserChange(req, id, role);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
       }
 
       const result = await db.query(
-        'UPDATE users SET role = $1 WHERE id = $2 RETURNING id',
+        'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, status',
         [role, id]
       );
 
@@ -334,6 +418,8 @@ const initAdminRoutes = (db) => {
         return res.status(404).json({ error: 'User not found' });
       }
 
+      await invalidateUserTokens(result.rows[0]);
+
       res.json({ message: 'User role updated successfully' });
     } catch (err) {
       console.error('Update user role error:', err);
@@ -341,8 +427,8 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  // ================= DELETE USER (Superadmin only) =================
-  router.delete('/users/:id', requireSuperadmin, async (req, res) => {
+  // ================= DELETE USER (users.manage) =================
+  router.delete('/users/:id', requirePermission('users.manage'), async (req, res) => {
     try {
       const { id } = req.params;
 
@@ -351,7 +437,15 @@ const initAdminRoutes = (db) => {
         return res.status(400).json({ error: 'Cannot delete your own account' });
       }
 
-      await db.query('DELETE FROM users WHERE id = $1', [id]);
+      const denied = await checkUserChange(req, id);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
+      // Keep their complaints, minus the personal details
+      if (!(await deleteAccount(db, id))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
 
       res.json({ message: 'User deleted successfully' });
     } catch (err) {
@@ -361,11 +455,11 @@ const initAdminRoutes = (db) => {
   });
 
   // ================= GET ESCALATED COMPLAINTS =================
-  router.get('/escalated-complaints', async (req, res) => {
+  router.get('/escalated-complaints', requirePermission('complaints.read'), async (req, res) => {
     try {
       const result = await db.query(`
         SELECT * FROM complaints 
-        WHERE escalation_level > 0 AND status != 'resolved'
+        WHERE escalation_level > 0 AND status NOT IN ('resolved', 'withdrawn')
         ORDER BY escalation_level DESC, created_at ASC
       `);
       res.json(result.rows);
@@ -376,7 +470,7 @@ const initAdminRoutes = (db) => {
   });
 
   // ================= GET ESCALATION HISTORY FOR COMPLAINT =================
-  router.get('/complaints/:id/escalation-history', async (req, res) => {
+  router.get('/complaints/:id/escalation-history', requirePermission('complaints.read'), resolveComplaintParam(), async (req, res) => {
     try {
       const { id } = req.params;
       const result = await db.query(
@@ -391,7 +485,7 @@ const initAdminRoutes = (db) => {
   });
 
   // ================= GET ADMIN DASHBOARD STATS =================
-  router.get('/dashboard-stats', async (req, res) => {
+  router.get('/dashboard-stats', requirePermission('complaints.read'), async (req, res) => {
     try {
       // Total complaints by status
       const statusStatsResult = await db.query(`
@@ -443,8 +537,8 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  // ================= WHITELIST MANAGEMENT (Superadmin only) =================
-  router.get('/admin-whitelist', requireSuperadmin, async (req, res) => {
+  // ================= WHITELIST MANAGEMENT (admins.manage) =================
+  router.get('/admin-whitelist', requirePermission('admins.manage'), async (req, res) => {
     try {
       const result = await db.query(
         'SELECT * FROM admin_whitelist ORDER BY created_at DESC'
@@ -456,7 +550,7 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  router.post('/admin-whitelist', requireSuperadmin, async (req, res) => {
+  router.post('/admin-whitelist', requirePermission('admins.manage'), async (req, res) => {
     try {
       const { email } = req.body;
 
@@ -479,7 +573,7 @@ const initAdminRoutes = (db) => {
     }
   });
 
-  router.delete('/admin-whitelist/:email', requireSuperadmin, async (req, res) => {
+  router.delete('/admin-whitelist/:email', requirePermission('admins.manage'), async (req, res) => {
     try {
       const { email } = req.params;
 
@@ -495,6 +589,74 @@ const initAdminRoutes = (db) => {
     }
   });
 
+  // ================= CATEGORIES (categories.manage) =================
+  // Each change returns the full list, inactive categories included
+  const sendCategoryError = (res, err, fallback) => {
+    if (err instanceof CategoryError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  const parseCategoryId = (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      res.status(404).json({ error: 'Category not found', code: 'CATEGORY_NOT_FOUND' });
+      return null;
+    }
+    return id;
+  };
+
+  router.get('/categories', requirePermission('categories.manage'), async (req, res) => {
+    try {
+      res.json({ success: true, categories: await listCategories(db, { includeInactive: true }) });
+    } catch (err) {
+      sendCategoryError(res, err, 'Failed to fetch categories');
+    }
+  });
+
+  router.post('/categories', requirePermission('categories.manage'), async (req, res) => {
+    try {
+      const { slug, name, description, icon, displayOrder, isActive, fieldSchema } = req.body;
+      const category = await createCategory(db, { slug, name, description, icon, displayOrder, isActive, fieldSchema });
+      console.log(`🏷️ Category ${category.slug} created by ${req.user.email}`);
+
+      res.status(201).json({ success: true, categories: await listCategories(db, { includeInactive: true }) });
+    } catch (err) {
+      sendCategoryError(res, err, 'Failed to create category');
+    }
+  });
+
+  router.put('/categories/:id', requirePermission('categories.manage'), async (req, res) => {
+    try {
+      const id = parseCategoryId(req, res);
+      if (id === null) return;
+
+      const { slug, name, description, icon, displayOrder, isActive, fieldSchema } = req.body;
+      const category = await updateCategory(db, id, { slug, name, description, icon, displayOrder, isActive, fieldSchema });
+      console.log(`🏷️ Category ${category.slug} updated by ${req.user.email}`);
+
+      res.json({ success: true, categories: await listCategories(db, { includeInactive: true }) });
+    } catch (err) {
+      sendCategoryError(res, err, 'Failed to update category');
+    }
+  });
+
+  router.delete('/categories/:id', requirePermission('categories.manage'), async (req, res) => {
+    try {
+      const id = parseCategoryId(req, res);
+      if (id === null) return;
+
+      await deleteCategory(db, id);
+      console.log(`🏷️ Category ${id} deleted by ${req.user.email}`);
+
+      res.json({ success: true, categories: await listCategories(db, { includeInactive: true }) });
+    } catch (err) {
+      sendCategoryError(res, err, 'Failed to delete category');
+    }
+  });
+
   return router;
 };
 
@@ -1,34 +1,294 @@
 /**
  * Authentication Routes - FINAL PRODUCTION READY
- * PostgreSQL (Neon) + JWT + bcrypt + Forgot Password + Reset Password
+ * PostgreSQL (Neon) + JWT + bcrypt
+ * Forgot / reset / change password live in routes/passwordReset.js
  */
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 
 const router = express.Router();
 
 const {
   generateAccessToken,
-  generateRefreshToken,
   generateEmailVerificationToken,
+  generateTwoFactorToken,
+  generateAccountUnlockToken,
+  generateEmailChangeToken,
+  generateMagicLinkToken,
   verifyToken,
   authenticate,
+  optionalAuth,
 } = require('../middleware/auth');
 
-const { ROLES } = require('../config/jwt');
+const { ROLES, TOKEN_TYPES } = require('../config/jwt');
+
+const {
+  authLimiter,
+  verificationEmailLimiter,
+  twoFactorLimiter,
+  magicLinkLimiter,
+  validateEmail,
+  validatePassword
+} = require('../middleware/security');
 
 const {
   sendVerificationEmail,
-  sendPasswordResetEmail
+  sendAccountLockedEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendMagicLinkEmail,
+  getFrontendUrl
 } = require('../services/emailService');
 
-// store refresh tokens (production → use Redis)
-const refreshTokens = new Set();
+const {
+  RefreshTokenError,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  cleanupExpiredRefreshTokens
+} = require('../services/refreshTokenService');
+
+const {
+  getClientInfo,
+  createSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  cleanupSessions
+} = require('../services/sessionService');
+
+const { bumpTokenVersion } = require('../services/tokenVersionService');
+
+const { getRolePermissions } = require('../services/permissionService');
+
+const {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactorService');
+
+const {
+  recordLoginAttempt,
+  isIpBlocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  isAccountLocked,
+  cleanupLoginAttempts
+} = require('../services/loginAttemptService');
+
+const {
+  MAGIC_LINK_EXPIRY_MINUTES,
+  isMagicLinkEnabled,
+  createMagicLink,
+  claimMagicLink,
+  cleanupMagicLinks
+} = require('../services/magicLinkService');
+
+const {
+  InviteError,
+  findPendingInvite,
+  acceptInvite
+} = require('../services/inviteService');
+
+const { endImpersonation } = require('../services/impersonationService');
+
+const { OIDC_CONFIG, isOidcEnabled } = require('../config/oidc');
+
+const {
+  AUTH_REQUEST_EXPIRY_MINUTES: OIDC_AUTH_REQUEST_EXPIRY_MINUTES,
+  OidcError,
+  createAuthorizationUrl,
+  completeAuthorization,
+  provisionStaffUser,
+  createHandoff,
+  consumeHandoff,
+  cleanupAuthRequests
+} = require('../services/oidcService');
+
+// Every staff role (anything but user) can enrol in two-factor authentication
+const canUseTwoFactor = (role) => !!role && role !== ROLES.USER;
+
+// Minimum gap between two verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
 
 const initAuthRoutes = (db) => {
 
+  // Purge expired refresh tokens, old sessions, login attempts, login links and SSO requests every hour
+  const cleanup = () => {
+    cleanupExpiredRefreshTokens(db);
+    cleanupSessions(db);
+    cleanupLoginAttempts(db);
+    cleanupMagicLinks(db);
+    cleanupAuthRequests(db);
+  };
+  setInterval(cleanup, 60 * 60 * 1000);
+  setTimeout(cleanup, 10000);
+
+  // Start a new session for a user: refresh token family + session row + access token
+  const startSession = async (user, req) => {
+
+    const { token: refreshToken, familyId } =
+      await issueRefreshToken(db, user);
+
+    await createSession(db, {
+      id: familyId,
+      userId: user.id,
+      ...getClientInfo(req)
+    });
+
+    const accessToken =
+      generateAccessToken({
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        name: user.name,
+        sid: familyId,
+        token_version: user.token_version
+      });
+
+    return { accessToken, refreshToken, sessionId: familyId };
+
+  };
+
+  // Successful login payload (shared by password, 2FA and enrolment steps)
+  const createLoginResponse = async (user, req) => {
+
+    const { accessToken, refreshToken } =
+      await startSession(user, req);
+
+    await recordLoginAttempt(db, {
+      userId: user.id,
+      email: user.email,
+      ...getClientInfo(req),
+      success: true
+    });
+
+    if (user.failed_login_count > 0 || user.locked_until)
+      await resetFailedLogins(db, user.id);
+
+    return {
+      success: true,
+      accessToken,
+      refreshToken,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        permissions: await getRolePermissions(db, user.role),
+        emailVerified: user.email_verified
+      }
+    };
+
+  };
+
+  // First factor done (password, login link or SSO): ask for 2FA if needed, otherwise sign in
+  const continueLogin = async (user, req) => {
+
+    const twoFactorRequired =
+      await isTwoFactorRequired(db, user.role);
+
+    if (user.totp_enabled || twoFactorRequired)
+      return {
+        success: true,
+        twoFactorRequired: !!user.totp_enabled,
+        twoFactorSetupRequired: !user.totp_enabled,
+        challengeToken: generateTwoFactorToken(
+          user,
+          user.totp_enabled ? 'verify' : 'setup'
+        )
+      };
+
+    return createLoginResponse(user, req);
+
+  };
+
+  // Count a failed password or code; locks the account and emails an unlock link at the threshold
+  const handleFailedLogin = async (user, req, reason) => {
+
+    await recordLoginAttempt(db, {
+      userId: user.id,
+      email: user.email,
+      ...getClientInfo(req),
+      success: false,
+      reason
+    });
+
+    const { locked, lockedUntil, lockMinutes } =
+      await registerFailedLogin(db, user.id);
+
+    if (!locked)
+      return null;
+
+    console.log(`🔐 Account ${user.email} locked for ${lockMinutes} minutes`);
+
+    const unlockUrl =
+      `${getFrontendUrl()}/unlock-account?token=${generateAccountUnlockToken(user)}`;
+
+    sendAccountLockedEmail(
+      user.email,
+      user.name,
+      unlockUrl,
+      lockMinutes
+    ).catch(console.error);
+
+    return lockedUntil;
+
+  };
+
+  const accountLockedResponse = (res, lockedUntil) =>
+    res.status(423).json({
+      error: 'Too many failed login attempts. Your account is temporarily locked. Check your email for an unlock link.',
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil
+    });
+
+  // Load the user behind a two-factor challenge token, or null if it is not usable
+  const getChallengeUser = async (challengeToken, purpose) => {
+
+    const decoded = challengeToken ? verifyToken(challengeToken) : null;
+
+    if (!decoded || decoded.type !== TOKEN_TYPES.TWO_FACTOR || decoded.purpose !== purpose)
+      return null;
+
+    const result = await db.query(
+      'SELECT * FROM users WHERE id=$1',
+      [decoded.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user || (user.status && user.status !== 'active'))
+      return null;
+
+    return user;
+
+  };
+
+  // Enrolment runs either signed in or mid-login (when the role requires 2FA)
+  const getEnrollingUser = async (req) => {
+
+    if (req.body.challengeToken)
+      return getChallengeUser(req.body.challengeToken, 'setup');
+
+    if (!req.user)
+      return null;
+
+    const result = await db.query(
+      'SELECT * FROM users WHERE id=$1',
+      [req.user.id]
+    );
+
+    return result.rows[0] || null;
+
+  };
+
   // ================= SIGNUP =================
   router.post('/signup', async (req, res) => {
 
@@ -56,9 +316,9 @@ const initAuthRoutes = (db) => {
       const result = await db.query(
         `
         INSERT INTO users
-        (email,password_hash,name,role,email_verified,created_at)
-        VALUES (LOWER($1),$2,$3,$4,FALSE,NOW())
-        RETURNING id,email,name,role
+        (email,password_hash,name,role,email_verified,verification_sent_at,created_at)
+        VALUES (LOWER($1),$2,$3,$4,FALSE,NOW(),NOW())
+        RETURNING id,email,name,role,email_verified
         `,
         [email, hash, name || null, ROLES.USER]
       );
@@ -93,6 +353,7 @@ const initAuthRoutes = (db) => {
 
 
   // ================= LOGIN =================
+  // Per-IP throttling comes from login_attempts (isIpBlocked), not an in-memory limiter
   router.post('/login', async (req, res) => {
 
     try {
@@ -104,56 +365,77 @@ const initAuthRoutes = (db) => {
           error: 'Email and password required'
         });
 
+      const client = getClientInfo(req);
+
+      if (await isIpBlocked(db, client.ipAddress))
+        return res.status(429).json({
+          error: 'Too many failed login attempts from your network. Please try again later.',
+          code: 'IP_BLOCKED'
+        });
+
       const result = await db.query(
         'SELECT * FROM users WHERE LOWER(email)=LOWER($1)',
         [email]
       );
 
-      if (result.rows.length === 0)
+      if (result.rows.length === 0) {
+
+        await recordLoginAttempt(db, {
+          email,
+          ...client,
+          success: false,
+          reason: 'unknown_user'
+        });
+
         return res.status(401).json({
           error: 'Invalid credentials'
         });
 
+      }
+
       const user = result.rows[0];
 
+      if (isAccountLocked(user)) {
+
+        await recordLoginAttempt(db, {
+          userId: user.id,
+          email: user.email,
+          ...client,
+          success: false,
+          reason: 'locked'
+        });
+
+        return accountLockedResponse(res, user.locked_until);
+
+      }
+
       const valid =
         await bcrypt.compare(
           password,
           user.password_hash
         );
 
-      if (!valid)
+      if (!valid) {
+
+        const lockedUntil =
+          await handleFailedLogin(user, req, 'invalid_password');
+
+        if (lockedUntil)
+          return accountLockedResponse(res, lockedUntil);
+
         return res.status(401).json({
           error: 'Invalid credentials'
         });
 
-      const accessToken =
-        generateAccessToken({
-          id: user.id,
-          email: user.email,
-          role: user.role,
-          name: user.name
-        });
+      }
 
-      const refreshToken =
-        generateRefreshToken({
-          id: user.id,
-          email: user.email
+      if (user.status && user.status !== 'active')
+        return res.status(403).json({
+          error: `Your account is ${user.status}. Please contact support.`,
+          code: 'ACCOUNT_DISABLED'
         });
 
-      refreshTokens.add(refreshToken);
-
-      res.json({
-        success: true,
-        accessToken,
-        refreshToken,
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role
-        }
-      });
+      res.json(await continueLogin(user, req));
 
     } catch (err) {
 
@@ -168,49 +450,124 @@ const initAuthRoutes = (db) => {
   });
 
 
-  // ================= LOGOUT =================
-  router.post('/logout', (req, res) => {
+  // ================= MAGIC LINK LOGIN =================
+  router.post('/magic-link', magicLinkLimiter, async (req, res) => {
 
-    const { refreshToken } = req.body;
+    try {
 
-    if (refreshToken)
-      refreshTokens.delete(refreshToken);
+      const { email } = req.body;
 
-    res.json({
-      success: true
-    });
+      if (!email)
+        return res.status(400).json({
+          error: 'Email required'
+        });
+
+      // same answer whether or not a link was sent (no account enumeration)
+      const successResponse = {
+        success: true,
+        message: 'If login links are available for this account, one is on its way. Check your email.'
+      };
+
+      const result = await db.query(
+        'SELECT id,email,name,role,status FROM users WHERE LOWER(email)=LOWER($1)',
+        [email]
+      );
+
+      const user = result.rows[0];
+
+      if (!user || (user.status && user.status !== 'active'))
+        return res.json(successResponse);
+
+      if (!(await isMagicLinkEnabled(db, user.role)))
+        return res.json(successResponse);
+
+      const linkId =
+        await createMagicLink(db, user.id);
+
+      const loginUrl =
+        `${getFrontendUrl()}/login?magic_token=${generateMagicLinkToken(user, linkId, MAGIC_LINK_EXPIRY_MINUTES)}`;
+
+      sendMagicLinkEmail(
+        user.email,
+        user.name,
+        loginUrl,
+        MAGIC_LINK_EXPIRY_MINUTES
+      ).catch(console.error);
+
+      res.json(successResponse);
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to send login link'
+      });
+
+    }
 
   });
 
 
-  // ================= CURRENT USER =================
-  router.get('/me', authenticate, async (req, res) => {
+  router.post('/magic-link/verify', async (req, res) => {
 
     try {
 
+      const decoded = req.body.token ? verifyToken(req.body.token) : null;
+
+      const invalidLink = () =>
+        res.status(400).json({
+          error: 'This login link is invalid, has expired or was already used. Please request a new one.',
+          code: 'INVALID_TOKEN'
+        });
+
+      if (!decoded || decoded.type !== TOKEN_TYPES.MAGIC_LINK || !decoded.jti)
+        return invalidLink();
+
+      if (!(await claimMagicLink(db, decoded.jti, decoded.id)))
+        return invalidLink();
+
       const result = await db.query(
-        `
-        SELECT id,email,name,role,email_verified
-        FROM users
-        WHERE id=$1
-        `,
-        [req.user.id]
+        'SELECT * FROM users WHERE id=$1',
+        [decoded.id]
       );
 
-      if (result.rows.length === 0)
-        return res.status(404).json({
-          error: 'User not found'
+      const user = result.rows[0];
+
+      // a link sent to an address the account has since moved away from is dead
+      if (!user || String(decoded.email || '').toLowerCase() !== String(user.email).toLowerCase())
+        return invalidLink();
+
+      if (user.status && user.status !== 'active')
+        return res.status(403).json({
+          error: `Your account is ${user.status}. Please contact support.`,
+          code: 'ACCOUNT_DISABLED'
         });
 
-      res.json({
-        success: true,
-        user: result.rows[0]
-      });
+      // the superadmin may have switched links off since it was sent
+      if (!(await isMagicLinkEnabled(db, user.role)))
+        return res.status(403).json({
+          error: 'Login links are disabled for your account. Please log in with your password.',
+          code: 'MAGIC_LINK_DISABLED'
+        });
 
-    } catch {
+      // opening the link proves the user owns the address
+      if (!user.email_verified) {
+        await db.query(
+          'UPDATE users SET email_verified=TRUE WHERE id=$1',
+          [user.id]
+        );
+        user.email_verified = true;
+      }
+
+      res.json(await continueLogin(user, req));
+
+    } catch (err) {
+
+      console.error(err);
 
       res.status(500).json({
-        error: 'Failed'
+        error: 'Login failed'
       });
 
     }
@@ -218,32 +575,34 @@ const initAuthRoutes = (db) => {
   });
 
 
-  // ================= UPDATE PROFILE =================
-  router.put('/profile', authenticate, async (req, res) => {
+  // ================= STAFF INVITES =================
+  // Invite links are sent from /api/superadmin/invites
+
+  router.post('/invite/details', authLimiter, async (req, res) => {
 
     try {
 
-      const { name } = req.body;
+      const invite =
+        await findPendingInvite(db, req.body.token);
 
-      const result = await db.query(
-        `
-        UPDATE users
-        SET name=$1
-        WHERE id=$2
-        RETURNING id,email,name,role
-        `,
-        [name, req.user.id]
-      );
+      if (!invite)
+        return res.status(400).json({
+          error: 'This invite link is invalid, has expired or was already used. Ask a superadmin for a new one.',
+          code: 'INVALID_INVITE'
+        });
 
       res.json({
-        success: true,
-        user: result.rows[0]
+        email: invite.email,
+        role: invite.role,
+        invitedBy: invite.invited_by_name
       });
 
-    } catch {
+    } catch (err) {
+
+      console.error(err);
 
       res.status(500).json({
-        error: 'Update failed'
+        error: 'Failed to load invite'
       });
 
     }
@@ -251,51 +610,49 @@ const initAuthRoutes = (db) => {
   });
 
 
-  // ================= CHANGE PASSWORD =================
-  router.all(['/change-password', '/change_password'], authenticate, async (req, res) => {
+  router.post('/invite/accept', authLimiter, async (req, res) => {
 
     try {
 
-      const { currentPassword, newPassword } = req.body;
+      const { token, name, password } = req.body;
 
-      if (!currentPassword || !newPassword)
+      if (!token)
         return res.status(400).json({
-          error: 'Both passwords required'
+          error: 'Invite token is required',
+          code: 'INVALID_INVITE'
         });
 
-      const result = await db.query(
-        'SELECT password_hash FROM users WHERE id=$1',
-        [req.user.id]
-      );
-
-      const valid =
-        await bcrypt.compare(
-          currentPassword,
-          result.rows[0].password_hash
-        );
+      if (!password || !validatePassword(password))
+        return res.status(400).json({
+          error: 'Password must be at least 8 characters with uppercase, lowercase, and number',
+          code: 'WEAK_PASSWORD'
+        });
 
-      if (!valid)
+      if (name && (name.length < 2 || name.length > 100))
         return res.status(400).json({
-          error: 'Wrong current password'
+          error: 'Name must be between 2 and 100 characters'
         });
 
-      const hash =
-        await bcrypt.hash(newPassword, 10);
+      const user =
+        await acceptInvite(db, token, { name: name?.trim(), password });
 
-      await db.query(
-        'UPDATE users SET password_hash=$1 WHERE id=$2',
-        [hash, req.user.id]
-      );
+      console.log(`🔐 Invite accepted: ${user.email} joined as ${user.role}`);
 
-      res.json({
-        success: true,
-        message: 'Password changed successfully'
-      });
+      // straight into the admin area (or the 2FA step, if the role requires it)
+      res.status(201).json(await continueLogin(user, req));
 
-    } catch {
+    } catch (err) {
+
+      if (err instanceof InviteError)
+        return res.status(err.status).json({
+          error: err.message,
+          code: err.code
+        });
+
+      console.error(err);
 
       res.status(500).json({
-        error: 'Failed'
+        error: 'Failed to accept invite'
       });
 
     }
@@ -303,61 +660,69 @@ const initAuthRoutes = (db) => {
   });
 
 
-  // ================= FORGOT PASSWORD =================
-  router.post('/forgot-password', async (req, res) => {
+  // ================= OIDC SINGLE SIGN-ON (STAFF) =================
+  // Browser flow: /oidc/login -> IdP -> /oidc/callback -> SPA /login?oidc_code=... -> POST /oidc/complete
 
-    try {
+  const redirectToLogin = (res, params) =>
+    res.redirect(`${getFrontendUrl()}/login?${new URLSearchParams(params).toString()}`);
 
-      const { email } = req.body;
+  // Ties the IdP callback to the browser that started the login
+  const OIDC_STATE_COOKIE = 'oidc_state';
 
-      if (!email)
-        return res.status(400).json({
-          error: 'Email required'
-        });
+  const stateCookieOptions = (req) => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: `${req.baseUrl}/oidc`
+  });
 
-      const result = await db.query(
-        'SELECT id,email,name FROM users WHERE LOWER(email)=LOWER($1)',
-        [email]
-      );
+  const readCookie = (req, name) => {
+    const pair = (req.headers.cookie || '')
+      .split(';')
+      .map((part) => part.trim().split('='))
+      .find(([key]) => key === name);
 
-      // always return success (security)
-      if (result.rows.length === 0)
-        return res.json({
-          success: true
-        });
+    return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+  };
 
-      const user = result.rows[0];
+  router.get('/oidc/config', (req, res) => {
 
-      const token = jwt.sign(
-        {
-          id: user.id,
-          email: user.email,
-          type: 'password-reset'
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '15m' }
-      );
+    res.json({
+      enabled: isOidcEnabled(),
+      providerName: OIDC_CONFIG.providerName
+    });
 
-      const resetUrl =
-        `https://online-complaint-portal.vercel.app/reset-password?token=${token}`;
+  });
 
-      await sendPasswordResetEmail(
-        user.email,
-        user.name,
-        resetUrl,
-        15
-      );
 
-      res.json({
-        success: true
+  router.get('/oidc/login', async (req, res) => {
+
+    if (!isOidcEnabled())
+      return redirectToLogin(res, {
+        oidc_error: 'Single sign-on is not configured'
+      });
+
+    try {
+
+      const { url, state } =
+        await createAuthorizationUrl(db, req.query.binding);
+
+      res.cookie(OIDC_STATE_COOKIE, state, {
+        ...stateCookieOptions(req),
+        maxAge: OIDC_AUTH_REQUEST_EXPIRY_MINUTES * 60 * 1000
       });
 
+      res.redirect(url);
+
     } catch (err) {
 
-      console.error(err);
+      if (err instanceof OidcError)
+        return redirectToLogin(res, { oidc_error: err.message });
 
-      res.status(500).json({
-        error: 'Failed'
+      console.error('🔐 [OIDC] Could not start login:', err.message);
+
+      redirectToLogin(res, {
+        oidc_error: 'The identity provider is unavailable. Please try again later.'
       });
 
     }
@@ -365,28 +730,44 @@ const initAuthRoutes = (db) => {
   });
 
 
-  // ================= VERIFY RESET TOKEN =================
-  router.get('/verify-reset-token', async (req, res) => {
+  router.get('/oidc/callback', async (req, res) => {
+
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    const browserState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, stateCookieOptions(req));
+
+    if (error)
+      return redirectToLogin(res, {
+        oidc_error: errorDescription || 'Sign-in was cancelled at the identity provider'
+      });
 
     try {
 
-      const { token } = req.query;
+      const claims =
+        await completeAuthorization(db, { code, state, browserState });
 
-      const decoded = verifyToken(token);
+      const { user, roleChanged } =
+        await provisionStaffUser(db, claims);
 
-      if (!decoded || decoded.type !== 'password-reset')
-        return res.status(400).json({
-          valid: false
-        });
+      // old tokens still carry the previous role
+      if (roleChanged)
+        await bumpTokenVersion(db, user.id);
 
-      res.json({
-        valid: true
-      });
+      const handoff =
+        await createHandoff(db, state, user.id);
 
-    } catch {
+      redirectToLogin(res, { oidc_code: handoff });
 
-      res.status(400).json({
-        valid: false
+    } catch (err) {
+
+      if (!(err instanceof OidcError))
+        console.error(err);
+      else
+        console.warn(`🔐 [OIDC] Login rejected (${err.code}): ${err.message}`);
+
+      redirectToLogin(res, {
+        oidc_error: err instanceof OidcError ? err.message : 'Single sign-on failed'
       });
 
     }
@@ -394,31 +775,750 @@ const initAuthRoutes = (db) => {
   });
 
 
-  // ================= RESET PASSWORD =================
-  router.post('/reset-password', async (req, res) => {
+  router.post('/oidc/complete', async (req, res) => {
 
     try {
 
-      const { token, newPassword } = req.body;
+      const userId =
+        await consumeHandoff(db, req.body.code, req.body.binding);
 
-      const decoded = verifyToken(token);
-
-      if (!decoded)
+      if (!userId)
         return res.status(400).json({
-          error: 'Invalid token'
+          error: 'This sign-in has expired. Please try again.',
+          code: 'INVALID_TOKEN'
         });
 
-      const hash =
-        await bcrypt.hash(newPassword, 10);
-
-      await db.query(
-        'UPDATE users SET password_hash=$1 WHERE id=$2',
-        [hash, decoded.id]
+      const result = await db.query(
+        'SELECT * FROM users WHERE id=$1',
+        [userId]
       );
 
-      res.json({
-        success: true
-      });
+      const user = result.rows[0];
+
+      if (!user)
+        return res.status(400).json({
+          error: 'This sign-in has expired. Please try again.',
+          code: 'INVALID_TOKEN'
+        });
+
+      if (user.status && user.status !== 'active')
+        return res.status(403).json({
+          error: `Your account is ${user.status}. Please contact support.`,
+          code: 'ACCOUNT_DISABLED'
+        });
+
+      // local 2FA policy still applies on top of the IdP
+      res.json(await continueLogin(user, req));
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Login failed'
+      });
+
+    }
+
+  });
+
+
+  // ================= TWO-FACTOR AUTHENTICATION =================
+  router.post('/2fa/verify', twoFactorLimiter, async (req, res) => {
+
+    try {
+
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const user = await getChallengeUser(challengeToken, 'verify');
+
+      if (!user)
+        return res.status(401).json({
+          error: 'Your sign-in attempt has expired. Please log in again.',
+          code: 'INVALID_CHALLENGE'
+        });
+
+      if (isAccountLocked(user))
+        return accountLockedResponse(res, user.locked_until);
+
+      const valid =
+        await verifySecondFactor(db, user.id, { code, recoveryCode });
+
+      if (!valid) {
+
+        const lockedUntil =
+          await handleFailedLogin(user, req, 'invalid_code');
+
+        if (lockedUntil)
+          return accountLockedResponse(res, lockedUntil);
+
+        return res.status(401).json({
+          error: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code',
+          code: 'INVALID_CODE'
+        });
+
+      }
+
+      res.json(await createLoginResponse(user, req));
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Two-factor verification failed'
+      });
+
+    }
+
+  });
+
+
+  router.get('/2fa/status', authenticate, async (req, res) => {
+
+    try {
+
+      const status = await getTwoFactorStatus(db, req.user);
+
+      res.json({
+        success: true,
+        available: canUseTwoFactor(req.user.role),
+        ...status
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to load two-factor status'
+      });
+
+    }
+
+  });
+
+
+  // Start enrolment: returns the secret and a QR code for the authenticator app
+  router.post('/2fa/setup', optionalAuth, async (req, res) => {
+
+    try {
+
+      const user = await getEnrollingUser(req);
+
+      if (!user)
+        return res.status(401).json({
+          error: 'Your sign-in attempt has expired. Please log in again.',
+          code: 'INVALID_CHALLENGE'
+        });
+
+      if (!canUseTwoFactor(user.role))
+        return res.status(403).json({
+          error: 'Two-factor authentication is only available for staff accounts'
+        });
+
+      if (user.totp_enabled)
+        return res.status(400).json({
+          error: 'Two-factor authentication is already enabled',
+          code: 'ALREADY_ENABLED'
+        });
+
+      const enrollment = await beginEnrollment(db, user);
+
+      res.json({
+        success: true,
+        ...enrollment
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to start two-factor setup'
+      });
+
+    }
+
+  });
+
+
+  // Finish enrolment with the first code; returns recovery codes (and tokens mid-login)
+  router.post('/2fa/enable', twoFactorLimiter, optionalAuth, async (req, res) => {
+
+    try {
+
+      const user = await getEnrollingUser(req);
+
+      if (!user)
+        return res.status(401).json({
+          error: 'Your sign-in attempt has expired. Please log in again.',
+          code: 'INVALID_CHALLENGE'
+        });
+
+      if (user.totp_enabled)
+        return res.status(400).json({
+          error: 'Two-factor authentication is already enabled',
+          code: 'ALREADY_ENABLED'
+        });
+
+      if (!user.totp_secret)
+        return res.status(400).json({
+          error: 'Start two-factor setup first'
+        });
+
+      const recoveryCodes =
+        await completeEnrollment(db, user.id, req.body.code);
+
+      if (!recoveryCodes)
+        return res.status(400).json({
+          error: 'Invalid verification code',
+          code: 'INVALID_CODE'
+        });
+
+      if (req.body.challengeToken)
+        return res.json({
+          ...(await createLoginResponse(user, req)),
+          recoveryCodes
+        });
+
+      res.json({
+        success: true,
+        recoveryCodes
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to enable two-factor authentication'
+      });
+
+    }
+
+  });
+
+
+  router.post('/2fa/disable', twoFactorLimiter, authenticate, async (req, res) => {
+
+    try {
+
+      const { password, code, recoveryCode } = req.body;
+
+      if (await isTwoFactorRequired(db, req.user.role))
+        return res.status(403).json({
+          error: 'Two-factor authentication is required for your role',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+
+      const result = await db.query(
+        'SELECT password_hash,totp_enabled FROM users WHERE id=$1',
+        [req.user.id]
+      );
+
+      const user = result.rows[0];
+
+      if (!user?.totp_enabled)
+        return res.status(400).json({
+          error: 'Two-factor authentication is not enabled'
+        });
+
+      const validPassword =
+        await bcrypt.compare(password || '', user.password_hash);
+
+      if (!validPassword)
+        return res.status(400).json({
+          error: 'Wrong password'
+        });
+
+      const validCode =
+        await verifySecondFactor(db, req.user.id, { code, recoveryCode });
+
+      if (!validCode)
+        return res.status(400).json({
+          error: 'Invalid verification code',
+          code: 'INVALID_CODE'
+        });
+
+      await disableTwoFactor(db, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to disable two-factor authentication'
+      });
+
+    }
+
+  });
+
+
+  router.post('/2fa/recovery-codes', twoFactorLimiter, authenticate, async (req, res) => {
+
+    try {
+
+      const status = await getTwoFactorStatus(db, req.user);
+
+      if (!status.enabled)
+        return res.status(400).json({
+          error: 'Two-factor authentication is not enabled'
+        });
+
+      const valid =
+        await verifySecondFactor(db, req.user.id, { code: req.body.code });
+
+      if (!valid)
+        return res.status(400).json({
+          error: 'Invalid verification code',
+          code: 'INVALID_CODE'
+        });
+
+      const recoveryCodes =
+        await regenerateRecoveryCodes(db, req.user.id);
+
+      res.json({
+        success: true,
+        recoveryCodes
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to regenerate recovery codes'
+      });
+
+    }
+
+  });
+
+
+  // ================= REFRESH =================
+  router.post('/refresh', async (req, res) => {
+
+    try {
+
+      const { refreshToken } = req.body;
+
+      if (!refreshToken)
+        return res.status(400).json({
+          error: 'Refresh token required'
+        });
+
+      const rotated =
+        await rotateRefreshToken(db, refreshToken);
+
+      await touchSession(db, {
+        id: rotated.familyId,
+        userId: rotated.user.id,
+        ...getClientInfo(req)
+      });
+
+      const accessToken =
+        generateAccessToken({
+          id: rotated.user.id,
+          email: rotated.user.email,
+          role: rotated.user.role,
+          name: rotated.user.name,
+          sid: rotated.familyId,
+          token_version: rotated.user.token_version
+        });
+
+      res.json({
+        success: true,
+        accessToken,
+        refreshToken: rotated.refreshToken,
+        user: {
+          id: rotated.user.id,
+          email: rotated.user.email,
+          name: rotated.user.name,
+          role: rotated.user.role,
+          permissions: await getRolePermissions(db, rotated.user.role)
+        }
+      });
+
+    } catch (err) {
+
+      if (err instanceof RefreshTokenError)
+        return res.status(401).json({
+          error: err.message,
+          code: err.code
+        });
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Token refresh failed'
+      });
+
+    }
+
+  });
+
+
+  // ================= LOGOUT =================
+  router.post('/logout', async (req, res) => {
+
+    try {
+
+      const { refreshToken } = req.body;
+
+      await revokeRefreshToken(db, refreshToken);
+
+    } catch (err) {
+
+      console.error('Logout revoke failed:', err.message);
+
+    }
+
+    res.json({
+      success: true
+    });
+
+  });
+
+
+  // ================= END IMPERSONATION =================
+  // "Return to my account": called with the impersonation token itself,
+  // which authenticate() would refuse since impersonation is read-only
+  router.post('/impersonation/end', async (req, res) => {
+
+    const authHeader = req.headers.authorization || '';
+
+    const decoded =
+      verifyToken(authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader);
+
+    if (!decoded || decoded.type !== TOKEN_TYPES.ACCESS || !decoded.imp)
+      return res.status(400).json({
+        error: 'Not an impersonation token',
+        code: 'NOT_IMPERSONATING'
+      });
+
+    try {
+
+      if (await endImpersonation(db, decoded.imp.id))
+        console.log(`🕵️ ${decoded.imp.byEmail} stopped viewing as ${decoded.email} (impersonation ${decoded.imp.id})`);
+
+      res.json({
+        success: true
+      });
+
+    } catch (err) {
+
+      console.error('End impersonation error:', err);
+
+      res.status(500).json({
+        error: 'Failed to end impersonation'
+      });
+
+    }
+
+  });
+
+
+  // ================= SESSIONS =================
+  router.get('/sessions', authenticate, async (req, res) => {
+
+    try {
+
+      const sessions = await listSessions(db, req.user.id);
+
+      res.json({
+        success: true,
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.user.sessionId
+        }))
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to load sessions'
+      });
+
+    }
+
+  });
+
+
+  // Log out everywhere (including this session)
+  router.delete('/sessions', authenticate, async (req, res) => {
+
+    try {
+
+      const revoked = await revokeAllSessions(db, req.user.id);
+
+      res.json({
+        success: true,
+        revoked
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to revoke sessions'
+      });
+
+    }
+
+  });
+
+
+  router.delete('/sessions/:id', authenticate, async (req, res) => {
+
+    try {
+
+      const revoked = await revokeSession(db, req.user.id, req.params.id);
+
+      if (!revoked)
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+
+      res.json({
+        success: true,
+        current: req.params.id === req.user.sessionId
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to revoke session'
+      });
+
+    }
+
+  });
+
+
+  // ================= VERIFY EMAIL =================
+  // Token comes from the link query (GET) or the SPA's request body (POST)
+  const verifyEmail = async (req, res) => {
+
+    try {
+
+      const token = req.query.token || req.body?.token;
+
+      const decoded = token ? verifyToken(token) : null;
+
+      if (!decoded || decoded.type !== TOKEN_TYPES.EMAIL_VERIFICATION)
+        return res.status(400).json({
+          error: 'This verification link is invalid or has expired',
+          code: 'INVALID_TOKEN'
+        });
+
+      const result = await db.query(
+        `
+        UPDATE users
+        SET email_verified=TRUE
+        WHERE LOWER(email)=LOWER($1)
+        RETURNING id,email,email_verified
+        `,
+        [decoded.email]
+      );
+
+      if (result.rows.length === 0)
+        return res.status(400).json({
+          error: 'This verification link is invalid or has expired',
+          code: 'INVALID_TOKEN'
+        });
+
+      res.json({
+        success: true,
+        email: result.rows[0].email,
+        message: 'Email verified successfully'
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Email verification failed'
+      });
+
+    }
+
+  };
+
+  router.get('/verify-email', verifyEmail);
+  router.post('/verify-email', verifyEmail);
+
+
+  // ================= UNLOCK ACCOUNT =================
+  router.post('/unlock-account', async (req, res) => {
+
+    try {
+
+      const decoded = req.body.token ? verifyToken(req.body.token) : null;
+
+      if (!decoded || decoded.type !== TOKEN_TYPES.ACCOUNT_UNLOCK)
+        return res.status(400).json({
+          error: 'This unlock link is invalid or has expired',
+          code: 'INVALID_TOKEN'
+        });
+
+      const result = await db.query(
+        'SELECT id,email FROM users WHERE id=$1 AND LOWER(email)=LOWER($2)',
+        [decoded.id, decoded.email]
+      );
+
+      if (result.rows.length === 0)
+        return res.status(400).json({
+          error: 'This unlock link is invalid or has expired',
+          code: 'INVALID_TOKEN'
+        });
+
+      await resetFailedLogins(db, decoded.id);
+
+      console.log(`🔐 Account ${decoded.email} unlocked via email link`);
+
+      res.json({
+        success: true,
+        email: result.rows[0].email,
+        message: 'Your account has been unlocked. You can log in again.'
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Account unlock failed'
+      });
+
+    }
+
+  });
+
+
+  // ================= RESEND VERIFICATION =================
+  router.post('/resend-verification', verificationEmailLimiter, optionalAuth, async (req, res) => {
+
+    try {
+
+      const email = req.user?.email || req.body.email;
+
+      if (!email)
+        return res.status(400).json({
+          error: 'Email required'
+        });
+
+      // same response whether or not the account exists (security)
+      const successResponse = {
+        success: true,
+        message: 'If the account exists and is not yet verified, a new verification email has been sent.'
+      };
+
+      const result = await db.query(
+        `
+        SELECT id,email,email_verified,
+               EXTRACT(EPOCH FROM (NOW() - verification_sent_at)) AS seconds_since_sent
+        FROM users
+        WHERE LOWER(email)=LOWER($1)
+        `,
+        [email]
+      );
+
+      const user = result.rows[0];
+
+      if (!user || user.email_verified) {
+        if (req.user && user?.email_verified)
+          return res.status(400).json({
+            error: 'Email is already verified',
+            code: 'ALREADY_VERIFIED'
+          });
+
+        return res.json(successResponse);
+      }
+
+      const secondsSinceSent =
+        user.seconds_since_sent === null ? Infinity : Number(user.seconds_since_sent);
+
+      if (secondsSinceSent < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        if (!req.user)
+          return res.json(successResponse);
+
+        const retryAfter =
+          Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceSent);
+
+        return res.status(429).json({
+          error: `Please wait ${retryAfter} seconds before requesting another verification email`,
+          code: 'RESEND_THROTTLED',
+          retryAfter
+        });
+      }
+
+      await db.query(
+        'UPDATE users SET verification_sent_at=NOW() WHERE id=$1',
+        [user.id]
+      );
+
+      const verifyTokenEmail =
+        generateEmailVerificationToken(user.email);
+
+      sendVerificationEmail(
+        user.email,
+        verifyTokenEmail
+      ).catch(console.error);
+
+      res.json(successResponse);
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to resend verification email'
+      });
+
+    }
+
+  });
+
+
+  // ================= CURRENT USER =================
+  router.get('/me', authenticate, async (req, res) => {
+
+    try {
+
+      const result = await db.query(
+        `
+        SELECT id,email,name,role,email_verified
+        FROM users
+        WHERE id=$1
+        `,
+        [req.user.id]
+      );
+
+      if (result.rows.length === 0)
+        return res.status(404).json({
+          error: 'User not found'
+        });
+
+      res.json({
+        success: true,
+        user: {
+          ...result.rows[0],
+          permissions: await getRolePermissions(db, result.rows[0].role)
+        }
+      });
 
     } catch {
 
@@ -431,6 +1531,221 @@ const initAuthRoutes = (db) => {
   });
 
 
+  // ================= UPDATE PROFILE =================
+  router.put('/profile', authenticate, async (req, res) => {
+
+    try {
+
+      const { name } = req.body;
+
+      const result = await db.query(
+        `
+        UPDATE users
+        SET name=$1
+        WHERE id=$2
+        RETURNING id,email,name,role
+        `,
+        [name, req.user.id]
+      );
+
+      res.json({
+        success: true,
+        user: result.rows[0]
+      });
+
+    } catch {
+
+      res.status(500).json({
+        error: 'Update failed'
+      });
+
+    }
+
+  });
+
+
+  // ================= CHANGE EMAIL =================
+  // Step 1: confirm the password, mail a link to the new address and warn the old one
+  router.post('/change-email', verificationEmailLimiter, authenticate, async (req, res) => {
+
+    try {
+
+      const { newEmail, password } = req.body;
+
+      if (!newEmail || !password)
+        return res.status(400).json({
+          error: 'New email and current password are required'
+        });
+
+      const normalizedEmail = String(newEmail).trim().toLowerCase();
+
+      if (!validateEmail(normalizedEmail))
+        return res.status(400).json({
+          error: 'Please enter a valid email address',
+          code: 'INVALID_EMAIL'
+        });
+
+      const result = await db.query(
+        'SELECT id,email,name,password_hash FROM users WHERE id=$1',
+        [req.user.id]
+      );
+
+      const user = result.rows[0];
+
+      if (!user)
+        return res.status(404).json({
+          error: 'User not found'
+        });
+
+      const valid =
+        await bcrypt.compare(password, user.password_hash);
+
+      if (!valid)
+        return res.status(400).json({
+          error: 'Current password is incorrect',
+          code: 'INVALID_PASSWORD'
+        });
+
+      if (normalizedEmail === user.email.toLowerCase())
+        return res.status(400).json({
+          error: 'This is already your email address',
+          code: 'SAME_EMAIL'
+        });
+
+      const existing = await db.query(
+        'SELECT id FROM users WHERE LOWER(email)=LOWER($1)',
+        [normalizedEmail]
+      );
+
+      if (existing.rows.length > 0)
+        return res.status(409).json({
+          error: 'An account with this email already exists',
+          code: 'EMAIL_IN_USE'
+        });
+
+      const confirmUrl =
+        `${getFrontendUrl()}/confirm-email-change?token=${generateEmailChangeToken(user, normalizedEmail)}`;
+
+      sendEmailChangeConfirmation(
+        normalizedEmail,
+        user.name,
+        confirmUrl
+      ).catch(console.error);
+
+      sendEmailChangeNotice(
+        user.email,
+        user.name,
+        normalizedEmail
+      ).catch(console.error);
+
+      res.json({
+        success: true,
+        message: `We sent a confirmation link to ${normalizedEmail}. Your email changes once you open it.`
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Failed to start email change'
+      });
+
+    }
+
+  });
+
+
+  // Step 2: the link from the new inbox moves the account and its complaints over
+  router.post('/confirm-email-change', async (req, res) => {
+
+    const invalidLink = () =>
+      res.status(400).json({
+        error: 'This email change link is invalid or has expired',
+        code: 'INVALID_TOKEN'
+      });
+
+    try {
+
+      const decoded = req.body.token ? verifyToken(req.body.token) : null;
+
+      if (!decoded || decoded.type !== TOKEN_TYPES.EMAIL_CHANGE)
+        return invalidLink();
+
+      const client = await db.connect();
+
+      try {
+
+        await client.query('BEGIN');
+
+        // The old address must still be current, so each link works only once
+        const updated = await client.query(
+          `
+          UPDATE users
+          SET email=LOWER($1), email_verified=TRUE
+          WHERE id=$2 AND LOWER(email)=LOWER($3)
+          RETURNING id,email
+          `,
+          [decoded.newEmail, decoded.id, decoded.email]
+        );
+
+        if (updated.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return invalidLink();
+        }
+
+        // Complaints are matched by LOWER(email) in /api/user/complaints
+        await client.query(
+          'UPDATE complaints SET email=LOWER($1) WHERE LOWER(email)=LOWER($2)',
+          [decoded.newEmail, decoded.email]
+        );
+
+        await client.query('COMMIT');
+
+      } catch (txErr) {
+
+        await client.query('ROLLBACK');
+
+        // Someone registered the address after the link was sent
+        if (txErr.code === '23505')
+          return res.status(409).json({
+            error: 'An account with this email already exists',
+            code: 'EMAIL_IN_USE'
+          });
+
+        throw txErr;
+
+      } finally {
+
+        client.release();
+
+      }
+
+      // access tokens carry the email - make them refresh into the new one
+      await bumpTokenVersion(db, decoded.id);
+
+      console.log(`📧 User ${decoded.id} changed email ${decoded.email} -> ${decoded.newEmail}`);
+
+      res.json({
+        success: true,
+        previousEmail: decoded.email,
+        email: decoded.newEmail,
+        message: 'Your email address has been updated'
+      });
+
+    } catch (err) {
+
+      console.error(err);
+
+      res.status(500).json({
+        error: 'Email change failed'
+      });
+
+    }
+
+  });
+
+
   return router;
 
 };
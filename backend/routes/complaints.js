@@ -0,0 +1,144 @@
+/**
+ * Complaint Routes
+ * Resources shared by a complaint's owner and staff: attachments and the comment thread,
+ * plus staff-only internal notes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveComplaintParam } = require('../middleware/complaintReference');
+const { attachmentUpload, uploadedFiles } = require('../middleware/attachmentUpload');
+const { ComplaintError } = require('../services/complaintService');
+const {
+  AttachmentError,
+  listAttachments,
+  addAttachments,
+  deleteAttachment,
+} = require('../services/attachmentService');
+const { CommentError, listComments, addComment } = require('../services/commentService');
+const {
+  NoteError,
+  NOTES_PERMISSION,
+  getMentionableStaff,
+  listNotes,
+  addNote,
+} = require('../services/noteService');
+
+/**
+ * Initialize complaint routes with database connection
+ * @param {object} db - PostgreSQL database connection
+ */
+const initComplaintRoutes = (db) => {
+
+  const sendComplaintError = (res, err, fallback) => {
+    if (err instanceof ComplaintError || err instanceof AttachmentError ||
+      err instanceof CommentError || err instanceof NoteError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  // ================= LIST ATTACHMENTS =================
+  router.get('/:id/attachments', authenticate, resolveComplaintParam(), async (req, res) => {
+    try {
+      const result = await listAttachments(db, req.user, parseInt(req.params.id, 10));
+      res.json({ success: true, ...result });
+    } catch (err) {
+      sendComplaintError(res, err, 'Failed to load attachments');
+    }
+  });
+
+  // ================= ADD ATTACHMENTS =================
+  router.post('/:id/attachments', authenticate, resolveComplaintParam(), attachmentUpload, async (req, res) => {
+    try {
+      const attachments = await addAttachments(
+        db,
+        req.user,
+        parseInt(req.params.id, 10),
+        uploadedFiles(req),
+        req.body.kind || 'evidence'
+      );
+      console.log(`📎 ${attachments.length} attachment(s) added to complaint ${req.params.id} by ${req.user.email || req.user.name}`);
+      res.status(201).json({ success: true, attachments });
+    } catch (err) {
+      sendComplaintError(res, err, 'Failed to upload attachments');
+    }
+  });
+
+  // ================= DELETE ATTACHMENT =================
+  router.delete('/:id/attachments/:attachmentId', authenticate, resolveComplaintParam(), async (req, res) => {
+    try {
+      const attachmentId = parseInt(req.params.attachmentId, 10);
+      if (!Number.isInteger(attachmentId)) {
+        return res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+      }
+
+      await deleteAttachment(db, req.user, parseInt(req.params.id, 10), attachmentId);
+      console.log(`🗑️ Attachment ${attachmentId} removed from complaint ${req.params.id} by ${req.user.email || req.user.name}`);
+      res.json({ success: true });
+    } catch (err) {
+      sendComplaintError(res, err, 'Failed to delete attachment');
+    }
+  });
+
+  // ================= LIST COMMENTS =================
+  router.get('/:id/comments', authenticate, resolveComplaintParam(), async (req, res) => {
+    try {
+      const result = await listComments(db, req.user, parseInt(req.params.id, 10));
+      res.json({ success: true, ...result });
+    } catch (err) {
+      sendComplaintError(res, err, 'Failed to load comments');
+    }
+  });
+
+  // ================= ADD COMMENT =================
+  router.post('/:id/comments', authenticate, resolveComplaintParam(), attachmentUpload, async (req, res) => {
+    try {
+      const comment = await addComment(
+        db,
+        req.user,
+        parseInt(req.params.id, 10),
+        req.body.body,
+        uploadedFiles(req)
+      );
+      console.log(`💬 Comment ${comment.id} added to complaint ${req.params.id} by ${req.user.email || req.user.name}`);
+      res.status(201).json({ success: true, comment });
+    } catch (err) {
+      sendComplaintError(res, err, 'Failed to add comment');
+    }
+  });
+
+  // ================= LIST INTERNAL NOTES =================
+  router.get('/:id/notes', authenticate, requirePermission(NOTES_PERMISSION), resolveComplaintParam(), async (req, res) => {
+    try {
+      const [notes, mentionable] = await Promise.all([
+        listNotes(db, parseInt(req.params.id, 10)),
+        getMentionableStaff(db),
+      ]);
+      res.json({
+        success: true,
+        notes,
+        mentionable: mentionable.map(({ id, name, handle }) => ({ id, name, handle })),
+      });
+    } catch (err) {
+      sendComplaintError(res, err, 'Failed to load notes');
+    }
+  });
+
+  // ================= ADD INTERNAL NOTE =================
+  router.post('/:id/notes', authenticate, requirePermission(NOTES_PERMISSION), resolveComplaintParam(), async (req, res) => {
+    try {
+      const note = await addNote(db, req.user, parseInt(req.params.id, 10), req.body.body);
+      console.log(`📌 Note ${note.id} added to complaint ${req.params.id} by ${req.user.email} (${note.mentions.length} mention(s))`);
+      res.status(201).json({ success: true, note });
+    } catch (err) {
+      sendComplaintError(res, err, 'Failed to add note');
+    }
+  });
+
+  return router;
+};
+
+module.exports = initComplaintRoutes;
@@ -16,8 +16,12 @@ const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const router = express.Router();
 
-const { sendPasswordResetEmail, getFrontendUrl } = require('../services/emailService');
-const { passwordResetLimiter } = require('../middleware/security');
+const { sendPasswordResetEmail, sendPasswordChangedEmail, getFrontendUrl } = require('../services/emailService');
+const { passwordResetLimiter, validatePassword } = require('../middleware/security');
+const { authenticate } = require('../middleware/auth');
+const { revokeAllSessions } = require('../services/sessionService');
+const { bumpTokenVersion } = require('../services/tokenVersionService');
+const { resetFailedLogins } = require('../services/loginAttemptService');
 
 // Token expiry time in minutes
 const TOKEN_EXPIRY_MINUTES = 15;
@@ -28,40 +32,6 @@ const TOKEN_EXPIRY_MINUTES = 15;
  */
 const initPasswordResetRoutes = (db) => {
 
-  // ================= ENSURE PASSWORD_RESETS TABLE EXISTS =================
-  const ensurePasswordResetsTable = async () => {
-    try {
-      // Check if password_resets table exists (PostgreSQL version)
-      const result = await db.query(`
-        SELECT table_name FROM information_schema.tables 
-        WHERE table_schema = 'public' AND table_name = 'password_resets'
-      `);
-      const tables = result.rows;
-      if (tables.length === 0) {
-        console.log('📧 Creating password_resets table...');
-        await db.query(`
-          CREATE TABLE password_resets (
-            id SERIAL PRIMARY KEY,
-            user_id INT NOT NULL,
-            token_hash VARCHAR(255) NOT NULL,
-            expires_at TIMESTAMP NOT NULL,
-            used BOOLEAN NOT NULL DEFAULT FALSE,
-            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-          )
-        `);
-        console.log('📧 ✅ password_resets table created');
-      } else {
-        console.log('📧 ✅ password_resets table exists');
-      }
-    } catch (err) {
-      console.error('📧 ❌ Failed to ensure password_resets table:', err.message);
-    }
-  };
-  
-  // Run migration on startup
-  ensurePasswordResetsTable();
-
   // ================= CLEANUP EXPIRED TOKENS =================
   const cleanupExpiredTokens = async () => {
     try {
@@ -273,7 +243,7 @@ const initPasswordResetRoutes = (db) => {
         });
       }
       console.log('📧 ✅ Token is valid for user:', resetRecord.email);
-      console.log('========== VERIFY RESET TOKEN END =========='\n');
+      console.log('========== VERIFY RESET TOKEN END ==========\n');
       return res.json({ 
         valid: true, 
         email: resetRecord.email,
@@ -306,11 +276,22 @@ const initPasswordResetRoutes = (db) => {
       console.log('📧 Timestamp:', new Date().toISOString());
 
       // Validate inputs
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({ error: 'Token is required', code: 'MISSING_TOKEN' });
+      }
+
+      if (!newPassword || !validatePassword(newPassword)) {
+        return res.status(400).json({
+          error: 'Password must be at least 8 characters with uppercase, lowercase, and number',
+          code: 'WEAK_PASSWORD'
+        });
+      }
+
       // Hash the received token
       const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
       // Find token in database with user info
       const result = await db.query(
-        `SELECT pr.*, u.id as user_id, u.email 
+        `SELECT pr.*, u.id as user_id, u.email, u.name 
          FROM password_resets pr 
          JOIN users u ON pr.user_id = u.id 
          WHERE pr.token_hash = $1`,
@@ -387,18 +368,19 @@ const initPasswordResetRoutes = (db) => {
       } finally {
         client.release();
       }
+      // Sign out everywhere, clear any lockout and tell the user
+      await revokeAllSessions(db, resetRecord.user_id);
+      await bumpTokenVersion(db, resetRecord.user_id);
+      await resetFailedLogins(db, resetRecord.user_id);
+      sendPasswordChangedEmail(resetRecord.email, resetRecord.name).catch(console.error);
+
       console.log('📧 ✅ Password reset completed successfully');
-      console.log('========== RESET PASSWORD END =========='\n');
+      console.log('========== RESET PASSWORD END ==========\n');
       return res.json({ 
         message: 'Password has been reset successfully. You can now login with your new password.',
         success: true
       });
 
-
-      // (No MySQL fallback needed)
-
-      // Success response already sent above
-
     } catch (err) {
       console.error('📧 ❌ Reset password error:', err);
       return res.status(500).json({ 
@@ -413,41 +395,27 @@ const initPasswordResetRoutes = (db) => {
    * POST /auth/change-password
    * 
    * For logged-in users to change their password.
-   * Requires current password verification.
+   * Requires current password verification. Other devices are signed out;
+   * the current one keeps its session and refreshes into a new token.
    */
-  router.post('/change-password', async (req, res) => {
+  router.post(['/change-password', '/change_password'], authenticate, async (req, res) => {
     try {
-      const authHeader = req.headers.authorization;
-      if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
-
       const { currentPassword, newPassword } = req.body;
 
       if (!currentPassword || !newPassword) {
         return res.status(400).json({ error: 'Current password and new password are required' });
       }
 
-      const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
-      if (!passwordRegex.test(newPassword)) {
+      if (!validatePassword(newPassword)) {
         return res.status(400).json({ 
-          error: 'New password must be at least 8 characters with uppercase, lowercase, and number' 
+          error: 'New password must be at least 8 characters with uppercase, lowercase, and number',
+          code: 'WEAK_PASSWORD'
         });
       }
 
-      const jwt = require('jsonwebtoken');
-      const token = authHeader.split(' ')[1];
-      
-      let decoded;
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-      } catch (jwtErr) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-      }
-
       const result = await db.query(
-        'SELECT * FROM users WHERE id = $1',
-        [decoded.id]
+        'SELECT id, email, name, password_hash FROM users WHERE id = $1',
+        [req.user.id]
       );
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'User not found' });
@@ -455,7 +423,7 @@ const initPasswordResetRoutes = (db) => {
       const user = result.rows[0];
       const validPassword = await bcrypt.compare(currentPassword, user.password_hash);
       if (!validPassword) {
-        return res.status(401).json({ error: 'Current password is incorrect' });
+        return res.status(400).json({ error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
       }
       const saltRounds = 10;
       const passwordHash = await bcrypt.hash(newPassword, saltRounds);
@@ -468,7 +436,12 @@ const initPasswordResetRoutes = (db) => {
         'UPDATE password_resets SET used = TRUE WHERE user_id = $1',
         [user.id]
       );
-      return res.json({ message: 'Password changed successfully' });
+
+      await revokeAllSessions(db, user.id, req.user.sessionId);
+      await bumpTokenVersion(db, user.id);
+      sendPasswordChangedEmail(user.email, user.name).catch(console.error);
+
+      return res.json({ success: true, message: 'Password changed successfully' });
 
     } catch (err) {
       console.error('Change password error:', err);
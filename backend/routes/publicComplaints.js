@@ -0,0 +1,84 @@
+/**
+ * Public Complaint Routes
+ * Anonymous filing without an account and public tracking by code
+ */
+
+const express = require('express');
+const router = express.Router();
+const { imageUpload } = require('../middleware/attachmentUpload');
+const { storeFiles, recordAttachments } = require('../services/attachmentService');
+const { complaintLimiter, trackingLimiter } = require('../middleware/security');
+const { TrackingError, createPublicComplaint, getTrackedComplaint } = require('../services/trackingService');
+const { CategoryError } = require('../services/categoryService');
+
+/**
+ * Initialize public complaint routes with database connection
+ * @param {object} db - PostgreSQL database connection
+ */
+const initPublicComplaintRoutes = (db) => {
+
+  const sendTrackingError = (res, err, fallback) => {
+    if (err instanceof TrackingError || err instanceof CategoryError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  // ================= FILE ANONYMOUS COMPLAINT =================
+  router.post('/public/complaints', complaintLimiter, imageUpload, async (req, res) => {
+    try {
+      const { category, description, priority, name, withPassphrase } = req.body;
+
+      if (req.file && !req.file.mimetype.startsWith('image/')) {
+        return res.status(400).json({ error: 'Only image uploads are accepted', code: 'INVALID_FILE_TYPE' });
+      }
+
+      let storedFiles = [];
+
+      if (req.file) {
+        try {
+          storedFiles = await storeFiles([req.file], 'complaints');
+        } catch (uploadErr) {
+          // Do not fail complaint creation if image upload fails.
+          console.error('Cloudinary upload failed, creating complaint without image:', uploadErr.message);
+        }
+      }
+
+      const { id, reference, trackingCode, passphrase } = await createPublicComplaint(db, {
+        category,
+        description,
+        priority,
+        name,
+        imageUrl: storedFiles[0]?.url || null,
+        withPassphrase: withPassphrase === true || withPassphrase === 'true',
+        customFields: req.body.custom_fields,
+      });
+      console.log(`📝 Anonymous complaint ${reference} (id ${id}) filed`);
+
+      await recordAttachments(db, id, storedFiles, { user: null, kind: 'evidence' }).catch((attachErr) =>
+        console.error('Failed to record complaint attachment:', attachErr.message)
+      );
+
+      // The passphrase is only ever returned here
+      res.status(201).json({ success: true, reference, trackingCode, passphrase });
+    } catch (err) {
+      sendTrackingError(res, err, 'Failed to submit complaint');
+    }
+  });
+
+  // ================= TRACK BY CODE =================
+  // The passphrase travels in a header so it stays out of URLs and access logs
+  router.get('/track/:code', trackingLimiter, async (req, res) => {
+    try {
+      const complaint = await getTrackedComplaint(db, req.params.code, req.get('x-tracking-passphrase'));
+      res.json({ success: true, complaint });
+    } catch (err) {
+      sendTrackingError(res, err, 'Failed to look up complaint');
+    }
+  });
+
+  return router;
+};
+
+module.exports = initPublicComplaintRoutes;
@@ -1,12 +1,35 @@
 /**
  * Superadmin Routes
- * Protected routes for superadmin-only operations
+ * Protected routes for superadmin operations; each route checks its own permission
  */
 
 const express = require('express');
 const router = express.Router();
-const { authenticate, requireSuperadmin } = require('../middleware/auth');
-const { sendSuperadminEscalationAlert } = require('../services/emailService');
+const { authenticate, requirePermission, requireSuperadmin, generateImpersonationToken } = require('../middleware/auth');
+const { resolveComplaintParam, resolveComplaintBody } = require('../middleware/complaintReference');
+const { sendSuperadminEscalationAlert, sendAdminInviteEmail, getFrontendUrl } = require('../services/emailService');
+const { getSettings, updateSettings } = require('../services/settingsService');
+const { getFailedLoginSummary, getLoginAttempts, resetFailedLogins } = require('../services/loginAttemptService');
+const { RoleError, roleExists, hasPermission, listRoles, createRole, updateRole, deleteRole } = require('../services/permissionService');
+const { ApiKeyError, listApiKeys, createApiKey, rotateApiKey, revokeApiKey } = require('../services/apiKeyService');
+const { INVITE_EXPIRY_HOURS, InviteError, listInvites, createInvite, resendInvite, revokeInvite } = require('../services/inviteService');
+const {
+  ImpersonationError,
+  startImpersonation,
+  listImpersonations,
+  getImpersonationRequests,
+} = require('../services/impersonationService');
+const { REFERENCE_PREFIX_PATTERN } = require('../services/referenceService');
+const { NOTES_PERMISSION, listNotes } = require('../services/noteService');
+const {
+  ZoneError,
+  listZones,
+  listRoutingTargets,
+  importZones,
+  updateZone,
+  deleteZone,
+} = require('../services/zoneService');
+const { PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
 
 /**
  * Initialize superadmin routes with database connection
@@ -14,19 +37,18 @@ const { sendSuperadminEscalationAlert } = require('../services/emailService');
  */
 const initSuperadminRoutes = (db) => {
 
-  // Apply authentication and superadmin role check to all routes
+  // Every route needs a signed-in user; each one then checks its own permission
   router.use(authenticate);
-  router.use(requireSuperadmin);
 
   // ================= GET ESCALATED COMPLAINTS =================
-  router.get('/escalated-complaints', async (req, res) => {
+  router.get('/escalated-complaints', requirePermission('complaints.read'), async (req, res) => {
     try {
       const result = await db.query(`
         SELECT c.*, u.name, u.email
         FROM complaints c
         LEFT JOIN users u ON c.user_id = u.id
         WHERE c.escalation_level > 0
-        AND c.status != 'resolved'
+        AND c.status NOT IN ('resolved', 'withdrawn')
         ORDER BY c.escalation_level DESC, c.created_at ASC
       `);
       const complaints = result.rows;
@@ -43,7 +65,7 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= GET SUPERADMIN STATS =================
-  router.get('/stats', async (req, res) => {
+  router.get('/stats', requirePermission('reports.read'), async (req, res) => {
     try {
       // Get overall complaint stats
       const overallStatsResult = await db.query(`
@@ -52,6 +74,7 @@ const initSuperadminRoutes = (db) => {
           SUM(CASE WHEN status = 'new' THEN 1 ELSE 0 END) as new_complaints,
           SUM(CASE WHEN status = 'under-review' THEN 1 ELSE 0 END) as under_review,
           SUM(CASE WHEN status = 'resolved' THEN 1 ELSE 0 END) as resolved,
+          SUM(CASE WHEN status = 'withdrawn' THEN 1 ELSE 0 END) as withdrawn,
           SUM(CASE WHEN escalation_level > 0 THEN 1 ELSE 0 END) as escalated,
           SUM(CASE WHEN escalation_level >= 2 THEN 1 ELSE 0 END) as critical_escalations,
           SUM(CASE WHEN priority = 'high' THEN 1 ELSE 0 END) as high_priority
@@ -64,7 +87,7 @@ const initSuperadminRoutes = (db) => {
           escalation_level,
           COUNT(*) as count
         FROM complaints 
-        WHERE status != 'resolved'
+        WHERE status NOT IN ('resolved', 'withdrawn')
         GROUP BY escalation_level
         ORDER BY escalation_level
       `);
@@ -169,12 +192,12 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= GET ALL ADMINS =================
-  router.get('/admins', async (req, res) => {
+  router.get('/admins', requirePermission('admins.manage'), async (req, res) => {
     try {
       const adminsResult = await db.query(`
         SELECT id, email, name, role, status, created_at
         FROM users
-        WHERE role IN ('admin', 'superadmin')
+        WHERE role <> 'user'
         ORDER BY role DESC, created_at ASC
       `);
 
@@ -190,7 +213,7 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= GET ADMIN PERFORMANCE =================
-  router.get('/admin-performance', async (req, res) => {
+  router.get('/admin-performance', requirePermission('reports.read'), async (req, res) => {
     try {
       // Get admin performance metrics
       let adminPerformance = [];
@@ -244,7 +267,7 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= GET ESCALATION HISTORY =================
-  router.get('/escalation-history', async (req, res) => {
+  router.get('/escalation-history', requirePermission('complaints.read'), async (req, res) => {
     // Robust, performant handler with table-existence check and safe joins.
     try {
       // Parse and sanitize paging params
@@ -289,6 +312,7 @@ const initSuperadminRoutes = (db) => {
         SELECT
           eh.id,
           eh.complaint_id,
+          c.reference,
           eh.escalation_level,
           eh.reason as escalation_reason,
           eh.created_at as created_at,
@@ -312,6 +336,7 @@ const initSuperadminRoutes = (db) => {
       const history = historyRes.rows.map((r) => ({
         id: r.id,
         complaint_id: r.complaint_id,
+        reference: r.reference || null,
         escalation_level: r.escalation_level,
         escalation_reason: r.escalation_reason || null,
         created_at: r.created_at,
@@ -338,7 +363,7 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= MANUAL ESCALATE COMPLAINT =================
-  router.post('/escalate', async (req, res) => {
+  router.post('/escalate', requirePermission('complaints.escalate'), resolveComplaintBody(), async (req, res) => {
     try {
       const { complaintId, reason } = req.body;
 
@@ -358,6 +383,11 @@ const initSuperadminRoutes = (db) => {
       }
 
       const complaint = complaints[0];
+
+      if (complaint.status === 'withdrawn') {
+        return res.status(409).json({ error: 'Withdrawn complaints cannot be escalated', code: 'COMPLAINT_WITHDRAWN' });
+      }
+
       const newLevel = (complaint.escalation_level || 0) + 1;
 
       // Update complaint
@@ -383,7 +413,7 @@ const initSuperadminRoutes = (db) => {
 
       res.json({
         success: true,
-        message: `Complaint #${complaintId} escalated to level ${newLevel}`,
+        message: `Complaint ${complaint.reference || `#${complaintId}`} escalated to level ${newLevel}`,
         complaint: updatedComplaintsResult.rows[0]
       });
 
@@ -394,7 +424,7 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= ASSIGN COMPLAINT TO ADMIN =================
-  router.post('/assign', async (req, res) => {
+  router.post('/assign', requirePermission('complaints.assign'), resolveComplaintBody(), async (req, res) => {
     try {
       const { complaintId, adminId } = req.body;
 
@@ -402,15 +432,21 @@ const initSuperadminRoutes = (db) => {
         return res.status(400).json({ error: 'Complaint ID and Admin ID are required' });
       }
 
-      // Verify admin exists and is active
+      const complaintResult = await db.query('SELECT id, reference FROM complaints WHERE id = $1', [complaintId]);
+      if (complaintResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Complaint not found' });
+      }
+      const complaintRef = complaintResult.rows[0].reference || `#${complaintId}`;
+
+      // Verify the assignee is active and their role can work on complaints
       const adminsResult = await db.query(
-        'SELECT * FROM users WHERE id = $1 AND role IN ($2, $3) AND status = $4',
-        [adminId, 'admin', 'superadmin', 'active']
+        'SELECT * FROM users WHERE id = $1 AND status = $2',
+        [adminId, 'active']
       );
       const admins = adminsResult.rows;
 
-      if (admins.length === 0) {
-        return res.status(404).json({ error: 'Admin not found or inactive' });
+      if (admins.length === 0 || !(await hasPermission(db, admins[0].role, 'complaints.update'))) {
+        return res.status(404).json({ error: 'Assignee not found, inactive or not allowed to update complaints' });
       }
 
       // Try to update complaint with assigned admin (column may not exist)
@@ -438,7 +474,7 @@ const initSuperadminRoutes = (db) => {
 
       res.json({
         success: true,
-        message: `Complaint #${complaintId} assigned to ${admins[0].email}`
+        message: `Complaint ${complaintRef} assigned to ${admins[0].email}`
       });
 
     } catch (err) {
@@ -448,17 +484,17 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= GET SUPERADMIN SETTINGS =================
-  router.get('/settings', async (req, res) => {
+  router.get('/settings', requirePermission('settings.manage'), async (req, res) => {
     try {
       // Get current superadmin info
       const superadminEmail = req.user.email;
+      const settings = await getSettings(db);
       
       res.json({
         success: true,
         settings: {
           email: superadminEmail,
-          escalationThreshold: 2, // Level at which superadmin is notified
-          notificationsEnabled: true
+          ...settings
         }
       });
 
@@ -469,20 +505,58 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= UPDATE SUPERADMIN SETTINGS =================
-  router.put('/settings', async (req, res) => {
+  router.put('/settings', requirePermission('settings.manage'), async (req, res) => {
     try {
-      const { escalationThreshold, notificationsEnabled } = req.body;
-      
-      // In a real app, you would store these settings in a database table
-      // For now, we'll just acknowledge the update
+      const { escalationThreshold, notificationsEnabled, requireEmailVerification, twoFactorRequiredRoles, magicLinkDisabledRoles, referencePrefix } = req.body;
+
+      if (escalationThreshold !== undefined) {
+        const threshold = parseInt(escalationThreshold, 10);
+        if (isNaN(threshold) || threshold < 1) {
+          return res.status(400).json({ error: 'Escalation threshold must be a positive number' });
+        }
+      }
+
+      // Any role from the role editor, built-in or custom
+      const allRolesExist = async (roles) => {
+        for (const role of roles) {
+          if (typeof role !== 'string' || !(await roleExists(db, role))) return false;
+        }
+        return true;
+      };
+
+      if (twoFactorRequiredRoles !== undefined) {
+        if (
+          !Array.isArray(twoFactorRequiredRoles) ||
+          twoFactorRequiredRoles.includes('user') ||
+          !(await allRolesExist(twoFactorRequiredRoles))
+        ) {
+          return res.status(400).json({ error: 'Two-factor can only be required for existing staff roles' });
+        }
+      }
+
+      if (magicLinkDisabledRoles !== undefined) {
+        if (!Array.isArray(magicLinkDisabledRoles) || !(await allRolesExist(magicLinkDisabledRoles))) {
+          return res.status(400).json({ error: 'Login links can only be disabled for existing roles' });
+        }
+      }
+
+      if (referencePrefix !== undefined && !REFERENCE_PREFIX_PATTERN.test(String(referencePrefix).toUpperCase())) {
+        return res.status(400).json({ error: 'Reference prefix must be 2-6 letters' });
+      }
+
+      const settings = await updateSettings(db, {
+        escalationThreshold: escalationThreshold !== undefined ? parseInt(escalationThreshold, 10) : undefined,
+        notificationsEnabled: notificationsEnabled !== undefined ? notificationsEnabled !== false : undefined,
+        requireEmailVerification: requireEmailVerification !== undefined ? requireEmailVerification === true : undefined,
+        twoFactorRequiredRoles: twoFactorRequiredRoles !== undefined ? [...new Set(twoFactorRequiredRoles)] : undefined,
+        magicLinkDisabledRoles: magicLinkDisabledRoles !== undefined ? [...new Set(magicLinkDisabledRoles)] : undefined,
+        referencePrefix: referencePrefix !== undefined ? String(referencePrefix).toUpperCase() : undefined,
+      }, req.user.id);
       
       res.json({
         success: true,
         message: 'Settings updated successfully',
-        settings: {
-          escalationThreshold: escalationThreshold || 2,
-          notificationsEnabled: notificationsEnabled !== false
-        }
+        settings
       });
 
     } catch (err) {
@@ -492,7 +566,7 @@ const initSuperadminRoutes = (db) => {
   });
 
   // ================= GET COMPLAINT DETAILS =================
-  router.get('/complaint/:id', async (req, res) => {
+  router.get('/complaint/:id', requirePermission('complaints.read'), resolveComplaintParam(), async (req, res) => {
     try {
       const { id } = req.params;
 
@@ -549,11 +623,15 @@ const initSuperadminRoutes = (db) => {
         console.log('escalation_history table may not exist:', err.message);
       }
 
+      // Internal notes only for roles that may read them
+      const internalNotes = req.user.permissions.includes(NOTES_PERMISSION) ? await listNotes(db, id) : [];
+
       res.json({
         success: true,
         complaint: complaints[0],
         statusHistory,
-        escalationHistory
+        escalationHistory,
+        internalNotes
       });
 
     } catch (err) {
@@ -562,6 +640,366 @@ const initSuperadminRoutes = (db) => {
     }
   });
 
+  // ================= FAILED LOGINS =================
+  router.get('/failed-logins', requirePermission('security.manage'), async (req, res) => {
+    try {
+      const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 30);
+      const accounts = await getFailedLoginSummary(db, hours);
+
+      res.json({
+        success: true,
+        hours,
+        accounts
+      });
+
+    } catch (err) {
+      console.error('Get failed logins error:', err);
+      res.status(500).json({ error: 'Failed to fetch failed logins' });
+    }
+  });
+
+  // ================= LOGIN ATTEMPTS FOR ONE ACCOUNT =================
+  router.get('/login-attempts', requirePermission('security.manage'), async (req, res) => {
+    try {
+      const { email } = req.query;
+
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      const attempts = await getLoginAttempts(db, email);
+
+      res.json({
+        success: true,
+        email,
+        attempts
+      });
+
+    } catch (err) {
+      console.error('Get login attempts error:', err);
+      res.status(500).json({ error: 'Failed to fetch login attempts' });
+    }
+  });
+
+  // ================= UNLOCK ACCOUNT =================
+  router.post('/users/:id/unlock', requirePermission('security.manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const result = await db.query('SELECT id, email FROM users WHERE id = $1', [id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await resetFailedLogins(db, id);
+      console.log(`🔐 Account ${result.rows[0].email} unlocked by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `${result.rows[0].email} has been unlocked`
+      });
+
+    } catch (err) {
+      console.error('Unlock account error:', err);
+      res.status(500).json({ error: 'Failed to unlock account' });
+    }
+  });
+
+  // ================= ROLES & PERMISSIONS =================
+  const sendRoleError = (res, err, fallback) => {
+    if (err instanceof RoleError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  router.get('/roles', requirePermission('roles.manage'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        roles: await listRoles(db),
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+      });
+    } catch (err) {
+      sendRoleError(res, err, 'Failed to fetch roles');
+    }
+  });
+
+  router.post('/roles', requirePermission('roles.manage'), async (req, res) => {
+    try {
+      const { name, description, permissions } = req.body;
+      const roleName = await createRole(db, { name, description, permissions });
+      console.log(`🔐 Role ${roleName} created by ${req.user.email}`);
+
+      res.status(201).json({ success: true, roles: await listRoles(db) });
+    } catch (err) {
+      sendRoleError(res, err, 'Failed to create role');
+    }
+  });
+
+  router.put('/roles/:name', requirePermission('roles.manage'), async (req, res) => {
+    try {
+      const { description, permissions } = req.body;
+      await updateRole(db, req.params.name, { description, permissions });
+      console.log(`🔐 Role ${req.params.name} updated by ${req.user.email}`);
+
+      res.json({ success: true, roles: await listRoles(db) });
+    } catch (err) {
+      sendRoleError(res, err, 'Failed to update role');
+    }
+  });
+
+  router.delete('/roles/:name', requirePermission('roles.manage'), async (req, res) => {
+    try {
+      await deleteRole(db, req.params.name);
+      console.log(`🔐 Role ${req.params.name} deleted by ${req.user.email}`);
+
+      res.json({ success: true, roles: await listRoles(db) });
+    } catch (err) {
+      sendRoleError(res, err, 'Failed to delete role');
+    }
+  });
+
+  // ================= WARD / ZONE ROUTING =================
+  const sendZoneError = (res, err, fallback) => {
+    if (err instanceof ZoneError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  // Zones plus the staff and teams they can route to
+  const zonesResponse = async () => ({ success: true, zones: await listZones(db), ...(await listRoutingTargets(db)) });
+
+  router.get('/zones', requirePermission('zones.manage'), async (req, res) => {
+    try {
+      res.json(await zonesResponse());
+    } catch (err) {
+      sendZoneError(res, err, 'Failed to fetch zones');
+    }
+  });
+
+  // Body: { geojson, nameProperty? }; zones whose name already exists get the new boundary
+  router.post('/zones', requirePermission('zones.manage'), async (req, res) => {
+    try {
+      const { created, updated } = await importZones(db, req.body.geojson, { nameProperty: req.body.nameProperty });
+      console.log(`🗺️ ${created} zone(s) created, ${updated} updated by ${req.user.email}`);
+
+      res.status(201).json({ ...(await zonesResponse()), created, updated });
+    } catch (err) {
+      sendZoneError(res, err, 'Failed to import zones');
+    }
+  });
+
+  // Body: any of { name, assignedAdminId, assignedRole }
+  router.put('/zones/:id', requirePermission('zones.manage'), async (req, res) => {
+    try {
+      const { name, assignedAdminId, assignedRole } = req.body;
+      const zone = await updateZone(db, req.params.id, { name, assignedAdminId, assignedRole });
+      console.log(`🗺️ Zone ${zone.name} updated by ${req.user.email}`);
+
+      res.json(await zonesResponse());
+    } catch (err) {
+      sendZoneError(res, err, 'Failed to update zone');
+    }
+  });
+
+  router.delete('/zones/:id', requirePermission('zones.manage'), async (req, res) => {
+    try {
+      await deleteZone(db, req.params.id);
+      console.log(`🗺️ Zone ${req.params.id} deleted by ${req.user.email}`);
+
+      res.json(await zonesResponse());
+    } catch (err) {
+      sendZoneError(res, err, 'Failed to delete zone');
+    }
+  });
+
+  // ================= STAFF INVITES =================
+  const sendInviteError = (res, err, fallback) => {
+    if (err instanceof InviteError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  const emailInvite = (req, invite, token) => sendAdminInviteEmail(
+    invite.email,
+    req.user.email,
+    invite.role,
+    `${getFrontendUrl()}/accept-invite?token=${token}`,
+    INVITE_EXPIRY_HOURS
+  ).catch((err) => {
+    console.error('📧 Admin invite email error:', err.message);
+    return false;
+  });
+
+  router.get('/invites', requirePermission('admins.manage'), async (req, res) => {
+    try {
+      res.json({ success: true, invites: await listInvites(db) });
+    } catch (err) {
+      sendInviteError(res, err, 'Failed to fetch invites');
+    }
+  });
+
+  router.post('/invites', requirePermission('admins.manage'), async (req, res) => {
+    try {
+      const { email, role } = req.body;
+      const { token, invite } = await createInvite(db, { email, role: role || undefined, invitedBy: req.user });
+      const emailSent = await emailInvite(req, invite, token);
+      console.log(`🔐 ${invite.email} invited as ${invite.role} by ${req.user.email}`);
+
+      res.status(201).json({ success: true, invite, emailSent });
+    } catch (err) {
+      sendInviteError(res, err, 'Failed to send invite');
+    }
+  });
+
+  router.post('/invites/:id/resend', requirePermission('admins.manage'), async (req, res) => {
+    try {
+      const { token, invite } = await resendInvite(db, req.params.id);
+      const emailSent = await emailInvite(req, invite, token);
+      console.log(`🔐 Invite for ${invite.email} resent by ${req.user.email}`);
+
+      res.json({ success: true, invite, emailSent });
+    } catch (err) {
+      sendInviteError(res, err, 'Failed to resend invite');
+    }
+  });
+
+  router.delete('/invites/:id', requirePermission('admins.manage'), async (req, res) => {
+    try {
+      await revokeInvite(db, req.params.id);
+      console.log(`🔐 Invite ${req.params.id} revoked by ${req.user.email}`);
+
+      res.json({ success: true, invites: await listInvites(db) });
+    } catch (err) {
+      sendInviteError(res, err, 'Failed to revoke invite');
+    }
+  });
+
+  // ================= API KEYS =================
+  const sendApiKeyError = (res, err, fallback) => {
+    if (err instanceof ApiKeyError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  router.get('/api-keys', requirePermission('api_keys.manage'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        apiKeys: await listApiKeys(db),
+        scopes: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description }))
+      });
+    } catch (err) {
+      sendApiKeyError(res, err, 'Failed to fetch API keys');
+    }
+  });
+
+  router.post('/api-keys', requirePermission('api_keys.manage'), async (req, res) => {
+    try {
+      const { name, scopes, rateLimit, expiresInDays } = req.body;
+      const { key, apiKey } = await createApiKey(db, { name, scopes, rateLimit, expiresInDays, createdBy: req.user.id });
+      console.log(`🔐 API key "${apiKey.name}" (${apiKey.key_prefix}) issued by ${req.user.email}`);
+
+      // The plain key is only ever returned here and on rotation
+      res.status(201).json({ success: true, key, apiKey });
+    } catch (err) {
+      sendApiKeyError(res, err, 'Failed to create API key');
+    }
+  });
+
+  router.post('/api-keys/:id/rotate', requirePermission('api_keys.manage'), async (req, res) => {
+    try {
+      const { key, apiKey } = await rotateApiKey(db, req.params.id);
+      console.log(`🔐 API key "${apiKey.name}" rotated by ${req.user.email}`);
+
+      res.json({ success: true, key, apiKey });
+    } catch (err) {
+      sendApiKeyError(res, err, 'Failed to rotate API key');
+    }
+  });
+
+  router.delete('/api-keys/:id', requirePermission('api_keys.manage'), async (req, res) => {
+    try {
+      await revokeApiKey(db, req.params.id);
+      console.log(`🔐 API key ${req.params.id} revoked by ${req.user.email}`);
+
+      res.json({ success: true, apiKeys: await listApiKeys(db) });
+    } catch (err) {
+      sendApiKeyError(res, err, 'Failed to revoke API key');
+    }
+  });
+
+  // ================= IMPERSONATION =================
+  // Only real superadmins, never a custom role with broad permissions
+  const sendImpersonationError = (res, err, fallback) => {
+    if (err instanceof ImpersonationError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`${fallback}:`, err);
+    res.status(500).json({ error: fallback });
+  };
+
+  router.post('/users/:id/impersonate', requireSuperadmin, async (req, res) => {
+    try {
+      const { impersonation, target } = await startImpersonation(db, req.user, req.params.id, {
+        reason: req.body.reason,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      const accessToken = generateImpersonationToken(target, {
+        id: impersonation.id,
+        superadminId: req.user.id,
+        superadminEmail: req.user.email,
+      });
+      console.log(`🕵️ ${req.user.email} is viewing as ${target.email} (impersonation ${impersonation.id})`);
+
+      res.status(201).json({
+        success: true,
+        accessToken,
+        impersonationId: impersonation.id,
+        expiresAt: impersonation.expires_at,
+        user: {
+          id: target.id,
+          email: target.email,
+          name: target.name,
+          role: target.role,
+          email_verified: target.email_verified,
+        },
+      });
+    } catch (err) {
+      sendImpersonationError(res, err, 'Failed to start impersonation');
+    }
+  });
+
+  router.get('/impersonations', requireSuperadmin, async (req, res) => {
+    try {
+      res.json({ success: true, impersonations: await listImpersonations(db) });
+    } catch (err) {
+      sendImpersonationError(res, err, 'Failed to fetch impersonations');
+    }
+  });
+
+  router.get('/impersonations/:id/requests', requireSuperadmin, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id)) {
+        return res.status(404).json({ error: 'Impersonation not found' });
+      }
+      res.json({ success: true, requests: await getImpersonationRequests(db, id) });
+    } catch (err) {
+      sendImpersonationError(res, err, 'Failed to fetch impersonation requests');
+    }
+  });
+
   return router;
 };
 
@@ -5,9 +5,20 @@ CREATE TABLE users (
     email VARCHAR(255) NOT NULL UNIQUE,
     password_hash VARCHAR(255) NOT NULL,
     name VARCHAR(255),
-    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin', 'superadmin')),
+    role VARCHAR(20) NOT NULL DEFAULT 'user',  -- roles.name
     status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'suspended')),
     email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    verification_sent_at TIMESTAMP NULL,   -- Last verification email (resend cooldown)
+    token_version INT NOT NULL DEFAULT 0,  -- Bumped to invalidate issued access tokens
+    -- TOTP two-factor authentication
+    totp_secret TEXT NULL,                 -- AES-256-GCM encrypted base32 secret
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_last_step BIGINT NULL,            -- Last accepted time step (replay protection)
+    -- Brute-force protection
+    failed_login_count INT NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP NULL,
+    -- Self-service deletion: account is removed once this passes
+    deletion_scheduled_at TIMESTAMP NULL,
     -- Password reset fields (stored in DB, not memory)
     reset_token_hash VARCHAR(255) NULL,
     reset_token_expires TIMESTAMP NULL,
@@ -27,7 +38,7 @@ CREATE TABLE complaints (
     email VARCHAR(255),  -- Kept for backward compatibility, prefer user_id
     name VARCHAR(255),
     priority VARCHAR(10) NOT NULL CHECK (priority IN ('low', 'medium', 'high')),
-    status VARCHAR(20) NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'under-review', 'resolved')),
+    status VARCHAR(20) NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'under-review', 'resolved', 'withdrawn')),
     is_anonymous BOOLEAN NOT NULL DEFAULT FALSE,
     problem_image_url VARCHAR(500),
     resolved_image_url VARCHAR(500),
@@ -38,12 +49,28 @@ CREATE TABLE complaints (
     escalated_at TIMESTAMP NULL,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     resolved_at TIMESTAMP NULL,
+    reference VARCHAR(32) NULL UNIQUE,       -- e.g. CMP-2026-000123, see backend/services/referenceService.js
+    -- Anonymous complaints filed via /api/public/complaints
+    tracking_code VARCHAR(19) NULL UNIQUE,   -- Public code, XXXX-XXXX-XXXX-XXXX
+    tracking_passphrase_hash VARCHAR(255) NULL,  -- bcrypt; set when filed with a passphrase
+    custom_fields JSONB NULL,                -- Answers to the category's field_schema, [{ key, label, type, value }]
+    -- Optional location, see backend/services/locationService.js
+    latitude DOUBLE PRECISION NULL,          -- WGS84 degrees; set together with longitude
+    longitude DOUBLE PRECISION NULL,
+    address VARCHAR(255) NULL,               -- As typed by the citizen
+    -- Routing, see backend/services/zoneService.js (foreign keys added after zones)
+    zone_id INT NULL,                        -- Ward/zone containing the location
+    assigned_to INT NULL,                    -- Staff member handling the complaint
+    assigned_role VARCHAR(20) NULL,          -- Or the team (staff role) handling it
+    assigned_at TIMESTAMP NULL,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_status (status),
     INDEX idx_priority (priority),
     INDEX idx_email (email),
     INDEX idx_user_id (user_id),
-    INDEX idx_escalation (escalation_level)
+    INDEX idx_escalation (escalation_level),
+    INDEX idx_complaints_location (latitude, longitude),
+    INDEX idx_complaints_zone (zone_id)
 );
 
 CREATE TABLE anonymous_submissions (
@@ -69,18 +96,98 @@ CREATE TABLE escalation_history (
 CREATE TABLE admin_whitelist (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) NOT NULL UNIQUE,
-    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    -- Invitations (NULL for plain whitelist entries)
+    invite_role VARCHAR(20) NULL,              -- Role the account is created with
+    invited_by INT NULL,
+    invite_token_hash VARCHAR(64) NULL UNIQUE, -- SHA-256 of the emailed token, cleared on accept
+    invite_expires_at TIMESTAMP NULL,
+    invite_sent_at TIMESTAMP NULL,
+    accepted_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 CREATE TABLE refresh_tokens (
     id SERIAL PRIMARY KEY,
     user_id INT NOT NULL,
-    token VARCHAR(500) NOT NULL UNIQUE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,  -- SHA-256 of the refresh token, never the raw token
+    family_id VARCHAR(36) NOT NULL,          -- All rotations of one login share a family
     expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    replaced_by INT NULL,                    -- Token issued when this one was rotated
+    last_used_at TIMESTAMP NULL,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_user (user_id),
-    INDEX idx_token (token)
+    INDEX idx_family (family_id)
+);
+
+-- Superadmin-managed settings, one JSON value per key (see services/settingsService.js)
+CREATE TABLE system_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by INT NULL,                     -- users.id of the last editor
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE sessions (
+    id VARCHAR(36) PRIMARY KEY,              -- Same as refresh_tokens.family_id
+    user_id INT NOT NULL,
+    user_agent TEXT NULL,
+    ip_address VARCHAR(64) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
+);
+
+CREATE TABLE user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,          -- SHA-256 of the recovery code
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
+);
+
+CREATE TABLE magic_link_tokens (
+    id VARCHAR(64) PRIMARY KEY,              -- jti of the emailed login token
+    user_id INT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,                  -- Set when consumed or replaced by a newer link
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+);
+
+CREATE TABLE oidc_auth_requests (
+    state VARCHAR(64) PRIMARY KEY,           -- OAuth state of a pending SSO login
+    code_verifier VARCHAR(128) NOT NULL,     -- PKCE verifier
+    nonce VARCHAR(64) NOT NULL,
+    binding_hash VARCHAR(64) NULL,           -- SHA-256 of the secret the starting SPA tab keeps
+    user_id INT NULL,                        -- Set once the IdP callback succeeds
+    handoff_hash VARCHAR(64) NULL UNIQUE,    -- SHA-256 of the one-time code handed to the SPA
+    completed_at TIMESTAMP NULL,
+    consumed_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE login_attempts (
+    id SERIAL PRIMARY KEY,
+    user_id INT NULL,                        -- NULL when the email matched no account
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(64) NULL,
+    user_agent TEXT NULL,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50) NULL,                 -- invalid_password, unknown_user, locked, ...
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_email (email, created_at),
+    INDEX idx_ip (ip_address, created_at)
 );
 
 CREATE TABLE password_resets (
@@ -104,4 +211,187 @@ INSERT INTO users (email, password_hash, name, role, email_verified) VALUES
 
 -- ================= ALTER STATEMENTS (For existing databases) =================
 -- Run these if you already have the tables:
--- ALTER TABLE users ADD COLUMN reset_token_expires TIMESTAMP NULL;
\ No newline at end of file
+-- ALTER TABLE users ADD COLUMN reset_token_expires TIMESTAMP NULL;
+
+CREATE TABLE roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(20) NOT NULL UNIQUE,        -- Stored in users.role
+    description VARCHAR(255) NULL,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE, -- user / admin / superadmin cannot be deleted
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+    role_id INT NOT NULL,
+    permission VARCHAR(64) NOT NULL,         -- See backend/config/permissions.js
+    PRIMARY KEY (role_id, permission),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+    ('user', 'Citizens filing complaints', TRUE),
+    ('admin', 'Complaint handling staff', TRUE),
+    ('superadmin', 'Full access to everything', TRUE);
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, 'complaints.read' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'complaints.update' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'complaints.resolve' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'complaints.escalate' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'complaints.notes' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'categories.manage' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'users.read' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'reports.read' FROM roles WHERE name = 'admin'
+UNION ALL SELECT id, 'reports.export' FROM roles WHERE name = 'admin';
+
+CREATE TABLE api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,         -- First characters, shown so keys can be told apart
+    key_hash VARCHAR(64) NOT NULL UNIQUE,    -- SHA-256 of the full key
+    scopes TEXT NOT NULL,                    -- JSON array, see API_KEY_SCOPES in backend/config/permissions.js
+    rate_limit INT NOT NULL DEFAULT 60,      -- Requests per minute
+    previous_key_hash VARCHAR(64) NULL,      -- Rotated-out key, valid until previous_expires_at
+    previous_expires_at TIMESTAMP NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NULL,
+    rotated_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(45) NULL,
+    request_count BIGINT NOT NULL DEFAULT 0,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE impersonation_sessions (
+    id SERIAL PRIMARY KEY,
+    superadmin_id INT NULL,
+    superadmin_email VARCHAR(255) NOT NULL,
+    target_user_id INT NULL,
+    target_email VARCHAR(255) NOT NULL,
+    reason VARCHAR(500) NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent TEXT NULL,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,           -- Impersonation tokens stop working after this
+    ended_at TIMESTAMP NULL,                 -- Set by "return to my account"
+    FOREIGN KEY (superadmin_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE impersonation_requests (
+    id SERIAL PRIMARY KEY,
+    impersonation_id INT NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(500) NOT NULL,
+    status_code INT NULL,                    -- 403 for writes refused while impersonating
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (impersonation_id) REFERENCES impersonation_sessions(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_impersonation_requests_session ON impersonation_requests(impersonation_id);
+
+-- Yearly counters behind complaint references (PREFIX-YEAR-NNNNNN)
+CREATE TABLE complaint_reference_sequences (
+    year INT PRIMARY KEY,
+    last_value INT NOT NULL DEFAULT 0
+);
+
+-- Photos and PDFs on a complaint (problem_image_url / resolved_image_url keep the first image of each)
+CREATE TABLE complaint_attachments (
+    id SERIAL PRIMARY KEY,
+    complaint_id INT NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'evidence' CHECK (kind IN ('evidence', 'resolution', 'other')),
+    url VARCHAR(500) NOT NULL,
+    public_id VARCHAR(255) NULL,             -- Cloudinary id, used to remove the file
+    file_name VARCHAR(255) NULL,
+    mime_type VARCHAR(100) NULL,
+    size_bytes INT NULL,
+    uploaded_by INT NULL,
+    uploaded_by_role VARCHAR(50) NULL,       -- user, admin, api_key, ... at upload time
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (complaint_id) REFERENCES complaints(id) ON DELETE CASCADE,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+CREATE INDEX idx_complaint_attachments_complaint ON complaint_attachments(complaint_id);
+
+-- Conversation between a complaint's owner and staff
+CREATE TABLE complaint_comments (
+    id SERIAL PRIMARY KEY,
+    complaint_id INT NOT NULL,
+    author_id INT NULL,
+    author_role VARCHAR(50) NOT NULL,        -- 'user' for the complaint's owner, else the staff role
+    body TEXT NOT NULL,
+    attachment_id INT NULL,                  -- Optional file, also listed in complaint_attachments
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (complaint_id) REFERENCES complaints(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (attachment_id) REFERENCES complaint_attachments(id) ON DELETE SET NULL
+);
+CREATE INDEX idx_complaint_comments_complaint ON complaint_comments(complaint_id);
+
+-- Staff-only notes on a complaint; never shown to the complainant
+CREATE TABLE complaint_notes (
+    id SERIAL PRIMARY KEY,
+    complaint_id INT NOT NULL,
+    author_id INT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (complaint_id) REFERENCES complaints(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+);
+CREATE INDEX idx_complaint_notes_complaint ON complaint_notes(complaint_id);
+
+-- Staff @mentioned in a note (each is emailed once)
+CREATE TABLE complaint_note_mentions (
+    note_id INT NOT NULL,
+    user_id INT NOT NULL,
+    PRIMARY KEY (note_id, user_id),
+    FOREIGN KEY (note_id) REFERENCES complaint_notes(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Complaint categories; complaints.category holds the slug
+CREATE TABLE categories (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE,        -- Never changes once created
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) NULL,
+    icon VARCHAR(50) NULL,                   -- Lucide icon name, e.g. 'wrench'
+    display_order INT NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,  -- Inactive ones cannot be chosen for new complaints
+    field_schema JSONB NOT NULL DEFAULT '[]', -- Extra intake fields, see backend/services/categoryService.js
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO categories (slug, name, description, icon, display_order) VALUES
+    ('service', 'Service', 'Quality or availability of a public service', 'wrench', 10),
+    ('behavior', 'Behavior', 'Conduct of staff or officials', 'user-x', 20),
+    ('technical', 'Technical', 'Websites, apps and other technical problems', 'cpu', 30),
+    ('other', 'Other', 'Anything that fits no other category', 'help-circle', 1000);
+
+-- Ward/zone boundaries uploaded as GeoJSON; new located complaints are routed by them
+CREATE TABLE zones (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    geometry JSONB NOT NULL,                 -- GeoJSON Polygon or MultiPolygon, [longitude, latitude]
+    min_lat DOUBLE PRECISION NOT NULL,       -- Bounding box, to narrow point-in-polygon lookups
+    min_lng DOUBLE PRECISION NOT NULL,
+    max_lat DOUBLE PRECISION NOT NULL,
+    max_lng DOUBLE PRECISION NOT NULL,
+    assigned_admin_id INT NULL,              -- Staff member its complaints go to...
+    assigned_role VARCHAR(20) NULL,          -- ...or the team; at most one of the two
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (assigned_admin_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (assigned_role) REFERENCES roles(name) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_zones_bounds ON zones(min_lat, max_lat, min_lng, max_lng);
+
+ALTER TABLE complaints
+    ADD FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE SET NULL,
+    ADD FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+    ADD FOREIGN KEY (assigned_role) REFERENCES roles(name) ON DELETE SET NULL;
@@ -0,0 +1,154 @@
+/**
+ * Mock OIDC Provider - local development and testing only
+ *
+ * A tiny identity provider that signs everyone in as one configurable identity,
+ * so the staff SSO flow can be exercised without a real IdP.
+ *
+ *   npm run mock-oidc
+ *
+ * Backend .env:
+ *   OIDC_ISSUER=http://localhost:4100
+ *   OIDC_CLIENT_ID=complaint-portal
+ *   OIDC_REDIRECT_URI=http://localhost:5000/api/auth/oidc/callback
+ *   OIDC_ROLE_MAPPING=portal-admins=admin,portal-superadmins=superadmin
+ *
+ * Mock identity (env):
+ *   MOCK_OIDC_PORT    (default 4100)
+ *   MOCK_OIDC_EMAIL   (default admin@example.com)
+ *   MOCK_OIDC_NAME    (default Mock Admin)
+ *   MOCK_OIDC_GROUPS  comma separated (default portal-admins)
+ *
+ * Any identity can also be chosen per login with ?login_hint=email on the
+ * authorize URL.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_EXPIRY_MS = 60 * 1000;
+
+/**
+ * Build the mock provider app
+ * @param {object} options - { issuer, email, name, groups }
+ * @returns {object} - Express app
+ */
+const createMockOidcProvider = ({ issuer, email, name, groups }) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+
+  // code -> pending token request
+  const codes = new Map();
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Auto-approves: no login form, the configured identity is signed in straight away
+  app.get('/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (response_type !== 'code' || !client_id || !redirect_uri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+    if (code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE (S256) is required' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      email: login_hint || email,
+      expiresAt: Date.now() + CODE_EXPIRY_MS,
+    });
+
+    const params = new URLSearchParams({ code });
+    if (state) params.set('state', state);
+    res.redirect(`${redirect_uri}?${params.toString()}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+    const pending = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (pending.clientId !== client_id || pending.redirectUri !== redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect URI mismatch' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+      {
+        email: pending.email,
+        email_verified: true,
+        name,
+        groups,
+        nonce: pending.nonce,
+      },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        audience: client_id,
+        subject: crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 24),
+        expiresIn: '5m',
+      }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4100;
+  const groups = (process.env.MOCK_OIDC_GROUPS || 'portal-admins').split(',').map((g) => g.trim()).filter(Boolean);
+
+  const app = createMockOidcProvider({
+    issuer: `http://localhost:${port}`,
+    email: process.env.MOCK_OIDC_EMAIL || 'admin@example.com',
+    name: process.env.MOCK_OIDC_NAME || 'Mock Admin',
+    groups,
+  });
+
+  app.listen(port, () => {
+    console.log(`🔐 Mock OIDC provider on http://localhost:${port} (groups: ${groups.join(', ') || 'none'})`);
+  });
+}
+
+module.exports = { createMockOidcProvider };
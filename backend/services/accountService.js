@@ -0,0 +1,196 @@
+/**
+ * Account Service
+ * Personal data export and self-service account deletion (data-subject requests)
+ *
+ * - Deletion is scheduled ACCOUNT_DELETION_GRACE_DAYS ahead and can be cancelled until then
+ * - When it runs, the user row is removed and their complaints are anonymised, not deleted,
+ *   so staff keep the case history
+ */
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// Replaces the user's email in status_history.changed_by
+const DELETED_USER_LABEL = 'deleted-user';
+
+// Complaints belong to a user by id, or by email for ones filed before user_id existed
+const OWN_COMPLAINTS = 'user_id = $1 OR (email IS NOT NULL AND LOWER(email) = LOWER($2))';
+
+/**
+ * Collect everything stored about a user
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {object|null} - { exportedAt, profile, complaints, statusHistory, attachments, comments }
+ */
+const buildDataExport = async (db, userId) => {
+  const userResult = await db.query(
+    `SELECT id, email, name, role, status, email_verified, totp_enabled,
+            created_at, updated_at, deletion_scheduled_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  const profile = userResult.rows[0];
+  if (!profile) return null;
+
+  const complaintResult = await db.query(
+    `SELECT * FROM complaints WHERE ${OWN_COMPLAINTS} ORDER BY created_at ASC`,
+    [userId, profile.email]
+  );
+  const complaints = complaintResult.rows;
+  const complaintIds = complaints.map((c) => c.id);
+
+  const historyResult = complaintIds.length === 0
+    ? { rows: [] }
+    : await db.query(
+      `SELECT complaint_id, old_status, new_status, changed_by_role, changed_at, notes
+       FROM status_history WHERE complaint_id = ANY($1::int[])
+       ORDER BY complaint_id, changed_at ASC`,
+      [complaintIds]
+    );
+
+  const attachmentResult = complaintIds.length === 0
+    ? { rows: [] }
+    : await db.query(
+      `SELECT complaint_id, kind, url, file_name, mime_type, size_bytes, uploaded_by_role, created_at
+       FROM complaint_attachments WHERE complaint_id = ANY($1::int[])
+       ORDER BY complaint_id, created_at ASC`,
+      [complaintIds]
+    );
+
+  const commentResult = complaintIds.length === 0
+    ? { rows: [] }
+    : await db.query(
+      `SELECT complaint_id, author_role, body, created_at
+       FROM complaint_comments WHERE complaint_id = ANY($1::int[])
+       ORDER BY complaint_id, created_at ASC`,
+      [complaintIds]
+    );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    complaints,
+    // Staff identities are not the user's personal data
+    statusHistory: historyResult.rows,
+    attachments: attachmentResult.rows,
+    comments: commentResult.rows,
+  };
+};
+
+/**
+ * Schedule a user's account for deletion after the grace period
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {Date} - When the account will be removed
+ */
+const scheduleAccountDeletion = async (db, userId) => {
+  const result = await db.query(
+    `UPDATE users
+     SET deletion_scheduled_at = NOW() + ($1 || ' days')::INTERVAL, updated_at = NOW()
+     WHERE id = $2
+     RETURNING deletion_scheduled_at`,
+    [String(ACCOUNT_DELETION_GRACE_DAYS), userId]
+  );
+  return result.rows[0]?.deletion_scheduled_at || null;
+};
+
+/**
+ * Cancel a pending deletion
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {boolean} - Whether a deletion was pending
+ */
+const cancelAccountDeletion = async (db, userId) => {
+  const result = await db.query(
+    `UPDATE users SET deletion_scheduled_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND deletion_scheduled_at IS NOT NULL
+     RETURNING id`,
+    [userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Remove a user and anonymise everything that still points at them
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {boolean} - Whether the user existed
+ */
+const deleteAccount = async (db, userId) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query('SELECT email FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const user = userResult.rows[0];
+
+    if (!user) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await client.query(
+      `UPDATE status_history SET changed_by = $3
+       WHERE LOWER(changed_by) = LOWER($2)
+         AND complaint_id IN (SELECT id FROM complaints WHERE ${OWN_COMPLAINTS})`,
+      [userId, user.email, DELETED_USER_LABEL]
+    );
+
+    await client.query(
+      `UPDATE complaints SET user_id = NULL, email = NULL, name = NULL, is_anonymous = TRUE
+       WHERE ${OWN_COMPLAINTS}`,
+      [userId, user.email]
+    );
+
+    // login_attempts only nulls user_id on delete, which would leave the email behind
+    await client.query(
+      'DELETE FROM login_attempts WHERE user_id = $1 OR LOWER(email) = LOWER($2)',
+      [userId, user.email]
+    );
+
+    // The audit trail keeps the session but not whose account was viewed
+    await client.query(
+      'UPDATE impersonation_sessions SET target_email = $2 WHERE target_user_id = $1',
+      [userId, DELETED_USER_LABEL]
+    );
+
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete every account whose grace period has ended
+ * @param {object} db - PostgreSQL database connection
+ */
+const processScheduledDeletions = async (db) => {
+  try {
+    const due = await db.query(
+      'SELECT id FROM users WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= NOW()'
+    );
+
+    for (const { id } of due.rows) {
+      await deleteAccount(db, id);
+      console.log(`🗑️ [ACCOUNT] Deleted account ${id} after grace period`);
+    }
+  } catch (err) {
+    console.error('🗑️ [ACCOUNT] Scheduled deletion failed:', err.message);
+  }
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildDataExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteAccount,
+  processScheduledDeletions,
+};
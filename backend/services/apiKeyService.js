@@ -0,0 +1,202 @@
+/**
+ * API Key Service
+ * Keys for service accounts and machine integrations (Authorization: ApiKey <key>)
+ *
+ * - Only a SHA-256 hash is stored; the plain key is shown once when issued or rotated
+ * - Scopes come from API_KEY_SCOPES and are checked by requirePermission like role permissions
+ * - Rotation issues a new secret and keeps the old one working for a grace period
+ * - Revoked keys are kept for the audit trail
+ */
+
+const crypto = require('crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'cpk_';
+// Characters of the key kept in clear so admins can tell keys apart
+const DISPLAY_PREFIX_LENGTH = 12;
+const ROTATION_GRACE_HOURS = 24;
+
+const DEFAULT_RATE_LIMIT = 60;
+const MAX_RATE_LIMIT = 6000;
+
+const NAME_MAX_LENGTH = 100;
+
+class ApiKeyError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const parseKeyId = (id) => {
+  const keyId = Number(id);
+  if (!Number.isInteger(keyId) || keyId < 1) {
+    throw new ApiKeyError('API key not found or already revoked', 'KEY_NOT_FOUND', 404);
+  }
+  return keyId;
+};
+
+const generateKey = () => `${KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+const PUBLIC_COLUMNS = `id, name, key_prefix, scopes, rate_limit, created_by, created_at,
+  expires_at, last_used_at, last_used_ip, request_count, rotated_at, previous_expires_at, revoked_at`;
+
+const toPublic = (row) => ({
+  ...row,
+  scopes: JSON.parse(row.scopes || '[]'),
+  request_count: parseInt(row.request_count, 10) || 0,
+});
+
+const validateInput = ({ name, scopes, rateLimit, expiresInDays }) => {
+  const keyName = String(name || '').trim();
+  if (!keyName || keyName.length > NAME_MAX_LENGTH) {
+    throw new ApiKeyError(`Name is required (max ${NAME_MAX_LENGTH} characters)`, 'INVALID_NAME');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyError('Pick at least one scope', 'INVALID_SCOPE');
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw new ApiKeyError(`Unknown scope: ${unknown.join(', ')}`, 'INVALID_SCOPE');
+  }
+
+  const limit = rateLimit === undefined || rateLimit === null || rateLimit === '' ? DEFAULT_RATE_LIMIT : Number(rateLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+    throw new ApiKeyError(`Rate limit must be between 1 and ${MAX_RATE_LIMIT} requests per minute`, 'INVALID_RATE_LIMIT');
+  }
+
+  let days = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      throw new ApiKeyError('Expiry must be between 1 and 3650 days', 'INVALID_EXPIRY');
+    }
+  }
+
+  return { name: keyName, scopes: [...new Set(scopes)], rateLimit: limit, expiresInDays: days };
+};
+
+/**
+ * Issue a new key
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} input - { name, scopes, rateLimit, expiresInDays, createdBy }
+ * @returns {object} - { key (plain, shown once), apiKey }
+ */
+const createApiKey = async (db, input) => {
+  const { name, scopes, rateLimit, expiresInDays } = validateInput(input);
+  const key = generateKey();
+
+  const result = await db.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit, created_by, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6,
+             CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() + ($7::int * INTERVAL '1 day') END,
+             NOW())
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(key), JSON.stringify(scopes), rateLimit, input.createdBy || null, expiresInDays]
+  );
+
+  return { key, apiKey: toPublic(result.rows[0]) };
+};
+
+/**
+ * All keys, newest first (never includes hashes)
+ * @param {object} db - PostgreSQL database connection
+ */
+const listApiKeys = async (db) => {
+  const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC`);
+  return result.rows.map(toPublic);
+};
+
+/**
+ * Replace a key's secret; the old one keeps working for ROTATION_GRACE_HOURS
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Key id
+ * @returns {object} - { key (plain, shown once), apiKey }
+ */
+const rotateApiKey = async (db, id) => {
+  const key = generateKey();
+
+  const result = await db.query(
+    `UPDATE api_keys
+     SET previous_key_hash = key_hash,
+         previous_expires_at = NOW() + ($1 || ' hours')::INTERVAL,
+         key_hash = $2,
+         key_prefix = $3,
+         rotated_at = NOW()
+     WHERE id = $4 AND revoked_at IS NULL
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [String(ROTATION_GRACE_HOURS), hashKey(key), key.slice(0, DISPLAY_PREFIX_LENGTH), parseKeyId(id)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ApiKeyError('API key not found or already revoked', 'KEY_NOT_FOUND', 404);
+  }
+
+  return { key, apiKey: toPublic(result.rows[0]) };
+};
+
+/**
+ * Revoke a key immediately (including any rotated-out secret)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Key id
+ */
+const revokeApiKey = async (db, id) => {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW(), previous_key_hash = NULL, previous_expires_at = NULL
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [parseKeyId(id)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ApiKeyError('API key not found or already revoked', 'KEY_NOT_FOUND', 404);
+  }
+};
+
+/**
+ * Look up a presented key and count the request against it
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} key - Plain key from the Authorization header
+ * @param {string} ipAddress - Client IP
+ * @returns {object|null} - { id, name, scopes, rateLimit }, or null if invalid/expired/revoked
+ */
+const useApiKey = async (db, key, ipAddress) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const hash = hashKey(key);
+
+  const result = await db.query(
+    `UPDATE api_keys
+     SET last_used_at = NOW(), last_used_ip = $2, request_count = request_count + 1
+     WHERE revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+       AND (key_hash = $1 OR (previous_key_hash = $1 AND previous_expires_at > NOW()))
+     RETURNING id, name, scopes, rate_limit`,
+    [hash, ipAddress || null]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: JSON.parse(row.scopes || '[]'),
+    rateLimit: row.rate_limit,
+  };
+};
+
+module.exports = {
+  ApiKeyError,
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  useApiKey,
+};
@@ -0,0 +1,282 @@
+/**
+ * Attachment Service
+ * Photos and PDFs attached to a complaint, stored in Cloudinary and listed in complaint_attachments
+ *
+ * - kind is 'evidence' (filed with or added to a complaint), 'resolution' (added by staff when
+ *   resolving) or 'other'
+ * - The owner may add evidence while the complaint is open and delete their own files while it is 'new';
+ *   staff need complaints.update (or complaints.resolve to upload) and may add any kind
+ * - problem_image_url / resolved_image_url still hold the first image of each, for older screens and emails;
+ *   deleting that image moves them on to the next one
+ */
+
+const cloudinary = require('../utils/cloudinary');
+const { getComplaintAccess } = require('./complaintService');
+
+const ATTACHMENT_KINDS = ['evidence', 'resolution', 'other'];
+
+const MAX_ATTACHMENTS_PER_COMPLAINT = 10;
+const MAX_FILES_PER_UPLOAD = 5;
+
+const OPEN_STATUSES = ['new', 'under-review'];
+
+// Legacy single-image columns on complaints and the attachment kind each one mirrors
+const IMAGE_COLUMNS = {
+  problem_image_url: 'evidence',
+  before_image_url: 'evidence',
+  resolved_image_url: 'resolution',
+  after_image_url: 'resolution',
+};
+
+class AttachmentError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isAllowedMimeType = (mimeType) => String(mimeType).startsWith('image/') || mimeType === 'application/pdf';
+
+/**
+ * Reject anything but images and PDFs before uploading any of them
+ * @param {Array} files - Multer files
+ */
+const validateFiles = (files) => {
+  if (files.length > MAX_FILES_PER_UPLOAD) {
+    throw new AttachmentError(`At most ${MAX_FILES_PER_UPLOAD} files can be uploaded at once`, 'TOO_MANY_FILES');
+  }
+
+  const rejected = files.find((file) => !isAllowedMimeType(file.mimetype));
+  if (rejected) {
+    throw new AttachmentError(`${rejected.originalname} is not an image or PDF`, 'INVALID_FILE_TYPE');
+  }
+};
+
+/**
+ * Upload files to Cloudinary
+ * @param {Array} files - Multer files (memory storage)
+ * @param {string} folder - Cloudinary folder
+ * @returns {Array} - [{ url, publicId, fileName, mimeType, sizeBytes }]
+ */
+const storeFiles = async (files, folder) => {
+  const stored = [];
+
+  for (const file of files) {
+    const result = await cloudinary.uploader.upload(
+      `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
+      { folder, resource_type: 'auto' }
+    );
+
+    stored.push({
+      url: result.secure_url,
+      publicId: result.public_id,
+      fileName: String(file.originalname || '').slice(0, 255) || null,
+      mimeType: file.mimetype,
+      sizeBytes: file.size,
+    });
+  }
+
+  return stored;
+};
+
+/**
+ * Insert rows for files already stored
+ * @param {object} db - PostgreSQL database connection or transaction client
+ * @param {number} complaintId - Complaint id
+ * @param {Array} stored - From storeFiles
+ * @param {object} options - { user (req.user, or null for anonymous), kind }
+ * @returns {Array} - Inserted rows
+ */
+const recordAttachments = async (db, complaintId, stored, { user, kind }) => {
+  const rows = [];
+
+  for (const file of stored) {
+    const result = await db.query(
+      `INSERT INTO complaint_attachments
+         (complaint_id, kind, url, public_id, file_name, mime_type, size_bytes, uploaded_by, uploaded_by_role, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       RETURNING *`,
+      [
+        complaintId,
+        kind,
+        file.url,
+        file.publicId,
+        file.fileName,
+        file.mimeType,
+        file.sizeBytes,
+        user?.id || null,
+        user?.role || 'anonymous',
+      ]
+    );
+    rows.push(result.rows[0]);
+  }
+
+  return rows;
+};
+
+const canUpload = ({ complaint, isOwner, permissions }) =>
+  permissions.includes('complaints.update') ||
+  permissions.includes('complaints.resolve') ||
+  (isOwner && OPEN_STATUSES.includes(complaint.status));
+
+const canDelete = ({ complaint, isOwner, permissions }, user, attachment) =>
+  permissions.includes('complaints.update') ||
+  (isOwner && complaint.status === 'new' && !!user.id && attachment.uploaded_by === user.id);
+
+// Kinds the user may choose when uploading; citizens only add evidence
+const uploadKinds = ({ permissions }) =>
+  permissions.includes('complaints.update') || permissions.includes('complaints.resolve')
+    ? ATTACHMENT_KINDS
+    : ['evidence', 'other'];
+
+/**
+ * A complaint's attachments, oldest first, with what the user may do with them
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @returns {object} - { attachments (each with canDelete), canUpload, uploadKinds }
+ */
+const listAttachments = async (db, user, complaintId) => {
+  const access = await getComplaintAccess(db, user, complaintId);
+
+  const result = await db.query(
+    `SELECT a.id, a.complaint_id, a.kind, a.url, a.file_name, a.mime_type, a.size_bytes,
+            a.uploaded_by, a.uploaded_by_role, a.created_at, u.name AS uploaded_by_name
+     FROM complaint_attachments a
+     LEFT JOIN users u ON u.id = a.uploaded_by
+     WHERE a.complaint_id = $1
+     ORDER BY a.created_at ASC, a.id ASC`,
+    [complaintId]
+  );
+
+  return {
+    attachments: result.rows.map((attachment) => ({
+      ...attachment,
+      // Citizens see who uploaded only as a role, staff see the name
+      uploaded_by_name: access.permissions.includes('complaints.read') ? attachment.uploaded_by_name : null,
+      canDelete: canDelete(access, user, attachment),
+    })),
+    canUpload: canUpload(access),
+    uploadKinds: uploadKinds(access),
+  };
+};
+
+/**
+ * Upload and attach files to a complaint
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @param {Array} files - Multer files
+ * @param {string} kind - One of ATTACHMENT_KINDS (defaults to 'evidence')
+ * @returns {Array} - Inserted rows
+ */
+const addAttachments = async (db, user, complaintId, files, kind = 'evidence') => {
+  const access = await getComplaintAccess(db, user, complaintId);
+
+  if (!canUpload(access)) {
+    throw new AttachmentError('Files can no longer be added to this complaint', 'ATTACHMENTS_LOCKED', 403);
+  }
+
+  if (!uploadKinds(access).includes(kind)) {
+    throw new AttachmentError(`Kind must be one of: ${uploadKinds(access).join(', ')}`, 'INVALID_KIND');
+  }
+
+  if (files.length === 0) {
+    throw new AttachmentError('No files uploaded', 'NO_FILES');
+  }
+
+  validateFiles(files);
+
+  const countResult = await db.query(
+    'SELECT COUNT(*)::int AS count FROM complaint_attachments WHERE complaint_id = $1',
+    [complaintId]
+  );
+  if (countResult.rows[0].count + files.length > MAX_ATTACHMENTS_PER_COMPLAINT) {
+    throw new AttachmentError(
+      `A complaint can have at most ${MAX_ATTACHMENTS_PER_COMPLAINT} attachments`,
+      'TOO_MANY_ATTACHMENTS'
+    );
+  }
+
+  const stored = await storeFiles(files, kind === 'resolution' ? 'complaints/resolved' : 'complaints');
+  return recordAttachments(db, complaintId, stored, { user, kind });
+};
+
+/**
+ * Remove an attachment and its stored file
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @param {number} attachmentId - Attachment id
+ */
+const deleteAttachment = async (db, user, complaintId, attachmentId) => {
+  const access = await getComplaintAccess(db, user, complaintId);
+
+  const result = await db.query(
+    'SELECT * FROM complaint_attachments WHERE id = $1 AND complaint_id = $2',
+    [attachmentId, complaintId]
+  );
+  const attachment = result.rows[0];
+
+  if (!attachment) throw new AttachmentError('Attachment not found', 'ATTACHMENT_NOT_FOUND', 404);
+
+  if (!canDelete(access, user, attachment)) {
+    throw new AttachmentError('You cannot delete this attachment', 'ATTACHMENT_LOCKED', 403);
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM complaint_attachments WHERE id = $1', [attachment.id]);
+
+    // Columns still showing the deleted file move on to the next image of the same kind, or clear
+    const columns = await client.query(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = ANY($1)`,
+      [Object.keys(IMAGE_COLUMNS)]
+    );
+    for (const { column_name: column } of columns.rows) {
+      await client.query(
+        `UPDATE complaints SET ${column} = (
+           SELECT url FROM complaint_attachments
+           WHERE complaint_id = $1 AND kind = $2 AND mime_type LIKE 'image/%'
+           ORDER BY created_at ASC, id ASC
+           LIMIT 1
+         )
+         WHERE id = $1 AND ${column} = $3`,
+        [complaintId, IMAGE_COLUMNS[column], attachment.url]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (attachment.public_id) {
+    // The row is gone either way; a file left behind in Cloudinary is only logged
+    cloudinary.uploader.destroy(attachment.public_id).catch((err) =>
+      console.error(`Failed to remove Cloudinary file ${attachment.public_id}:`, err.message)
+    );
+  }
+
+  return attachment;
+};
+
+module.exports = {
+  AttachmentError,
+  ATTACHMENT_KINDS,
+  MAX_ATTACHMENTS_PER_COMPLAINT,
+  MAX_FILES_PER_UPLOAD,
+  validateFiles,
+  storeFiles,
+  recordAttachments,
+  listAttachments,
+  addAttachments,
+  deleteAttachment,
+};
@@ -0,0 +1,436 @@
+/**
+ * Category Service
+ * Complaint categories, managed by staff in the categories table
+ *
+ * - complaints.category stores the category's slug, so a slug never changes once created
+ * - Only active categories can be chosen for new complaints (or when a citizen edits one);
+ *   retiring a category leaves the complaints already filed under it untouched
+ * - A category still used by complaints cannot be deleted, only deactivated
+ * - field_schema lists extra intake fields (text, number, date or select) asked when filing under
+ *   the category; answers are checked by validateFieldAnswers and kept on complaints.custom_fields
+ *   together with each field's label, so they still read correctly after the schema changes
+ */
+
+const vm = require('vm');
+
+const CATEGORY_SLUG_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Lucide icon names, e.g. "wrench" or "help-circle"
+const ICON_PATTERN = /^[a-z0-9-]{1,50}$/;
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+
+const MAX_FIELDS = 20;
+const MAX_OPTIONS = 50;
+const MAX_ANSWER_LENGTH = 500;
+const MAX_PATTERN_LENGTH = 100;
+
+// Longest a pattern may spend on one answer before the answer is refused
+const PATTERN_TIMEOUT_MS = 50;
+
+class CategoryError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'CategoryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const PUBLIC_COLUMNS = 'id, slug, name, description, icon, display_order, is_active, field_schema';
+
+/**
+ * Categories in display order
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} options - { includeInactive } also returns inactive ones with complaint counts
+ * @returns {Array}
+ */
+const listCategories = async (db, { includeInactive = false } = {}) => {
+  if (!includeInactive) {
+    const result = await db.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM categories WHERE is_active = TRUE ORDER BY display_order, name`
+    );
+    return result.rows;
+  }
+
+  const result = await db.query(
+    `SELECT ${PUBLIC_COLUMNS}, created_at, updated_at,
+            (SELECT COUNT(*)::int FROM complaints c WHERE c.category = categories.slug) AS complaint_count
+     FROM categories
+     ORDER BY display_order, name`
+  );
+  return result.rows;
+};
+
+/**
+ * Check that a slug names an active category
+ * @param {object} db - PostgreSQL database connection or transaction client
+ * @param {string} slug - Category slug from a request
+ * @returns {object} - The category row
+ */
+const assertActiveCategory = async (db, slug) => {
+  const result = await db.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM categories WHERE slug = $1 AND is_active = TRUE`,
+    [String(slug || '').trim()]
+  );
+
+  if (!result.rows[0]) {
+    throw new CategoryError('Please choose one of the available categories', 'INVALID_CATEGORY');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Any category by slug, active or not
+ * @param {object} db - PostgreSQL database connection or transaction client
+ * @param {string} slug - Category slug
+ * @returns {object|null} - The category row
+ */
+const findCategory = async (db, slug) => {
+  const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM categories WHERE slug = $1`, [slug]);
+  return result.rows[0] || null;
+};
+
+const cleanText = (value, max) => {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, max) : null;
+};
+
+// Patterns must match the whole answer, like an <input pattern> does
+const compilePattern = (pattern) => new RegExp(`^(?:${pattern})$`);
+
+/**
+ * Test an answer against an admin-supplied pattern with a time limit, so a pattern that
+ * backtracks badly (e.g. \w*\w*\w*x) cannot block the event loop on a crafted answer
+ * @param {string} pattern - Field pattern
+ * @param {string} text - Answer
+ * @returns {boolean} - false on no match or when the limit is hit
+ */
+const matchesPattern = (pattern, text) => {
+  const context = vm.createContext({ source: `^(?:${pattern})$`, text });
+
+  try {
+    return vm.runInContext('new RegExp(source).test(text)', context, { timeout: PATTERN_TIMEOUT_MS }) === true;
+  } catch (err) {
+    if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+    console.warn(`⚠️ [CATEGORIES] Pattern ${pattern} timed out on a ${text.length}-character answer`);
+    return false;
+  }
+};
+
+/**
+ * Whether a pattern repeats a group that itself contains a quantifier or an alternation,
+ * e.g. (a+)+ or (a|aa)*, which can backtrack catastrophically on a crafted answer
+ * @param {string} pattern - Admin-supplied regular expression source
+ * @returns {boolean}
+ */
+const hasNestedQuantifier = (pattern) => {
+  const groups = [{ risky: false }];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ risky: false });
+    } else if (char === '|') {
+      groups[groups.length - 1].risky = true;
+    } else if (char === '*' || char === '+' || char === '{') {
+      groups[groups.length - 1].risky = true;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const next = pattern[i + 1];
+      if (group.risky && (next === '*' || next === '+' || next === '{')) return true;
+      // A quantifier inside this group is also nested inside the enclosing one
+      if (group.risky) groups[groups.length - 1].risky = true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Validate a field schema from the admin editor
+ * @param {Array} schema - [{ key, label, type, required, pattern, options }]
+ * @returns {Array} - The cleaned schema
+ */
+const validateFieldSchema = (schema) => {
+  if (!Array.isArray(schema)) throw new CategoryError('Fields must be a list', 'INVALID_FIELD_SCHEMA');
+  if (schema.length > MAX_FIELDS) {
+    throw new CategoryError(`A category can have at most ${MAX_FIELDS} fields`, 'INVALID_FIELD_SCHEMA');
+  }
+
+  const keys = new Set();
+
+  return schema.map((field, i) => {
+    const label = cleanText(field?.label, 100);
+    const where = label ? `Field "${label}"` : `Field ${i + 1}`;
+    const key = String(field?.key ?? '').trim();
+
+    if (!label) throw new CategoryError(`${where} needs a label`, 'INVALID_FIELD_SCHEMA');
+    if (!FIELD_KEY_PATTERN.test(key)) {
+      throw new CategoryError(
+        `${where} needs a key of lowercase letters, digits or _, starting with a letter`,
+        'INVALID_FIELD_SCHEMA'
+      );
+    }
+    if (keys.has(key)) throw new CategoryError(`Field key "${key}" is used twice`, 'INVALID_FIELD_SCHEMA');
+    keys.add(key);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new CategoryError(`${where} type must be one of: ${FIELD_TYPES.join(', ')}`, 'INVALID_FIELD_SCHEMA');
+    }
+
+    const cleaned = { key, label, type: field.type, required: field.required === true };
+
+    if (field.type === 'text' && field.pattern) {
+      cleaned.pattern = String(field.pattern);
+      if (cleaned.pattern.length > MAX_PATTERN_LENGTH) {
+        throw new CategoryError(
+          `${where} validation pattern can be at most ${MAX_PATTERN_LENGTH} characters`,
+          'INVALID_FIELD_SCHEMA'
+        );
+      }
+      if (hasNestedQuantifier(cleaned.pattern)) {
+        throw new CategoryError(
+          `${where} validation pattern cannot repeat a group that contains a quantifier or |`,
+          'INVALID_FIELD_SCHEMA'
+        );
+      }
+      try {
+        compilePattern(cleaned.pattern);
+      } catch {
+        throw new CategoryError(`${where} has an invalid validation pattern`, 'INVALID_FIELD_SCHEMA');
+      }
+    }
+
+    if (field.type === 'select') {
+      const options = [...new Set((Array.isArray(field.options) ? field.options : [])
+        .map((option) => cleanText(option, 100))
+        .filter(Boolean))];
+      if (options.length === 0 || options.length > MAX_OPTIONS) {
+        throw new CategoryError(`${where} needs 1-${MAX_OPTIONS} options`, 'INVALID_FIELD_SCHEMA');
+      }
+      cleaned.options = options;
+    }
+
+    return cleaned;
+  });
+};
+
+const invalidAnswer = (field, problem) =>
+  new CategoryError(`${field.label} ${problem}`, 'INVALID_FIELD_ANSWER');
+
+const checkAnswer = (field, raw) => {
+  const text = String(raw).trim();
+
+  switch (field.type) {
+    case 'number': {
+      const number = Number(text);
+      if (!Number.isFinite(number)) throw invalidAnswer(field, 'must be a number');
+      return number;
+    }
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) {
+        throw invalidAnswer(field, 'must be a date (YYYY-MM-DD)');
+      }
+      return text;
+    case 'select':
+      if (!field.options.includes(text)) {
+        throw invalidAnswer(field, `must be one of: ${field.options.join(', ')}`);
+      }
+      return text;
+    default:
+      if (text.length > MAX_ANSWER_LENGTH) {
+        throw invalidAnswer(field, `can be at most ${MAX_ANSWER_LENGTH} characters`);
+      }
+      if (field.pattern && !matchesPattern(field.pattern, text)) {
+        throw invalidAnswer(field, 'is not in the expected format');
+      }
+      return text;
+  }
+};
+
+/**
+ * Check a complaint's answers against its category's field schema
+ * @param {object} category - Category row (from assertActiveCategory or findCategory)
+ * @param {object|string} answers - { key: value }, or that as JSON (multipart forms send a string)
+ * @returns {Array|null} - [{ key, label, type, value }] for the answered fields, or null if none
+ */
+const validateFieldAnswers = (category, answers) => {
+  let given = answers ?? {};
+
+  if (typeof given === 'string') {
+    try {
+      given = given.trim() ? JSON.parse(given) : {};
+    } catch {
+      throw new CategoryError('custom_fields must be a JSON object', 'INVALID_FIELD_ANSWER');
+    }
+  }
+  if (typeof given !== 'object' || Array.isArray(given) || given === null) {
+    throw new CategoryError('custom_fields must be a JSON object', 'INVALID_FIELD_ANSWER');
+  }
+
+  const stored = [];
+
+  // Keys the schema does not ask for are dropped
+  for (const field of category?.field_schema || []) {
+    const raw = given[field.key];
+
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (field.required) throw invalidAnswer(field, 'is required');
+      continue;
+    }
+
+    stored.push({ key: field.key, label: field.label, type: field.type, value: checkAnswer(field, raw) });
+  }
+
+  return stored.length > 0 ? stored : null;
+};
+
+/**
+ * Validate the editable fields present in input
+ * @returns {object} - Only the fields that were given, cleaned
+ */
+const validateFields = (input) => {
+  const fields = {};
+
+  if (input.name !== undefined) {
+    fields.name = cleanText(input.name, 100);
+    if (!fields.name) throw new CategoryError('Name is required', 'INVALID_NAME');
+  }
+
+  if (input.description !== undefined) fields.description = cleanText(input.description, 255);
+
+  if (input.icon !== undefined) {
+    fields.icon = cleanText(input.icon, 50);
+    if (fields.icon && !ICON_PATTERN.test(fields.icon)) {
+      throw new CategoryError('Icon must be an icon name such as "wrench"', 'INVALID_ICON');
+    }
+  }
+
+  if (input.displayOrder !== undefined) {
+    fields.display_order = Number(input.displayOrder);
+    if (!Number.isInteger(fields.display_order) || fields.display_order < 0 || fields.display_order > 10000) {
+      throw new CategoryError('Display order must be a whole number from 0 to 10000', 'INVALID_ORDER');
+    }
+  }
+
+  if (input.isActive !== undefined) fields.is_active = input.isActive === true || input.isActive === 'true';
+
+  if (input.fieldSchema !== undefined) fields.field_schema = JSON.stringify(validateFieldSchema(input.fieldSchema));
+
+  return fields;
+};
+
+/**
+ * Create a category
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} input - { slug, name, description, icon, displayOrder, isActive, fieldSchema }
+ * @returns {object} - The new row
+ */
+const createCategory = async (db, input) => {
+  const slug = String(input.slug || '').trim().toLowerCase();
+
+  if (!CATEGORY_SLUG_PATTERN.test(slug)) {
+    throw new CategoryError(
+      'Slug must be 2-50 characters: lowercase letters, digits or _, starting with a letter',
+      'INVALID_SLUG'
+    );
+  }
+
+  const fields = validateFields({ ...input, name: input.name ?? '' });
+
+  const existing = await db.query('SELECT id FROM categories WHERE slug = $1', [slug]);
+  if (existing.rows.length > 0) {
+    throw new CategoryError('A category with this slug already exists', 'CATEGORY_EXISTS', 409);
+  }
+
+  const result = await db.query(
+    `INSERT INTO categories (slug, name, description, icon, display_order, is_active, field_schema, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [
+      slug,
+      fields.name,
+      fields.description || null,
+      fields.icon || null,
+      fields.display_order ?? 0,
+      fields.is_active ?? true,
+      fields.field_schema ?? '[]',
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Change a category's name, description, icon, order, active flag or fields (never its slug)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Category id
+ * @param {object} input - Any of { name, description, icon, displayOrder, isActive, fieldSchema }
+ * @returns {object} - The updated row
+ */
+const updateCategory = async (db, id, input) => {
+  if (input.slug !== undefined) {
+    throw new CategoryError('A category\'s slug cannot be changed', 'SLUG_IMMUTABLE');
+  }
+
+  const fields = validateFields(input);
+  const columns = Object.keys(fields);
+
+  if (columns.length === 0) {
+    throw new CategoryError('Nothing to update', 'NO_CHANGES');
+  }
+
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  const result = await db.query(
+    `UPDATE categories SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [id, ...columns.map((column) => fields[column])]
+  );
+
+  if (!result.rows[0]) throw new CategoryError('Category not found', 'CATEGORY_NOT_FOUND', 404);
+  return result.rows[0];
+};
+
+/**
+ * Delete a category no complaint uses
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Category id
+ */
+const deleteCategory = async (db, id) => {
+  const existing = await db.query('SELECT slug FROM categories WHERE id = $1', [id]);
+  if (!existing.rows[0]) throw new CategoryError('Category not found', 'CATEGORY_NOT_FOUND', 404);
+
+  const used = await db.query('SELECT COUNT(*)::int AS count FROM complaints WHERE category = $1', [existing.rows[0].slug]);
+  const count = used.rows[0].count;
+  if (count > 0) {
+    throw new CategoryError(
+      `${count} complaint${count === 1 ? ' is' : 's are'} filed under this category. Deactivate it instead.`,
+      'CATEGORY_IN_USE',
+      409
+    );
+  }
+
+  await db.query('DELETE FROM categories WHERE id = $1', [id]);
+};
+
+module.exports = {
+  CategoryError,
+  listCategories,
+  assertActiveCategory,
+  findCategory,
+  validateFieldAnswers,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,206 @@
+/**
+ * Comment Service
+ * The conversation between a complaint's owner and staff
+ *
+ * - Whoever may see the complaint (owner or complaints.read) may read its thread; the owner and
+ *   staff with complaints.update may add to it
+ * - A comment may carry one image or PDF, stored as an 'other' attachment of the complaint
+ * - Each new comment emails the other party: the owner when staff reply, otherwise the staff member
+ *   who last replied (or ADMIN_EMAIL when nobody has yet)
+ * - Withdrawn complaints are read-only
+ */
+
+const { getComplaintAccess } = require('./complaintService');
+const {
+  MAX_ATTACHMENTS_PER_COMPLAINT,
+  validateFiles,
+  storeFiles,
+  recordAttachments,
+} = require('./attachmentService');
+const { sendCommentNotificationEmail, getAdminEmail } = require('./emailService');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+class CommentError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'CommentError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isStaff = ({ permissions }) => permissions.includes('complaints.read');
+
+const canComment = (access) =>
+  access.complaint.status !== 'withdrawn' &&
+  (access.isOwner || access.permissions.includes('complaints.update'));
+
+/**
+ * Shape a comment row for the user reading it
+ * Citizens see staff only as the support team; staff see names
+ */
+const presentComment = (comment, user, access) => ({
+  id: comment.id,
+  complaint_id: comment.complaint_id,
+  author_role: comment.author_role,
+  author_name: isStaff(access) || comment.author_role === 'user'
+    ? comment.author_name
+    : 'Support team',
+  body: comment.body,
+  attachment: comment.attachment_url
+    ? {
+        id: comment.attachment_id,
+        url: comment.attachment_url,
+        file_name: comment.attachment_file_name,
+        mime_type: comment.attachment_mime_type,
+      }
+    : null,
+  created_at: comment.created_at,
+  isMine: !!user.id && comment.author_id === user.id,
+});
+
+const COMMENT_COLUMNS = `
+  c.id, c.complaint_id, c.author_id, c.author_role, c.body, c.created_at,
+  u.name AS author_name,
+  a.id AS attachment_id, a.url AS attachment_url, a.file_name AS attachment_file_name,
+  a.mime_type AS attachment_mime_type`;
+
+/**
+ * A complaint's comments, oldest first
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @returns {object} - { comments (each with isMine), canComment }
+ */
+const listComments = async (db, user, complaintId) => {
+  const access = await getComplaintAccess(db, user, complaintId);
+
+  const result = await db.query(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM complaint_comments c
+     LEFT JOIN users u ON u.id = c.author_id
+     LEFT JOIN complaint_attachments a ON a.id = c.attachment_id
+     WHERE c.complaint_id = $1
+     ORDER BY c.created_at ASC, c.id ASC`,
+    [complaintId]
+  );
+
+  return {
+    comments: result.rows.map((comment) => presentComment(comment, user, access)),
+    canComment: canComment(access),
+  };
+};
+
+/**
+ * Who hears about a new comment: the owner for staff replies, otherwise the last staff member to reply
+ * @returns {string|null} - Email address
+ */
+const findRecipient = async (db, access, commentId) => {
+  if (!access.isOwner) {
+    if (access.complaint.email) return access.complaint.email;
+    if (!access.complaint.user_id) return null;
+
+    const owner = await db.query('SELECT email FROM users WHERE id = $1', [access.complaint.user_id]);
+    return owner.rows[0]?.email || null;
+  }
+
+  const staff = await db.query(
+    `SELECT u.email
+     FROM complaint_comments c
+     JOIN users u ON u.id = c.author_id
+     WHERE c.complaint_id = $1 AND c.id <> $2 AND c.author_role <> 'user'
+     ORDER BY c.created_at DESC, c.id DESC
+     LIMIT 1`,
+    [access.complaint.id, commentId]
+  );
+  return staff.rows[0]?.email || getAdminEmail();
+};
+
+/**
+ * Add a comment and notify the other party
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @param {string} body - Comment text
+ * @param {Array} files - Multer files; at most one
+ * @returns {object} - The new comment, shaped like listComments
+ */
+const addComment = async (db, user, complaintId, body, files = []) => {
+  const access = await getComplaintAccess(db, user, complaintId);
+
+  if (!canComment(access)) {
+    throw new CommentError(
+      access.complaint.status === 'withdrawn'
+        ? 'This complaint has been withdrawn'
+        : 'You cannot comment on this complaint',
+      'COMMENTS_LOCKED',
+      access.complaint.status === 'withdrawn' ? 409 : 403
+    );
+  }
+
+  const text = String(body || '').trim();
+  if (!text) throw new CommentError('Comment cannot be empty', 'INVALID_COMMENT');
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new CommentError(`Comments can be at most ${MAX_COMMENT_LENGTH} characters`, 'INVALID_COMMENT');
+  }
+
+  if (files.length > 1) throw new CommentError('A comment can have one attachment', 'TOO_MANY_FILES');
+  validateFiles(files);
+
+  let attachment = null;
+  if (files.length > 0) {
+    const countResult = await db.query(
+      'SELECT COUNT(*)::int AS count FROM complaint_attachments WHERE complaint_id = $1',
+      [complaintId]
+    );
+    if (countResult.rows[0].count >= MAX_ATTACHMENTS_PER_COMPLAINT) {
+      throw new CommentError(
+        `This complaint already has ${MAX_ATTACHMENTS_PER_COMPLAINT} attachments`,
+        'TOO_MANY_ATTACHMENTS'
+      );
+    }
+
+    const stored = await storeFiles(files, 'complaints/comments');
+    [attachment] = await recordAttachments(db, complaintId, stored, { user, kind: 'other' });
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO complaint_comments (complaint_id, author_id, author_role, body, attachment_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING id`,
+    [complaintId, user.id || null, access.isOwner ? 'user' : user.role, text, attachment?.id || null]
+  );
+  const commentId = inserted.rows[0].id;
+
+  const result = await db.query(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM complaint_comments c
+     LEFT JOIN users u ON u.id = c.author_id
+     LEFT JOIN complaint_attachments a ON a.id = c.attachment_id
+     WHERE c.id = $1`,
+    [commentId]
+  );
+  const comment = result.rows[0];
+
+  // Email failures never fail the comment
+  findRecipient(db, access, commentId)
+    .then((recipient) => {
+      if (!recipient) return console.log(`📧 ⚠️ No recipient for comment ${commentId} - skipping notification`);
+      return sendCommentNotificationEmail(recipient, access.complaint, {
+        authorName: access.isOwner ? user.name || 'The citizen' : 'Support team',
+        body: text,
+        toStaff: access.isOwner,
+      });
+    })
+    .catch((err) => console.error(`Failed to send comment notification for ${commentId}:`, err.message));
+
+  return presentComment(comment, user, access);
+};
+
+module.exports = {
+  CommentError,
+  MAX_COMMENT_LENGTH,
+  listComments,
+  addComment,
+};
@@ -0,0 +1,213 @@
+/**
+ * Complaint Service
+ * Changes a citizen may make to their own complaints
+ *
+ * - A complaint can be edited or withdrawn only while it is still 'new', i.e. before staff review it
+ * - Both are recorded in status_history; a withdrawal moves the complaint to 'withdrawn',
+ *   which takes it out of SLA escalation
+ * - A changed category must be an active one from the categories table, and the complaint's
+ *   custom_fields are re-checked against the field schema of the category it ends up in
+ * - getComplaintAccess decides who may see a complaint's attachments and other shared resources
+ */
+
+const { getRolePermissions } = require('./permissionService');
+const { assertActiveCategory, findCategory, validateFieldAnswers } = require('./categoryService');
+
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
+
+const EDITABLE_FIELDS = ['category', 'description', 'priority'];
+
+// Complaints belong to a user by id, or by email for ones filed before user_id existed
+const OWN_COMPLAINT = 'id = $1 AND (user_id = $2 OR (email IS NOT NULL AND LOWER(email) = LOWER($3)))';
+
+class ComplaintError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ComplaintError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Lock one of the user's complaints inside a transaction and check it is still editable
+ * @returns {object} - The complaint row
+ */
+const lockEditableComplaint = async (client, user, complaintId) => {
+  // API keys file on a citizen's behalf but own nothing; other users' complaints look missing too
+  const notFound = new ComplaintError('Complaint not found', 'COMPLAINT_NOT_FOUND', 404);
+  if (!user.id) throw notFound;
+
+  const result = await client.query(
+    `SELECT * FROM complaints WHERE ${OWN_COMPLAINT} FOR UPDATE`,
+    [complaintId, user.id, user.email]
+  );
+  const complaint = result.rows[0];
+
+  if (!complaint) throw notFound;
+
+  if (complaint.status !== 'new') {
+    throw new ComplaintError(
+      complaint.status === 'withdrawn'
+        ? 'This complaint has been withdrawn'
+        : 'This complaint is already being handled and can no longer be changed',
+      'COMPLAINT_LOCKED',
+      409
+    );
+  }
+
+  return complaint;
+};
+
+/**
+ * Who the user is to a complaint: its owner, staff who can read every complaint, or neither
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @returns {object} - { complaint, isOwner, permissions } (throws unless owner or complaints.read)
+ */
+const getComplaintAccess = async (db, user, complaintId) => {
+  const result = await db.query('SELECT * FROM complaints WHERE id = $1', [complaintId]);
+  const complaint = result.rows[0];
+
+  if (!complaint) throw new ComplaintError('Complaint not found', 'COMPLAINT_NOT_FOUND', 404);
+
+  // API keys are checked against their scopes, like requirePermission does
+  const permissions = user.apiKey ? user.apiKey.scopes : await getRolePermissions(db, user.role);
+  const isOwner = !!user.id && (
+    complaint.user_id === user.id ||
+    (!!complaint.email && !!user.email && complaint.email.toLowerCase() === user.email.toLowerCase())
+  );
+
+  if (!isOwner && !permissions.includes('complaints.read')) {
+    throw new ComplaintError('Access denied', 'ACCESS_DENIED', 403);
+  }
+
+  return { complaint, isOwner, permissions };
+};
+
+// JSONB reorders object keys, so answers are compared by key and value only
+const answerValues = (answers) => JSON.stringify((answers || []).map(({ key, value }) => [key, value]));
+
+const inTransaction = async (db, work) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Edit a complaint the user filed that is still 'new'
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @param {object} changes - Any of { category, description, priority, custom_fields }
+ * @returns {object} - The updated complaint row
+ */
+const updateOwnComplaint = async (db, user, complaintId, changes) => {
+  const updates = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (changes[field] !== undefined) updates[field] = String(changes[field]).trim();
+  }
+
+  if (Object.keys(updates).length === 0 && changes.custom_fields === undefined) {
+    throw new ComplaintError(
+      `Nothing to update; editable fields are ${[...EDITABLE_FIELDS, 'custom_fields'].join(', ')}`,
+      'NO_CHANGES'
+    );
+  }
+
+  if (updates.category !== undefined && (!updates.category || updates.category.length > 50)) {
+    throw new ComplaintError('Category must be 1-50 characters', 'INVALID_CATEGORY');
+  }
+
+  if (updates.description !== undefined && !updates.description) {
+    throw new ComplaintError('Description cannot be empty', 'INVALID_DESCRIPTION');
+  }
+
+  if (updates.priority !== undefined && !VALID_PRIORITIES.includes(updates.priority)) {
+    throw new ComplaintError('Priority must be low, medium, or high', 'INVALID_PRIORITY');
+  }
+
+  return inTransaction(db, async (client) => {
+    const complaint = await lockEditableComplaint(client, user, complaintId);
+
+    const changed = Object.keys(updates).filter((field) => updates[field] !== complaint[field]);
+
+    // Keeping a category that has since been retired is fine; switching to one is not
+    const categoryChanged = changed.includes('category');
+    if (categoryChanged || changes.custom_fields !== undefined) {
+      const category = categoryChanged
+        ? await assertActiveCategory(client, updates.category)
+        : await findCategory(client, complaint.category);
+      const answers = validateFieldAnswers(category, changes.custom_fields);
+
+      if (answerValues(answers) !== answerValues(complaint.custom_fields)) {
+        updates.custom_fields = answers ? JSON.stringify(answers) : null;
+        changed.push('custom_fields');
+      }
+    }
+
+    if (changed.length === 0) return complaint;
+
+    const assignments = changed.map((field, i) => `${field} = $${i + 2}`);
+    const updated = await client.query(
+      `UPDATE complaints SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [complaint.id, ...changed.map((field) => updates[field])]
+    );
+
+    await client.query(
+      `INSERT INTO status_history (complaint_id, old_status, new_status, changed_by, changed_by_role, changed_at, notes)
+       VALUES ($1, 'new', 'new', $2, 'user', NOW(), $3)`,
+      [complaint.id, user.email, `Edited by citizen: ${changed.join(', ')}`]
+    );
+
+    return updated.rows[0];
+  });
+};
+
+/**
+ * Withdraw a complaint the user filed that is still 'new'
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @param {string} reason - Optional, kept in status_history
+ * @returns {object} - The updated complaint row
+ */
+const withdrawOwnComplaint = async (db, user, complaintId, reason) => {
+  const trimmedReason = reason ? String(reason).trim().slice(0, 500) : '';
+
+  return inTransaction(db, async (client) => {
+    const complaint = await lockEditableComplaint(client, user, complaintId);
+
+    const updated = await client.query(
+      `UPDATE complaints SET status = 'withdrawn', status_updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [complaint.id]
+    );
+
+    await client.query(
+      `INSERT INTO status_history (complaint_id, old_status, new_status, changed_by, changed_by_role, changed_at, notes)
+       VALUES ($1, 'new', 'withdrawn', $2, 'user', NOW(), $3)`,
+      [complaint.id, user.email, trimmedReason ? `Withdrawn by citizen: ${trimmedReason}` : 'Withdrawn by citizen']
+    );
+
+    return updated.rows[0];
+  });
+};
+
+module.exports = {
+  ComplaintError,
+  getComplaintAccess,
+  updateOwnComplaint,
+  withdrawOwnComplaint,
+};
@@ -290,6 +290,9 @@ const sendEmailUnified = async (options) => {
   return { success: false, error: 'No email service configured', method: 'none' };
 };
 
+// Complaints are named by their reference (CMP-2026-000123); rows from before references existed fall back to #id
+const complaintRef = (complaint) => complaint.reference || `#${complaint.id}`;
+
 /**
  * Send Complaint Submission Confirmation Email to User
  * @param {object} complaint - Complaint object with user email
@@ -315,7 +318,7 @@ const sendComplaintSubmissionEmail = async (complaint) => {
       <p>Your complaint has been successfully submitted and is now being reviewed by our team.</p>
       
       <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <p><strong>Complaint ID:</strong> #${complaint.id}</p>
+        <p><strong>Reference:</strong> ${complaintRef(complaint)}</p>
         <p><strong>Category:</strong> ${complaint.category}</p>
         <p><strong>Priority:</strong> <span style="text-transform: uppercase;">${complaint.priority}</span></p>
         <p><strong>Status:</strong> <span style="color: #3b82f6; font-weight: bold;">NEW</span></p>
@@ -340,7 +343,7 @@ const sendComplaintSubmissionEmail = async (complaint) => {
 
   const result = await sendEmailUnified({
     to: complaint.email,
-    subject: `📝 Complaint #${complaint.id} Submitted Successfully`,
+    subject: `📝 Complaint ${complaintRef(complaint)} Submitted Successfully`,
     html: html
   });
 
@@ -380,7 +383,7 @@ const sendEscalationEmail = async (complaint, hoursOverdue) => {
         </div>
         
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <p><strong>Complaint ID:</strong> #${complaint.id}</p>
+          <p><strong>Reference:</strong> ${complaintRef(complaint)}</p>
           <p><strong>Category:</strong> ${complaint.category}</p>
           <p><strong>Priority:</strong> 
             <span style="color: ${complaint.priority === 'high' ? '#dc2626' : complaint.priority === 'medium' ? '#f59e0b' : '#22c55e'}; font-weight: bold; text-transform: uppercase;">
@@ -414,7 +417,7 @@ const sendEscalationEmail = async (complaint, hoursOverdue) => {
 
     const result = await sendEmailUnified({
       to: adminEmail,
-      subject: `🚨 ESCALATION: Complaint #${complaint.id} - ${complaint.priority.toUpperCase()} Priority`,
+      subject: `🚨 ESCALATION: Complaint ${complaintRef(complaint)} - ${complaint.priority.toUpperCase()} Priority`,
       html: html
     });
     
@@ -498,7 +501,7 @@ const sendResolutionEmail = async (complaint) => {
         </div>
         
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <p style="margin: 5px 0;"><strong>Complaint ID:</strong> #${complaint.id}</p>
+          <p style="margin: 5px 0;"><strong>Reference:</strong> ${complaintRef(complaint)}</p>
           <p style="margin: 5px 0;"><strong>Category:</strong> ${complaint.category}</p>
           <p style="margin: 5px 0;"><strong>Status:</strong> <span style="color: #16a34a; font-weight: bold;">RESOLVED</span></p>
           <p style="margin: 5px 0;"><strong>Resolution Time:</strong> ${resolutionTimeText}</p>
@@ -527,7 +530,7 @@ const sendResolutionEmail = async (complaint) => {
     
     const result = await sendEmailUnified({
       to: complaint.email,
-      subject: `✅ Your Complaint #${complaint.id} Has Been Resolved`,
+      subject: `✅ Your Complaint ${complaintRef(complaint)} Has Been Resolved`,
       html: html,
       attachments: attachments
     });
@@ -662,6 +665,323 @@ const sendPasswordResetEmail = async (email, name, resetUrl, expiryMinutes = 15)
   return result.success;
 };
 
+/**
+ * Send Password Changed Email
+ * Confirms a password reset or change so the owner notices if it was not them
+ * @param {string} email - User email
+ * @param {string} name - User name
+ */
+const sendPasswordChangedEmail = async (email, name) => {
+  const resetUrl = `${FRONTEND_URL}/forgot-password`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #2563eb;">Your Password Was Changed</h2>
+      
+      <p>Hi ${name || 'User'},</p>
+      
+      <p>The password for your Complaint Portal account was changed on <strong>${new Date().toUTCString()}</strong>.</p>
+      
+      <p>For your security, you have been signed out of your other devices.</p>
+      
+      <div style="background-color: #fee2e2; padding: 15px; border-radius: 8px; margin: 20px 0;">
+        <p style="color: #991b1b; margin: 0; font-size: 14px;">
+          ⚠️ If you did not make this change, reset your password immediately:<br>
+          <a href="${resetUrl}">${resetUrl}</a>
+        </p>
+      </div>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: '🔐 Password Changed - Complaint Portal',
+    html: html
+  });
+
+  console.log(`📧 Password changed email result for ${email}:`, result);
+  return result.success;
+};
+
+/**
+ * Send Email Change Confirmation
+ * Goes to the NEW address; the change only happens once this link is opened
+ * @param {string} newEmail - Requested address
+ * @param {string} name - User name
+ * @param {string} confirmUrl - Confirmation link
+ */
+const sendEmailChangeConfirmation = async (newEmail, name, confirmUrl) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #3b82f6;">Confirm Your New Email Address</h2>
+      
+      <p>Hi ${name || 'User'},</p>
+      
+      <p>You asked to use <strong>${newEmail}</strong> for your Complaint Portal account. Click the button below to confirm:</p>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${confirmUrl}"
+           style="background-color: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+          Confirm Email Change
+        </a>
+      </div>
+      
+      <p style="color: #6b7280; font-size: 14px;">
+        Or copy and paste this link in your browser:<br>
+        <a href="${confirmUrl}">${confirmUrl}</a>
+      </p>
+      
+      <p style="color: #6b7280; font-size: 14px;">
+        This link will expire in 1 hour. If you did not request this, you can ignore this email.
+      </p>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: newEmail,
+    subject: '📧 Confirm Your New Email - Complaint Portal',
+    html: html
+  });
+
+  console.log(`📧 Email change confirmation result for ${newEmail}:`, result);
+  return result.success;
+};
+
+/**
+ * Send Email Change Notice
+ * Warns the CURRENT address that a change to another address was requested
+ * @param {string} email - Current address
+ * @param {string} name - User name
+ * @param {string} newEmail - Requested address
+ */
+const sendEmailChangeNotice = async (email, name, newEmail) => {
+  const resetUrl = `${FRONTEND_URL}/forgot-password`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #f59e0b;">Email Change Requested</h2>
+      
+      <p>Hi ${name || 'User'},</p>
+      
+      <p>Someone signed in to your Complaint Portal account asked to change its email address to <strong>${newEmail}</strong>.</p>
+      
+      <p>The change only takes effect once the new address is confirmed. Your complaints will move to the new address.</p>
+      
+      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
+        <p style="color: #92400e; margin: 0; font-size: 14px;">
+          ⚠️ If this was not you, reset your password now:<br>
+          <a href="${resetUrl}">${resetUrl}</a>
+        </p>
+      </div>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: '⚠️ Email Change Requested - Complaint Portal',
+    html: html
+  });
+
+  console.log(`📧 Email change notice result for ${email}:`, result);
+  return result.success;
+};
+
+/**
+ * Send Magic Link Login Email
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {string} loginUrl - One-time login link
+ * @param {number} expiryMinutes - Link lifetime
+ */
+const sendMagicLinkEmail = async (email, name, loginUrl, expiryMinutes) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #3b82f6;">Your Login Link</h2>
+      
+      <p>Hi ${name || 'User'},</p>
+      
+      <p>Click the button below to log in to the Complaint Portal. No password needed.</p>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${loginUrl}"
+           style="background-color: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+          Log In
+        </a>
+      </div>
+      
+      <p style="color: #6b7280; font-size: 14px;">
+        Or copy and paste this link in your browser:<br>
+        <a href="${loginUrl}">${loginUrl}</a>
+      </p>
+      
+      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
+        <p style="color: #92400e; margin: 0; font-size: 14px;">
+          ⚠️ This link will expire in <strong>${expiryMinutes} minutes</strong> and can only be used once.<br>
+          If you didn't ask to log in, you can safely ignore this email.
+        </p>
+      </div>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: '🔑 Your Login Link - Complaint Portal',
+    html: html
+  });
+
+  console.log(`📧 Magic link email result for ${email}:`, result);
+  return result.success;
+};
+
+/**
+ * Send Account Locked Email
+ * Sent when repeated failed logins lock an account
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {string} unlockUrl - Link that unlocks the account
+ * @param {number} lockMinutes - How long the lock lasts
+ */
+const sendAccountLockedEmail = async (email, name, unlockUrl, lockMinutes) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #dc2626;">Your Account Has Been Locked</h2>
+      
+      <p>Hi ${name || 'User'},</p>
+      
+      <p>We locked your Complaint Portal account for <strong>${lockMinutes} minutes</strong> after several failed login attempts.</p>
+      
+      <p>If this was you, you can unlock your account right away:</p>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${unlockUrl}"
+           style="background-color: #dc2626; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+          Unlock Account
+        </a>
+      </div>
+      
+      <p style="color: #6b7280; font-size: 14px;">
+        Or copy and paste this link in your browser:<br>
+        <a href="${unlockUrl}">${unlockUrl}</a>
+      </p>
+      
+      <div style="background-color: #fee2e2; padding: 15px; border-radius: 8px; margin: 20px 0;">
+        <p style="color: #991b1b; margin: 0; font-size: 14px;">
+          ⚠️ If you did not try to log in, someone may be guessing your password.
+          Consider resetting your password after unlocking.
+        </p>
+      </div>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: '🔒 Account Locked - Complaint Portal',
+    html: html
+  });
+
+  console.log(`📧 Account locked email result for ${email}:`, result);
+  return result.success;
+};
+
+/**
+ * Send Staff Invite Email
+ * @param {string} email - Invitee address
+ * @param {string} inviterName - Name (or email) of the superadmin who sent it
+ * @param {string} role - Role the account will get
+ * @param {string} inviteUrl - Accept link
+ * @param {number} expiryHours - Link lifetime
+ */
+const sendAdminInviteEmail = async (email, inviterName, role, inviteUrl, expiryHours) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background-color: #3b82f6; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
+        <h1 style="color: white; margin: 0; font-size: 22px;">Complaint Portal</h1>
+      </div>
+
+      <div style="border: 1px solid #e5e7eb; border-top: none; padding: 20px; border-radius: 0 0 8px 8px;">
+        <h2 style="color: #3b82f6;">You're invited to join the team</h2>
+        
+        <p>Hi,</p>
+        
+        <p>${inviterName || 'A superadmin'} has invited you to the Complaint Portal as <strong>${role}</strong>.
+        Set a password to activate your account and go straight to the admin dashboard.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${inviteUrl}"
+             style="background-color: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+            Accept Invitation
+          </a>
+        </div>
+        
+        <p style="color: #6b7280; font-size: 14px;">
+          Or copy and paste this link in your browser:<br>
+          <a href="${inviteUrl}">${inviteUrl}</a>
+        </p>
+        
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
+          <p style="color: #92400e; margin: 0; font-size: 14px;">
+            ⚠️ This invitation expires in <strong>${expiryHours} hours</strong> and can only be used once.<br>
+            If you weren't expecting it, you can ignore this email.
+          </p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: "You're invited to the Complaint Portal",
+    html: html
+  });
+
+  console.log(`📧 Admin invite email result for ${email}:`, result);
+  return result.success;
+};
+
+/**
+ * Send Account Deletion Scheduled Email
+ * Confirms a self-service deletion request and explains how to cancel it
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {Date|string} scheduledFor - When the account will be removed
+ */
+const sendAccountDeletionEmail = async (email, name, scheduledFor) => {
+  const settingsUrl = `${FRONTEND_URL}/user/settings`;
+  const deletionDate = new Date(scheduledFor).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #ef4444;">Account Deletion Scheduled</h2>
+      
+      <p>Hi ${name || 'User'},</p>
+      
+      <p>Your Complaint Portal account will be deleted on <strong>${deletionDate}</strong>.</p>
+      
+      <p>Your complaints are kept so they can still be handled, but your name and email will be removed from them.</p>
+      
+      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
+        <p style="color: #92400e; margin: 0; font-size: 14px;">
+          ⚠️ Changed your mind? Sign in before that date and cancel the deletion in your settings:<br>
+          <a href="${settingsUrl}">${settingsUrl}</a>
+        </p>
+      </div>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: 'Account Deletion Scheduled - Complaint Portal',
+    html: html
+  });
+
+  console.log(`📧 Account deletion email result for ${email}:`, result);
+  return result.success;
+};
+
 /**
  * Send Status Change Email to User
  * Called when complaint status changes to 'under-review'
@@ -702,7 +1022,7 @@ const sendStatusChangeEmail = async (complaint, newStatus) => {
         <p>Good news! Your complaint has been picked up by our team and is now being reviewed.</p>
         
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <p><strong>Complaint ID:</strong> #${complaint.id}</p>
+          <p><strong>Reference:</strong> ${complaintRef(complaint)}</p>
           <p><strong>Category:</strong> ${complaint.category}</p>
           <p><strong>Priority:</strong> <span style="text-transform: uppercase;">${complaint.priority}</span></p>
           <p><strong>Status:</strong> <span style="color: ${statusColor}; font-weight: bold;">${statusText.toUpperCase()}</span></p>
@@ -727,7 +1047,7 @@ const sendStatusChangeEmail = async (complaint, newStatus) => {
 
     const result = await sendEmailUnified({
       to: complaint.email,
-      subject: `🔍 Complaint #${complaint.id} Status Update - Now ${statusText}`,
+      subject: `🔍 Complaint ${complaintRef(complaint)} Status Update - Now ${statusText}`,
       html: html
     });
 
@@ -741,6 +1061,88 @@ const sendStatusChangeEmail = async (complaint, newStatus) => {
   }
 };
 
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Send New Comment Email
+ * Tells the other side of a complaint's conversation that someone replied
+ * @param {string} email - Recipient (the citizen, or staff)
+ * @param {object} complaint - Complaint row
+ * @param {object} comment - { authorName, body, toStaff }
+ */
+const sendCommentNotificationEmail = async (email, complaint, { authorName, body, toStaff }) => {
+  // Complaints filed without an account are followed through their tracking code
+  const complaintPath = toStaff ? 'admin/complaints' : complaint.tracking_code ? 'anonymous' : 'user/complaints';
+  const complaintUrl = `${FRONTEND_URL}/${complaintPath}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #2563eb;">💬 New Reply on Complaint ${complaintRef(complaint)}</h2>
+      
+      <p><strong>${escapeHtml(authorName)}</strong> wrote:</p>
+      
+      <p style="background-color: #f9fafb; padding: 15px; border-radius: 8px; border-left: 4px solid #2563eb; white-space: pre-wrap;">${escapeHtml(body)}</p>
+      
+      <p style="color: #6b7280; font-size: 14px;">
+        <strong>Category:</strong> ${complaint.category} &middot; <strong>Status:</strong> ${complaint.status}
+      </p>
+      
+      <p>View the conversation:<br>
+        <a href="${complaintUrl}">${complaintUrl}</a>
+      </p>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: `💬 New reply on complaint ${complaintRef(complaint)}`,
+    html: html
+  });
+
+  console.log(`📧 Comment notification for complaint ${complaint.id} to ${email}:`, result);
+  return result.success;
+};
+
+/**
+ * Send Mention Email
+ * Tells a staff member they were @mentioned in an internal note
+ * @param {string} email - Mentioned staff member
+ * @param {object} complaint - Complaint row
+ * @param {object} note - { authorName, body }
+ */
+const sendNoteMentionEmail = async (email, complaint, { authorName, body }) => {
+  const complaintUrl = `${FRONTEND_URL}/admin/complaints`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #92400e;">📌 You Were Mentioned on Complaint ${complaintRef(complaint)}</h2>
+      
+      <p><strong>${escapeHtml(authorName)}</strong> left an internal note:</p>
+      
+      <p style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b; white-space: pre-wrap;">${escapeHtml(body)}</p>
+      
+      <p style="color: #6b7280; font-size: 14px;">
+        Internal notes are visible to staff only.
+      </p>
+      
+      <p><a href="${complaintUrl}">${complaintUrl}</a></p>
+    </div>
+  `;
+
+  const result = await sendEmailUnified({
+    to: email,
+    subject: `📌 Mentioned on complaint ${complaintRef(complaint)}`,
+    html: html
+  });
+
+  console.log(`📧 Mention email for complaint ${complaint.id} to ${email}:`, result);
+  return result.success;
+};
+
 /**
  * Send Test Email - for debugging email configuration
  * @param {string} recipientEmail - Email to send test to
@@ -855,8 +1257,8 @@ const sendSuperadminEscalationAlert = async (complaint, hoursOverdue, superadmin
             <h3 style="margin-top: 0; color: #1e293b;">Complaint Details</h3>
             <table style="width: 100%; border-collapse: collapse;">
               <tr>
-                <td style="padding: 8px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; width: 140px;">Complaint ID:</td>
-                <td style="padding: 8px 0; border-bottom: 1px solid #e2e8f0;">#${complaint.id}</td>
+                <td style="padding: 8px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; width: 140px;">Reference:</td>
+                <td style="padding: 8px 0; border-bottom: 1px solid #e2e8f0;">${complaintRef(complaint)}</td>
               </tr>
               <tr>
                 <td style="padding: 8px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold;">Category:</td>
@@ -924,7 +1326,7 @@ const sendSuperadminEscalationAlert = async (complaint, hoursOverdue, superadmin
 
     const result = await sendEmailUnified({
       to: superadminEmail,
-      subject: `🚨 ${urgencyLevel} ESCALATION: Complaint #${complaint.id} - Level ${complaint.escalation_level}`,
+      subject: `🚨 ${urgencyLevel} ESCALATION: Complaint ${complaintRef(complaint)} - Level ${complaint.escalation_level}`,
       html: html
     });
     
@@ -948,7 +1350,16 @@ module.exports = {
   sendResolutionEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendMagicLinkEmail,
+  sendAccountLockedEmail,
+  sendAdminInviteEmail,
+  sendAccountDeletionEmail,
   sendStatusChangeEmail,
+  sendCommentNotificationEmail,
+  sendNoteMentionEmail,
   sendTestEmail,
   sendSuperadminEscalationAlert,
 };
@@ -14,10 +14,10 @@ const processEscalations = async (db) => {
   console.log('⏰ [ESCALATION] Starting escalation check...');
   
   try {
-    // Fetch all unresolved complaints
+    // Fetch all open complaints (withdrawn ones no longer have an SLA)
     const result = await db.query(`
       SELECT * FROM complaints 
-      WHERE status != 'resolved'
+      WHERE status NOT IN ('resolved', 'withdrawn')
       ORDER BY created_at ASC
     `);
     const complaints = result.rows;
@@ -117,7 +117,7 @@ const getEscalationStats = async (db) => {
         SUM(CASE WHEN escalation_level >= 3 THEN 1 ELSE 0 END) as critical_escalations,
         AVG(escalation_level) as avg_escalation_level
       FROM complaints 
-      WHERE status != 'resolved'
+      WHERE status NOT IN ('resolved', 'withdrawn')
     `);
     const stats = statsResult.rows;
 
@@ -127,7 +127,7 @@ const getEscalationStats = async (db) => {
         COUNT(*) as count,
         SUM(CASE WHEN escalation_level > 0 THEN 1 ELSE 0 END) as escalated
       FROM complaints 
-      WHERE status != 'resolved'
+      WHERE status NOT IN ('resolved', 'withdrawn')
       GROUP BY priority
     `);
     const byPriority = byPriorityResult.rows;
@@ -0,0 +1,162 @@
+/**
+ * Impersonation Service
+ * Superadmin "view as user" sessions and their audit trail
+ *
+ * - A session is opened for one target user and backs a short-lived access token marked with `imp`
+ * - Superadmins can never be impersonated
+ * - Every request made with the token is recorded in impersonation_requests
+ * - Ending the session (or its expiry) makes the token unusable
+ */
+
+const { ROLES, IMPERSONATION_TOKEN_EXPIRY_MINUTES } = require('../config/jwt');
+
+class ImpersonationError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ImpersonationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Open an impersonation session
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} superadmin - { id, email } of the signed-in superadmin
+ * @param {number} targetId - User to view as
+ * @param {object} context - { reason, ipAddress, userAgent }
+ * @returns {object} - { impersonation, target } (target is the full user row)
+ */
+const startImpersonation = async (db, superadmin, targetId, { reason, ipAddress, userAgent }) => {
+  const id = Number(targetId);
+  if (!Number.isInteger(id)) {
+    throw new ImpersonationError('User not found', 'USER_NOT_FOUND', 404);
+  }
+
+  if (id === superadmin.id) {
+    throw new ImpersonationError('You cannot impersonate yourself', 'SELF_IMPERSONATION');
+  }
+
+  const result = await db.query('SELECT * FROM users WHERE id = $1', [id]);
+  const target = result.rows[0];
+
+  if (!target) {
+    throw new ImpersonationError('User not found', 'USER_NOT_FOUND', 404);
+  }
+
+  if (target.role === ROLES.SUPERADMIN) {
+    throw new ImpersonationError('Superadmins cannot be impersonated', 'TARGET_IS_SUPERADMIN', 403);
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO impersonation_sessions
+       (superadmin_id, superadmin_email, target_user_id, target_email, reason, ip_address, user_agent, started_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW() + ($8 || ' minutes')::INTERVAL)
+     RETURNING id, started_at, expires_at`,
+    [
+      superadmin.id,
+      superadmin.email,
+      target.id,
+      target.email,
+      reason ? String(reason).slice(0, 500) : null,
+      ipAddress || null,
+      userAgent || null,
+      String(IMPERSONATION_TOKEN_EXPIRY_MINUTES),
+    ]
+  );
+
+  return { impersonation: inserted.rows[0], target };
+};
+
+/**
+ * Whether a session is still open and unexpired
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Impersonation session id
+ */
+const isImpersonationActive = async (db, id) => {
+  const result = await db.query(
+    'SELECT id FROM impersonation_sessions WHERE id = $1 AND ended_at IS NULL AND expires_at > NOW()',
+    [id]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Close a session ("return to my account")
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Impersonation session id
+ * @returns {boolean} - Whether it was still open
+ */
+const endImpersonation = async (db, id) => {
+  const result = await db.query(
+    'UPDATE impersonation_sessions SET ended_at = NOW() WHERE id = $1 AND ended_at IS NULL RETURNING id',
+    [id]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Record one request made under an impersonation token
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Impersonation session id
+ * @param {object} request - { method, path, statusCode }
+ */
+const logImpersonatedRequest = async (db, id, { method, path, statusCode }) => {
+  try {
+    await db.query(
+      `INSERT INTO impersonation_requests (impersonation_id, method, path, status_code, created_at)
+       VALUES ($1, $2, $3, $4, NOW())`,
+      [id, method, String(path).slice(0, 500), statusCode]
+    );
+  } catch (err) {
+    console.error('🕵️ [IMPERSONATION] Failed to record request:', err.message);
+  }
+};
+
+/**
+ * Recent impersonation sessions with their request counts (superadmin audit view)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} limit - Max rows
+ */
+const listImpersonations = async (db, limit = 100) => {
+  const result = await db.query(
+    `SELECT s.id, s.superadmin_email, s.target_email, s.reason, s.ip_address,
+            s.started_at, s.expires_at, s.ended_at,
+            (SELECT COUNT(*) FROM impersonation_requests r WHERE r.impersonation_id = s.id) AS request_count
+     FROM impersonation_sessions s
+     ORDER BY s.started_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+
+  return result.rows.map((row) => ({
+    ...row,
+    request_count: parseInt(row.request_count, 10),
+  }));
+};
+
+/**
+ * Requests made during one session, oldest first
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Impersonation session id
+ */
+const getImpersonationRequests = async (db, id) => {
+  const result = await db.query(
+    `SELECT id, method, path, status_code, created_at
+     FROM impersonation_requests
+     WHERE impersonation_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [id]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  ImpersonationError,
+  startImpersonation,
+  isImpersonationActive,
+  endImpersonation,
+  logImpersonatedRequest,
+  listImpersonations,
+  getImpersonationRequests,
+};
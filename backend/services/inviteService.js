@@ -0,0 +1,229 @@
+/**
+ * Invite Service
+ * Staff onboarding by email invitation, stored on admin_whitelist
+ *
+ * - An invite whitelists the address and carries a single-use token (stored as a SHA-256 hash)
+ * - Accepting creates the account with the invited role and a verified email
+ * - Resending issues a new token and expiry; the old link stops working
+ * - Rows without a token are plain whitelist entries (SSO / legacy) and are left alone
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/jwt');
+const { roleExists, isRoleWithin } = require('./permissionService');
+
+const INVITE_EXPIRY_HOURS = 72;
+
+class InviteError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'InviteError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const notFound = () => new InviteError('Invite not found', 'INVITE_NOT_FOUND', 404);
+
+const INVITE_COLUMNS = `w.id, w.email, w.invite_role AS role, w.created_at, w.invite_sent_at,
+  w.invite_expires_at AS expires_at, w.accepted_at, inviter.email AS invited_by,
+  CASE
+    WHEN w.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN w.invite_expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END AS status`;
+
+// Give an invite row a fresh token and expiry; returns the plain token
+const issueToken = async (db, id) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `UPDATE admin_whitelist
+     SET invite_token_hash = $1,
+         invite_expires_at = NOW() + ($2 || ' hours')::INTERVAL,
+         invite_sent_at = NOW()
+     WHERE id = $3`,
+    [hashToken(token), String(INVITE_EXPIRY_HOURS), id]
+  );
+
+  return token;
+};
+
+const getInviteById = async (db, id) => {
+  const result = await db.query(
+    `SELECT ${INVITE_COLUMNS}
+     FROM admin_whitelist w LEFT JOIN users inviter ON inviter.id = w.invited_by
+     WHERE w.id = $1 AND w.invite_sent_at IS NOT NULL`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * All invites, newest first (plain whitelist entries are not included)
+ * @param {object} db - PostgreSQL database connection
+ */
+const listInvites = async (db) => {
+  const result = await db.query(
+    `SELECT ${INVITE_COLUMNS}
+     FROM admin_whitelist w LEFT JOIN users inviter ON inviter.id = w.invited_by
+     WHERE w.invite_sent_at IS NOT NULL
+     ORDER BY w.invite_sent_at DESC`
+  );
+  return result.rows;
+};
+
+/**
+ * Invite a staff member (re-inviting a pending or expired address replaces the old invite)
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} input - { email, role, invitedBy: { id, role } }
+ * @returns {object} - { token (plain, for the email), invite }
+ */
+const createInvite = async (db, { email, role = ROLES.ADMIN, invitedBy }) => {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw new InviteError('Please enter a valid email address', 'INVALID_EMAIL');
+  }
+
+  if (role === ROLES.USER || !(await roleExists(db, role))) {
+    throw new InviteError('Invites must be for a staff role', 'INVALID_ROLE');
+  }
+  if (role === ROLES.SUPERADMIN && invitedBy.role !== ROLES.SUPERADMIN) {
+    throw new InviteError('Only a superadmin can invite superadmins', 'FORBIDDEN_ROLE', 403);
+  }
+  if (!(await isRoleWithin(db, role, invitedBy.role))) {
+    throw new InviteError('You cannot invite someone to a role with permissions you do not have', 'FORBIDDEN_ROLE', 403);
+  }
+
+  const existingUser = await db.query('SELECT id FROM users WHERE LOWER(email) = $1', [normalizedEmail]);
+  if (existingUser.rows.length > 0) {
+    throw new InviteError('An account with this email already exists', 'USER_EXISTS', 409);
+  }
+
+  const result = await db.query(
+    `INSERT INTO admin_whitelist (email, invite_role, invited_by, created_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (email) DO UPDATE
+       SET invite_role = EXCLUDED.invite_role, invited_by = EXCLUDED.invited_by, accepted_at = NULL
+     RETURNING id`,
+    [normalizedEmail, role, invitedBy.id]
+  );
+
+  const id = result.rows[0].id;
+  const token = await issueToken(db, id);
+  return { token, invite: await getInviteById(db, id) };
+};
+
+/**
+ * Send a fresh link for a pending or expired invite
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - admin_whitelist id
+ * @returns {object} - { token, invite }
+ */
+const resendInvite = async (db, id) => {
+  const invite = await getInviteById(db, Number(id) || 0);
+  if (!invite) throw notFound();
+  if (invite.status === 'accepted') {
+    throw new InviteError('This invite has already been accepted', 'INVITE_ACCEPTED', 409);
+  }
+
+  const token = await issueToken(db, invite.id);
+  return { token, invite: await getInviteById(db, invite.id) };
+};
+
+/**
+ * Withdraw an invite that has not been accepted (also removes the whitelist entry)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - admin_whitelist id
+ */
+const revokeInvite = async (db, id) => {
+  const invite = await getInviteById(db, Number(id) || 0);
+  if (!invite) throw notFound();
+  if (invite.status === 'accepted') {
+    throw new InviteError('This invite has already been accepted', 'INVITE_ACCEPTED', 409);
+  }
+
+  await db.query('DELETE FROM admin_whitelist WHERE id = $1', [invite.id]);
+};
+
+/**
+ * Look up a usable invite by its token
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} token - Plain token from the invite link
+ * @returns {object|null} - { id, email, role, invitedByName }
+ */
+const findPendingInvite = async (db, token) => {
+  if (!token) return null;
+
+  const result = await db.query(
+    `SELECT w.id, w.email, w.invite_role AS role, inviter.name AS invited_by_name
+     FROM admin_whitelist w LEFT JOIN users inviter ON inviter.id = w.invited_by
+     WHERE w.invite_token_hash = $1 AND w.accepted_at IS NULL AND w.invite_expires_at > NOW()`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Accept an invite: create the staff account and burn the token
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} token - Plain token from the invite link
+ * @param {object} input - { name, password }
+ * @returns {object} - Created user row
+ */
+const acceptInvite = async (db, token, { name, password }) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Claiming the row first makes a double submit fail instead of creating two accounts
+    const claim = await client.query(
+      `UPDATE admin_whitelist SET accepted_at = NOW(), invite_token_hash = NULL
+       WHERE invite_token_hash = $1 AND accepted_at IS NULL AND invite_expires_at > NOW()
+       RETURNING email, invite_role`,
+      [hashToken(token)]
+    );
+
+    const invite = claim.rows[0];
+    if (!invite) {
+      throw new InviteError('This invite link is invalid, has expired or was already used', 'INVALID_INVITE');
+    }
+
+    const existing = await client.query('SELECT id FROM users WHERE LOWER(email) = $1', [invite.email]);
+    if (existing.rows.length > 0) {
+      throw new InviteError('An account with this email already exists. Please log in.', 'USER_EXISTS', 409);
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const result = await client.query(
+      `INSERT INTO users (email, password_hash, name, role, email_verified, created_at)
+       VALUES ($1, $2, $3, $4, TRUE, NOW())
+       RETURNING *`,
+      [invite.email, passwordHash, name || null, invite.invite_role || ROLES.ADMIN]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  INVITE_EXPIRY_HOURS,
+  InviteError,
+  listInvites,
+  createInvite,
+  resendInvite,
+  revokeInvite,
+  findPendingInvite,
+  acceptInvite,
+};
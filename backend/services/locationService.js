@@ -0,0 +1,97 @@
+/**
+ * Location Service
+ * Optional coordinates and address on complaints
+ *
+ * - latitude and longitude are WGS84 degrees and are given together or not at all
+ * - address is free text the citizen typed, kept as-is; it is never geocoded
+ * - Admin listings filter by a bbox of "west,south,east,north" (GeoJSON order); a west edge
+ *   east of the east edge means the box crosses the antimeridian
+ */
+
+const MAX_ADDRESS_LENGTH = 255;
+
+class LocationError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'LocationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const parseDegrees = (value, limit, name) => {
+  const degrees = Number(value);
+  if (!Number.isFinite(degrees) || Math.abs(degrees) > limit) {
+    throw new LocationError(`${name} must be a number from -${limit} to ${limit}`, 'INVALID_LOCATION');
+  }
+  return degrees;
+};
+
+/**
+ * Location fields from a complaint request
+ * @param {object} input - { latitude, longitude, address }, numbers or strings (multipart)
+ * @returns {object} - { latitude, longitude, address }, each null when not given
+ */
+const parseLocation = (input = {}) => {
+  const address = isBlank(input.address) ? null : String(input.address).trim().slice(0, MAX_ADDRESS_LENGTH);
+
+  if (isBlank(input.latitude) && isBlank(input.longitude)) {
+    return { latitude: null, longitude: null, address };
+  }
+  if (isBlank(input.latitude) || isBlank(input.longitude)) {
+    throw new LocationError('Latitude and longitude must be given together', 'INVALID_LOCATION');
+  }
+
+  return {
+    latitude: parseDegrees(input.latitude, 90, 'Latitude'),
+    longitude: parseDegrees(input.longitude, 180, 'Longitude'),
+    address,
+  };
+};
+
+/**
+ * Parse a bbox query parameter
+ * @param {string} value - "west,south,east,north" in degrees
+ * @returns {object} - { west, south, east, north }
+ */
+const parseBbox = (value) => {
+  const parts = String(value).split(',').map((part) => Number(part.trim()));
+
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    throw new LocationError('bbox must be "west,south,east,north" in degrees', 'INVALID_BBOX');
+  }
+
+  const [west, south, east, north] = parts;
+  if (Math.abs(west) > 180 || Math.abs(east) > 180 || Math.abs(south) > 90 || Math.abs(north) > 90 || south > north) {
+    throw new LocationError('bbox is outside the valid range or has south above north', 'INVALID_BBOX');
+  }
+
+  return { west, south, east, north };
+};
+
+/**
+ * SQL condition matching complaints inside a bbox; complaints without coordinates never match
+ * @param {object} bbox - From parseBbox
+ * @param {number} firstParam - Number of the first $ placeholder to use
+ * @returns {object} - { sql, params }
+ */
+const bboxCondition = ({ west, south, east, north }, firstParam = 1) => {
+  const [s, n, w, e] = [0, 1, 2, 3].map((i) => `$${firstParam + i}`);
+  const longitude = west <= east
+    ? `longitude BETWEEN ${w} AND ${e}`
+    : `(longitude >= ${w} OR longitude <= ${e})`;
+
+  return {
+    sql: `latitude BETWEEN ${s} AND ${n} AND ${longitude}`,
+    params: [south, north, west, east],
+  };
+};
+
+module.exports = {
+  LocationError,
+  parseLocation,
+  parseBbox,
+  bboxCondition,
+};
@@ -0,0 +1,193 @@
+/**
+ * Login Attempt Service
+ * Records every login attempt and enforces brute-force limits
+ *
+ * - Per account: every MAX_FAILED_ATTEMPTS consecutive failures lock the account,
+ *   doubling the lock each time (15 min, 30 min, 1h ... capped at 24h)
+ * - Per IP: too many failures across any accounts blocks the IP for a while
+ * - A successful login resets the account counter
+ */
+
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const IP_FAILURE_LIMIT = 20;
+const IP_WINDOW_MINUTES = 15;
+
+// Attempts older than this are purged
+const RETENTION_DAYS = 90;
+
+/**
+ * Lock duration after a given number of consecutive failures
+ * @param {number} failedCount - Consecutive failed attempts
+ * @returns {number} - Minutes to lock for, or 0 if no lock is due
+ */
+const getLockoutMinutes = (failedCount) => {
+  if (failedCount < MAX_FAILED_ATTEMPTS || failedCount % MAX_FAILED_ATTEMPTS !== 0) return 0;
+
+  const lockNumber = failedCount / MAX_FAILED_ATTEMPTS;
+  return Math.min(BASE_LOCKOUT_MINUTES * 2 ** (lockNumber - 1), MAX_LOCKOUT_MINUTES);
+};
+
+/**
+ * Record a login attempt
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} attempt - { userId, email, ipAddress, userAgent, success, reason }
+ */
+const recordLoginAttempt = async (db, { userId = null, email, ipAddress, userAgent, success, reason = null }) => {
+  try {
+    await db.query(
+      `INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, reason, created_at)
+       VALUES ($1, LOWER($2), $3, $4, $5, $6, NOW())`,
+      [userId, email, ipAddress, userAgent, success, reason]
+    );
+  } catch (err) {
+    // Never fail a login because the audit insert failed
+    console.error('🔐 [LOGIN ATTEMPTS] Failed to record attempt:', err.message);
+  }
+};
+
+/**
+ * Whether an IP has had too many recent failures
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} ipAddress - Client IP
+ * @returns {boolean}
+ */
+const isIpBlocked = async (db, ipAddress) => {
+  if (!ipAddress) return false;
+
+  const result = await db.query(
+    `SELECT COUNT(*) AS failures FROM login_attempts
+     WHERE ip_address = $1 AND success = FALSE
+       AND created_at > NOW() - ($2 || ' minutes')::INTERVAL`,
+    [ipAddress, String(IP_WINDOW_MINUTES)]
+  );
+
+  return parseInt(result.rows[0].failures, 10) >= IP_FAILURE_LIMIT;
+};
+
+/**
+ * Count a failed attempt against an account and lock it when the threshold is hit
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {object} - { failedCount, locked, lockedUntil, lockMinutes }
+ */
+const registerFailedLogin = async (db, userId) => {
+  const result = await db.query(
+    `UPDATE users SET failed_login_count = COALESCE(failed_login_count, 0) + 1
+     WHERE id = $1 RETURNING failed_login_count`,
+    [userId]
+  );
+
+  const failedCount = result.rows[0]?.failed_login_count || 0;
+  const lockMinutes = getLockoutMinutes(failedCount);
+
+  if (lockMinutes === 0) {
+    return { failedCount, locked: false, lockedUntil: null, lockMinutes: 0 };
+  }
+
+  const lock = await db.query(
+    `UPDATE users SET locked_until = NOW() + ($1 || ' minutes')::INTERVAL
+     WHERE id = $2 RETURNING locked_until`,
+    [String(lockMinutes), userId]
+  );
+
+  return { failedCount, locked: true, lockedUntil: lock.rows[0].locked_until, lockMinutes };
+};
+
+/**
+ * Clear the failure counter and any lock (successful login or unlock link)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ */
+const resetFailedLogins = async (db, userId) => {
+  await db.query(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+};
+
+/**
+ * Whether a user row is currently locked
+ * @param {object} user - Row with locked_until
+ */
+const isAccountLocked = (user) => !!user.locked_until && new Date(user.locked_until) > new Date();
+
+/**
+ * Recent failed logins grouped per account (superadmin view)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} hours - Look-back window
+ */
+const getFailedLoginSummary = async (db, hours = 24) => {
+  const result = await db.query(
+    `SELECT la.email,
+            MAX(la.user_id) AS user_id,
+            MAX(u.name) AS name,
+            MAX(u.role) AS role,
+            MAX(u.locked_until) AS locked_until,
+            COUNT(*) AS failed_count,
+            COUNT(DISTINCT la.ip_address) AS ip_count,
+            MAX(la.created_at) AS last_failed_at
+     FROM login_attempts la
+     LEFT JOIN users u ON u.id = la.user_id
+     WHERE la.success = FALSE
+       AND la.created_at > NOW() - ($1 || ' hours')::INTERVAL
+     GROUP BY la.email
+     ORDER BY last_failed_at DESC
+     LIMIT 100`,
+    [String(hours)]
+  );
+
+  return result.rows.map((row) => ({
+    ...row,
+    failed_count: parseInt(row.failed_count, 10),
+    ip_count: parseInt(row.ip_count, 10),
+  }));
+};
+
+/**
+ * Latest login attempts for one account
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} email - Account email
+ * @param {number} limit - Max rows
+ */
+const getLoginAttempts = async (db, email, limit = 50) => {
+  const result = await db.query(
+    `SELECT id, ip_address, user_agent, success, reason, created_at
+     FROM login_attempts
+     WHERE email = LOWER($1)
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [email, limit]
+  );
+  return result.rows;
+};
+
+/**
+ * Delete old login attempts
+ * @param {object} db - PostgreSQL database connection
+ */
+const cleanupLoginAttempts = async (db) => {
+  try {
+    await db.query(
+      `DELETE FROM login_attempts WHERE created_at < NOW() - ($1 || ' days')::INTERVAL`,
+      [String(RETENTION_DAYS)]
+    );
+  } catch (err) {
+    // Silently handle - table may not exist yet
+  }
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  getLockoutMinutes,
+  recordLoginAttempt,
+  isIpBlocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  isAccountLocked,
+  getFailedLoginSummary,
+  getLoginAttempts,
+  cleanupLoginAttempts,
+};
@@ -0,0 +1,80 @@
+/**
+ * Magic Link Service
+ * Email login links: the link carries a signed JWT whose jti is stored here,
+ * so each link works once and a newer link replaces older ones.
+ */
+
+const crypto = require('crypto');
+const { getSetting } = require('./settingsService');
+
+const MAGIC_LINK_EXPIRY_MINUTES = 15;
+
+/**
+ * Whether the superadmin allows login links for a role
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} role - User role
+ */
+const isMagicLinkEnabled = async (db, role) => {
+  const disabledRoles = await getSetting(db, 'magicLinkDisabledRoles');
+  return !(Array.isArray(disabledRoles) && disabledRoles.includes(role));
+};
+
+/**
+ * Register a new login link for a user (older unused links stop working)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {string} - Link id (jti) to embed in the token
+ */
+const createMagicLink = async (db, userId) => {
+  const id = crypto.randomUUID();
+
+  await db.query(
+    'UPDATE magic_link_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  await db.query(
+    `INSERT INTO magic_link_tokens (id, user_id, expires_at, created_at)
+     VALUES ($1, $2, NOW() + ($3 || ' minutes')::INTERVAL, NOW())`,
+    [id, userId, String(MAGIC_LINK_EXPIRY_MINUTES)]
+  );
+
+  return id;
+};
+
+/**
+ * Mark a login link as used
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} id - Link id (jti)
+ * @param {number} userId - User the token was issued to
+ * @returns {boolean} - False if unknown, expired or already used
+ */
+const claimMagicLink = async (db, id, userId) => {
+  const result = await db.query(
+    `UPDATE magic_link_tokens SET used_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING id`,
+    [id, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Delete used and expired login links
+ * @param {object} db - PostgreSQL database connection
+ */
+const cleanupMagicLinks = async (db) => {
+  try {
+    await db.query('DELETE FROM magic_link_tokens WHERE used_at IS NOT NULL OR expires_at < NOW()');
+  } catch (err) {
+    // Silently handle - table may not exist yet
+  }
+};
+
+module.exports = {
+  MAGIC_LINK_EXPIRY_MINUTES,
+  isMagicLinkEnabled,
+  createMagicLink,
+  claimMagicLink,
+  cleanupMagicLinks,
+};
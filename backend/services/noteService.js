@@ -0,0 +1,158 @@
+/**
+ * Note Service
+ * Internal notes staff leave on a complaint; the complainant never sees them
+ *
+ * - Reading and writing both need complaints.notes (admin and superadmin by default, never API keys)
+ * - "@handle" mentions another staff member with complaints.notes, where handle is their email's
+ *   local part (or the whole address); each mentioned person is emailed
+ * - Notes live only in complaint_notes, which no citizen-facing query or data export reads
+ */
+
+const { getRolePermissions } = require('./permissionService');
+const { sendNoteMentionEmail } = require('./emailService');
+
+const MAX_NOTE_LENGTH = 2000;
+
+const NOTES_PERMISSION = 'complaints.notes';
+
+// "@jane" or "@jane.doe@city.gov", not preceded by a word character (skips plain email addresses)
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+class NoteError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'NoteError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const handleOf = (email) => email.split('@')[0].toLowerCase();
+
+/**
+ * Staff who can read notes, and so can be mentioned
+ * @param {object} db - PostgreSQL database connection
+ * @returns {Array} - [{ id, name, email, handle }]
+ */
+const getMentionableStaff = async (db) => {
+  const result = await db.query(
+    `SELECT id, name, email, role FROM users
+     WHERE role <> 'user' AND email IS NOT NULL
+     ORDER BY name ASC, email ASC`
+  );
+
+  const staff = [];
+  for (const member of result.rows) {
+    const permissions = await getRolePermissions(db, member.role);
+    if (permissions.includes(NOTES_PERMISSION)) {
+      staff.push({ id: member.id, name: member.name, email: member.email, handle: handleOf(member.email) });
+    }
+  }
+  return staff;
+};
+
+/**
+ * Staff mentioned in a note's text
+ * @param {string} body - Note text
+ * @param {Array} staff - From getMentionableStaff
+ * @returns {Array} - Matching staff, each once
+ */
+const findMentions = (body, staff) => {
+  const tokens = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    tokens.add(match[2].replace(/\.+$/, '').toLowerCase());
+  }
+
+  return staff.filter((member) => tokens.has(member.handle) || tokens.has(member.email.toLowerCase()));
+};
+
+const loadNotes = async (db, where, params) => {
+  const result = await db.query(
+    `SELECT n.id, n.complaint_id, n.author_id, n.body, n.created_at,
+            u.name AS author_name, u.email AS author_email,
+            COALESCE(
+              (SELECT json_agg(json_build_object('id', mu.id, 'name', mu.name, 'email', mu.email) ORDER BY mu.id)
+               FROM complaint_note_mentions m
+               JOIN users mu ON mu.id = m.user_id
+               WHERE m.note_id = n.id),
+              '[]'::json
+            ) AS mentions
+     FROM complaint_notes n
+     LEFT JOIN users u ON u.id = n.author_id
+     WHERE ${where}
+     ORDER BY n.created_at ASC, n.id ASC`,
+    params
+  );
+  return result.rows;
+};
+
+const findComplaint = async (db, complaintId) => {
+  const result = await db.query('SELECT * FROM complaints WHERE id = $1', [complaintId]);
+  if (!result.rows[0]) throw new NoteError('Complaint not found', 'COMPLAINT_NOT_FOUND', 404);
+  return result.rows[0];
+};
+
+/**
+ * A complaint's internal notes, oldest first
+ * Callers check complaints.notes (route middleware does)
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} complaintId - Complaint id
+ * @returns {Array} - Notes with author and mentions
+ */
+const listNotes = async (db, complaintId) => {
+  await findComplaint(db, complaintId);
+  return loadNotes(db, 'n.complaint_id = $1', [complaintId]);
+};
+
+/**
+ * Add an internal note and email everyone it mentions
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - req.user
+ * @param {number} complaintId - Complaint id
+ * @param {string} body - Note text
+ * @returns {object} - The new note with author and mentions
+ */
+const addNote = async (db, user, complaintId, body) => {
+  const text = String(body || '').trim();
+  if (!text) throw new NoteError('Note cannot be empty', 'INVALID_NOTE');
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw new NoteError(`Notes can be at most ${MAX_NOTE_LENGTH} characters`, 'INVALID_NOTE');
+  }
+
+  const complaint = await findComplaint(db, complaintId);
+
+  const mentioned = findMentions(text, await getMentionableStaff(db));
+
+  const inserted = await db.query(
+    `INSERT INTO complaint_notes (complaint_id, author_id, body, created_at)
+     VALUES ($1, $2, $3, NOW())
+     RETURNING id`,
+    [complaintId, user.id, text]
+  );
+  const noteId = inserted.rows[0].id;
+
+  for (const member of mentioned) {
+    await db.query(
+      'INSERT INTO complaint_note_mentions (note_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [noteId, member.id]
+    );
+  }
+
+  // Nobody is emailed about their own note; failures never fail the note
+  for (const member of mentioned.filter((m) => m.id !== user.id)) {
+    sendNoteMentionEmail(member.email, complaint, { authorName: user.name || user.email, body: text })
+      .catch((err) => console.error(`Failed to send mention email for note ${noteId}:`, err.message));
+  }
+
+  const [note] = await loadNotes(db, 'n.id = $1', [noteId]);
+  return note;
+};
+
+module.exports = {
+  NoteError,
+  MAX_NOTE_LENGTH,
+  NOTES_PERMISSION,
+  getMentionableStaff,
+  listNotes,
+  addNote,
+};
@@ -0,0 +1,428 @@
+/**
+ * OIDC Service
+ * Authorization code + PKCE login for staff accounts
+ *
+ * - Pending logins (state, nonce, PKCE verifier) live in oidc_auth_requests
+ * - Each login is tied to the browser that started it: the state must come back in an
+   HttpOnly cookie, and the handoff code is only redeemed with the SPA tab's binding secret
+ * - ID tokens are verified against the issuer's JWKS (RS/ES/PS algorithms)
+ * - After the callback the browser gets a short-lived single-use handoff code,
+ *   which the SPA swaps for the usual access/refresh pair
+ * - Accounts are provisioned only for admin_whitelist emails or existing staff;
+ *   group claims map to roles via OIDC_ROLE_MAPPING
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { OIDC_CONFIG } = require('../config/oidc');
+const { ROLE_HIERARCHY } = require('../config/jwt');
+
+const AUTH_REQUEST_EXPIRY_MINUTES = 10;
+const HANDOFF_EXPIRY_MINUTES = 2;
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+class OidcError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const base64Url = (buffer) => buffer.toString('base64url');
+const randomToken = () => base64Url(crypto.randomBytes(32));
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// ================= PROVIDER METADATA =================
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new OidcError(
+      body.error_description || body.error || `Request to ${url} failed with status ${response.status}`,
+      'PROVIDER_ERROR'
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Load the issuer's discovery document (cached)
+ * @returns {object} - OpenID provider metadata
+ */
+const getDiscovery = async () => {
+  if (discoveryCache && Date.now() - discoveryCache.loadedAt < METADATA_CACHE_TTL_MS) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${OIDC_CONFIG.issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/+$/, '') !== OIDC_CONFIG.issuer) {
+    throw new OidcError('Discovery document issuer does not match OIDC_ISSUER', 'PROVIDER_ERROR');
+  }
+
+  discoveryCache = { metadata, loadedAt: Date.now() };
+  return metadata;
+};
+
+/**
+ * Find the public key for an ID token, refetching the JWKS once on a miss (key rotation)
+ * @param {string} kid - Key id from the token header
+ * @returns {crypto.KeyObject}
+ */
+const getSigningKey = async (kid) => {
+  const find = () => jwksCache && jwksCache.keys.find((key) => !kid || key.kid === kid);
+
+  if (!find() || Date.now() - jwksCache.loadedAt > METADATA_CACHE_TTL_MS) {
+    const { jwks_uri: jwksUri } = await getDiscovery();
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = { keys, loadedAt: Date.now() };
+  }
+
+  const jwk = find();
+  if (!jwk) {
+    throw new OidcError('No matching signing key published by the identity provider', 'INVALID_ID_TOKEN');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// ================= LOGIN FLOW =================
+
+/**
+ * Start a login: remember state/nonce/verifier and build the authorization URL
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} binding - Random secret the SPA keeps for this tab, needed to redeem the handoff
+ * @returns {object} - { url, state }; state also goes into the browser's state cookie
+ */
+const createAuthorizationUrl = async (db, binding) => {
+  if (!binding || typeof binding !== 'string' || binding.length < 32 || binding.length > 128) {
+    throw new OidcError('Please start single sign-on from the login page', 'INVALID_BINDING');
+  }
+
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  await db.query(
+    `INSERT INTO oidc_auth_requests (state, code_verifier, nonce, binding_hash, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::INTERVAL, NOW())`,
+    [state, codeVerifier, nonce, sha256(binding).toString('hex'), String(AUTH_REQUEST_EXPIRY_MINUTES)]
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CONFIG.clientId,
+    redirect_uri: OIDC_CONFIG.redirectUri,
+    scope: OIDC_CONFIG.scopes,
+    state,
+    nonce,
+    code_challenge: base64Url(sha256(codeVerifier)),
+    code_challenge_method: 'S256',
+  });
+
+  return { url: `${authorizationEndpoint}?${params.toString()}`, state };
+};
+
+/**
+ * Verify an ID token's signature and standard claims
+ * @param {string} idToken - Raw ID token
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {object} - Claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Identity provider returned a malformed ID token', 'INVALID_ID_TOKEN');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: OIDC_CONFIG.issuer,
+      audience: OIDC_CONFIG.clientId,
+      clockTolerance: 60,
+    });
+  } catch (err) {
+    throw new OidcError(`ID token rejected: ${err.message}`, 'INVALID_ID_TOKEN');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match this login', 'INVALID_ID_TOKEN');
+  }
+
+  return claims;
+};
+
+/**
+ * Finish the IdP round trip: check state, exchange the code, verify the ID token
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} params - { code, state } from the callback query, and browserState from the state cookie
+ * @returns {object} - ID token claims
+ */
+const completeAuthorization = async (db, { code, state, browserState }) => {
+  if (!code || !state) {
+    throw new OidcError('Missing code or state in the login response', 'INVALID_CALLBACK');
+  }
+
+  // A callback link opened in any other browser (login CSRF) has no matching cookie
+  if (
+    !browserState ||
+    browserState.length !== state.length ||
+    !crypto.timingSafeEqual(Buffer.from(browserState), Buffer.from(state))
+  ) {
+    throw new OidcError('This sign-in was started in a different browser. Please try again.', 'INVALID_STATE');
+  }
+
+  // Claiming the row makes each state usable once
+  const result = await db.query(
+    `UPDATE oidc_auth_requests SET completed_at = NOW()
+     WHERE state = $1 AND completed_at IS NULL AND expires_at > NOW()
+     RETURNING code_verifier, nonce`,
+    [state]
+  );
+
+  if (result.rows.length === 0) {
+    throw new OidcError('This login attempt has expired. Please try again.', 'INVALID_STATE');
+  }
+
+  const { code_verifier: codeVerifier, nonce } = result.rows[0];
+  const { token_endpoint: tokenEndpoint } = await getDiscovery();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_CONFIG.redirectUri,
+    client_id: OIDC_CONFIG.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (OIDC_CONFIG.clientSecret) {
+    body.set('client_secret', OIDC_CONFIG.clientSecret);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: body.toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw new OidcError('Identity provider did not return an ID token', 'INVALID_ID_TOKEN');
+  }
+
+  return verifyIdToken(tokens.id_token, nonce);
+};
+
+// ================= ACCOUNT PROVISIONING =================
+
+/**
+ * Highest staff role granted by the user's groups, or null
+ * @param {string[]} groups - Group claim values
+ * @returns {string|null}
+ */
+const mapGroupsToRole = (groups) => {
+  const roles = (Array.isArray(groups) ? groups : [groups])
+    .map((group) => OIDC_CONFIG.roleMapping[group])
+    .filter(Boolean);
+
+  if (roles.length === 0) return null;
+  return roles.reduce((best, role) => (ROLE_HIERARCHY[role] > ROLE_HIERARCHY[best] ? role : best));
+};
+
+/**
+ * Find or create the staff account for a set of ID token claims
+ *
+ * - With OIDC_ROLE_MAPPING set, groups decide the role (no mapped group = no access)
+ * - Without it, existing staff keep their role and new accounts get their invite role
+ *   (plain whitelist entries become admins)
+ * - Only existing staff, or admin_whitelist emails with no account yet, are let in;
+ *   citizen accounts are never promoted here (that takes a superadmin role change)
+ * - Invite rows only count while pending, and signing in accepts the invite
+ *
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} claims - Verified ID token claims
+ * @returns {object} - { user, provisioned, roleChanged }
+ */
+const provisionStaffUser = async (db, claims) => {
+  const email = (claims.email || '').trim().toLowerCase();
+
+  if (!email) {
+    throw new OidcError('Your identity provider did not share an email address', 'NO_EMAIL');
+  }
+  // The IdP must vouch for the address, not merely omit the claim
+  if (claims.email_verified !== true) {
+    throw new OidcError('Your email address is not verified with the identity provider', 'EMAIL_NOT_VERIFIED');
+  }
+
+  const existing = await db.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
+  const user = existing.rows[0] || null;
+  const isStaff = !!user && user.role !== 'user';
+
+  // Plain entries have no invite; expired or accepted invites no longer admit the address
+  const whitelist = await db.query(
+    `SELECT id, invite_role, invite_sent_at IS NOT NULL AS is_invite
+     FROM admin_whitelist
+     WHERE LOWER(email) = $1
+       AND (invite_sent_at IS NULL OR (accepted_at IS NULL AND invite_expires_at > NOW()))`,
+    [email]
+  );
+  const entry = whitelist.rows[0] || null;
+
+  if (user && !isStaff) {
+    throw new OidcError(
+      'This email belongs to a citizen account. Please ask a superadmin to give it staff access.',
+      'NOT_STAFF'
+    );
+  }
+  if (!user && !entry) {
+    throw new OidcError('Single sign-on is only available to staff accounts', 'NOT_STAFF');
+  }
+
+  const usesGroupMapping = Object.keys(OIDC_CONFIG.roleMapping).length > 0;
+  const mappedRole = usesGroupMapping ? mapGroupsToRole(claims[OIDC_CONFIG.groupsClaim] || []) : null;
+
+  if (usesGroupMapping && !mappedRole) {
+    throw new OidcError('None of your groups grant access to the complaint portal', 'NO_ROLE');
+  }
+
+  const role = mappedRole || (isStaff ? user.role : (entry && entry.invite_role) || 'admin');
+  const name = claims.name || claims.preferred_username || null;
+
+  if (!user) {
+    // SSO accounts get an unusable random password; they can still use "Forgot password"
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Burn the invite with the account so its link cannot create a second one
+      if (entry.is_invite) {
+        const claim = await client.query(
+          `UPDATE admin_whitelist SET accepted_at = NOW(), invite_token_hash = NULL
+           WHERE id = $1 AND accepted_at IS NULL
+           RETURNING id`,
+          [entry.id]
+        );
+        if (claim.rows.length === 0) {
+          throw new OidcError('Your invite has already been used. Please try signing in again.', 'INVITE_USED');
+        }
+      }
+
+      const created = await client.query(
+        `INSERT INTO users (email, password_hash, name, role, email_verified, created_at)
+         VALUES ($1, $2, $3, $4, TRUE, NOW())
+         RETURNING *`,
+        [email, passwordHash, name, role]
+      );
+
+      await client.query('COMMIT');
+
+      console.log(`🔐 [OIDC] Provisioned ${role} account for ${email}`);
+      return { user: created.rows[0], provisioned: true, roleChanged: false };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  if (user.status && user.status !== 'active') {
+    throw new OidcError(`Your account is ${user.status}. Please contact support.`, 'ACCOUNT_DISABLED');
+  }
+
+  const roleChanged = user.role !== role;
+
+  const updated = await db.query(
+    `UPDATE users SET role = $1, email_verified = TRUE, name = COALESCE(name, $2)
+     WHERE id = $3 RETURNING *`,
+    [role, name, user.id]
+  );
+
+  if (roleChanged) {
+    console.log(`🔐 [OIDC] Role for ${email} synced from groups: ${user.role} -> ${role}`);
+  }
+
+  return { user: updated.rows[0], provisioned: false, roleChanged };
+};
+
+// ================= HANDOFF TO THE SPA =================
+
+/**
+ * Attach a single-use handoff code to a completed login
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} state - State of the completed request
+ * @param {number} userId - Signed-in user
+ * @returns {string} - Raw handoff code for the redirect URL
+ */
+const createHandoff = async (db, state, userId) => {
+  const handoff = randomToken();
+
+  await db.query(
+    `UPDATE oidc_auth_requests
+     SET user_id = $1, handoff_hash = $2, expires_at = NOW() + ($3 || ' minutes')::INTERVAL
+     WHERE state = $4`,
+    [userId, sha256(handoff).toString('hex'), String(HANDOFF_EXPIRY_MINUTES), state]
+  );
+
+  return handoff;
+};
+
+/**
+ * Redeem a handoff code
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} handoff - Raw handoff code
+ * @param {string} binding - The binding secret the login was started with
+ * @returns {number|null} - User id, or null if invalid/expired/used or started in another tab
+ */
+const consumeHandoff = async (db, handoff, binding) => {
+  if (!handoff || !binding || typeof binding !== 'string') return null;
+
+  const result = await db.query(
+    `UPDATE oidc_auth_requests SET consumed_at = NOW()
+     WHERE handoff_hash = $1 AND binding_hash = $2 AND consumed_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [sha256(handoff).toString('hex'), sha256(binding).toString('hex')]
+  );
+
+  return result.rows[0]?.user_id || null;
+};
+
+/**
+ * Delete old login requests
+ * @param {object} db - PostgreSQL database connection
+ */
+const cleanupAuthRequests = async (db) => {
+  try {
+    await db.query("DELETE FROM oidc_auth_requests WHERE expires_at < NOW() - INTERVAL '1 day'");
+  } catch (err) {
+    // Silently handle - table may not exist yet
+  }
+};
+
+module.exports = {
+  AUTH_REQUEST_EXPIRY_MINUTES,
+  OidcError,
+  createAuthorizationUrl,
+  completeAuthorization,
+  mapGroupsToRole,
+  provisionStaffUser,
+  createHandoff,
+  consumeHandoff,
+  cleanupAuthRequests,
+};
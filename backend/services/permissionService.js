@@ -0,0 +1,257 @@
+/**
+ * Permission Service
+ * Roles are named collections of permissions (see config/permissions.js)
+ *
+ * - 'user' is the customer role and never has staff permissions
+ * - 'superadmin' always has every permission, so it can never be locked out
+ * - 'admin' and custom roles are editable; custom roles can be deleted once unused
+ */
+
+const { ROLES } = require('../config/jwt');
+const { PERMISSIONS, ALL_PERMISSIONS, ROLE_NAME_PATTERN } = require('../config/permissions');
+
+// How long a role's permissions are trusted before re-reading them
+const PERMISSION_CACHE_TTL_MS = 30 * 1000;
+const permissionCache = new Map();
+
+class RoleError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'RoleError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Get the permissions granted to a role
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} role - Role name
+ * @returns {string[]}
+ */
+const getRolePermissions = async (db, role) => {
+  if (role === ROLES.SUPERADMIN) return ALL_PERMISSIONS;
+  if (!role || role === ROLES.USER) return [];
+
+  const cached = permissionCache.get(role);
+  if (cached && Date.now() - cached.checkedAt < PERMISSION_CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const result = await db.query(
+    `SELECT rp.permission FROM role_permissions rp
+     JOIN roles r ON r.id = rp.role_id
+     WHERE r.name = $1`,
+    [role]
+  );
+
+  const permissions = result.rows.map((row) => row.permission).filter((p) => PERMISSIONS[p]);
+  permissionCache.set(role, { permissions, checkedAt: Date.now() });
+  return permissions;
+};
+
+/**
+ * Whether a role grants a permission
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ */
+const hasPermission = async (db, role, permission) => {
+  const permissions = await getRolePermissions(db, role);
+  return permissions.includes(permission);
+};
+
+/**
+ * Whether a role grants nothing beyond what another role holds, so staff can
+ * only hand out (or manage accounts on) roles no stronger than their own
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} role - Role being granted or managed
+ * @param {string} holderRole - Role of the staff member doing it
+ */
+const isRoleWithin = async (db, role, holderRole) => {
+  if (holderRole === ROLES.SUPERADMIN) return true;
+
+  const held = await getRolePermissions(db, holderRole);
+  const granted = await getRolePermissions(db, role);
+  return granted.every((permission) => held.includes(permission));
+};
+
+/**
+ * Whether a role exists
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} role - Role name
+ */
+const roleExists = async (db, role) => {
+  if (!role) return false;
+  const result = await db.query('SELECT id FROM roles WHERE name = $1', [role]);
+  return result.rows.length > 0;
+};
+
+/**
+ * All roles with their permissions and number of users
+ * @param {object} db - PostgreSQL database connection
+ */
+const listRoles = async (db) => {
+  const result = await db.query(
+    `SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+            (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+     FROM roles r
+     ORDER BY r.is_system DESC, r.name`
+  );
+
+  const roles = [];
+  for (const row of result.rows) {
+    roles.push({
+      ...row,
+      user_count: parseInt(row.user_count, 10),
+      permissions: await getRolePermissions(db, row.name),
+      editable: row.name !== ROLES.USER && row.name !== ROLES.SUPERADMIN,
+    });
+  }
+  return roles;
+};
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new RoleError('permissions must be an array', 'INVALID_PERMISSION');
+  }
+
+  const unknown = permissions.filter((p) => !PERMISSIONS[p]);
+  if (unknown.length > 0) {
+    throw new RoleError(`Unknown permission: ${unknown.join(', ')}`, 'INVALID_PERMISSION');
+  }
+
+  return [...new Set(permissions)];
+};
+
+const replacePermissions = async (client, roleId, permissions) => {
+  await client.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+  for (const permission of permissions) {
+    await client.query(
+      'INSERT INTO role_permissions (role_id, permission) VALUES ($1, $2)',
+      [roleId, permission]
+    );
+  }
+};
+
+/**
+ * Create a custom role
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} input - { name, description, permissions }
+ */
+const createRole = async (db, { name, description = null, permissions = [] }) => {
+  const roleName = String(name || '').trim().toLowerCase();
+
+  if (!ROLE_NAME_PATTERN.test(roleName)) {
+    throw new RoleError(
+      'Role name must be 2-20 characters: lowercase letters, digits, - or _, starting with a letter',
+      'INVALID_NAME'
+    );
+  }
+
+  const granted = validatePermissions(permissions);
+
+  if (await roleExists(db, roleName)) {
+    throw new RoleError('A role with this name already exists', 'ROLE_EXISTS', 409);
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO roles (name, description, is_system, created_at, updated_at)
+       VALUES ($1, $2, FALSE, NOW(), NOW()) RETURNING id`,
+      [roleName, description]
+    );
+    await replacePermissions(client, result.rows[0].id, granted);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  permissionCache.delete(roleName);
+  return roleName;
+};
+
+/**
+ * Change a role's description and/or permissions
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} name - Role name
+ * @param {object} input - { description, permissions }
+ */
+const updateRole = async (db, name, { description, permissions }) => {
+  if (name === ROLES.USER || name === ROLES.SUPERADMIN) {
+    throw new RoleError(`The ${name} role cannot be edited`, 'SYSTEM_ROLE', 403);
+  }
+
+  const existing = await db.query('SELECT id FROM roles WHERE name = $1', [name]);
+  if (existing.rows.length === 0) {
+    throw new RoleError('Role not found', 'ROLE_NOT_FOUND', 404);
+  }
+
+  const roleId = existing.rows[0].id;
+  const granted = permissions !== undefined ? validatePermissions(permissions) : null;
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE roles SET description = COALESCE($1, description), updated_at = NOW() WHERE id = $2',
+      [description === undefined ? null : description, roleId]
+    );
+    if (granted) {
+      await replacePermissions(client, roleId, granted);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  permissionCache.delete(name);
+};
+
+/**
+ * Delete a custom role that no user holds any more
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} name - Role name
+ */
+const deleteRole = async (db, name) => {
+  const existing = await db.query('SELECT id, is_system FROM roles WHERE name = $1', [name]);
+  if (existing.rows.length === 0) {
+    throw new RoleError('Role not found', 'ROLE_NOT_FOUND', 404);
+  }
+  if (existing.rows[0].is_system) {
+    throw new RoleError('Built-in roles cannot be deleted', 'SYSTEM_ROLE', 403);
+  }
+
+  const users = await db.query('SELECT COUNT(*) AS count FROM users WHERE role = $1', [name]);
+  const count = parseInt(users.rows[0].count, 10);
+  if (count > 0) {
+    throw new RoleError(
+      `${count} user${count === 1 ? ' still has' : 's still have'} this role. Reassign them first.`,
+      'ROLE_IN_USE',
+      409
+    );
+  }
+
+  await db.query('DELETE FROM roles WHERE id = $1', [existing.rows[0].id]);
+  permissionCache.delete(name);
+};
+
+module.exports = {
+  RoleError,
+  getRolePermissions,
+  hasPermission,
+  isRoleWithin,
+  roleExists,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+};
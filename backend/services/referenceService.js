@@ -0,0 +1,71 @@
+/**
+ * Reference Service
+ * Human-readable complaint references such as CMP-2026-000123
+ *
+ * - Numbers restart every year and come from complaint_reference_sequences, one row per year
+ * - The prefix is the referencePrefix setting (default COMPLAINT_REFERENCE_PREFIX or CMP);
+ *   changing it only affects complaints filed afterwards
+ * - Anywhere a complaint id is accepted, its reference is accepted too (see middleware/complaintReference.js)
+ */
+
+const { getSetting } = require('./settingsService');
+
+const REFERENCE_PREFIX_PATTERN = /^[A-Z]{2,6}$/;
+
+// A prefix that does not fit the pattern would make unresolvable references (and it is
+// written into the reference migration's SQL), so a bad env value falls back to CMP
+const envPrefix = (process.env.COMPLAINT_REFERENCE_PREFIX || 'CMP').trim().toUpperCase();
+if (!REFERENCE_PREFIX_PATTERN.test(envPrefix)) {
+  console.warn(`⚠️ COMPLAINT_REFERENCE_PREFIX "${process.env.COMPLAINT_REFERENCE_PREFIX}" must be 2-6 letters, using CMP`);
+}
+const DEFAULT_REFERENCE_PREFIX = REFERENCE_PREFIX_PATTERN.test(envPrefix) ? envPrefix : 'CMP';
+
+// PREFIX-YYYY-NNNNNN (at least six digits, more once a year passes 999999)
+const REFERENCE_PATTERN = /^[A-Z]{2,6}-\d{4}-\d{6,}$/;
+
+const formatReference = (prefix, year, number) => `${prefix}-${year}-${String(number).padStart(6, '0')}`;
+
+const isReference = (value) => REFERENCE_PATTERN.test(String(value || '').trim().toUpperCase());
+
+/**
+ * Allocate the next reference for the current year
+ * Pass the transaction client when the complaint is inserted in one, so a rollback frees the number
+ * @param {object} db - PostgreSQL database connection or transaction client
+ * @returns {string} - e.g. CMP-2026-000123
+ */
+const nextComplaintReference = async (db) => {
+  const prefix = (await getSetting(db, 'referencePrefix')) || DEFAULT_REFERENCE_PREFIX;
+  const year = new Date().getFullYear();
+
+  const result = await db.query(
+    `INSERT INTO complaint_reference_sequences (year, last_value) VALUES ($1, 1)
+     ON CONFLICT (year) DO UPDATE SET last_value = complaint_reference_sequences.last_value + 1
+     RETURNING last_value`,
+    [year]
+  );
+
+  return formatReference(prefix, year, result.rows[0].last_value);
+};
+
+/**
+ * Turn an id or reference, as given in a URL or body, into the numeric complaint id
+ * @param {object} db - PostgreSQL database connection
+ * @param {string|number} value - 123 or CMP-2026-000123 (case-insensitive)
+ * @returns {number|null} - Complaint id, or null if no complaint matches
+ */
+const resolveComplaintId = async (db, value) => {
+  const raw = String(value ?? '').trim();
+
+  if (/^\d+$/.test(raw)) return parseInt(raw, 10);
+  if (!isReference(raw)) return null;
+
+  const result = await db.query('SELECT id FROM complaints WHERE reference = $1', [raw.toUpperCase()]);
+  return result.rows[0]?.id ?? null;
+};
+
+module.exports = {
+  DEFAULT_REFERENCE_PREFIX,
+  REFERENCE_PREFIX_PATTERN,
+  nextComplaintReference,
+  resolveComplaintId,
+};
@@ -0,0 +1,203 @@
+/**
+ * Refresh Token Service
+ * Database-backed refresh token store with rotation and reuse detection
+ *
+ * - Only SHA-256 hashes of tokens are stored (never the raw token)
+ * - Expiry follows REFRESH_TOKEN_EXPIRY from config/jwt.js
+ * - Every refresh revokes the presented token and issues a new one in the same family
+ * - Presenting an already-rotated token revokes the whole family (stolen token)
+ * - A family is one login session (see sessionService)
+ */
+
+const crypto = require('crypto');
+const { generateRefreshToken, verifyToken } = require('../middleware/auth');
+const { TOKEN_TYPES } = require('../config/jwt');
+const { endSessions } = require('./sessionService');
+
+/**
+ * Error raised when a refresh token cannot be exchanged
+ * code: INVALID_TOKEN | TOKEN_EXPIRED | TOKEN_REVOKED | TOKEN_REUSED | USER_NOT_FOUND | ACCOUNT_DISABLED
+ */
+class RefreshTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hash a raw refresh token for storage/lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a refresh token and persist its hash
+ * @param {object} db - PostgreSQL connection (pool or transaction client)
+ * @param {object} user - { id, email }
+ * @param {string} [familyId] - Existing family to continue; a new one is started if omitted
+ * @returns {object} - { token, id, familyId, expiresAt }
+ */
+const issueRefreshToken = async (db, user, familyId = crypto.randomUUID()) => {
+  const token = generateRefreshToken({ id: user.id, email: user.email, family: familyId });
+  const expiresAt = new Date(verifyToken(token).exp * 1000);
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     RETURNING id`,
+    [user.id, hashToken(token), familyId, expiresAt]
+  );
+
+  return { token, id: result.rows[0].id, familyId, expiresAt };
+};
+
+/**
+ * Revoke every live token in a family and end the session it belongs to
+ * @param {object} db - PostgreSQL connection
+ * @param {string} familyId - Token family id
+ * @returns {number} - Number of tokens revoked
+ */
+const revokeTokenFamily = (db, familyId) => endSessions(db, [familyId]);
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * @param {object} db - PostgreSQL pool (a transaction client is taken from it)
+ * @param {string} token - Raw refresh token presented by the client
+ * @returns {object} - { user, refreshToken, familyId }
+ * @throws {RefreshTokenError}
+ */
+const rotateRefreshToken = async (db, token) => {
+  const decoded = token ? verifyToken(token) : null;
+
+  if (!decoded || decoded.type !== TOKEN_TYPES.REFRESH) {
+    throw new RefreshTokenError('Invalid refresh token', 'INVALID_TOKEN');
+  }
+
+  const result = await db.query(
+    'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new RefreshTokenError('Invalid refresh token', 'INVALID_TOKEN');
+  }
+
+  const stored = result.rows[0];
+
+  // A rotated-away token coming back means someone else holds a copy of it
+  if (stored.revoked_at && stored.replaced_by) {
+    const revoked = await revokeTokenFamily(db, stored.family_id);
+    console.warn(`🔐 [REFRESH] Reuse detected for user ${stored.user_id} - revoked ${revoked} token(s) in family ${stored.family_id}`);
+    throw new RefreshTokenError('Refresh token has already been used', 'TOKEN_REUSED');
+  }
+
+  if (stored.revoked_at) {
+    throw new RefreshTokenError('Refresh token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  if (new Date(stored.expires_at) < new Date()) {
+    throw new RefreshTokenError('Refresh token has expired', 'TOKEN_EXPIRED');
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const claim = await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), last_used_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+      [stored.id]
+    );
+
+    if (claim.rows.length === 0) {
+      await client.query('ROLLBACK');
+      await revokeTokenFamily(db, stored.family_id);
+      throw new RefreshTokenError('Refresh token has already been used', 'TOKEN_REUSED');
+    }
+
+    const userResult = await client.query(
+      'SELECT id, email, name, role, status, token_version FROM users WHERE id = $1',
+      [stored.user_id]
+    );
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      throw new RefreshTokenError('User not found', 'USER_NOT_FOUND');
+    }
+
+    const user = userResult.rows[0];
+
+    if (user.status && user.status !== 'active') {
+      await client.query('ROLLBACK');
+      throw new RefreshTokenError('Account is not active', 'ACCOUNT_DISABLED');
+    }
+
+    const next = await issueRefreshToken(client, user, stored.family_id);
+
+    await client.query(
+      'UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2',
+      [next.id, stored.id]
+    );
+
+    await client.query('COMMIT');
+
+    return { user, refreshToken: next.token, familyId: stored.family_id };
+  } catch (err) {
+    if (!(err instanceof RefreshTokenError)) {
+      await client.query('ROLLBACK');
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Revoke the family a refresh token belongs to (logout)
+ * Unknown or malformed tokens are ignored.
+ * @param {object} db - PostgreSQL connection
+ * @param {string} token - Raw refresh token
+ * @returns {number} - Number of tokens revoked
+ */
+const revokeRefreshToken = async (db, token) => {
+  if (!token) return 0;
+
+  const result = await db.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) return 0;
+
+  return revokeTokenFamily(db, result.rows[0].family_id);
+};
+
+/**
+ * Delete expired refresh tokens
+ * Revoked tokens are kept until they expire so reuse can still be detected.
+ * @param {object} db - PostgreSQL connection
+ */
+const cleanupExpiredRefreshTokens = async (db) => {
+  try {
+    const result = await db.query('DELETE FROM refresh_tokens WHERE expires_at < NOW()');
+    if (result.rowCount > 0) {
+      console.log(`🔐 🧹 Cleaned up ${result.rowCount} expired refresh tokens`);
+    }
+  } catch (err) {
+    // Silently handle - table may not exist yet
+  }
+};
+
+module.exports = {
+  RefreshTokenError,
+  hashToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  cleanupExpiredRefreshTokens,
+};
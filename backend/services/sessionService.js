@@ -0,0 +1,197 @@
+/**
+ * Session Service
+ * One session per login; its id is the refresh token family id.
+ *
+ * - Access tokens carry the session id (sid) so a revoked session stops working immediately
+ * - Revoking a session also revokes its refresh token family
+ * - Active/revoked lookups are cached briefly so authenticate() stays cheap
+ */
+
+// How long a session lookup is trusted before hitting the database again
+const SESSION_CACHE_TTL_MS = 60 * 1000;
+const sessionCache = new Map();
+
+/**
+ * Describe the client a request came from
+ * @param {object} req - Express request
+ * @returns {object} - { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+  // req.ip honours the app's trust proxy setting; the raw X-Forwarded-For header is client-controlled
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Record a new login session
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} session - { id, userId, userAgent, ipAddress }
+ */
+const createSession = async (db, { id, userId, userAgent, ipAddress }) => {
+  await db.query(
+    `INSERT INTO sessions (id, user_id, user_agent, ip_address, created_at, last_seen_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())`,
+    [id, userId, userAgent, ipAddress]
+  );
+  sessionCache.set(id, { active: true, checkedAt: Date.now() });
+};
+
+/**
+ * Update last-seen details of a session (on token refresh)
+ * Sessions started before the sessions table existed are created on first refresh.
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} session - { id, userId, userAgent, ipAddress }
+ */
+const touchSession = async (db, { id, userId, userAgent, ipAddress }) => {
+  await db.query(
+    `INSERT INTO sessions (id, user_id, user_agent, ip_address, created_at, last_seen_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())
+     ON CONFLICT (id) DO UPDATE
+       SET last_seen_at = NOW(),
+           ip_address = EXCLUDED.ip_address,
+           user_agent = COALESCE(EXCLUDED.user_agent, sessions.user_agent)`,
+    [id, userId, userAgent, ipAddress]
+  );
+};
+
+/**
+ * Check whether a session is still active (not revoked)
+ * Cache misses also bump last_seen_at, so it stays accurate to about a minute.
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} sessionId - Session id from the access token
+ * @returns {boolean}
+ */
+const isSessionActive = async (db, sessionId) => {
+  const cached = sessionCache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_TTL_MS) {
+    return cached.active;
+  }
+
+  const result = await db.query(
+    'UPDATE sessions SET last_seen_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+    [sessionId]
+  );
+
+  const active = result.rows.length > 0;
+  sessionCache.set(sessionId, { active, checkedAt: Date.now() });
+  return active;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ */
+const listSessions = async (db, userId) => {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * End sessions: mark them revoked and revoke their refresh token families
+ * @param {object} db - PostgreSQL database connection
+ * @param {string[]} sessionIds - Session ids to end
+ * @returns {number} - Number of refresh tokens revoked
+ */
+const endSessions = async (db, sessionIds) => {
+  if (sessionIds.length === 0) return 0;
+
+  await db.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = ANY($1) AND revoked_at IS NULL',
+    [sessionIds]
+  );
+
+  const result = await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ANY($1) AND revoked_at IS NULL',
+    [sessionIds]
+  );
+
+  for (const id of sessionIds) {
+    sessionCache.set(id, { active: false, checkedAt: Date.now() });
+  }
+
+  return result.rowCount;
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - Owner of the session
+ * @param {string} sessionId - Session id
+ * @returns {boolean} - False if the session does not exist or belongs to someone else
+ */
+const revokeSession = async (db, userId, sessionId) => {
+  const result = await db.query(
+    'SELECT id FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) return false;
+
+  await endSessions(db, [sessionId]);
+  return true;
+};
+
+/**
+ * Revoke every session of a user ("log out everywhere")
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @param {string|null} [exceptSessionId] - Session to keep (e.g. the one changing the password)
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeAllSessions = async (db, userId, exceptSessionId = null) => {
+  const result = await db.query(
+    `SELECT id FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2`,
+    [userId, exceptSessionId]
+  );
+
+  await endSessions(db, result.rows.map((row) => row.id));
+
+  // Also cover refresh tokens from logins that predate the sessions table
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND family_id IS DISTINCT FROM $2`,
+    [userId, exceptSessionId]
+  );
+
+  return result.rows.length;
+};
+
+/**
+ * Delete sessions that were revoked or unused for longer than a refresh token lives
+ * @param {object} db - PostgreSQL database connection
+ */
+const cleanupSessions = async (db) => {
+  try {
+    const result = await db.query(
+      `DELETE FROM sessions
+       WHERE revoked_at < NOW() - INTERVAL '7 days'
+          OR last_seen_at < NOW() - INTERVAL '7 days'`
+    );
+    if (result.rowCount > 0) {
+      console.log(`🔐 🧹 Cleaned up ${result.rowCount} old sessions`);
+    }
+  } catch (err) {
+    // Silently handle - table may not exist yet
+  }
+  sessionCache.clear();
+};
+
+module.exports = {
+  getClientInfo,
+  createSession,
+  touchSession,
+  isSessionActive,
+  listSessions,
+  endSessions,
+  revokeSession,
+  revokeAllSessions,
+  cleanupSessions,
+};
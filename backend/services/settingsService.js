@@ -0,0 +1,90 @@
+/**
+ * Settings Service
+ * System-wide settings managed by the superadmin, persisted in system_settings
+ */
+
+// Defaults apply until a superadmin saves a value
+const DEFAULT_SETTINGS = {
+  escalationThreshold: 2,
+  notificationsEnabled: true,
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  twoFactorRequiredRoles: [],
+  // Login links skip the password and 2FA, so staff use them only once a superadmin allows it
+  magicLinkDisabledRoles: ['admin', 'superadmin'],
+  referencePrefix: (process.env.COMPLAINT_REFERENCE_PREFIX || 'CMP').toUpperCase(),
+};
+
+// Settings are read on hot paths (e.g. complaint creation), so keep a short-lived copy
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Get all settings (stored values merged over defaults)
+ * @param {object} db - PostgreSQL database connection
+ * @returns {object} - Settings keyed by name
+ */
+const getSettings = async (db) => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+
+  try {
+    const result = await db.query('SELECT key, value FROM system_settings');
+    for (const row of result.rows) {
+      if (row.key in DEFAULT_SETTINGS) {
+        settings[row.key] = row.value;
+      }
+    }
+  } catch (err) {
+    // Table may not exist yet - fall back to defaults
+    console.warn('⚙️ [SETTINGS] Failed to load settings, using defaults:', err.message);
+    return settings;
+  }
+
+  cache = settings;
+  cacheLoadedAt = Date.now();
+  return settings;
+};
+
+/**
+ * Get a single setting
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} key - Setting name
+ */
+const getSetting = async (db, key) => {
+  const settings = await getSettings(db);
+  return settings[key];
+};
+
+/**
+ * Persist one or more settings; unknown keys are ignored
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} patch - { key: value }
+ * @param {number|null} updatedBy - Id of the superadmin making the change
+ * @returns {object} - Updated settings
+ */
+const updateSettings = async (db, patch, updatedBy = null) => {
+  for (const [key, value] of Object.entries(patch)) {
+    if (!(key in DEFAULT_SETTINGS) || value === undefined) continue;
+
+    await db.query(
+      `INSERT INTO system_settings (key, value, updated_by, updated_at)
+       VALUES ($1, $2::jsonb, $3, NOW())
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [key, JSON.stringify(value), updatedBy]
+    );
+  }
+
+  cache = null;
+  return getSettings(db);
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettings,
+  getSetting,
+  updateSettings,
+};
@@ -0,0 +1,53 @@
+/**
+ * Token Version Service
+ * Per-user counter embedded in access tokens (ver). Bumping it invalidates
+ * every access token issued before, e.g. after a role, status or password change.
+ */
+
+// How long a user's version is trusted before re-reading it
+const VERSION_CACHE_TTL_MS = 30 * 1000;
+const versionCache = new Map();
+
+/**
+ * Get a user's current token version
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {number|null} - Version, or null if the user no longer exists
+ */
+const getTokenVersion = async (db, userId) => {
+  const cached = versionCache.get(userId);
+  if (cached && Date.now() - cached.checkedAt < VERSION_CACHE_TTL_MS) {
+    return cached.version;
+  }
+
+  const result = await db.query(
+    'SELECT token_version FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const version = result.rows.length > 0 ? result.rows[0].token_version || 0 : null;
+  versionCache.set(userId, { version, checkedAt: Date.now() });
+  return version;
+};
+
+/**
+ * Invalidate all access tokens of a user
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {number|null} - New version, or null if the user does not exist
+ */
+const bumpTokenVersion = async (db, userId) => {
+  const result = await db.query(
+    'UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE id = $1 RETURNING token_version',
+    [userId]
+  );
+
+  const version = result.rows.length > 0 ? result.rows[0].token_version : null;
+  versionCache.set(Number(userId), { version, checkedAt: Date.now() });
+  return version;
+};
+
+module.exports = {
+  getTokenVersion,
+  bumpTokenVersion,
+};
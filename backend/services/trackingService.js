@@ -0,0 +1,205 @@
+/**
+ * Tracking Service
+ * Anonymous complaints filed without an account, followed with a public tracking code
+ *
+ * - Codes are 80 random bits in Crockford base32 (XXXX-XXXX-XXXX-XXXX), so they cannot be guessed
+ * - A complaint may also be protected by a passphrase (stored as a bcrypt hash), needed to view it
+ * - The public view shows status and the status timeline, never who on staff made a change
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { nextComplaintReference } = require('./referenceService');
+const { assertActiveCategory, validateFieldAnswers } = require('./categoryService');
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
+
+class TrackingError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'TrackingError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// 5 bits per character; `length` must be a multiple of 8 to use every random byte
+const randomBase32 = (length) => {
+  const bytes = crypto.randomBytes((length * 5) / 8);
+  let bits = '';
+  for (const byte of bytes) bits += byte.toString(2).padStart(8, '0');
+
+  let out = '';
+  for (let i = 0; i < length; i++) out += ALPHABET[parseInt(bits.slice(i * 5, i * 5 + 5), 2)];
+  return out;
+};
+
+const group = (value) => value.match(/.{1,4}/g).join('-');
+
+const generateTrackingCode = () => group(randomBase32(16));
+
+const generatePassphrase = () => group(randomBase32(16)).toLowerCase();
+
+/**
+ * Canonical form of a code as typed by a person: case, spaces and dashes don't matter,
+ * and the letters Crockford base32 reads as digits are mapped back
+ * @param {string} code - Tracking code
+ * @returns {string|null} - XXXX-XXXX-XXXX-XXXX, or null if it cannot be a code
+ */
+const normalizeTrackingCode = (code) => {
+  const compact = String(code || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+  if (compact.length !== 16 || [...compact].some((c) => !ALPHABET.includes(c))) return null;
+  return group(compact);
+};
+
+/**
+ * File an anonymous complaint
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} complaint - { category, description, priority, name, imageUrl, withPassphrase, customFields }
+ * @returns {object} - { id, reference, trackingCode, passphrase } (passphrase is null unless requested)
+ */
+const createPublicComplaint = async (db, { category, description, priority, name, imageUrl, withPassphrase, customFields }) => {
+  const trimmedDescription = String(description || '').trim();
+
+  if (!category || !trimmedDescription) {
+    throw new TrackingError('Category and description required', 'MISSING_FIELDS');
+  }
+
+  if (trimmedDescription.length < 10 || trimmedDescription.length > 2000) {
+    throw new TrackingError('Description must be between 10 and 2000 characters', 'INVALID_DESCRIPTION');
+  }
+
+  const safePriority = priority || 'medium';
+  if (!VALID_PRIORITIES.includes(safePriority)) {
+    throw new TrackingError('Priority must be low, medium, or high', 'INVALID_PRIORITY');
+  }
+
+  const answers = validateFieldAnswers(await assertActiveCategory(db, category), customFields);
+
+  const trackingCode = generateTrackingCode();
+  const passphrase = withPassphrase ? generatePassphrase() : null;
+  const passphraseHash = passphrase ? await bcrypt.hash(passphrase, 10) : null;
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const reference = await nextComplaintReference(client);
+
+    const inserted = await client.query(
+      `INSERT INTO complaints
+         (reference, user_id, category, description, name, priority, status, is_anonymous,
+          problem_image_url, before_image_url, tracking_code, tracking_passphrase_hash, custom_fields,
+          created_at, status_updated_at)
+       VALUES ($8, NULL, $1, $2, $3, $4, 'new', TRUE, $5, $5, $6, $7, $9, NOW(), NOW())
+       RETURNING id`,
+      [
+        String(category).slice(0, 50),
+        trimmedDescription,
+        name ? String(name).trim().slice(0, 255) || null : null,
+        safePriority,
+        imageUrl || null,
+        trackingCode,
+        passphraseHash,
+        reference,
+        answers ? JSON.stringify(answers) : null,
+      ]
+    );
+
+    const id = inserted.rows[0].id;
+
+    await client.query(
+      `INSERT INTO status_history (complaint_id, old_status, new_status, changed_by, changed_by_role, changed_at, notes)
+       VALUES ($1, NULL, 'new', 'anonymous', 'user', NOW(), 'Complaint created')`,
+      [id]
+    );
+
+    await client.query('COMMIT');
+
+    return { id, reference, trackingCode, passphrase };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Who made a timeline entry, as the public may see it (integrations file on a citizen's behalf)
+const publicActor = (role) => (role === 'user' || role === 'api_key' ? 'citizen' : 'staff');
+
+/**
+ * Public view of a tracked complaint
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} code - Tracking code as entered
+ * @param {string} passphrase - Required when the complaint was filed with one
+ * @returns {object} - Status, resolution and timeline without staff identities
+ */
+const getTrackedComplaint = async (db, code, passphrase) => {
+  const trackingCode = normalizeTrackingCode(code);
+  const notFound = new TrackingError('No complaint found for this tracking code', 'TRACKING_NOT_FOUND', 404);
+
+  if (!trackingCode) throw notFound;
+
+  const result = await db.query(
+    `SELECT id, reference, tracking_code, tracking_passphrase_hash, category, priority, status,
+            resolution_message, resolved_image_url, created_at, status_updated_at, resolved_at
+     FROM complaints WHERE tracking_code = $1`,
+    [trackingCode]
+  );
+  const complaint = result.rows[0];
+
+  if (!complaint) throw notFound;
+
+  if (complaint.tracking_passphrase_hash) {
+    if (!passphrase) {
+      throw new TrackingError('This complaint is protected by a passphrase', 'PASSPHRASE_REQUIRED', 403);
+    }
+    if (!(await bcrypt.compare(String(passphrase).trim().toLowerCase(), complaint.tracking_passphrase_hash))) {
+      throw new TrackingError('Incorrect passphrase', 'INVALID_PASSPHRASE', 403);
+    }
+  }
+
+  const history = await db.query(
+    `SELECT old_status, new_status, changed_by_role, changed_at
+     FROM status_history
+     WHERE complaint_id = $1
+     ORDER BY changed_at ASC, id ASC`,
+    [complaint.id]
+  );
+
+  return {
+    trackingCode: complaint.tracking_code,
+    reference: complaint.reference,
+    category: complaint.category,
+    priority: complaint.priority,
+    status: complaint.status,
+    createdAt: complaint.created_at,
+    updatedAt: complaint.status_updated_at,
+    resolvedAt: complaint.resolved_at,
+    resolutionMessage: complaint.resolution_message,
+    resolvedImageUrl: complaint.resolved_image_url,
+    timeline: history.rows.map((entry) => ({
+      status: entry.new_status,
+      previousStatus: entry.old_status,
+      changedAt: entry.changed_at,
+      by: publicActor(entry.changed_by_role),
+    })),
+  };
+};
+
+module.exports = {
+  TrackingError,
+  normalizeTrackingCode,
+  createPublicComplaint,
+  getTrackedComplaint,
+};
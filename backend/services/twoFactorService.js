@@ -0,0 +1,330 @@
+/**
+ * Two-Factor Authentication Service
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30s steps) plus single-use recovery codes
+ *
+ * - TOTP secrets are stored AES-256-GCM encrypted (key from TOTP_ENCRYPTION_KEY or JWT_SECRET)
+ * - Recovery codes are stored as SHA-256 hashes
+ * - The last accepted time step is remembered so a code cannot be replayed
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { getSetting } = require('./settingsService');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Complaint Portal';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Accept the previous and next step to tolerate clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production')
+  .digest();
+
+// ================= TOTP PRIMITIVES =================
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (unix seconds / 30)
+ * @returns {string} - Zero-padded code
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a TOTP code against the current time window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Last accepted step (codes at or before it are rejected)
+ * @returns {number|null} - Matched time step, or null if invalid
+ */
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL understood by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Account label
+ */
+const buildOtpauthUrl = (secret, email) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+// ================= ACCOUNT OPERATIONS =================
+
+/**
+ * Whether the superadmin requires 2FA for a role
+ * @param {object} db - PostgreSQL database connection
+ * @param {string} role - User role
+ */
+const isTwoFactorRequired = async (db, role) => {
+  const roles = await getSetting(db, 'twoFactorRequiredRoles');
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+/**
+ * Get a user's 2FA status
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - { id, role }
+ * @returns {object} - { enabled, required, recoveryCodesRemaining }
+ */
+const getTwoFactorStatus = async (db, user) => {
+  const result = await db.query(
+    `SELECT u.totp_enabled,
+            (SELECT COUNT(*) FROM user_recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL) AS remaining
+     FROM users u WHERE u.id = $1`,
+    [user.id]
+  );
+
+  const row = result.rows[0] || {};
+
+  return {
+    enabled: !!row.totp_enabled,
+    required: await isTwoFactorRequired(db, user.role),
+    recoveryCodesRemaining: parseInt(row.remaining, 10) || 0,
+  };
+};
+
+/**
+ * Start enrolment: store a new (not yet active) secret
+ * @param {object} db - PostgreSQL database connection
+ * @param {object} user - { id, email }
+ * @returns {object} - { secret, otpauthUrl, qrCode (data URL) }
+ */
+const beginEnrollment = async (db, user) => {
+  const secret = generateSecret();
+
+  await db.query(
+    'UPDATE users SET totp_secret = $1, totp_enabled = FALSE, totp_last_step = NULL WHERE id = $2',
+    [encryptSecret(secret), user.id]
+  );
+
+  const otpauthUrl = buildOtpauthUrl(secret, user.email);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @returns {string[]} - Plain codes (shown to the user once)
+ */
+const regenerateRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code for a user and remember its step
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @param {string} code - 6-digit code
+ * @returns {boolean}
+ */
+const verifyUserTotp = async (db, userId, code) => {
+  const result = await db.query(
+    'SELECT totp_secret, totp_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const row = result.rows[0];
+  if (!row || !row.totp_secret) return false;
+
+  const lastStep = row.totp_last_step === null ? null : Number(row.totp_last_step);
+  const step = verifyTotp(decryptSecret(row.totp_secret), code, lastStep);
+  if (step === null) return false;
+
+  // Guard against two concurrent requests using the same code
+  const claim = await db.query(
+    'UPDATE users SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1) RETURNING id',
+    [step, userId]
+  );
+
+  return claim.rows.length > 0;
+};
+
+/**
+ * Finish enrolment: confirm the first code, activate 2FA and issue recovery codes
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @param {string} code - Code from the authenticator app
+ * @returns {string[]|null} - Recovery codes, or null if the code is wrong
+ */
+const completeEnrollment = async (db, userId, code) => {
+  if (!(await verifyUserTotp(db, userId, code))) return null;
+
+  await db.query('UPDATE users SET totp_enabled = TRUE WHERE id = $1', [userId]);
+  return regenerateRecoveryCodes(db, userId);
+};
+
+/**
+ * Consume a recovery code
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @param {string} code - Recovery code
+ * @returns {boolean}
+ */
+const useRecoveryCode = async (db, userId, code) => {
+  const result = await db.query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Second login step: accept either a TOTP code or a recovery code
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ * @param {object} input - { code, recoveryCode }
+ * @returns {boolean}
+ */
+const verifySecondFactor = async (db, userId, { code, recoveryCode }) => {
+  if (recoveryCode) return useRecoveryCode(db, userId, recoveryCode);
+  return verifyUserTotp(db, userId, code);
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} userId - User id
+ */
+const disableTwoFactor = async (db, userId) => {
+  await db.query(
+    'UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL WHERE id = $1',
+    [userId]
+  );
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
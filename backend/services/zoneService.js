@@ -0,0 +1,365 @@
+/**
+ * Zone Service
+ * Ward/zone boundaries that route located complaints to the right area office
+ *
+ * - Superadmins upload boundaries as GeoJSON (Polygon or MultiPolygon features, WGS84);
+ *   re-uploading a zone with the same name replaces its boundary and keeps its routing
+ * - Each zone routes to one staff member (complaints.assigned_to) or one team, i.e. a staff
+ *   role (complaints.assigned_role), or to nobody
+ * - A new complaint with coordinates is tagged with the zone containing it; where zones
+ *   overlap, the one with the smallest bounding box wins, so a ward beats the district around it
+ */
+
+const MAX_ZONES = 500;
+const MAX_ZONE_POINTS = 50000;
+
+class ZoneError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ZoneError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+  Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+// A polygon is a list of closed rings of [lng, lat]: the outline first, then any holes
+const isPolygon = (rings) =>
+  Array.isArray(rings) &&
+  rings.length > 0 &&
+  rings.every((ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+
+const polygonsOf = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+
+/**
+ * Check a GeoJSON geometry can be used as a zone boundary
+ * @param {object} geometry - GeoJSON geometry
+ * @param {string} where - How to name it in errors
+ * @returns {object} - { type, coordinates }, positions trimmed to [lng, lat]
+ */
+const validateGeometry = (geometry, where) => {
+  const type = geometry?.type;
+  const valid =
+    (type === 'Polygon' && isPolygon(geometry.coordinates)) ||
+    (type === 'MultiPolygon' && Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygon));
+
+  if (!valid) {
+    throw new ZoneError(
+      `${where} needs a Polygon or MultiPolygon geometry of [longitude, latitude] rings`,
+      'INVALID_GEOJSON'
+    );
+  }
+
+  const coordinates = polygonsOf(geometry).map((rings) => rings.map((ring) => ring.map(([lng, lat]) => [lng, lat])));
+  return { type, coordinates: type === 'Polygon' ? coordinates[0] : coordinates };
+};
+
+const boundsOf = (geometry) => {
+  const positions = polygonsOf(geometry).flatMap((rings) => rings[0]);
+  const lngs = positions.map(([lng]) => lng);
+  const lats = positions.map(([, lat]) => lat);
+  return {
+    minLng: Math.min(...lngs),
+    minLat: Math.min(...lats),
+    maxLng: Math.max(...lngs),
+    maxLat: Math.max(...lats),
+  };
+};
+
+// Ray casting: a point is inside when a ray from it crosses the ring an odd number of times
+const ringContains = (ring, lng, lat) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a point lies inside a zone boundary (inside an outline and outside its holes)
+ * @param {object} geometry - Polygon or MultiPolygon
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @returns {boolean}
+ */
+const geometryContains = (geometry, latitude, longitude) =>
+  polygonsOf(geometry).some(([outline, ...holes]) =>
+    ringContains(outline, longitude, latitude) && !holes.some((hole) => ringContains(hole, longitude, latitude))
+  );
+
+/**
+ * Zones from an uploaded GeoJSON document
+ * @param {object|string} geojson - FeatureCollection, Feature, or that as JSON text
+ * @param {string} nameProperty - Feature property holding each zone's name
+ * @returns {Array} - [{ name, geometry }]
+ */
+const parseZones = (geojson, nameProperty = 'name') => {
+  let document = geojson;
+  if (typeof document === 'string') {
+    try {
+      document = JSON.parse(document);
+    } catch {
+      throw new ZoneError('The file is not valid JSON', 'INVALID_GEOJSON');
+    }
+  }
+
+  const features =
+    document?.type === 'FeatureCollection' ? document.features :
+    document?.type === 'Feature' ? [document] :
+    null;
+
+  if (!Array.isArray(features) || features.length === 0) {
+    throw new ZoneError('Upload a GeoJSON FeatureCollection with at least one feature', 'INVALID_GEOJSON');
+  }
+  if (features.length > MAX_ZONES) {
+    throw new ZoneError(`A file can hold at most ${MAX_ZONES} zones`, 'INVALID_GEOJSON');
+  }
+
+  const names = new Set();
+
+  const zones = features.map((feature, i) => {
+    const rawName = feature?.properties?.[nameProperty];
+    const name = String(rawName ?? '').trim().slice(0, 100);
+    if (!name) {
+      throw new ZoneError(`Feature ${i + 1} has no "${nameProperty}" property to name it by`, 'INVALID_GEOJSON');
+    }
+    if (names.has(name.toLowerCase())) {
+      throw new ZoneError(`Zone "${name}" appears more than once in the file`, 'INVALID_GEOJSON');
+    }
+    names.add(name.toLowerCase());
+
+    return { name, geometry: validateGeometry(feature.geometry, `Zone "${name}"`) };
+  });
+
+  const points = zones
+    .flatMap((zone) => polygonsOf(zone.geometry))
+    .reduce((sum, rings) => sum + rings.reduce((count, ring) => count + ring.length, 0), 0);
+  if (points > MAX_ZONE_POINTS) {
+    throw new ZoneError(
+      `Boundaries can have at most ${MAX_ZONE_POINTS} points in total; simplify them first`,
+      'INVALID_GEOJSON'
+    );
+  }
+
+  return zones;
+};
+
+/**
+ * All zones with their routing and how many complaints each holds
+ * @param {object} db - PostgreSQL database connection
+ * @returns {Array}
+ */
+const listZones = async (db) => {
+  const result = await db.query(
+    `SELECT z.id, z.name, z.geometry, z.min_lat, z.min_lng, z.max_lat, z.max_lng,
+            z.assigned_admin_id, u.name AS assigned_admin_name, u.email AS assigned_admin_email,
+            z.assigned_role, z.created_at, z.updated_at,
+            (SELECT COUNT(*)::int FROM complaints c WHERE c.zone_id = z.id) AS complaint_count
+     FROM zones z
+     LEFT JOIN users u ON u.id = z.assigned_admin_id
+     ORDER BY z.name`
+  );
+  return result.rows;
+};
+
+/**
+ * Who zones can route to: active staff, and staff roles as teams
+ * @param {object} db - PostgreSQL database connection
+ * @returns {object} - { staff: [{ id, name, email, role }], teams: [name] }
+ */
+const listRoutingTargets = async (db) => {
+  const staff = await db.query(
+    `SELECT id, name, email, role FROM users
+     WHERE role <> 'user' AND status = 'active'
+     ORDER BY name ASC, email ASC`
+  );
+  const teams = await db.query(`SELECT name FROM roles WHERE name <> 'user' ORDER BY name`);
+  return { staff: staff.rows, teams: teams.rows.map((row) => row.name) };
+};
+
+/**
+ * Create zones from GeoJSON, or replace the boundaries of ones with the same name
+ * @param {object} db - PostgreSQL database connection
+ * @param {object|string} geojson - See parseZones
+ * @param {object} options - { nameProperty }
+ * @returns {object} - { created, updated } zone counts
+ */
+const importZones = async (db, geojson, { nameProperty } = {}) => {
+  const zones = parseZones(geojson, String(nameProperty || '').trim() || 'name');
+  const client = await db.connect();
+  let created = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    for (const zone of zones) {
+      const bounds = boundsOf(zone.geometry);
+      const result = await client.query(
+        `INSERT INTO zones (name, geometry, min_lat, min_lng, max_lat, max_lng, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+         ON CONFLICT (name) DO UPDATE SET
+           geometry = EXCLUDED.geometry,
+           min_lat = EXCLUDED.min_lat, min_lng = EXCLUDED.min_lng,
+           max_lat = EXCLUDED.max_lat, max_lng = EXCLUDED.max_lng,
+           updated_at = NOW()
+         RETURNING (xmax = 0) AS inserted`,
+        [zone.name, JSON.stringify(zone.geometry), bounds.minLat, bounds.minLng, bounds.maxLat, bounds.maxLng]
+      );
+      if (result.rows[0].inserted) created++;
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return { created, updated: zones.length - created };
+};
+
+/**
+ * Rename a zone or change where it routes complaints
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Zone id
+ * @param {object} input - Any of { name, assignedAdminId, assignedRole }; null clears a target
+ * @returns {object} - The updated row
+ */
+const updateZone = async (db, id, input) => {
+  const zoneId = Number(id) || 0;
+  const fields = {};
+
+  if (input.name !== undefined) {
+    fields.name = String(input.name ?? '').trim().slice(0, 100);
+    if (!fields.name) throw new ZoneError('Name is required', 'INVALID_NAME');
+    const taken = await db.query('SELECT id FROM zones WHERE LOWER(name) = LOWER($1) AND id <> $2', [fields.name, zoneId]);
+    if (taken.rows.length > 0) throw new ZoneError('Another zone already has this name', 'ZONE_EXISTS', 409);
+  }
+
+  if (input.assignedAdminId !== undefined) fields.assigned_admin_id = Number(input.assignedAdminId) || null;
+  if (input.assignedRole !== undefined) fields.assigned_role = input.assignedRole || null;
+
+  if (fields.assigned_admin_id && fields.assigned_role) {
+    throw new ZoneError('Route a zone to one staff member or one team, not both', 'INVALID_ROUTING');
+  }
+  // Choosing one target clears the other
+  if (fields.assigned_admin_id) fields.assigned_role = null;
+  if (fields.assigned_role) fields.assigned_admin_id = null;
+
+  if (fields.assigned_admin_id) {
+    const staff = await db.query(
+      `SELECT id FROM users WHERE id = $1 AND role <> 'user' AND status = 'active'`,
+      [fields.assigned_admin_id]
+    );
+    if (staff.rows.length === 0) throw new ZoneError('Staff member not found or inactive', 'INVALID_ROUTING');
+  }
+
+  if (fields.assigned_role) {
+    const role = await db.query(`SELECT name FROM roles WHERE name = $1 AND name <> 'user'`, [fields.assigned_role]);
+    if (role.rows.length === 0) throw new ZoneError('Team not found', 'INVALID_ROUTING');
+  }
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) throw new ZoneError('Nothing to update', 'NO_CHANGES');
+
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  const result = await db.query(
+    `UPDATE zones SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING id, name`,
+    [zoneId, ...columns.map((column) => fields[column])]
+  );
+
+  if (!result.rows[0]) throw new ZoneError('Zone not found', 'ZONE_NOT_FOUND', 404);
+  return result.rows[0];
+};
+
+/**
+ * Delete a zone; its complaints keep their assignment but lose the zone tag
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} id - Zone id
+ */
+const deleteZone = async (db, id) => {
+  const result = await db.query('DELETE FROM zones WHERE id = $1 RETURNING id', [Number(id) || 0]);
+  if (!result.rows[0]) throw new ZoneError('Zone not found', 'ZONE_NOT_FOUND', 404);
+};
+
+/**
+ * The zone containing a point
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @returns {object|null} - Zone row
+ */
+const findZoneForPoint = async (db, latitude, longitude) => {
+  // Bounding boxes narrow the candidates; the exact test runs here
+  const candidates = await db.query(
+    `SELECT id, name, geometry, assigned_admin_id, assigned_role
+     FROM zones
+     WHERE $1 BETWEEN min_lat AND max_lat AND $2 BETWEEN min_lng AND max_lng
+     ORDER BY (max_lat - min_lat) * (max_lng - min_lng), id`,
+    [latitude, longitude]
+  );
+
+  return candidates.rows.find((zone) => geometryContains(zone.geometry, latitude, longitude)) || null;
+};
+
+/**
+ * Tag a new complaint with its zone and hand it to the zone's staff member or team
+ * @param {object} db - PostgreSQL database connection
+ * @param {number} complaintId - Complaint id
+ * @param {object} location - { latitude, longitude }
+ * @returns {object|null} - The zone, or null when no zone contains the complaint
+ */
+const routeComplaintToZone = async (db, complaintId, { latitude, longitude }) => {
+  if (latitude === null || longitude === null) return null;
+
+  const zone = await findZoneForPoint(db, latitude, longitude);
+  if (!zone) return null;
+
+  const assigned = zone.assigned_admin_id || zone.assigned_role;
+  await db.query(
+    `UPDATE complaints
+     SET zone_id = $2, assigned_to = $3, assigned_role = $4, assigned_at = CASE WHEN $5 THEN NOW() ELSE assigned_at END
+     WHERE id = $1`,
+    [complaintId, zone.id, zone.assigned_admin_id, zone.assigned_role, !!assigned]
+  );
+
+  let target = null;
+  if (zone.assigned_admin_id) {
+    const admin = await db.query('SELECT email FROM users WHERE id = $1', [zone.assigned_admin_id]);
+    target = admin.rows[0]?.email || `user ${zone.assigned_admin_id}`;
+  } else if (zone.assigned_role) {
+    target = `the ${zone.assigned_role} team`;
+  }
+
+  await db.query(
+    `INSERT INTO status_history (complaint_id, old_status, new_status, changed_by, changed_by_role, changed_at, notes)
+     SELECT id, status, status, 'system', 'system', NOW(), $2 FROM complaints WHERE id = $1`,
+    [complaintId, target ? `Routed to zone ${zone.name}, assigned to ${target}` : `Located in zone ${zone.name}`]
+  );
+
+  return { ...zone, target };
+};
+
+module.exports = {
+  ZoneError,
+  geometryContains,
+  parseZones,
+  listZones,
+  listRoutingTargets,
+  importZones,
+  updateZone,
+  deleteZone,
+  findZoneForPoint,
+  routeComplaintToZone,
+};
@@ -3,6 +3,9 @@
  * Run this to add Phase 6 & 7 columns safely
  */
 
+const { DEFAULT_ADMIN_PERMISSIONS } = require('../config/permissions');
+const { DEFAULT_REFERENCE_PREFIX } = require('../services/referenceService');
+
 const runMigrations = async (db) => {
   console.log('🔧 [MIGRATION] Starting database migrations...');
 
@@ -165,6 +168,592 @@ const runMigrations = async (db) => {
           FOREIGN KEY (complaint_id) REFERENCES complaints(id) ON DELETE CASCADE
         )`,
     },
+
+    // Refresh token store (hashed, rotating, grouped into families per login)
+    {
+      name: 'Create refresh_tokens table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'refresh_tokens'`,
+      sql: `CREATE TABLE refresh_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INT NOT NULL,
+          token_hash VARCHAR(64) NOT NULL UNIQUE,
+          family_id VARCHAR(36) NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          revoked_at TIMESTAMP NULL,
+          replaced_by INT NULL,
+          last_used_at TIMESTAMP NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+    },
+    // Older databases created refresh_tokens from schema.sql with a raw token column
+    {
+      name: 'Add token_hash to refresh_tokens',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'refresh_tokens' AND column_name = 'token_hash'`,
+      sql: 'ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64) UNIQUE',
+    },
+    {
+      name: 'Add family_id to refresh_tokens',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'refresh_tokens' AND column_name = 'family_id'`,
+      sql: 'ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id VARCHAR(36)',
+    },
+    {
+      name: 'Add revoked_at to refresh_tokens',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'refresh_tokens' AND column_name = 'revoked_at'`,
+      sql: 'ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP NULL',
+    },
+    {
+      name: 'Add replaced_by to refresh_tokens',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'refresh_tokens' AND column_name = 'replaced_by'`,
+      sql: 'ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS replaced_by INT NULL',
+    },
+    {
+      name: 'Add last_used_at to refresh_tokens',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'refresh_tokens' AND column_name = 'last_used_at'`,
+      sql: 'ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP NULL',
+    },
+    {
+      name: 'Drop NOT NULL from legacy refresh_tokens.token',
+        check: `SELECT 1 WHERE NOT EXISTS (
+                  SELECT 1 FROM information_schema.columns
+                  WHERE table_schema = current_schema() AND table_name = 'refresh_tokens'
+                    AND column_name = 'token' AND is_nullable = 'NO'
+                )`,
+      sql: 'ALTER TABLE refresh_tokens ALTER COLUMN token DROP NOT NULL',
+    },
+    {
+      name: 'Create refresh_tokens family index',
+        check: `SELECT indexname FROM pg_indexes
+                WHERE schemaname = current_schema() AND indexname = 'idx_refresh_tokens_family'`,
+      sql: 'CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id)',
+    },
+
+    // Email verification
+    {
+      name: 'Add verification_sent_at to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'verification_sent_at'`,
+      sql: 'ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP NULL',
+    },
+
+    // Superadmin-managed system settings
+    {
+      name: 'Create system_settings table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'system_settings'`,
+      sql: `CREATE TABLE system_settings (
+          key VARCHAR(100) PRIMARY KEY,
+          value JSONB NOT NULL,
+          updated_by INT NULL,
+          updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+    },
+
+    // Login sessions (id = refresh token family id)
+    {
+      name: 'Create sessions table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'sessions'`,
+      sql: `CREATE TABLE sessions (
+          id VARCHAR(36) PRIMARY KEY,
+          user_id INT NOT NULL,
+          user_agent TEXT NULL,
+          ip_address VARCHAR(64) NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          revoked_at TIMESTAMP NULL,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+    },
+    {
+      name: 'Create sessions user index',
+        check: `SELECT indexname FROM pg_indexes
+                WHERE schemaname = current_schema() AND indexname = 'idx_sessions_user'`,
+      sql: 'CREATE INDEX idx_sessions_user ON sessions (user_id)',
+    },
+
+    // Bumped to invalidate a user's access tokens (role/status/password changes)
+    {
+      name: 'Add token_version to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'token_version'`,
+      sql: 'ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INT NOT NULL DEFAULT 0',
+    },
+
+    // TOTP two-factor authentication
+    {
+      name: 'Add totp_secret to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'totp_secret'`,
+      sql: 'ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT NULL',
+    },
+    {
+      name: 'Add totp_enabled to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'totp_enabled'`,
+      sql: 'ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE',
+    },
+    {
+      name: 'Add totp_last_step to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'totp_last_step'`,
+      sql: 'ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT NULL',
+    },
+    {
+      name: 'Create user_recovery_codes table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'user_recovery_codes'`,
+      sql: `CREATE TABLE user_recovery_codes (
+          id SERIAL PRIMARY KEY,
+          user_id INT NOT NULL,
+          code_hash VARCHAR(64) NOT NULL,
+          used_at TIMESTAMP NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+    },
+
+    // Password reset tokens (routes/passwordReset.js)
+    {
+      name: 'Create password_resets table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'password_resets'`,
+      sql: `CREATE TABLE password_resets (
+          id SERIAL PRIMARY KEY,
+          user_id INT NOT NULL,
+          token_hash VARCHAR(255) NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used BOOLEAN NOT NULL DEFAULT FALSE,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+    },
+    {
+      name: 'Create password_resets token index',
+        check: `SELECT indexname FROM pg_indexes
+                WHERE schemaname = current_schema() AND indexname = 'idx_password_resets_token'`,
+      sql: 'CREATE INDEX idx_password_resets_token ON password_resets (token_hash)',
+    },
+
+    // Email login links
+    {
+      name: 'Create magic_link_tokens table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'magic_link_tokens'`,
+      sql: `CREATE TABLE magic_link_tokens (
+          id VARCHAR(64) PRIMARY KEY,
+          user_id INT NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+    },
+
+    // OIDC single sign-on (pending logins and SPA handoff codes)
+    {
+      name: 'Create oidc_auth_requests table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'oidc_auth_requests'`,
+      sql: `CREATE TABLE oidc_auth_requests (
+          state VARCHAR(64) PRIMARY KEY,
+          code_verifier VARCHAR(128) NOT NULL,
+          nonce VARCHAR(64) NOT NULL,
+          user_id INT NULL,
+          handoff_hash VARCHAR(64) NULL UNIQUE,
+          completed_at TIMESTAMP NULL,
+          consumed_at TIMESTAMP NULL,
+          expires_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+    },
+
+    // Brute-force protection
+    {
+      name: 'Add failed_login_count to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'failed_login_count'`,
+      sql: 'ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INT NOT NULL DEFAULT 0',
+    },
+    {
+      name: 'Add locked_until to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'locked_until'`,
+      sql: 'ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP NULL',
+    },
+    {
+      name: 'Create login_attempts table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'login_attempts'`,
+      sql: `CREATE TABLE login_attempts (
+          id SERIAL PRIMARY KEY,
+          user_id INT NULL,
+          email VARCHAR(255) NOT NULL,
+          ip_address VARCHAR(64) NULL,
+          user_agent TEXT NULL,
+          success BOOLEAN NOT NULL,
+          reason VARCHAR(50) NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        )`,
+    },
+    {
+      name: 'Create login_attempts email index',
+        check: `SELECT indexname FROM pg_indexes
+                WHERE schemaname = current_schema() AND indexname = 'idx_login_attempts_email'`,
+      sql: 'CREATE INDEX idx_login_attempts_email ON login_attempts (email, created_at)',
+    },
+    {
+      name: 'Create login_attempts ip index',
+        check: `SELECT indexname FROM pg_indexes
+                WHERE schemaname = current_schema() AND indexname = 'idx_login_attempts_ip'`,
+      sql: 'CREATE INDEX idx_login_attempts_ip ON login_attempts (ip_address, created_at)',
+    },
+
+    // Roles and permissions (users.role holds a roles.name)
+    {
+      name: 'Create roles table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'roles'`,
+      sql: `CREATE TABLE roles (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(20) NOT NULL UNIQUE,
+          description VARCHAR(255) NULL,
+          is_system BOOLEAN NOT NULL DEFAULT FALSE,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+    },
+    {
+      name: 'Create role_permissions table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'role_permissions'`,
+      sql: `CREATE TABLE role_permissions (
+          role_id INT NOT NULL,
+          permission VARCHAR(64) NOT NULL,
+          PRIMARY KEY (role_id, permission),
+          FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+        )`,
+    },
+    {
+      name: 'Seed built-in roles',
+        check: "SELECT id FROM roles WHERE name = 'superadmin'",
+      sql: `INSERT INTO roles (name, description, is_system) VALUES
+          ('user', 'Citizens filing complaints', TRUE),
+          ('admin', 'Complaint handling staff', TRUE),
+          ('superadmin', 'Full access to everything', TRUE)
+        ON CONFLICT (name) DO NOTHING;
+        INSERT INTO role_permissions (role_id, permission)
+        SELECT r.id, p.permission FROM roles r
+        CROSS JOIN unnest(ARRAY[${DEFAULT_ADMIN_PERMISSIONS.map((p) => `'${p}'`).join(', ')}]) AS p(permission)
+        WHERE r.name = 'admin'
+        ON CONFLICT DO NOTHING`,
+    },
+    {
+      // Custom roles need users.role to accept any roles.name
+      name: 'Drop users role check constraint',
+        check: `SELECT 1 WHERE NOT EXISTS (
+                  SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check')`,
+      sql: 'ALTER TABLE users DROP CONSTRAINT users_role_check',
+    },
+    {
+      name: 'Create api_keys table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'api_keys'`,
+      sql: `CREATE TABLE api_keys (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          key_prefix VARCHAR(16) NOT NULL,
+          key_hash VARCHAR(64) NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          rate_limit INT NOT NULL DEFAULT 60,
+          previous_key_hash VARCHAR(64) NULL,
+          previous_expires_at TIMESTAMP NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NULL,
+          rotated_at TIMESTAMP NULL,
+          revoked_at TIMESTAMP NULL,
+          last_used_at TIMESTAMP NULL,
+          last_used_ip VARCHAR(45) NULL,
+          request_count BIGINT NOT NULL DEFAULT 0,
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        );
+        CREATE INDEX idx_api_keys_previous_hash ON api_keys(previous_key_hash)`,
+    },
+    {
+      name: 'Add deletion_scheduled_at to users',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'deletion_scheduled_at'`,
+      sql: 'ALTER TABLE users ADD COLUMN deletion_scheduled_at TIMESTAMP NULL',
+    },
+    {
+      name: 'Add invite columns to admin_whitelist',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'admin_whitelist' AND column_name = 'invite_token_hash'`,
+      sql: `ALTER TABLE admin_whitelist
+          ADD COLUMN invite_role VARCHAR(20) NULL,
+          ADD COLUMN invited_by INT NULL REFERENCES users(id) ON DELETE SET NULL,
+          ADD COLUMN invite_token_hash VARCHAR(64) NULL UNIQUE,
+          ADD COLUMN invite_expires_at TIMESTAMP NULL,
+          ADD COLUMN invite_sent_at TIMESTAMP NULL,
+          ADD COLUMN accepted_at TIMESTAMP NULL`,
+    },
+    {
+      name: 'Create impersonation_sessions table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'impersonation_sessions'`,
+      sql: `CREATE TABLE impersonation_sessions (
+          id SERIAL PRIMARY KEY,
+          superadmin_id INT NULL,
+          superadmin_email VARCHAR(255) NOT NULL,
+          target_user_id INT NULL,
+          target_email VARCHAR(255) NOT NULL,
+          reason VARCHAR(500) NULL,
+          ip_address VARCHAR(45) NULL,
+          user_agent TEXT NULL,
+          started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          ended_at TIMESTAMP NULL,
+          FOREIGN KEY (superadmin_id) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL
+        )`,
+    },
+    {
+      name: 'Create impersonation_requests table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'impersonation_requests'`,
+      sql: `CREATE TABLE impersonation_requests (
+          id SERIAL PRIMARY KEY,
+          impersonation_id INT NOT NULL,
+          method VARCHAR(10) NOT NULL,
+          path VARCHAR(500) NOT NULL,
+          status_code INT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (impersonation_id) REFERENCES impersonation_sessions(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_impersonation_requests_session ON impersonation_requests(impersonation_id)`,
+    },
+    {
+      name: 'Add tracking_code to complaints',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = 'tracking_code'`,
+      sql: 'ALTER TABLE complaints ADD COLUMN tracking_code VARCHAR(19) NULL UNIQUE',
+    },
+    {
+      name: 'Add tracking_passphrase_hash to complaints',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = 'tracking_passphrase_hash'`,
+      sql: 'ALTER TABLE complaints ADD COLUMN tracking_passphrase_hash VARCHAR(255) NULL',
+    },
+    {
+      name: 'Create complaint_reference_sequences table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'complaint_reference_sequences'`,
+      sql: `CREATE TABLE complaint_reference_sequences (
+          year INT PRIMARY KEY,
+          last_value INT NOT NULL DEFAULT 0
+        )`,
+    },
+    {
+      // Existing complaints are numbered per year in filing order, and each year's sequence continues from there
+      // (DEFAULT_REFERENCE_PREFIX is interpolated below; referenceService only lets through 2-6 letters)
+      name: 'Add reference to complaints',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = 'reference'`,
+      sql: `ALTER TABLE complaints ADD COLUMN reference VARCHAR(32) NULL UNIQUE;
+        WITH numbered AS (
+          SELECT id, EXTRACT(YEAR FROM created_at)::int AS year,
+                 ROW_NUMBER() OVER (PARTITION BY EXTRACT(YEAR FROM created_at) ORDER BY created_at, id) AS n
+          FROM complaints
+        )
+        UPDATE complaints c
+        SET reference = '${DEFAULT_REFERENCE_PREFIX}-' || numbered.year || '-' || LPAD(numbered.n::text, 6, '0')
+        FROM numbered WHERE c.id = numbered.id;
+        INSERT INTO complaint_reference_sequences (year, last_value)
+        SELECT EXTRACT(YEAR FROM created_at)::int, COUNT(*) FROM complaints GROUP BY 1
+        ON CONFLICT (year) DO UPDATE SET last_value = GREATEST(complaint_reference_sequences.last_value, EXCLUDED.last_value)`,
+    },
+    {
+      // Citizens can withdraw a complaint before it is reviewed
+      name: 'Allow withdrawn complaint status',
+        check: `SELECT 1 WHERE NOT EXISTS (
+                  SELECT 1 FROM pg_constraint
+                  WHERE conname = 'complaints_status_check' AND pg_get_constraintdef(oid) NOT LIKE '%withdrawn%')`,
+      sql: `ALTER TABLE complaints DROP CONSTRAINT complaints_status_check;
+        ALTER TABLE complaints ADD CONSTRAINT complaints_status_check
+          CHECK (status IN ('new', 'under-review', 'resolved', 'withdrawn'))`,
+    },
+    {
+      name: 'Create complaint_attachments table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'complaint_attachments'`,
+      sql: `CREATE TABLE complaint_attachments (
+          id SERIAL PRIMARY KEY,
+          complaint_id INT NOT NULL,
+          kind VARCHAR(20) NOT NULL DEFAULT 'evidence' CHECK (kind IN ('evidence', 'resolution', 'other')),
+          url VARCHAR(500) NOT NULL,
+          public_id VARCHAR(255) NULL,
+          file_name VARCHAR(255) NULL,
+          mime_type VARCHAR(100) NULL,
+          size_bytes INT NULL,
+          uploaded_by INT NULL,
+          uploaded_by_role VARCHAR(50) NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (complaint_id) REFERENCES complaints(id) ON DELETE CASCADE,
+          FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+        );
+        CREATE INDEX idx_complaint_attachments_complaint ON complaint_attachments(complaint_id);
+        INSERT INTO complaint_attachments (complaint_id, kind, url, uploaded_by, uploaded_by_role, created_at)
+        SELECT id, 'evidence', problem_image_url, user_id, 'user', created_at
+        FROM complaints WHERE problem_image_url IS NOT NULL;
+        INSERT INTO complaint_attachments (complaint_id, kind, url, uploaded_by_role, created_at)
+        SELECT id, 'resolution', resolved_image_url, 'admin', COALESCE(resolved_at, created_at)
+        FROM complaints WHERE resolved_image_url IS NOT NULL`,
+    },
+    {
+      name: 'Create complaint_comments table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'complaint_comments'`,
+      sql: `CREATE TABLE complaint_comments (
+          id SERIAL PRIMARY KEY,
+          complaint_id INT NOT NULL,
+          author_id INT NULL,
+          author_role VARCHAR(50) NOT NULL,
+          body TEXT NOT NULL,
+          attachment_id INT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (complaint_id) REFERENCES complaints(id) ON DELETE CASCADE,
+          FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (attachment_id) REFERENCES complaint_attachments(id) ON DELETE SET NULL
+        );
+        CREATE INDEX idx_complaint_comments_complaint ON complaint_comments(complaint_id)`,
+    },
+    {
+      // Granting complaints.notes here, once, leaves it removable from the admin role afterwards
+      name: 'Create complaint_notes tables',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'complaint_notes'`,
+      sql: `CREATE TABLE complaint_notes (
+          id SERIAL PRIMARY KEY,
+          complaint_id INT NOT NULL,
+          author_id INT NULL,
+          body TEXT NOT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (complaint_id) REFERENCES complaints(id) ON DELETE CASCADE,
+          FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+        );
+        CREATE INDEX idx_complaint_notes_complaint ON complaint_notes(complaint_id);
+        CREATE TABLE complaint_note_mentions (
+          note_id INT NOT NULL,
+          user_id INT NOT NULL,
+          PRIMARY KEY (note_id, user_id),
+          FOREIGN KEY (note_id) REFERENCES complaint_notes(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+        INSERT INTO role_permissions (role_id, permission)
+        SELECT id, 'complaints.notes' FROM roles WHERE name = 'admin'
+        ON CONFLICT DO NOTHING`,
+    },
+    {
+      // Categories complaints already use are kept, inactive, so staff can review them
+      name: 'Create categories table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'categories'`,
+      sql: `CREATE TABLE categories (
+          id SERIAL PRIMARY KEY,
+          slug VARCHAR(50) NOT NULL UNIQUE,
+          name VARCHAR(100) NOT NULL,
+          description VARCHAR(255) NULL,
+          icon VARCHAR(50) NULL,
+          display_order INT NOT NULL DEFAULT 0,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO categories (slug, name, description, icon, display_order) VALUES
+          ('service', 'Service', 'Quality or availability of a public service', 'wrench', 10),
+          ('behavior', 'Behavior', 'Conduct of staff or officials', 'user-x', 20),
+          ('technical', 'Technical', 'Websites, apps and other technical problems', 'cpu', 30),
+          ('other', 'Other', 'Anything that fits no other category', 'help-circle', 1000);
+        INSERT INTO categories (slug, name, display_order, is_active)
+        SELECT DISTINCT category, INITCAP(REPLACE(category, '_', ' ')), 500, FALSE
+        FROM complaints WHERE category IS NOT NULL AND category <> ''
+        ON CONFLICT (slug) DO NOTHING;
+        INSERT INTO role_permissions (role_id, permission)
+        SELECT id, 'categories.manage' FROM roles WHERE name = 'admin'
+        ON CONFLICT DO NOTHING`,
+    },
+    {
+      name: 'Add field_schema to categories',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'categories' AND column_name = 'field_schema'`,
+      sql: `ALTER TABLE categories ADD COLUMN field_schema JSONB NOT NULL DEFAULT '[]'`,
+    },
+    {
+      name: 'Add custom_fields to complaints',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = 'custom_fields'`,
+      sql: 'ALTER TABLE complaints ADD COLUMN custom_fields JSONB NULL',
+    },
+    {
+      name: 'Add location to complaints',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = 'latitude'`,
+      sql: `ALTER TABLE complaints
+          ADD COLUMN latitude DOUBLE PRECISION NULL,
+          ADD COLUMN longitude DOUBLE PRECISION NULL,
+          ADD COLUMN address VARCHAR(255) NULL;
+        CREATE INDEX idx_complaints_location ON complaints(latitude, longitude)`,
+    },
+    {
+      name: 'Add assignment to complaints',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = 'assigned_role'`,
+      sql: `ALTER TABLE complaints
+          ADD COLUMN IF NOT EXISTS assigned_to INT NULL REFERENCES users(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP NULL,
+          ADD COLUMN assigned_role VARCHAR(20) NULL REFERENCES roles(name) ON DELETE SET NULL`,
+    },
+    {
+      name: 'Create zones table',
+        check: `SELECT table_name FROM information_schema.tables
+                WHERE table_schema = current_schema() AND table_name = 'zones'`,
+      sql: `CREATE TABLE zones (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          geometry JSONB NOT NULL,
+          min_lat DOUBLE PRECISION NOT NULL,
+          min_lng DOUBLE PRECISION NOT NULL,
+          max_lat DOUBLE PRECISION NOT NULL,
+          max_lng DOUBLE PRECISION NOT NULL,
+          assigned_admin_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+          assigned_role VARCHAR(20) NULL REFERENCES roles(name) ON DELETE SET NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_zones_bounds ON zones(min_lat, max_lat, min_lng, max_lng)`,
+    },
+    {
+      name: 'Add zone_id to complaints',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'complaints' AND column_name = 'zone_id'`,
+      sql: `ALTER TABLE complaints ADD COLUMN zone_id INT NULL REFERENCES zones(id) ON DELETE SET NULL;
+        CREATE INDEX idx_complaints_zone ON complaints(zone_id)`,
+    },
+    {
+      name: 'Add binding_hash to oidc_auth_requests',
+        check: `SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = 'oidc_auth_requests' AND column_name = 'binding_hash'`,
+      sql: 'ALTER TABLE oidc_auth_requests ADD COLUMN binding_hash VARCHAR(64) NULL',
+    },
   ];
 
   for (const migration of migrations) {
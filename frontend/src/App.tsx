@@ -9,6 +9,10 @@ import Signup from "./pages/Signup";
 import AnonymousComplaint from "./pages/AnonymousComplaint";
 import ForgotPassword from "./pages/ForgotPassword";
 import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
+import UnlockAccount from "./pages/UnlockAccount";
+import ConfirmEmailChange from "./pages/ConfirmEmailChange";
+import AcceptInvite from "./pages/AcceptInvite";
 import PrivacyPolicy from "./pages/PrivacyPolicy";
 import TermsOfService from "./pages/TermsOfService";
 import UserDashboard from "./pages/UserDashboard";
@@ -17,6 +21,7 @@ import UserSettings from "./pages/UserSettings";
 import StatusTracker from "./pages/StatusTracker";
 import AdminDashboard from "./pages/AdminDashboard";
 import AdminComplaints from "./pages/AdminComplaints";
+import AdminMap from "./pages/AdminMap";
 import AdminUsers from "./pages/AdminUsers";
 import AdminReports from "./pages/AdminReports";
 import AdminSettings from "./pages/AdminSettings";
@@ -91,6 +96,14 @@ const App = () => (
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/admin/map"
+            element={
+              <ProtectedRoute role="admin">
+                <AdminMap />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/admin/users"
             element={
@@ -177,6 +190,12 @@ const App = () => (
           {/* Password Reset Routes */}
           <Route path="/forgot-password" element={<ForgotPassword />} />
           <Route path="/reset-password" element={<ResetPassword />} />
+
+          {/* Email Verification */}
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/unlock-account" element={<UnlockAccount />} />
+          <Route path="/confirm-email-change" element={<ConfirmEmailChange />} />
+          <Route path="/accept-invite" element={<AcceptInvite />} />
           
           {/* Legal Pages */}
           <Route path="/privacy-policy" element={<PrivacyPolicy />} />
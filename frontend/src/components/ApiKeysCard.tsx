@@ -0,0 +1,387 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { Plug, Loader2, Plus, RotateCw, Ban, Copy, AlertTriangle } from "lucide-react";
+
+interface ApiKey {
+  id: number;
+  name: string;
+  key_prefix: string;
+  scopes: string[];
+  rate_limit: number;
+  created_at: string;
+  expires_at: string | null;
+  last_used_at: string | null;
+  last_used_ip: string | null;
+  request_count: number;
+  rotated_at: string | null;
+  previous_expires_at: string | null;
+  revoked_at: string | null;
+}
+
+interface Scope {
+  name: string;
+  description: string;
+}
+
+interface ApiKeyForm {
+  name: string;
+  scopes: string[];
+  rateLimit: string;
+  expiresInDays: string;
+}
+
+const EMPTY_FORM: ApiKeyForm = { name: "", scopes: [], rateLimit: "60", expiresInDays: "" };
+
+const isExpired = (key: ApiKey) => !!key.expires_at && new Date(key.expires_at) <= new Date();
+
+const ApiKeysCard = () => {
+  const { toast } = useToast();
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [scopes, setScopes] = useState<Scope[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [form, setForm] = useState<ApiKeyForm>(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [workingId, setWorkingId] = useState<number | null>(null);
+  // Plain key, shown once after create/rotate
+  const [issued, setIssued] = useState<{ name: string; key: string; rotated: boolean } | null>(null);
+
+  const fetchApiKeys = async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getApiKeys();
+      setApiKeys(res.data.apiKeys || []);
+      setScopes(res.data.scopes || []);
+    } catch (error) {
+      console.error("Failed to load API keys:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setIsDialogOpen(true);
+  };
+
+  const toggleScope = (scope: string, checked: boolean) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: checked ? [...prev.scopes, scope] : prev.scopes.filter((s) => s !== scope),
+    }));
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const res = await api.createApiKey({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        rateLimit: Number(form.rateLimit),
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null,
+      });
+      setIsDialogOpen(false);
+      setIssued({ name: res.data.apiKey.name, key: res.data.key, rotated: false });
+      fetchApiKeys();
+    } catch (error) {
+      showError(error, "Failed to create API key.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRotate = async (apiKey: ApiKey) => {
+    if (!window.confirm(`Rotate ${apiKey.name}? The current key keeps working for 24 hours.`)) return;
+
+    setWorkingId(apiKey.id);
+    try {
+      const res = await api.rotateApiKey(apiKey.id);
+      setIssued({ name: apiKey.name, key: res.data.key, rotated: true });
+      fetchApiKeys();
+    } catch (error) {
+      showError(error, "Failed to rotate API key.");
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    if (!window.confirm(`Revoke ${apiKey.name}? Integrations using it stop working immediately.`)) return;
+
+    setWorkingId(apiKey.id);
+    try {
+      const res = await api.revokeApiKey(apiKey.id);
+      setApiKeys(res.data.apiKeys || []);
+      toast({ title: "API key revoked", description: `${apiKey.name} can no longer be used.` });
+    } catch (error) {
+      showError(error, "Failed to revoke API key.");
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!issued) return;
+    await navigator.clipboard.writeText(issued.key);
+    toast({ title: "Copied", description: "API key copied to clipboard." });
+  };
+
+  const renderStatus = (apiKey: ApiKey) => {
+    if (apiKey.revoked_at) return <Badge variant="destructive">Revoked</Badge>;
+    if (isExpired(apiKey)) return <Badge variant="secondary">Expired</Badge>;
+    return <Badge variant="outline" className="text-green-600 border-green-600">Active</Badge>;
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center gap-2">
+            <Plug className="h-5 w-5" />
+            API Keys
+          </CardTitle>
+          <CardDescription>
+            Keys for integrations, sent as <span className="font-mono">Authorization: ApiKey &lt;key&gt;</span>
+          </CardDescription>
+        </div>
+        <Button onClick={openCreate} size="sm" disabled={isLoading}>
+          <Plus className="mr-2 h-4 w-4" />
+          New API Key
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : apiKeys.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            No API keys issued yet
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Key</TableHead>
+                <TableHead>Scopes</TableHead>
+                <TableHead>Limit</TableHead>
+                <TableHead>Last Used</TableHead>
+                <TableHead>Requests</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {apiKeys.map((apiKey) => (
+                <TableRow key={apiKey.id}>
+                  <TableCell>
+                    <div className="font-medium">{apiKey.name}</div>
+                    <div className="font-mono text-xs text-muted-foreground">{apiKey.key_prefix}…</div>
+                    {apiKey.expires_at && !apiKey.revoked_at && (
+                      <div className="text-xs text-muted-foreground">
+                        Expires {new Date(apiKey.expires_at).toLocaleDateString()}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell className="max-w-xs">
+                    <div className="flex flex-wrap gap-1">
+                      {apiKey.scopes.map((scope) => (
+                        <Badge key={scope} variant="outline" className="font-mono text-xs">
+                          {scope}
+                        </Badge>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-sm">{apiKey.rate_limit}/min</TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {apiKey.last_used_at ? (
+                      <>
+                        <div>{new Date(apiKey.last_used_at).toLocaleString()}</div>
+                        {apiKey.last_used_ip && <div className="text-xs">{apiKey.last_used_ip}</div>}
+                      </>
+                    ) : (
+                      "Never"
+                    )}
+                  </TableCell>
+                  <TableCell>{apiKey.request_count.toLocaleString()}</TableCell>
+                  <TableCell>{renderStatus(apiKey)}</TableCell>
+                  <TableCell className="text-right space-x-2">
+                    {!apiKey.revoked_at && (
+                      <>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleRotate(apiKey)}
+                          disabled={workingId === apiKey.id || isExpired(apiKey)}
+                        >
+                          <RotateCw className="mr-2 h-4 w-4" />
+                          Rotate
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleRevoke(apiKey)}
+                          disabled={workingId === apiKey.id}
+                        >
+                          {workingId === apiKey.id ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          ) : (
+                            <Ban className="mr-2 h-4 w-4" />
+                          )}
+                          Revoke
+                        </Button>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>New API Key</DialogTitle>
+            <DialogDescription>
+              The key can only call endpoints covered by its scopes
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="apiKeyName">Name</Label>
+              <Input
+                id="apiKeyName"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="City call centre"
+                disabled={isSaving}
+                required
+              />
+            </div>
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="apiKeyRateLimit">Requests per minute</Label>
+                <Input
+                  id="apiKeyRateLimit"
+                  type="number"
+                  min={1}
+                  value={form.rateLimit}
+                  onChange={(e) => setForm({ ...form, rateLimit: e.target.value })}
+                  disabled={isSaving}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="apiKeyExpiry">Expires after (days)</Label>
+                <Input
+                  id="apiKeyExpiry"
+                  type="number"
+                  min={1}
+                  value={form.expiresInDays}
+                  onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                  placeholder="Never"
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label>Scopes</Label>
+              {scopes.map((scope) => (
+                <label key={scope.name} className="flex items-start gap-3 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={form.scopes.includes(scope.name)}
+                    onCheckedChange={(checked) => toggleScope(scope.name, checked === true)}
+                    disabled={isSaving}
+                  />
+                  <span>
+                    <span className="font-mono text-xs">{scope.name}</span>
+                    <span className="block text-muted-foreground">{scope.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <Button type="submit" disabled={isSaving || !form.name.trim() || form.scopes.length === 0}>
+                {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Create Key
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => setIsDialogOpen(false)} disabled={isSaving}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!issued} onOpenChange={(open) => !open && setIssued(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>{issued?.rotated ? "Key Rotated" : "Key Created"}</DialogTitle>
+            <DialogDescription>{issued?.name}</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <Alert>
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>
+                Copy this key now, it will not be shown again.
+                {issued?.rotated && " The previous key keeps working for 24 hours."}
+              </AlertDescription>
+            </Alert>
+            <div className="p-4 border rounded-lg bg-muted/30 font-mono text-sm break-all">
+              {issued?.key}
+            </div>
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+                <Copy className="mr-2 h-4 w-4" />
+                Copy
+              </Button>
+              <Button type="button" size="sm" onClick={() => setIssued(null)}>
+                Done
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ApiKeysCard;
@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { FileText, Image, Loader2, Paperclip, Trash2, Upload } from "lucide-react";
+
+interface Attachment {
+  id: number;
+  kind: string;
+  url: string;
+  file_name: string | null;
+  mime_type: string | null;
+  size_bytes: number | null;
+  uploaded_by_role: string | null;
+  uploaded_by_name: string | null;
+  created_at: string;
+  canDelete: boolean;
+}
+
+interface AttachmentGalleryProps {
+  complaintId: number;
+  // Kind preselected for uploads, when the user may choose it
+  defaultKind?: string;
+}
+
+const KIND_LABELS: Record<string, string> = {
+  evidence: "Evidence",
+  resolution: "Resolution",
+  other: "Other",
+};
+
+const formatSize = (bytes: number | null) => {
+  if (!bytes) return "";
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Rows migrated from the old single-image columns have no mime type; they are all images
+const isImage = (attachment: Attachment) => !attachment.mime_type || attachment.mime_type.startsWith("image/");
+
+const AttachmentGallery = ({ complaintId, defaultKind = "evidence" }: AttachmentGalleryProps) => {
+  const { toast } = useToast();
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [canUpload, setCanUpload] = useState(false);
+  const [uploadKinds, setUploadKinds] = useState<string[]>([]);
+  const [kind, setKind] = useState(defaultKind);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [deletingId, setDeletingId] = useState<number | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const fetchAttachments = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getAttachments(complaintId);
+      setAttachments(res.data.attachments || []);
+      setCanUpload(!!res.data.canUpload);
+      setUploadKinds(res.data.uploadKinds || []);
+    } catch (error) {
+      console.error("Failed to load attachments:", error);
+      setAttachments([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [complaintId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    setIsUploading(true);
+    try {
+      await api.uploadAttachments(complaintId, files, uploadKinds.includes(kind) ? kind : "evidence");
+      toast({ title: "Uploaded", description: `${files.length} file(s) attached.` });
+      fetchAttachments();
+    } catch (error) {
+      showError(error, "Failed to upload files.");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDelete = async (attachment: Attachment) => {
+    if (!window.confirm(`Delete ${attachment.file_name || "this attachment"}?`)) return;
+
+    setDeletingId(attachment.id);
+    try {
+      await api.deleteAttachment(complaintId, attachment.id);
+      setAttachments((prev) => prev.filter((a) => a.id !== attachment.id));
+    } catch (error) {
+      showError(error, "Failed to delete attachment.");
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-sm font-medium flex items-center gap-2">
+          <Paperclip className="h-4 w-4" />
+          Attachments {!isLoading && `(${attachments.length})`}
+        </p>
+        {canUpload && (
+          <div className="flex items-center gap-2">
+            {uploadKinds.length > 1 && (
+              <Select value={kind} onValueChange={setKind}>
+                <SelectTrigger className="h-9 w-[130px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {uploadKinds.map((k) => (
+                    <SelectItem key={k} value={k}>{KIND_LABELS[k] || k}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+            <Input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*,application/pdf"
+              multiple
+              onChange={handleUpload}
+              className="hidden"
+            />
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isUploading}
+            >
+              {isUploading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+              Add Files
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-muted-foreground italic">No attachments.</p>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          {attachments.map((attachment) => (
+            <div key={attachment.id} className="border rounded-lg overflow-hidden">
+              <a href={attachment.url} target="_blank" rel="noreferrer" className="block bg-muted">
+                {isImage(attachment) ? (
+                  <img
+                    src={attachment.url}
+                    alt={attachment.file_name || "Attachment"}
+                    className="w-full h-28 object-cover"
+                  />
+                ) : (
+                  <div className="h-28 flex flex-col items-center justify-center gap-1 text-muted-foreground">
+                    <FileText className="h-8 w-8" />
+                    <span className="text-xs">PDF</span>
+                  </div>
+                )}
+              </a>
+              <div className="p-2 space-y-1">
+                <div className="flex items-center justify-between gap-1">
+                  <Badge variant="outline" className="text-xs">
+                    {isImage(attachment) ? <Image className="h-3 w-3 mr-1" /> : <FileText className="h-3 w-3 mr-1" />}
+                    {KIND_LABELS[attachment.kind] || attachment.kind}
+                  </Badge>
+                  {attachment.canDelete && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-6 w-6 p-0 text-destructive"
+                      onClick={() => handleDelete(attachment)}
+                      disabled={deletingId === attachment.id}
+                      title="Delete attachment"
+                    >
+                      {deletingId === attachment.id ? (
+                        <Loader2 className="h-3 w-3 animate-spin" />
+                      ) : (
+                        <Trash2 className="h-3 w-3" />
+                      )}
+                    </Button>
+                  )}
+                </div>
+                <p className="text-xs truncate" title={attachment.file_name || undefined}>
+                  {attachment.file_name || "Image"}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {[attachment.uploaded_by_name || attachment.uploaded_by_role, formatSize(attachment.size_bytes)]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </p>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentGallery;
@@ -0,0 +1,374 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { CATEGORY_ICONS, categoryIcon, slugify, type Category, type CategoryField } from "@/lib/complaints";
+import FieldSchemaEditor from "@/components/FieldSchemaEditor";
+import { Loader2, Plus, Pencil, Tags, Trash2 } from "lucide-react";
+
+interface ManagedCategory extends Category {
+  complaint_count: number;
+}
+
+interface CategoryForm {
+  slug: string;
+  name: string;
+  description: string;
+  icon: string;
+  displayOrder: string;
+  isActive: boolean;
+  fieldSchema: CategoryField[];
+}
+
+const EMPTY_FORM: CategoryForm = {
+  slug: "",
+  name: "",
+  description: "",
+  icon: "tag",
+  displayOrder: "100",
+  isActive: true,
+  fieldSchema: [],
+};
+
+const CategoriesCard = () => {
+  const { toast } = useToast();
+  const [categories, setCategories] = useState<ManagedCategory[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState<ManagedCategory | null>(null);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [form, setForm] = useState<CategoryForm>(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  const fetchCategories = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getAdminCategories();
+      setCategories(res.data.categories || []);
+    } catch (error) {
+      console.error("Failed to load categories:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setIsDialogOpen(true);
+  };
+
+  const openEdit = (category: ManagedCategory) => {
+    setEditing(category);
+    setForm({
+      slug: category.slug,
+      name: category.name,
+      description: category.description || "",
+      icon: category.icon || "tag",
+      displayOrder: String(category.display_order),
+      isActive: category.is_active,
+      fieldSchema: category.field_schema || [],
+    });
+    setIsDialogOpen(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const fields = {
+      name: form.name.trim(),
+      description: form.description,
+      icon: form.icon,
+      displayOrder: parseInt(form.displayOrder, 10) || 0,
+      isActive: form.isActive,
+      fieldSchema: form.fieldSchema,
+    };
+    try {
+      const res = editing
+        ? await api.updateCategory(editing.id, fields)
+        : await api.createCategory({ slug: form.slug.trim(), ...fields });
+      setCategories(res.data.categories || []);
+      setIsDialogOpen(false);
+      toast({
+        title: editing ? "Category updated" : "Category created",
+        description: form.isActive
+          ? `${fields.name} is offered on complaint forms.`
+          : `${fields.name} is hidden from complaint forms.`,
+      });
+    } catch (error) {
+      showError(error, "Failed to save category.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (category: ManagedCategory, isActive: boolean) => {
+    setBusyId(category.id);
+    try {
+      const res = await api.updateCategory(category.id, { isActive });
+      setCategories(res.data.categories || []);
+    } catch (error) {
+      showError(error, "Failed to update category.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (category: ManagedCategory) => {
+    if (!window.confirm(`Delete the ${category.name} category?`)) return;
+
+    setBusyId(category.id);
+    try {
+      const res = await api.deleteCategory(category.id);
+      setCategories(res.data.categories || []);
+      toast({ title: "Category deleted", description: `${category.name} has been removed.` });
+    } catch (error) {
+      showError(error, "Failed to delete category.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center gap-2">
+            <Tags className="h-5 w-5" />
+            Complaint Categories
+          </CardTitle>
+          <CardDescription>
+            Categories offered on every complaint form; inactive ones stay on existing complaints
+          </CardDescription>
+        </div>
+        <Button onClick={openCreate} size="sm" disabled={isLoading}>
+          <Plus className="mr-2 h-4 w-4" />
+          New Category
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Category</TableHead>
+                <TableHead>Order</TableHead>
+                <TableHead>Complaints</TableHead>
+                <TableHead>Active</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {categories.map((category) => {
+                const Icon = categoryIcon(category.icon);
+                return (
+                  <TableRow key={category.id}>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        <Icon className="h-4 w-4 text-muted-foreground" />
+                        <span className="font-medium">{category.name}</span>
+                        <Badge variant="outline" className="font-mono text-xs">{category.slug}</Badge>
+                        {category.field_schema?.length > 0 && (
+                          <Badge variant="secondary" className="text-xs">
+                            {category.field_schema.length} field{category.field_schema.length === 1 ? "" : "s"}
+                          </Badge>
+                        )}
+                      </div>
+                      {category.description && (
+                        <div className="text-xs text-muted-foreground">{category.description}</div>
+                      )}
+                    </TableCell>
+                    <TableCell>{category.display_order}</TableCell>
+                    <TableCell>{category.complaint_count}</TableCell>
+                    <TableCell>
+                      <Switch
+                        checked={category.is_active}
+                        onCheckedChange={(checked) => handleToggleActive(category, checked)}
+                        disabled={busyId === category.id}
+                      />
+                    </TableCell>
+                    <TableCell className="text-right space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => openEdit(category)}>
+                        <Pencil className="mr-2 h-4 w-4" />
+                        Edit
+                      </Button>
+                      {category.complaint_count === 0 && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleDelete(category)}
+                          disabled={busyId === category.id}
+                        >
+                          {busyId === category.id ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          ) : (
+                            <Trash2 className="mr-2 h-4 w-4" />
+                          )}
+                          Delete
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editing ? `Edit ${editing.name}` : "New Category"}</DialogTitle>
+            <DialogDescription>
+              The slug is stored on each complaint and cannot be changed later
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="categoryName">Name</Label>
+                <Input
+                  id="categoryName"
+                  value={form.name}
+                  onChange={(e) =>
+                    setForm({
+                      ...form,
+                      name: e.target.value,
+                      // Suggest a slug until the user types their own
+                      slug: editing || form.slug !== slugify(form.name) ? form.slug : slugify(e.target.value),
+                    })
+                  }
+                  placeholder="Road works"
+                  disabled={isSaving}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="categorySlug">Slug</Label>
+                <Input
+                  id="categorySlug"
+                  value={form.slug}
+                  onChange={(e) => setForm({ ...form, slug: e.target.value.toLowerCase() })}
+                  placeholder="road_works"
+                  className="font-mono"
+                  disabled={!!editing || isSaving}
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="categoryDescription">Description</Label>
+              <Input
+                id="categoryDescription"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Potholes, damaged signs and roadworks"
+                disabled={isSaving}
+              />
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label>Icon</Label>
+                <Select value={form.icon} onValueChange={(icon) => setForm({ ...form, icon })} disabled={isSaving}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(CATEGORY_ICONS).map(([name, Icon]) => (
+                      <SelectItem key={name} value={name}>
+                        <span className="flex items-center gap-2">
+                          <Icon className="h-4 w-4" />
+                          {name}
+                        </span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="categoryOrder">Display Order</Label>
+                <Input
+                  id="categoryOrder"
+                  type="number"
+                  min={0}
+                  max={10000}
+                  value={form.displayOrder}
+                  onChange={(e) => setForm({ ...form, displayOrder: e.target.value })}
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+
+            <FieldSchemaEditor
+              fields={form.fieldSchema}
+              onChange={(fieldSchema) => setForm({ ...form, fieldSchema })}
+              disabled={isSaving}
+            />
+
+            <div className="flex items-center justify-between">
+              <Label htmlFor="categoryActive">Offered on complaint forms</Label>
+              <Switch
+                id="categoryActive"
+                checked={form.isActive}
+                onCheckedChange={(isActive) => setForm({ ...form, isActive })}
+                disabled={isSaving}
+              />
+            </div>
+
+            <div className="flex gap-2">
+              <Button type="submit" disabled={isSaving || !form.name.trim() || !form.slug.trim()}>
+                {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                {editing ? "Save Changes" : "Create Category"}
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => setIsDialogOpen(false)} disabled={isSaving}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default CategoriesCard;
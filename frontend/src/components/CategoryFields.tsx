@@ -0,0 +1,61 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import type { CategoryField } from "@/lib/complaints";
+
+interface CategoryFieldsProps {
+  fields: CategoryField[];
+  values: Record<string, string>;
+  onChange: (values: Record<string, string>) => void;
+  disabled?: boolean;
+}
+
+// Inputs for a category's extra intake fields; answers are sent as custom_fields
+const CategoryFields = ({ fields, values, onChange, disabled }: CategoryFieldsProps) => {
+  if (fields.length === 0) return null;
+
+  const setValue = (key: string, value: string) => onChange({ ...values, [key]: value });
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      {fields.map((field) => {
+        const id = `field-${field.key}`;
+        return (
+          <div key={field.key} className="space-y-2">
+            <Label htmlFor={id}>
+              {field.label}
+              {field.required && <span className="text-destructive"> *</span>}
+            </Label>
+            {field.type === "select" ? (
+              <Select value={values[field.key] || ""} onValueChange={(value) => setValue(field.key, value)} disabled={disabled}>
+                <SelectTrigger id={id}>
+                  <SelectValue placeholder={`Select ${field.label.toLowerCase()}`} />
+                </SelectTrigger>
+                <SelectContent>
+                  {(field.options || []).map((option) => (
+                    <SelectItem key={option} value={option}>{option}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            ) : (
+              <Input
+                id={id}
+                type={field.type === "text" ? "text" : field.type}
+                step={field.type === "number" ? "any" : undefined}
+                pattern={field.pattern}
+                title={field.pattern ? `Must match ${field.pattern}` : undefined}
+                maxLength={field.type === "text" ? 500 : undefined}
+                value={values[field.key] || ""}
+                onChange={(e) => setValue(field.key, e.target.value)}
+                required={field.required}
+                disabled={disabled}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CategoryFields;
@@ -11,7 +11,14 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { useToast } from "@/hooks/use-toast";
-import { api } from "@/lib/api";
+import { api, getApiError } from "@/lib/api";
+import { useCategories } from "@/hooks/use-categories";
+import { categoryIcon, missingRequiredField } from "@/lib/complaints";
+import CategoryFields from "@/components/CategoryFields";
+import LocationPicker, { type ComplaintLocation } from "@/components/LocationPicker";
+
+// Matches MAX_FILES_PER_UPLOAD in backend/services/attachmentService.js
+const MAX_EVIDENCE_FILES = 5;
 
 interface ComplaintFormProps {
   onSubmit?: (created?: any) => void;
@@ -19,13 +26,23 @@ interface ComplaintFormProps {
 
 const ComplaintForm = ({ onSubmit }: ComplaintFormProps) => {
   const { toast } = useToast();
+  const { categories } = useCategories();
 
   const [category, setCategory] = useState("");
   const [description, setDescription] = useState("");
   const [priority, setPriority] = useState("");
-  const [file, setFile] = useState<File | null>(null);
+  const [fieldValues, setFieldValues] = useState<Record<string, string>>({});
+  const [location, setLocation] = useState<ComplaintLocation>({ position: null, address: "" });
+  const [files, setFiles] = useState<File[]>([]);
   const [loading, setLoading] = useState(false);
 
+  const fields = categories.find((c) => c.slug === category)?.field_schema || [];
+
+  const handleCategoryChange = (slug: string) => {
+    setCategory(slug);
+    setFieldValues({});
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -38,7 +55,17 @@ const ComplaintForm = ({ onSubmit }: ComplaintFormProps) => {
       return;
     }
 
-    if (!file) {
+    const missingField = missingRequiredField(fields, fieldValues);
+    if (missingField) {
+      toast({
+        title: "Missing fields",
+        description: `Please fill in ${missingField.label}`,
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (files.length === 0) {
       toast({
         title: "Evidence Required",
         description: "Please upload an evidence image for your complaint",
@@ -47,6 +74,15 @@ const ComplaintForm = ({ onSubmit }: ComplaintFormProps) => {
       return;
     }
 
+    if (files.length > MAX_EVIDENCE_FILES) {
+      toast({
+        title: "Too many files",
+        description: `Please attach at most ${MAX_EVIDENCE_FILES} files`,
+        variant: "destructive",
+      });
+      return;
+    }
+
     try {
       setLoading(true);
 
@@ -56,6 +92,12 @@ const ComplaintForm = ({ onSubmit }: ComplaintFormProps) => {
       formData.append("category", category);
       formData.append("description", description);
       formData.append("priority", priority);
+      if (fields.length > 0) formData.append("custom_fields", JSON.stringify(fieldValues));
+      if (location.position) {
+        formData.append("latitude", String(location.position.lat));
+        formData.append("longitude", String(location.position.lng));
+      }
+      if (location.address.trim()) formData.append("address", location.address.trim());
 
       if (userEmail) {
         formData.append("email", userEmail);
@@ -65,30 +107,32 @@ const ComplaintForm = ({ onSubmit }: ComplaintFormProps) => {
         formData.append("is_anonymous", "1");
       }
 
-      if (file) {
-        formData.append("image", file); // ✅ backend expects "image"
-      }
+      files.forEach((file) => formData.append("attachments", file));
 
       // Use the api module which properly uses VITE_API_URL
       const res = await api.createComplaint(formData);
 
       toast({
         title: "Complaint submitted",
-        description: "Your complaint has been submitted successfully. Check spam folder for email updates.",
+        description: `Your complaint${res.data?.reference ? ` ${res.data.reference}` : ""} has been submitted successfully. Check spam folder for email updates.`,
       });
 
       setCategory("");
       setDescription("");
       setPriority("");
-      setFile(null);
+      setFieldValues({});
+      setLocation({ position: null, address: "" });
+      setFiles([]);
 
       onSubmit?.(res.data);
     } catch (error) {
       console.error(error);
-      const message = (error as any)?.response?.data?.error || "Failed to submit complaint";
+      const { message, code } = getApiError(error);
       toast({
-        title: "Error",
-        description: message,
+        title: code === "EMAIL_NOT_VERIFIED" ? "Email not verified" : "Error",
+        description: code === "EMAIL_NOT_VERIFIED"
+          ? "Please verify your email before submitting complaints. You can resend the verification link from Settings."
+          : message || "Failed to submit complaint",
         variant: "destructive",
       });
     } finally {
@@ -101,19 +145,29 @@ const ComplaintForm = ({ onSubmit }: ComplaintFormProps) => {
       {/* CATEGORY */}
       <div className="space-y-2">
         <Label>Complaint Category</Label>
-        <Select value={category} onValueChange={setCategory}>
+        <Select value={category} onValueChange={handleCategoryChange}>
           <SelectTrigger>
             <SelectValue placeholder="Select category" />
           </SelectTrigger>
           <SelectContent>
-            <SelectItem value="service">Service</SelectItem>
-            <SelectItem value="behavior">Behavior</SelectItem>
-            <SelectItem value="technical">Technical</SelectItem>
-            <SelectItem value="other">Other</SelectItem>
+            {categories.map((c) => {
+              const Icon = categoryIcon(c.icon);
+              return (
+                <SelectItem key={c.slug} value={c.slug}>
+                  <span className="flex items-center gap-2">
+                    <Icon className="h-4 w-4" />
+                    {c.name}
+                  </span>
+                </SelectItem>
+              );
+            })}
           </SelectContent>
         </Select>
       </div>
 
+      {/* CATEGORY FIELDS */}
+      <CategoryFields fields={fields} values={fieldValues} onChange={setFieldValues} disabled={loading} />
+
       {/* DESCRIPTION */}
       <div className="space-y-2">
         <Label>Description</Label>
@@ -140,17 +194,24 @@ const ComplaintForm = ({ onSubmit }: ComplaintFormProps) => {
         </Select>
       </div>
 
-      {/* IMAGE */}
+      {/* LOCATION */}
+      <LocationPicker value={location} onChange={setLocation} disabled={loading} />
+
+      {/* EVIDENCE (photos or PDFs) */}
       <div className="space-y-2">
         <Label className="flex items-center gap-1">
           Upload Evidence <span className="text-destructive">*</span>
         </Label>
         <Input
           type="file"
-          accept="image/*"
-          onChange={(e) => setFile(e.target.files?.[0] || null)}
+          accept="image/*,application/pdf"
+          multiple
+          onChange={(e) => setFiles(Array.from(e.target.files || []))}
           required
         />
+        <p className="text-xs text-muted-foreground">
+          Up to {MAX_EVIDENCE_FILES} photos or PDFs, 5MB each
+        </p>
       </div>
 
       <Button type="submit" className="w-full" disabled={loading}>
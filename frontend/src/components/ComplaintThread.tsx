@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { FileText, Loader2, MessageSquare, Paperclip, Send, X } from "lucide-react";
+
+interface CommentAttachment {
+  id: number;
+  url: string;
+  file_name: string | null;
+  mime_type: string | null;
+}
+
+interface Comment {
+  id: number;
+  author_role: string;
+  author_name: string | null;
+  body: string;
+  attachment: CommentAttachment | null;
+  created_at: string;
+  isMine: boolean;
+}
+
+interface ComplaintThreadProps {
+  complaintId: number;
+}
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const authorLabel = (comment: Comment) => {
+  if (comment.isMine) return "You";
+  if (comment.author_name) return comment.author_name;
+  return comment.author_role === "user" ? "Citizen" : "Support team";
+};
+
+const ComplaintThread = ({ complaintId }: ComplaintThreadProps) => {
+  const { toast } = useToast();
+  const [comments, setComments] = useState<Comment[]>([]);
+  const [canComment, setCanComment] = useState(false);
+  const [body, setBody] = useState("");
+  const [file, setFile] = useState<File | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSending, setIsSending] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const bottomRef = useRef<HTMLDivElement>(null);
+
+  const fetchComments = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getComments(complaintId);
+      setComments(res.data.comments || []);
+      setCanComment(!!res.data.canComment);
+    } catch (error) {
+      console.error("Failed to load comments:", error);
+      setComments([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [complaintId]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: "nearest" });
+  }, [comments]);
+
+  const handleSend = async () => {
+    if (!body.trim()) return;
+
+    setIsSending(true);
+    try {
+      const res = await api.addComment(complaintId, body.trim(), file);
+      setComments((prev) => [...prev, res.data.comment]);
+      setBody("");
+      setFile(null);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to send comment.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4 space-y-3">
+      <p className="text-sm font-medium flex items-center gap-2">
+        <MessageSquare className="h-4 w-4" />
+        Conversation {!isLoading && `(${comments.length})`}
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-muted-foreground italic">No messages yet.</p>
+      ) : (
+        <div className="max-h-72 overflow-y-auto space-y-3 pr-1">
+          {comments.map((comment) => (
+            <div key={comment.id} className={`flex ${comment.isMine ? "justify-end" : "justify-start"}`}>
+              <div
+                className={`max-w-[80%] rounded-lg px-3 py-2 ${
+                  comment.isMine ? "bg-primary text-primary-foreground" : "bg-muted"
+                }`}
+              >
+                <p className="text-xs font-medium opacity-80">{authorLabel(comment)}</p>
+                <p className="text-sm whitespace-pre-wrap break-words">{comment.body}</p>
+                {comment.attachment && (
+                  <a
+                    href={comment.attachment.url}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="mt-1 flex items-center gap-1 text-xs underline"
+                  >
+                    <FileText className="h-3 w-3" />
+                    {comment.attachment.file_name || "Attachment"}
+                  </a>
+                )}
+                <p className="text-[10px] opacity-70 mt-1">
+                  {new Date(comment.created_at).toLocaleString()}
+                </p>
+              </div>
+            </div>
+          ))}
+          <div ref={bottomRef} />
+        </div>
+      )}
+
+      {canComment && (
+        <div className="space-y-2">
+          <Textarea
+            placeholder="Write a message..."
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            maxLength={MAX_COMMENT_LENGTH}
+            rows={2}
+          />
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2 min-w-0">
+              <Input
+                ref={fileInputRef}
+                type="file"
+                accept="image/*,application/pdf"
+                onChange={(e) => {
+                  setFile(e.target.files?.[0] || null);
+                  e.target.value = "";
+                }}
+                className="hidden"
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isSending}
+                title="Attach an image or PDF"
+              >
+                <Paperclip className="h-4 w-4" />
+              </Button>
+              {file && (
+                <span className="flex items-center gap-1 text-xs text-muted-foreground truncate">
+                  {file.name}
+                  <button type="button" onClick={() => setFile(null)} title="Remove file">
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              )}
+            </div>
+            <Button size="sm" onClick={handleSend} disabled={isSending || !body.trim()}>
+              {isSending ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Send className="h-4 w-4 mr-2" />}
+              Send
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplaintThread;
@@ -0,0 +1,254 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { ShieldAlert, Loader2, LockOpen, RefreshCw } from "lucide-react";
+
+interface FailedLoginAccount {
+  email: string;
+  user_id: number | null;
+  name: string | null;
+  role: string | null;
+  locked_until: string | null;
+  failed_count: number;
+  ip_count: number;
+  last_failed_at: string;
+}
+
+interface LoginAttempt {
+  id: number;
+  ip_address: string | null;
+  user_agent: string | null;
+  success: boolean;
+  reason: string | null;
+  created_at: string;
+}
+
+const REASON_LABELS: Record<string, string> = {
+  invalid_password: "Wrong password",
+  invalid_code: "Wrong 2FA code",
+  unknown_user: "No such account",
+  locked: "Account locked",
+};
+
+const isLocked = (account: FailedLoginAccount) =>
+  !!account.locked_until && new Date(account.locked_until) > new Date();
+
+const FailedLoginsCard = () => {
+  const { toast } = useToast();
+  const [accounts, setAccounts] = useState<FailedLoginAccount[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [unlockingId, setUnlockingId] = useState<number | null>(null);
+  const [selected, setSelected] = useState<FailedLoginAccount | null>(null);
+  const [attempts, setAttempts] = useState<LoginAttempt[]>([]);
+  const [isLoadingAttempts, setIsLoadingAttempts] = useState(false);
+
+  const fetchFailedLogins = async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getFailedLogins(24);
+      setAccounts(res.data.accounts || []);
+    } catch (error) {
+      console.error("Failed to load failed logins:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchFailedLogins();
+  }, []);
+
+  const handleViewAttempts = async (account: FailedLoginAccount) => {
+    setSelected(account);
+    setAttempts([]);
+    setIsLoadingAttempts(true);
+    try {
+      const res = await api.getLoginAttempts(account.email);
+      setAttempts(res.data.attempts || []);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to load login attempts.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoadingAttempts(false);
+    }
+  };
+
+  const handleUnlock = async (account: FailedLoginAccount) => {
+    if (!account.user_id) return;
+
+    setUnlockingId(account.user_id);
+    try {
+      await api.unlockUser(account.user_id);
+      setAccounts((prev) =>
+        prev.map((a) => (a.user_id === account.user_id ? { ...a, locked_until: null } : a))
+      );
+      toast({ title: "Account unlocked", description: `${account.email} can log in again.` });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to unlock account.",
+        variant: "destructive",
+      });
+    } finally {
+      setUnlockingId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center gap-2">
+            <ShieldAlert className="h-5 w-5" />
+            Failed Login Attempts
+          </CardTitle>
+          <CardDescription>Accounts with failed logins in the last 24 hours</CardDescription>
+        </div>
+        <Button onClick={fetchFailedLogins} variant="outline" size="sm" disabled={isLoading}>
+          <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : accounts.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            No failed logins in the last 24 hours
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Account</TableHead>
+                <TableHead>Failures</TableHead>
+                <TableHead>IPs</TableHead>
+                <TableHead>Last Attempt</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {accounts.map((account) => (
+                <TableRow key={account.email}>
+                  <TableCell>
+                    <div className="font-medium">{account.email}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {account.user_id ? `${account.name || 'No name'} · ${account.role}` : 'No matching account'}
+                    </div>
+                  </TableCell>
+                  <TableCell>{account.failed_count}</TableCell>
+                  <TableCell>{account.ip_count}</TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {new Date(account.last_failed_at).toLocaleString()}
+                  </TableCell>
+                  <TableCell>
+                    {isLocked(account) ? (
+                      <Badge variant="destructive">
+                        Locked until {new Date(account.locked_until as string).toLocaleTimeString()}
+                      </Badge>
+                    ) : (
+                      <Badge variant="secondary">Not locked</Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right space-x-2">
+                    <Button variant="outline" size="sm" onClick={() => handleViewAttempts(account)}>
+                      History
+                    </Button>
+                    {isLocked(account) && account.user_id && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleUnlock(account)}
+                        disabled={unlockingId === account.user_id}
+                      >
+                        {unlockingId === account.user_id ? (
+                          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        ) : (
+                          <LockOpen className="mr-2 h-4 w-4" />
+                        )}
+                        Unlock
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={!!selected} onOpenChange={(open) => !open && setSelected(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Login History</DialogTitle>
+            <DialogDescription>{selected?.email}</DialogDescription>
+          </DialogHeader>
+          {isLoadingAttempts ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+            </div>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Time</TableHead>
+                    <TableHead>Result</TableHead>
+                    <TableHead>IP</TableHead>
+                    <TableHead>Device</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {attempts.map((attempt) => (
+                    <TableRow key={attempt.id}>
+                      <TableCell className="text-sm">{new Date(attempt.created_at).toLocaleString()}</TableCell>
+                      <TableCell>
+                        {attempt.success ? (
+                          <Badge variant="outline" className="text-green-600 border-green-600">Success</Badge>
+                        ) : (
+                          <Badge variant="destructive">
+                            {REASON_LABELS[attempt.reason || ''] || 'Failed'}
+                          </Badge>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">{attempt.ip_address || 'Unknown'}</TableCell>
+                      <TableCell className="text-xs text-muted-foreground max-w-[200px] truncate">
+                        {attempt.user_agent || 'Unknown'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default FailedLoginsCard;
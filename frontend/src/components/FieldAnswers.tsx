@@ -0,0 +1,25 @@
+import type { FieldAnswer } from "@/lib/complaints";
+
+interface FieldAnswersProps {
+  answers?: FieldAnswer[] | null;
+}
+
+// A complaint's answers to its category's extra fields, under the labels they were asked with
+const FieldAnswers = ({ answers }: FieldAnswersProps) => {
+  if (!answers || answers.length === 0) return null;
+
+  return (
+    <dl className="grid grid-cols-2 gap-x-4 gap-y-1 rounded-md bg-muted/50 p-3 text-sm md:grid-cols-3">
+      {answers.map((answer) => (
+        <div key={answer.key}>
+          <dt className="text-xs text-muted-foreground">{answer.label}</dt>
+          <dd className="font-medium break-words">
+            {answer.type === "date" ? new Date(`${answer.value}T00:00:00`).toLocaleDateString() : answer.value}
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+export default FieldAnswers;
@@ -0,0 +1,146 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { slugify, type CategoryField, type CategoryFieldType } from "@/lib/complaints";
+import { Plus, Trash2 } from "lucide-react";
+
+interface FieldSchemaEditorProps {
+  fields: CategoryField[];
+  onChange: (fields: CategoryField[]) => void;
+  disabled?: boolean;
+}
+
+const FIELD_TYPES: { value: CategoryFieldType; label: string }[] = [
+  { value: "text", label: "Text" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date" },
+  { value: "select", label: "Select" },
+];
+
+// Matches MAX_FIELDS in backend/services/categoryService.js
+const MAX_FIELDS = 20;
+
+// Edits a category's extra intake fields; the backend validates the schema on save
+const FieldSchemaEditor = ({ fields, onChange, disabled }: FieldSchemaEditorProps) => {
+  const update = (index: number, changes: Partial<CategoryField>) =>
+    onChange(fields.map((field, i) => (i === index ? { ...field, ...changes } : field)));
+
+  const addField = () => onChange([...fields, { key: "", label: "", type: "text", required: false }]);
+
+  const removeField = (index: number) => onChange(fields.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <Label>Intake Fields</Label>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={addField}
+          disabled={disabled || fields.length >= MAX_FIELDS}
+        >
+          <Plus className="mr-2 h-4 w-4" />
+          Add Field
+        </Button>
+      </div>
+
+      {fields.length === 0 && (
+        <p className="text-sm text-muted-foreground">No extra fields; complaints only ask for a description.</p>
+      )}
+
+      {fields.map((field, index) => (
+        <div key={index} className="space-y-3 rounded-lg border p-3">
+          <div className="grid gap-3 md:grid-cols-2">
+            <Input
+              value={field.label}
+              onChange={(e) =>
+                update(index, {
+                  label: e.target.value,
+                  // Suggest a key until the admin types their own
+                  key: field.key !== slugify(field.label) ? field.key : slugify(e.target.value),
+                })
+              }
+              placeholder="Label, e.g. Meter number"
+              aria-label="Field label"
+              disabled={disabled}
+            />
+            <Input
+              value={field.key}
+              onChange={(e) => update(index, { key: e.target.value.toLowerCase() })}
+              placeholder="key, e.g. meter_number"
+              aria-label="Field key"
+              className="font-mono"
+              disabled={disabled}
+            />
+          </div>
+
+          <div className="flex items-center gap-3">
+            <Select
+              value={field.type}
+              onValueChange={(type) => update(index, { type: type as CategoryFieldType })}
+              disabled={disabled}
+            >
+              <SelectTrigger className="w-36" aria-label="Field type">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {FIELD_TYPES.map((type) => (
+                  <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <div className="flex items-center gap-2">
+              <Switch
+                id={`field-required-${index}`}
+                checked={field.required}
+                onCheckedChange={(required) => update(index, { required })}
+                disabled={disabled}
+              />
+              <Label htmlFor={`field-required-${index}`} className="font-normal">Required</Label>
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              className="ml-auto text-destructive"
+              onClick={() => removeField(index)}
+              disabled={disabled}
+              aria-label="Remove field"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+
+          {field.type === "text" && (
+            <Input
+              value={field.pattern || ""}
+              onChange={(e) => update(index, { pattern: e.target.value })}
+              placeholder="Validation pattern (optional), e.g. [A-Z]{2}\d{4}"
+              aria-label="Validation pattern"
+              className="font-mono"
+              disabled={disabled}
+            />
+          )}
+
+          {field.type === "select" && (
+            <Textarea
+              // Kept untrimmed while typing; the backend trims options and drops empty lines
+              value={(field.options || []).join("\n")}
+              onChange={(e) => update(index, { options: e.target.value.split("\n") })}
+              placeholder={"Options, one per line\nNorth\nSouth"}
+              aria-label="Options"
+              rows={3}
+              disabled={disabled}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FieldSchemaEditor;
@@ -0,0 +1,204 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { api } from "@/lib/api";
+import { Eye, Loader2, RefreshCw, List } from "lucide-react";
+
+interface Impersonation {
+  id: number;
+  superadmin_email: string;
+  target_email: string;
+  reason: string | null;
+  ip_address: string | null;
+  started_at: string;
+  expires_at: string;
+  ended_at: string | null;
+  request_count: number;
+}
+
+interface ImpersonatedRequest {
+  id: number;
+  method: string;
+  path: string;
+  status_code: number | null;
+  created_at: string;
+}
+
+const statusBadge = (session: Impersonation) => {
+  if (session.ended_at) return <Badge variant="secondary">Ended</Badge>;
+  if (new Date(session.expires_at) < new Date()) return <Badge variant="outline">Expired</Badge>;
+  return <Badge className="bg-amber-500 text-white">Active</Badge>;
+};
+
+// Audit trail of "view as user" sessions and every request made in them
+const ImpersonationLogCard = () => {
+  const [sessions, setSessions] = useState<Impersonation[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState<Impersonation | null>(null);
+  const [requests, setRequests] = useState<ImpersonatedRequest[]>([]);
+  const [isLoadingRequests, setIsLoadingRequests] = useState(false);
+
+  const fetchSessions = async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getImpersonations();
+      setSessions(res.data.impersonations || []);
+    } catch (error) {
+      console.error("Failed to load impersonation log:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const openRequests = async (session: Impersonation) => {
+    setSelected(session);
+    setRequests([]);
+    setIsLoadingRequests(true);
+    try {
+      const res = await api.getImpersonationRequests(session.id);
+      setRequests(res.data.requests || []);
+    } catch (error) {
+      console.error("Failed to load impersonated requests:", error);
+    } finally {
+      setIsLoadingRequests(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center gap-2">
+            <Eye className="h-5 w-5" />
+            Impersonation Log
+          </CardTitle>
+          <CardDescription>Every "view as user" session and the requests made in it</CardDescription>
+        </div>
+        <Button onClick={fetchSessions} size="sm" variant="outline" disabled={isLoading}>
+          <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? "animate-spin" : ""}`} />
+          Refresh
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : sessions.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            No one has been impersonated yet
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Viewed as</TableHead>
+                <TableHead>By</TableHead>
+                <TableHead>Started</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Requests</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {sessions.map((session) => (
+                <TableRow key={session.id}>
+                  <TableCell>
+                    <div className="font-medium">{session.target_email}</div>
+                    {session.reason && (
+                      <div className="text-xs text-muted-foreground">{session.reason}</div>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-sm">
+                    {session.superadmin_email}
+                    {session.ip_address && (
+                      <div className="text-xs text-muted-foreground font-mono">{session.ip_address}</div>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {new Date(session.started_at).toLocaleString()}
+                  </TableCell>
+                  <TableCell>{statusBadge(session)}</TableCell>
+                  <TableCell className="text-right">
+                    <Button variant="outline" size="sm" onClick={() => openRequests(session)}>
+                      <List className="mr-2 h-4 w-4" />
+                      {session.request_count}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={!!selected} onOpenChange={(open) => !open && setSelected(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Requests as {selected?.target_email}</DialogTitle>
+            <DialogDescription>
+              Made by {selected?.superadmin_email}; writes are refused with 403
+            </DialogDescription>
+          </DialogHeader>
+          {isLoadingRequests ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+            </div>
+          ) : requests.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">No requests recorded</div>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Time</TableHead>
+                    <TableHead>Request</TableHead>
+                    <TableHead className="text-right">Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {requests.map((request) => (
+                    <TableRow key={request.id}>
+                      <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                        {new Date(request.created_at).toLocaleTimeString()}
+                      </TableCell>
+                      <TableCell className="font-mono text-xs break-all">
+                        {request.method} {request.path}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Badge variant={request.status_code && request.status_code >= 400 ? "destructive" : "secondary"}>
+                          {request.status_code ?? "-"}
+                        </Badge>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ImpersonationLogCard;
@@ -0,0 +1,170 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { AtSign, Loader2, Lock, Send } from "lucide-react";
+
+interface NoteMention {
+  id: number;
+  name: string | null;
+  email: string;
+}
+
+interface Note {
+  id: number;
+  author_id: number | null;
+  author_name: string | null;
+  author_email: string | null;
+  body: string;
+  mentions: NoteMention[];
+  created_at: string;
+}
+
+interface MentionableStaff {
+  id: number;
+  name: string | null;
+  handle: string;
+}
+
+interface InternalNotesProps {
+  complaintId: number;
+}
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Bold the @handles so mentions stand out
+const renderBody = (body: string) =>
+  body.split(/((?<![\w@.])@[\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g).map((part, i) =>
+    i % 2 === 1 ? <strong key={i}>{part}</strong> : part
+  );
+
+const InternalNotes = ({ complaintId }: InternalNotesProps) => {
+  const { toast } = useToast();
+  const [notes, setNotes] = useState<Note[]>([]);
+  const [mentionable, setMentionable] = useState<MentionableStaff[]>([]);
+  const [body, setBody] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  // Roles without complaints.notes get a 403; the panel then stays hidden
+  const [isAllowed, setIsAllowed] = useState(true);
+
+  const fetchNotes = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getNotes(complaintId);
+      setNotes(res.data.notes || []);
+      setMentionable(res.data.mentionable || []);
+      setIsAllowed(true);
+    } catch (error) {
+      setNotes([]);
+      if (getApiError(error).code === "MISSING_PERMISSION") {
+        setIsAllowed(false);
+      } else {
+        console.error("Failed to load notes:", error);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [complaintId]);
+
+  useEffect(() => {
+    fetchNotes();
+  }, [fetchNotes]);
+
+  const insertMention = (handle: string) => {
+    setBody((prev) => `${prev}${prev && !prev.endsWith(" ") ? " " : ""}@${handle} `);
+  };
+
+  const handleAdd = async () => {
+    if (!body.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const res = await api.addNote(complaintId, body.trim());
+      const note: Note = res.data.note;
+      setNotes((prev) => [...prev, note]);
+      setBody("");
+      if (note.mentions.length > 0) {
+        toast({
+          title: "Note added",
+          description: `Notified ${note.mentions.map((m) => m.name || m.email).join(", ")}.`,
+        });
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to add note.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isAllowed) return null;
+
+  return (
+    <div className="border-t pt-4 space-y-3">
+      <p className="text-sm font-medium flex items-center gap-2">
+        <Lock className="h-4 w-4 text-amber-600" />
+        Internal Notes {!isLoading && `(${notes.length})`}
+        <span className="text-xs font-normal text-muted-foreground">Staff only, never shown to the complainant</span>
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      ) : notes.length === 0 ? (
+        <p className="text-sm text-muted-foreground italic">No internal notes.</p>
+      ) : (
+        <div className="max-h-60 overflow-y-auto space-y-2 pr-1">
+          {notes.map((note) => (
+            <div key={note.id} className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 dark:bg-amber-950/30">
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-xs font-medium">{note.author_name || note.author_email || "Former staff"}</p>
+                <p className="text-[10px] text-muted-foreground">{new Date(note.created_at).toLocaleString()}</p>
+              </div>
+              <p className="text-sm whitespace-pre-wrap break-words">{renderBody(note.body)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Textarea
+          placeholder="Add a note for other staff. Type @handle to notify someone."
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          maxLength={MAX_NOTE_LENGTH}
+          rows={2}
+        />
+        <div className="flex items-start justify-between gap-2">
+          <div className="flex flex-wrap items-center gap-1">
+            {mentionable.length > 0 && <AtSign className="h-3 w-3 text-muted-foreground" />}
+            {mentionable.map((staff) => (
+              <Button
+                key={staff.id}
+                type="button"
+                variant="outline"
+                size="sm"
+                className="h-6 px-2 text-xs"
+                onClick={() => insertMention(staff.handle)}
+                title={staff.name || staff.handle}
+              >
+                @{staff.handle}
+              </Button>
+            ))}
+          </div>
+          <Button size="sm" onClick={handleAdd} disabled={isSaving || !body.trim()}>
+            {isSaving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Send className="h-4 w-4 mr-2" />}
+            Add Note
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InternalNotes;
@@ -0,0 +1,292 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { MailPlus, Loader2, Plus, Send, XCircle } from "lucide-react";
+
+interface Invite {
+  id: number;
+  email: string;
+  role: string;
+  status: "pending" | "accepted" | "expired";
+  invited_by: string | null;
+  invite_sent_at: string;
+  expires_at: string;
+  accepted_at: string | null;
+}
+
+const STATUS_BADGES: Record<Invite["status"], JSX.Element> = {
+  pending: <Badge variant="secondary">Pending</Badge>,
+  accepted: <Badge variant="outline" className="text-green-600 border-green-600">Accepted</Badge>,
+  expired: <Badge variant="destructive">Expired</Badge>,
+};
+
+const InvitesCard = () => {
+  const { toast } = useToast();
+  const [invites, setInvites] = useState<Invite[]>([]);
+  const [staffRoles, setStaffRoles] = useState<string[]>(["admin"]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("admin");
+  const [isSending, setIsSending] = useState(false);
+  const [workingId, setWorkingId] = useState<number | null>(null);
+
+  const fetchInvites = async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getInvites();
+      setInvites(res.data.invites || []);
+    } catch (error) {
+      console.error("Failed to load invites:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInvites();
+    api.getRoleNames()
+      .then((res) =>
+        setStaffRoles(
+          (res.data.roles || []).map((r: { name: string }) => r.name).filter((name: string) => name !== "user")
+        )
+      )
+      .catch((error) => console.error("Failed to load roles:", error));
+  }, []);
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const notifySent = (inviteEmail: string, emailSent: boolean) => {
+    toast(
+      emailSent
+        ? { title: "Invite sent", description: `An invitation was emailed to ${inviteEmail}.` }
+        : {
+            title: "Invite created",
+            description: `The email to ${inviteEmail} could not be sent. Try resending it.`,
+            variant: "destructive",
+          }
+    );
+  };
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSending(true);
+    try {
+      const res = await api.createInvite({ email: email.trim(), role });
+      notifySent(res.data.invite.email, res.data.emailSent);
+      setIsDialogOpen(false);
+      setEmail("");
+      setRole("admin");
+      fetchInvites();
+    } catch (error) {
+      showError(error, "Failed to send invite.");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleResend = async (invite: Invite) => {
+    setWorkingId(invite.id);
+    try {
+      const res = await api.resendInvite(invite.id);
+      notifySent(invite.email, res.data.emailSent);
+      fetchInvites();
+    } catch (error) {
+      showError(error, "Failed to resend invite.");
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleRevoke = async (invite: Invite) => {
+    if (!window.confirm(`Revoke the invite for ${invite.email}?`)) return;
+
+    setWorkingId(invite.id);
+    try {
+      const res = await api.revokeInvite(invite.id);
+      setInvites(res.data.invites || []);
+      toast({ title: "Invite revoked", description: `${invite.email} can no longer use the link.` });
+    } catch (error) {
+      showError(error, "Failed to revoke invite.");
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center gap-2">
+            <MailPlus className="h-5 w-5" />
+            Staff Invites
+          </CardTitle>
+          <CardDescription>Invite people by email to set up a staff account</CardDescription>
+        </div>
+        <Button onClick={() => setIsDialogOpen(true)} size="sm">
+          <Plus className="mr-2 h-4 w-4" />
+          Invite
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : invites.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            No invites sent yet
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Email</TableHead>
+                <TableHead>Role</TableHead>
+                <TableHead>Sent</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {invites.map((invite) => (
+                <TableRow key={invite.id}>
+                  <TableCell>
+                    <div className="font-medium">{invite.email}</div>
+                    {invite.invited_by && (
+                      <div className="text-xs text-muted-foreground">by {invite.invited_by}</div>
+                    )}
+                  </TableCell>
+                  <TableCell className="capitalize">{invite.role}</TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {new Date(invite.invite_sent_at).toLocaleString()}
+                  </TableCell>
+                  <TableCell>
+                    {STATUS_BADGES[invite.status]}
+                    <div className="text-xs text-muted-foreground mt-1">
+                      {invite.status === "accepted"
+                        ? new Date(invite.accepted_at as string).toLocaleDateString()
+                        : `${invite.status === "expired" ? "Expired" : "Expires"} ${new Date(invite.expires_at).toLocaleString()}`}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-right space-x-2">
+                    {invite.status !== "accepted" && (
+                      <>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleResend(invite)}
+                          disabled={workingId === invite.id}
+                        >
+                          {workingId === invite.id ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          ) : (
+                            <Send className="mr-2 h-4 w-4" />
+                          )}
+                          Resend
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleRevoke(invite)}
+                          disabled={workingId === invite.id}
+                        >
+                          <XCircle className="mr-2 h-4 w-4" />
+                          Revoke
+                        </Button>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Invite Staff Member</DialogTitle>
+            <DialogDescription>
+              They get an email link to set a password; the link expires after 72 hours
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleInvite} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="inviteEmail">Email</Label>
+              <Input
+                id="inviteEmail"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="name@example.com"
+                disabled={isSending}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Role</Label>
+              <Select value={role} onValueChange={setRole} disabled={isSending}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {staffRoles.map((name) => (
+                    <SelectItem key={name} value={name} className="capitalize">
+                      {name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex gap-2">
+              <Button type="submit" disabled={isSending || !email.trim()}>
+                {isSending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Send Invite
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => setIsDialogOpen(false)} disabled={isSending}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default InvitesCard;
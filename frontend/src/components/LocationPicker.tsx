@@ -0,0 +1,120 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import SvgMap from "@/components/SvgMap";
+import { useToast } from "@/hooks/use-toast";
+import { DEFAULT_VIEW, MAP_TILE_URL, formatLatLng, type LatLng, type MapView } from "@/lib/geo";
+import { Crosshair, Loader2, MapPin, X } from "lucide-react";
+
+export interface ComplaintLocation {
+  position: LatLng | null;
+  address: string;
+}
+
+interface LocationPickerProps {
+  value: ComplaintLocation;
+  onChange: (value: ComplaintLocation) => void;
+  disabled?: boolean;
+}
+
+// Zoom used once a position is known, close enough to check the pin
+const PIN_ZOOM = 15;
+
+// Optional complaint location: an address plus coordinates from the browser or a pin on the map
+const LocationPicker = ({ value, onChange, disabled }: LocationPickerProps) => {
+  const { toast } = useToast();
+  const [isLocating, setIsLocating] = useState(false);
+  const [isMapOpen, setIsMapOpen] = useState(false);
+  const [view, setView] = useState<MapView>(DEFAULT_VIEW);
+
+  const setPosition = (position: LatLng | null) => onChange({ ...value, position });
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      toast({ title: "Location unavailable", description: "Your browser cannot share its location.", variant: "destructive" });
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        const position = { lat: coords.latitude, lng: coords.longitude };
+        setPosition(position);
+        setView({ center: position, zoom: PIN_ZOOM });
+        setIsLocating(false);
+      },
+      (error) => {
+        setIsLocating(false);
+        toast({
+          title: "Location unavailable",
+          description: error.code === error.PERMISSION_DENIED
+            ? "Location access was denied. You can drop a pin on the map instead."
+            : "Could not determine your location. You can drop a pin on the map instead.",
+          variant: "destructive",
+        });
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const toggleMap = () => {
+    if (!isMapOpen && value.position) setView({ center: value.position, zoom: Math.max(view.zoom, PIN_ZOOM) });
+    setIsMapOpen(!isMapOpen);
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor="complaintAddress">Location (optional)</Label>
+      <Input
+        id="complaintAddress"
+        placeholder="Street address or landmark"
+        value={value.address}
+        onChange={(e) => onChange({ ...value, address: e.target.value })}
+        maxLength={255}
+        disabled={disabled}
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleUseMyLocation} disabled={disabled || isLocating}>
+          {isLocating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Crosshair className="h-4 w-4 mr-2" />}
+          Use my location
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={toggleMap} disabled={disabled}>
+          <MapPin className="h-4 w-4 mr-2" />
+          {isMapOpen ? "Hide map" : "Pick on map"}
+        </Button>
+        {value.position && (
+          <>
+            <span className="text-xs text-muted-foreground font-mono">{formatLatLng(value.position)}</span>
+            <Button type="button" variant="ghost" size="sm" onClick={() => setPosition(null)} disabled={disabled} aria-label="Clear location">
+              <X className="h-4 w-4" />
+            </Button>
+          </>
+        )}
+      </div>
+
+      {isMapOpen && (
+        <div className="space-y-1">
+          <SvgMap view={view} onViewChange={setView} height={320} onMapClick={disabled ? undefined : setPosition}>
+            {(toScreen) => {
+              if (!value.position) return null;
+              const { x, y } = toScreen(value.position);
+              return (
+                <g transform={`translate(${x} ${y})`} className="text-destructive pointer-events-none">
+                  <path d="M0 0 C-3 -8 -9 -12 -9 -18 A9 9 0 1 1 9 -18 C9 -12 3 -8 0 0 Z" fill="currentColor" />
+                  <circle cy={-18} r={3.5} fill="white" />
+                </g>
+              );
+            }}
+          </SvgMap>
+          <p className="text-xs text-muted-foreground">
+            Click to drop a pin, drag to move around.
+            {!MAP_TILE_URL && " No map tiles are configured, so the map shows a latitude/longitude grid."}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocationPicker;
@@ -1,9 +1,11 @@
 import { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 import { useNavigate } from "react-router-dom";
-import { LogOut, User, RefreshCw } from "lucide-react";
+import { LogOut, User, RefreshCw, Eye, Undo2, Loader2 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { logout, api } from "@/lib/api";
+import { storePermissions } from "@/lib/permissions";
+import { getImpersonation, restoreImpersonator } from "@/lib/impersonation";
 
 const Navbar = () => {
   const navigate = useNavigate();
@@ -13,6 +15,8 @@ const Navbar = () => {
   const [userName, setUserName] = useState(localStorage.getItem("userName") || localStorage.getItem("userEmail") || "User");
   const [userRole, setUserRole] = useState(localStorage.getItem("userRole") || "user");
   const [isLoading, setIsLoading] = useState(false);
+  const [impersonation] = useState(getImpersonation);
+  const [isReturning, setIsReturning] = useState(false);
 
   // Fetch fresh profile from backend on mount
   useEffect(() => {
@@ -30,6 +34,7 @@ const Navbar = () => {
           const displayName = user.displayName || user.name || "";
           localStorage.setItem("userName", displayName);
           localStorage.setItem("userRole", user.role);
+          storePermissions(user.permissions);
           localStorage.setItem("userEmail", user.email);
           
           // Update state
@@ -58,29 +63,58 @@ const Navbar = () => {
     logout();
   };
 
+  // End the "view as" session, then reload into the superadmin's own session
+  const handleReturn = async () => {
+    setIsReturning(true);
+    try {
+      await api.endImpersonation();
+    } catch (error) {
+      console.error("Failed to end impersonation:", error);
+    }
+    window.location.href = restoreImpersonator();
+  };
+
   return (
-    <nav className="border-b bg-card">
-      <div className="flex h-16 items-center px-6 justify-between">
-        <h1 className="text-xl font-bold text-primary">Complaint Portal</h1>
-        <div className="flex items-center gap-4">
-          <div className="flex items-center gap-2 text-sm text-muted-foreground">
-            {isLoading ? (
-              <RefreshCw className="h-4 w-4 animate-spin" />
-            ) : (
-              <User className="h-4 w-4" />
-            )}
-            <span>{userName}</span>
-            <span className="px-2 py-0.5 bg-primary/10 text-primary rounded-full text-xs capitalize">
-              {userRole}
+    <>
+      {impersonation && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-2 px-6 py-2 bg-amber-100 text-amber-900 dark:bg-amber-950 dark:text-amber-100 border-b border-amber-300 text-sm">
+          <div className="flex items-center gap-2">
+            <Eye className="h-4 w-4" />
+            <span>
+              Viewing as <span className="font-semibold">{impersonation.name || impersonation.email}</span>
+              {impersonation.name && ` (${impersonation.email})`} · read-only · ends at{" "}
+              {new Date(impersonation.expiresAt).toLocaleTimeString()}
             </span>
           </div>
-          <Button variant="ghost" onClick={handleLogout} size="sm">
-            <LogOut className="mr-2 h-4 w-4" />
-            Logout
+          <Button size="sm" variant="outline" onClick={handleReturn} disabled={isReturning} className="bg-white/60">
+            {isReturning ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Undo2 className="mr-2 h-4 w-4" />}
+            Return to my account
           </Button>
         </div>
-      </div>
-    </nav>
+      )}
+      <nav className="border-b bg-card">
+        <div className="flex h-16 items-center px-6 justify-between">
+          <h1 className="text-xl font-bold text-primary">Complaint Portal</h1>
+          <div className="flex items-center gap-4">
+            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+              {isLoading ? (
+                <RefreshCw className="h-4 w-4 animate-spin" />
+              ) : (
+                <User className="h-4 w-4" />
+              )}
+              <span>{userName}</span>
+              <span className="px-2 py-0.5 bg-primary/10 text-primary rounded-full text-xs capitalize">
+                {userRole}
+              </span>
+            </div>
+            <Button variant="ghost" onClick={handleLogout} size="sm">
+              <LogOut className="mr-2 h-4 w-4" />
+              Logout
+            </Button>
+          </div>
+        </div>
+      </nav>
+    </>
   );
 };
 
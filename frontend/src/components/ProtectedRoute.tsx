@@ -1,15 +1,15 @@
 import { Navigate, useLocation } from "react-router-dom";
 import { useEffect, useState } from "react";
+import { isStaffRole } from "@/lib/permissions";
 
 interface ProtectedRouteProps {
   children: JSX.Element;
   role?: "user" | "admin" | "superadmin";
 }
 
-// Helper to check if user has admin-level permissions
-const isAdminRole = (role: string | null): boolean => {
-  return role === "admin" || role === "superadmin";
-};
+// Any staff role (admin, superadmin or a custom role) may enter the admin area;
+// individual pages and API calls check the finer-grained permissions
+const isAdminRole = isStaffRole;
 
 // Helper to check if user is superadmin
 const isSuperadminRole = (role: string | null): boolean => {
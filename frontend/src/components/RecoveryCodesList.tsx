@@ -0,0 +1,56 @@
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { useToast } from "@/hooks/use-toast";
+import { Copy, Download, AlertTriangle } from "lucide-react";
+
+interface RecoveryCodesListProps {
+  codes: string[];
+}
+
+// Recovery codes are only shown once, so offer copy and download
+const RecoveryCodesList = ({ codes }: RecoveryCodesListProps) => {
+  const { toast } = useToast();
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join("\n"));
+    toast({ title: "Copied", description: "Recovery codes copied to clipboard." });
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([codes.join("\n") + "\n"], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <Alert>
+        <AlertTriangle className="h-4 w-4" />
+        <AlertDescription>
+          Save these recovery codes somewhere safe. Each code can be used once to sign in if you lose access to your authenticator app. They will not be shown again.
+        </AlertDescription>
+      </Alert>
+      <div className="grid grid-cols-2 gap-2 p-4 border rounded-lg bg-muted/30 font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          <Copy className="mr-2 h-4 w-4" />
+          Copy
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          <Download className="mr-2 h-4 w-4" />
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodesList;
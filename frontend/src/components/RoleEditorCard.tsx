@@ -0,0 +1,311 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { KeyRound, Loader2, Plus, Pencil, Trash2 } from "lucide-react";
+
+interface Role {
+  id: number;
+  name: string;
+  description: string | null;
+  is_system: boolean;
+  editable: boolean;
+  user_count: number;
+  permissions: string[];
+}
+
+interface Permission {
+  name: string;
+  description: string;
+}
+
+interface RoleForm {
+  name: string;
+  description: string;
+  permissions: string[];
+}
+
+const EMPTY_FORM: RoleForm = { name: "", description: "", permissions: [] };
+
+// "complaints.read" -> "complaints"
+const groupOf = (permission: string) => permission.split(".")[0];
+
+const RoleEditorCard = () => {
+  const { toast } = useToast();
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [permissions, setPermissions] = useState<Permission[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState<Role | null>(null);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [form, setForm] = useState<RoleForm>(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [deletingName, setDeletingName] = useState<string | null>(null);
+
+  const fetchRoles = async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getRoles();
+      setRoles(res.data.roles || []);
+      setPermissions(res.data.permissions || []);
+    } catch (error) {
+      console.error("Failed to load roles:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setIsDialogOpen(true);
+  };
+
+  const openEdit = (role: Role) => {
+    setEditing(role);
+    setForm({ name: role.name, description: role.description || "", permissions: role.permissions });
+    setIsDialogOpen(true);
+  };
+
+  const togglePermission = (permission: string, checked: boolean) => {
+    setForm((prev) => ({
+      ...prev,
+      permissions: checked
+        ? [...prev.permissions, permission]
+        : prev.permissions.filter((p) => p !== permission),
+    }));
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const res = editing
+        ? await api.updateRole(editing.name, { description: form.description, permissions: form.permissions })
+        : await api.createRole({ name: form.name.trim(), description: form.description, permissions: form.permissions });
+      setRoles(res.data.roles || []);
+      setIsDialogOpen(false);
+      toast({
+        title: editing ? "Role updated" : "Role created",
+        description: editing
+          ? `Changes to ${editing.name} apply within a minute.`
+          : `${form.name.trim()} can now be assigned to users.`,
+      });
+    } catch (error) {
+      showError(error, "Failed to save role.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (role: Role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return;
+
+    setDeletingName(role.name);
+    try {
+      const res = await api.deleteRole(role.name);
+      setRoles(res.data.roles || []);
+      toast({ title: "Role deleted", description: `${role.name} has been removed.` });
+    } catch (error) {
+      showError(error, "Failed to delete role.");
+    } finally {
+      setDeletingName(null);
+    }
+  };
+
+  const groups = Array.from(new Set(permissions.map((p) => groupOf(p.name))));
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center gap-2">
+            <KeyRound className="h-5 w-5" />
+            Roles & Permissions
+          </CardTitle>
+          <CardDescription>
+            Build roles from individual permissions, e.g. a read-only auditor
+          </CardDescription>
+        </div>
+        <Button onClick={openCreate} size="sm" disabled={isLoading}>
+          <Plus className="mr-2 h-4 w-4" />
+          New Role
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Role</TableHead>
+                <TableHead>Permissions</TableHead>
+                <TableHead>Users</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {roles.map((role) => (
+                <TableRow key={role.id}>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium capitalize">{role.name}</span>
+                      {role.is_system && <Badge variant="secondary">Built-in</Badge>}
+                    </div>
+                    {role.description && (
+                      <div className="text-xs text-muted-foreground">{role.description}</div>
+                    )}
+                  </TableCell>
+                  <TableCell className="max-w-md">
+                    {role.name === "superadmin" ? (
+                      <span className="text-sm text-muted-foreground">All permissions</span>
+                    ) : role.permissions.length === 0 ? (
+                      <span className="text-sm text-muted-foreground">None</span>
+                    ) : (
+                      <div className="flex flex-wrap gap-1">
+                        {role.permissions.map((permission) => (
+                          <Badge key={permission} variant="outline" className="font-mono text-xs">
+                            {permission}
+                          </Badge>
+                        ))}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell>{role.user_count}</TableCell>
+                  <TableCell className="text-right space-x-2">
+                    {role.editable && (
+                      <Button variant="outline" size="sm" onClick={() => openEdit(role)}>
+                        <Pencil className="mr-2 h-4 w-4" />
+                        Edit
+                      </Button>
+                    )}
+                    {!role.is_system && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleDelete(role)}
+                        disabled={deletingName === role.name}
+                      >
+                        {deletingName === role.name ? (
+                          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        ) : (
+                          <Trash2 className="mr-2 h-4 w-4" />
+                        )}
+                        Delete
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{editing ? `Edit ${editing.name}` : "New Role"}</DialogTitle>
+            <DialogDescription>
+              Users with this role can use the admin area, limited to the permissions below
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="roleName">Name</Label>
+                <Input
+                  id="roleName"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value.toLowerCase() })}
+                  placeholder="auditor"
+                  disabled={!!editing || isSaving}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="roleDescription">Description</Label>
+                <Input
+                  id="roleDescription"
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  placeholder="Read-only access for audits"
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+
+            <div className="max-h-80 overflow-y-auto space-y-4 pr-1">
+              {groups.map((group) => (
+                <div key={group} className="space-y-2">
+                  <p className="text-sm font-medium capitalize">{group}</p>
+                  {permissions
+                    .filter((p) => groupOf(p.name) === group)
+                    .map((permission) => (
+                      <label key={permission.name} className="flex items-start gap-3 text-sm cursor-pointer">
+                        <Checkbox
+                          checked={form.permissions.includes(permission.name)}
+                          onCheckedChange={(checked) => togglePermission(permission.name, checked === true)}
+                          disabled={isSaving}
+                        />
+                        <span>
+                          <span className="font-mono text-xs">{permission.name}</span>
+                          <span className="block text-muted-foreground">{permission.description}</span>
+                        </span>
+                      </label>
+                    ))}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex gap-2">
+              <Button type="submit" disabled={isSaving || (!editing && !form.name.trim())}>
+                {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                {editing ? "Save Changes" : "Create Role"}
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => setIsDialogOpen(false)} disabled={isSaving}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default RoleEditorCard;
@@ -0,0 +1,183 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/hooks/use-toast";
+import { api, logout, getApiError } from "@/lib/api";
+import { Monitor, Smartphone, Loader2, LogOut, XCircle } from "lucide-react";
+
+interface Session {
+  id: string;
+  user_agent: string | null;
+  ip_address: string | null;
+  created_at: string;
+  last_seen_at: string;
+  current: boolean;
+}
+
+// Turn a user-agent string into something like "Chrome on Windows"
+const describeDevice = (userAgent: string | null) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser =
+    /Edg\//.test(userAgent) ? "Edge" :
+    /OPR\/|Opera/.test(userAgent) ? "Opera" :
+    /Firefox\//.test(userAgent) ? "Firefox" :
+    /Chrome\//.test(userAgent) ? "Chrome" :
+    /Safari\//.test(userAgent) ? "Safari" :
+    "Browser";
+
+  const os =
+    /Android/.test(userAgent) ? "Android" :
+    /iPhone|iPad|iPod/.test(userAgent) ? "iOS" :
+    /Windows/.test(userAgent) ? "Windows" :
+    /Mac OS X|Macintosh/.test(userAgent) ? "macOS" :
+    /Linux/.test(userAgent) ? "Linux" :
+    "Unknown OS";
+
+  return `${browser} on ${os}`;
+};
+
+const isMobile = (userAgent: string | null) =>
+  !!userAgent && /Android|iPhone|iPad|iPod|Mobile/.test(userAgent);
+
+const SessionsCard = () => {
+  const { toast } = useToast();
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+  const [isRevokingAll, setIsRevokingAll] = useState(false);
+
+  const fetchSessions = async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getSessions();
+      setSessions(res.data.sessions || []);
+    } catch (error) {
+      console.error("Failed to load sessions:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session: Session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    setRevokingId(session.id);
+    try {
+      await api.revokeSession(session.id);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+      toast({
+        title: "Session ended",
+        description: `${describeDevice(session.user_agent)} has been signed out.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to end session.",
+        variant: "destructive",
+      });
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm("Sign out of all devices, including this one?")) return;
+
+    setIsRevokingAll(true);
+    try {
+      await api.revokeAllSessions();
+      logout();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to sign out everywhere.",
+        variant: "destructive",
+      });
+      setIsRevokingAll(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Monitor className="h-5 w-5" />
+          Active Sessions
+        </CardTitle>
+        <CardDescription>
+          Devices where your account is signed in. End any session you don't recognize.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No active sessions found.</p>
+        ) : (
+          <div className="space-y-3">
+            {sessions.map((session) => {
+              const DeviceIcon = isMobile(session.user_agent) ? Smartphone : Monitor;
+              return (
+                <div
+                  key={session.id}
+                  className="flex items-center justify-between p-4 border rounded-lg"
+                >
+                  <div className="flex items-center gap-3">
+                    <DeviceIcon className="h-5 w-5 text-muted-foreground" />
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium">{describeDevice(session.user_agent)}</p>
+                        {session.current && <Badge variant="secondary">This device</Badge>}
+                      </div>
+                      <p className="text-sm text-muted-foreground">
+                        {session.ip_address || "Unknown IP"} · Last active {new Date(session.last_seen_at).toLocaleString()}
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        Signed in {new Date(session.created_at).toLocaleString()}
+                      </p>
+                    </div>
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRevoke(session)}
+                    disabled={revokingId === session.id}
+                  >
+                    {revokingId === session.id ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <XCircle className="mr-2 h-4 w-4" />
+                    )}
+                    {session.current ? "Log out" : "End session"}
+                  </Button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <Button variant="destructive" onClick={handleRevokeAll} disabled={isRevokingAll}>
+          {isRevokingAll ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <LogOut className="mr-2 h-4 w-4" />
+          )}
+          Log out everywhere
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SessionsCard;
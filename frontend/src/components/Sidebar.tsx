@@ -1,7 +1,8 @@
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
-import { Home, FileText, BarChart3, Settings, Users, TrendingUp, AlertTriangle, Clock, Shield } from "lucide-react";
+import { Home, FileText, BarChart3, Settings, Users, TrendingUp, AlertTriangle, Clock, Shield, MapPinned } from "lucide-react";
 import { useNavigate, useLocation } from "react-router-dom";
+import { hasPermission } from "@/lib/permissions";
 
 interface SidebarProps {
   role: "user" | "admin" | "superadmin";
@@ -18,14 +19,16 @@ const Sidebar = ({ role }: SidebarProps) => {
     { label: "Settings", path: "/user/settings", icon: Settings },
   ];
 
+  // Links are hidden when the user's role lacks the permission the page relies on
   const adminLinks = [
-    { label: "Dashboard", path: "/admin/dashboard", icon: Home },
-    { label: "All Complaints", path: "/admin/complaints", icon: FileText },
-    { label: "Escalations", path: "/admin/escalations", icon: AlertTriangle },
-    { label: "Reports", path: "/admin/reports", icon: BarChart3 },
-    { label: "Users", path: "/admin/users", icon: Users },
+    { label: "Dashboard", path: "/admin/dashboard", icon: Home, permission: "complaints.read" },
+    { label: "All Complaints", path: "/admin/complaints", icon: FileText, permission: "complaints.read" },
+    { label: "Map", path: "/admin/map", icon: MapPinned, permission: "complaints.read" },
+    { label: "Escalations", path: "/admin/escalations", icon: AlertTriangle, permission: "complaints.read" },
+    { label: "Reports", path: "/admin/reports", icon: BarChart3, permission: "reports.read" },
+    { label: "Users", path: "/admin/users", icon: Users, permission: "users.read" },
     { label: "Settings", path: "/admin/settings", icon: Settings },
-  ];
+  ].filter((link) => !link.permission || hasPermission(link.permission));
 
   const superadminLinks = [
     { label: "Dashboard", path: "/superadmin/dashboard", icon: Home },
@@ -0,0 +1,171 @@
+import { useRef, type ReactNode } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  MAP_TILE_URL,
+  MAX_ZOOM,
+  MIN_ZOOM,
+  TILE_SIZE,
+  project,
+  tileUrl,
+  unproject,
+  type LatLng,
+  type MapView,
+  type Point,
+} from "@/lib/geo";
+import { Minus, Plus } from "lucide-react";
+
+interface SvgMapProps {
+  view: MapView;
+  onViewChange: (view: MapView) => void;
+  width?: number;
+  height?: number;
+  onMapClick?: (position: LatLng) => void;
+  // Markers and other overlays, drawn in map pixels
+  children?: (toScreen: (position: LatLng) => Point) => ReactNode;
+}
+
+// Grid spacings in degrees, coarse to fine
+const GRID_STEPS = [30, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01, 0.005, 0.002, 0.001];
+
+// Pointer travel (map pixels) below which a press counts as a click rather than a drag
+const CLICK_TOLERANCE = 4;
+
+const gridLines = (from: number, to: number, step: number) => {
+  const lines: number[] = [];
+  for (let value = Math.ceil(from / step) * step; value <= to; value += step) {
+    lines.push(Number(value.toFixed(6)));
+  }
+  return lines;
+};
+
+// A pannable Web Mercator map drawn in SVG: local tiles when VITE_MAP_TILE_URL is set, else a degree grid
+const SvgMap = ({ view, onViewChange, width = 800, height = 480, onMapClick, children }: SvgMapProps) => {
+  const svgRef = useRef<SVGSVGElement>(null);
+  const drag = useRef<{ start: Point; center: Point; moved: boolean } | null>(null);
+
+  const center = project(view.center, view.zoom);
+  const origin = { x: center.x - width / 2, y: center.y - height / 2 };
+
+  const toScreen = (position: LatLng): Point => {
+    const point = project(position, view.zoom);
+    return { x: point.x - origin.x, y: point.y - origin.y };
+  };
+
+  // Client pixels -> map pixels, as the SVG scales with its container
+  const toMapPoint = (clientX: number, clientY: number): Point => {
+    const rect = svgRef.current!.getBoundingClientRect();
+    return { x: ((clientX - rect.left) * width) / rect.width, y: ((clientY - rect.top) * height) / rect.height };
+  };
+
+  const handlePointerDown = (e: React.PointerEvent<SVGSVGElement>) => {
+    drag.current = { start: toMapPoint(e.clientX, e.clientY), center, moved: false };
+  };
+
+  const handlePointerMove = (e: React.PointerEvent<SVGSVGElement>) => {
+    if (!drag.current) return;
+    const point = toMapPoint(e.clientX, e.clientY);
+    const dx = point.x - drag.current.start.x;
+    const dy = point.y - drag.current.start.y;
+    if (!drag.current.moved && Math.hypot(dx, dy) < CLICK_TOLERANCE) return;
+
+    // Captured only once dragging, so a plain click still reaches the marker under the pointer
+    if (!drag.current.moved) e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current.moved = true;
+    onViewChange({
+      ...view,
+      center: unproject({ x: drag.current.center.x - dx, y: drag.current.center.y - dy }, view.zoom),
+    });
+  };
+
+  const handlePointerUp = (e: React.PointerEvent<SVGSVGElement>) => {
+    const wasClick = drag.current && !drag.current.moved;
+    drag.current = null;
+    if (wasClick && onMapClick) {
+      const point = toMapPoint(e.clientX, e.clientY);
+      onMapClick(unproject({ x: origin.x + point.x, y: origin.y + point.y }, view.zoom));
+    }
+  };
+
+  const zoomBy = (delta: number) =>
+    onViewChange({ ...view, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom + delta)) });
+
+  const renderTiles = () => {
+    const count = 2 ** view.zoom;
+    const tiles: ReactNode[] = [];
+    for (let ty = Math.max(0, Math.floor(origin.y / TILE_SIZE)); ty <= Math.min(count - 1, Math.floor((origin.y + height) / TILE_SIZE)); ty++) {
+      for (let tx = Math.floor(origin.x / TILE_SIZE); tx <= Math.floor((origin.x + width) / TILE_SIZE); tx++) {
+        const wrappedX = ((tx % count) + count) % count;
+        tiles.push(
+          <image
+            key={`${tx}/${ty}`}
+            href={tileUrl(MAP_TILE_URL, view.zoom, wrappedX, ty)}
+            x={tx * TILE_SIZE - origin.x}
+            y={ty * TILE_SIZE - origin.y}
+            width={TILE_SIZE}
+            height={TILE_SIZE}
+          />
+        );
+      }
+    }
+    return tiles;
+  };
+
+  const renderGrid = () => {
+    const northWest = unproject(origin, view.zoom);
+    const southEast = unproject({ x: origin.x + width, y: origin.y + height }, view.zoom);
+    const west = (origin.x / (TILE_SIZE * 2 ** view.zoom)) * 360 - 180;
+    const east = west + (width / (TILE_SIZE * 2 ** view.zoom)) * 360;
+    const step = GRID_STEPS.find((s) => (east - west) / s >= 4) ?? GRID_STEPS[GRID_STEPS.length - 1];
+    const label = (value: number) => String(Number(value.toFixed(3)));
+
+    return (
+      <g className="text-muted-foreground">
+        {gridLines(west, east, step).map((lng) => {
+          const x = ((lng + 180) / 360) * TILE_SIZE * 2 ** view.zoom - origin.x;
+          return (
+            <g key={`lng${lng}`}>
+              <line x1={x} y1={0} x2={x} y2={height} stroke="currentColor" strokeOpacity={0.2} />
+              <text x={x + 3} y={height - 4} fontSize={10} fill="currentColor">{label(lng)}°</text>
+            </g>
+          );
+        })}
+        {gridLines(southEast.lat, northWest.lat, step).map((lat) => {
+          const { y } = toScreen({ lat, lng: 0 });
+          return (
+            <g key={`lat${lat}`}>
+              <line x1={0} y1={y} x2={width} y2={y} stroke="currentColor" strokeOpacity={0.2} />
+              <text x={3} y={y - 3} fontSize={10} fill="currentColor">{label(lat)}°</text>
+            </g>
+          );
+        })}
+      </g>
+    );
+  };
+
+  return (
+    <div className="relative overflow-hidden rounded-lg border bg-muted/30">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${width} ${height}`}
+        className="block w-full touch-none select-none cursor-grab active:cursor-grabbing"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => (drag.current = null)}
+      >
+        {MAP_TILE_URL ? renderTiles() : renderGrid()}
+        {children?.(toScreen)}
+      </svg>
+      <div className="absolute right-2 top-2 flex flex-col gap-1">
+        <Button type="button" size="icon" variant="secondary" className="h-8 w-8" onClick={() => zoomBy(1)} disabled={view.zoom >= MAX_ZOOM} aria-label="Zoom in">
+          <Plus className="h-4 w-4" />
+        </Button>
+        <Button type="button" size="icon" variant="secondary" className="h-8 w-8" onClick={() => zoomBy(-1)} disabled={view.zoom <= MIN_ZOOM} aria-label="Zoom out">
+          <Minus className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SvgMap;
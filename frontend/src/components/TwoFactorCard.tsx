@@ -0,0 +1,258 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import TwoFactorCodeInput from "@/components/TwoFactorCodeInput";
+import RecoveryCodesList from "@/components/RecoveryCodesList";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { ShieldCheck, Loader2, KeyRound } from "lucide-react";
+
+interface TwoFactorStatus {
+  available: boolean;
+  enabled: boolean;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+type Mode = "idle" | "setup" | "codes" | "disable" | "regenerate";
+
+const TwoFactorCard = () => {
+  const { toast } = useToast();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [mode, setMode] = useState<Mode>("idle");
+  const [enrollment, setEnrollment] = useState<{ secret: string; qrCode: string } | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isWorking, setIsWorking] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await api.getTwoFactorStatus();
+      setStatus(res.data);
+    } catch (error) {
+      console.error("Failed to load two-factor status:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const reset = () => {
+    setMode("idle");
+    setEnrollment(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const showError = (error: unknown, fallback: string) => {
+    setCode("");
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const handleStartSetup = async () => {
+    setIsWorking(true);
+    try {
+      const res = await api.setupTwoFactor();
+      setEnrollment({ secret: res.data.secret, qrCode: res.data.qrCode });
+      setMode("setup");
+    } catch (error) {
+      showError(error, "Failed to start two-factor setup.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleEnable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      const res = await api.enableTwoFactor(code);
+      setRecoveryCodes(res.data.recoveryCodes);
+      setCode("");
+      setMode("codes");
+      toast({ title: "Two-factor enabled", description: "Your account is now protected with two-factor authentication." });
+      fetchStatus();
+    } catch (error) {
+      showError(error, "Invalid verification code.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRegenerate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      const res = await api.regenerateRecoveryCodes(code);
+      setRecoveryCodes(res.data.recoveryCodes);
+      setCode("");
+      setMode("codes");
+      fetchStatus();
+    } catch (error) {
+      showError(error, "Failed to regenerate recovery codes.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDisable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      await api.disableTwoFactor(password, code);
+      toast({ title: "Two-factor disabled", description: "Two-factor authentication has been turned off." });
+      reset();
+      fetchStatus();
+    } catch (error) {
+      showError(error, "Failed to disable two-factor authentication.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  if (!status?.available) return null;
+
+  const submitLabel = (label: string) =>
+    isWorking ? <Loader2 className="h-4 w-4 animate-spin" /> : label;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          Two-Factor Authentication
+          {status.enabled ? (
+            <Badge variant="outline" className="text-green-600 border-green-600">Enabled</Badge>
+          ) : (
+            <Badge variant="secondary">Disabled</Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          Require a code from an authenticator app when signing in
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {status.required && (
+          <Alert>
+            <ShieldCheck className="h-4 w-4" />
+            <AlertDescription>
+              Two-factor authentication is required for your role and cannot be turned off.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {mode === "idle" && !status.enabled && (
+          <Button onClick={handleStartSetup} disabled={isWorking}>
+            {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Enable two-factor authentication
+          </Button>
+        )}
+
+        {mode === "idle" && status.enabled && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? "" : "s"} remaining
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" onClick={() => setMode("regenerate")}>
+                <KeyRound className="mr-2 h-4 w-4" />
+                New recovery codes
+              </Button>
+              {!status.required && (
+                <Button variant="destructive" onClick={() => setMode("disable")}>
+                  Disable
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {mode === "setup" && enrollment && (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Scan this QR code with Google Authenticator, Authy or a similar app, then enter the 6-digit code it shows.
+            </p>
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="w-48 h-48" />
+            <div className="space-y-1">
+              <p className="text-xs text-muted-foreground">Can't scan? Enter this key manually:</p>
+              <p className="font-mono text-sm break-all">{enrollment.secret}</p>
+            </div>
+            <TwoFactorCodeInput value={code} onChange={setCode} disabled={isWorking} />
+            <div className="flex gap-2">
+              <Button type="submit" disabled={isWorking || code.length !== 6}>
+                {submitLabel("Verify and enable")}
+              </Button>
+              <Button type="button" variant="ghost" onClick={reset} disabled={isWorking}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {mode === "codes" && (
+          <div className="space-y-4">
+            <RecoveryCodesList codes={recoveryCodes} />
+            <Button onClick={reset}>Done</Button>
+          </div>
+        )}
+
+        {mode === "regenerate" && (
+          <form onSubmit={handleRegenerate} className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Enter a code from your authenticator app. Your old recovery codes will stop working.
+            </p>
+            <TwoFactorCodeInput value={code} onChange={setCode} disabled={isWorking} />
+            <div className="flex gap-2">
+              <Button type="submit" disabled={isWorking || code.length !== 6}>
+                {submitLabel("Generate new codes")}
+              </Button>
+              <Button type="button" variant="ghost" onClick={reset} disabled={isWorking}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {mode === "disable" && (
+          <form onSubmit={handleDisable} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="twoFactorPassword">Current Password</Label>
+              <Input
+                id="twoFactorPassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                disabled={isWorking}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Authenticator Code</Label>
+              <TwoFactorCodeInput value={code} onChange={setCode} disabled={isWorking} />
+            </div>
+            <div className="flex gap-2">
+              <Button type="submit" variant="destructive" disabled={isWorking || !password || code.length !== 6}>
+                {submitLabel("Disable two-factor")}
+              </Button>
+              <Button type="button" variant="ghost" onClick={reset} disabled={isWorking}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorCard;
@@ -0,0 +1,29 @@
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+
+interface TwoFactorCodeInputProps {
+  value: string;
+  onChange: (value: string) => void;
+  disabled?: boolean;
+  autoFocus?: boolean;
+}
+
+// Six-digit authenticator code entry
+const TwoFactorCodeInput = ({ value, onChange, disabled, autoFocus }: TwoFactorCodeInputProps) => (
+  <InputOTP
+    maxLength={6}
+    value={value}
+    onChange={onChange}
+    disabled={disabled}
+    inputMode="numeric"
+    pattern="^[0-9]*$"
+    autoFocus={autoFocus}
+  >
+    <InputOTPGroup>
+      {[0, 1, 2, 3, 4, 5].map((index) => (
+        <InputOTPSlot key={index} index={index} />
+      ))}
+    </InputOTPGroup>
+  </InputOTP>
+);
+
+export default TwoFactorCodeInput;
@@ -0,0 +1,202 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Separator } from "@/components/ui/separator";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { Database, Download, Trash2, Loader2, AlertTriangle, Undo2 } from "lucide-react";
+
+interface AccountStatus {
+  canDelete: boolean;
+  deletionScheduledAt: string | null;
+  graceDays: number;
+}
+
+// Data export plus self-service account deletion with a grace period
+const YourDataCard = () => {
+  const { toast } = useToast();
+  const [status, setStatus] = useState<AccountStatus | null>(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isDeleteFormOpen, setIsDeleteFormOpen] = useState(false);
+  const [password, setPassword] = useState("");
+  const [isWorking, setIsWorking] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await api.getAccountStatus();
+      setStatus(res.data);
+    } catch (error) {
+      console.error("Failed to load account status:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const res = await api.exportMyData();
+      const blob = new Blob([JSON.stringify(res.data, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `complaint-portal-data-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showError(error, "Failed to export your data.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleDelete = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      const res = await api.deleteAccount(password);
+      setStatus((prev) => prev && { ...prev, deletionScheduledAt: res.data.deletionScheduledAt });
+      setPassword("");
+      setIsDeleteFormOpen(false);
+      toast({ title: "Account deletion scheduled", description: res.data.message });
+    } catch (error) {
+      showError(error, "Failed to schedule account deletion.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    setIsWorking(true);
+    try {
+      await api.cancelAccountDeletion();
+      setStatus((prev) => prev && { ...prev, deletionScheduledAt: null });
+      toast({ title: "Deletion cancelled", description: "Your account will be kept." });
+    } catch (error) {
+      showError(error, "Failed to cancel account deletion.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Database className="h-5 w-5" />
+          Your Data
+        </CardTitle>
+        <CardDescription>
+          Download a copy of your data or delete your account
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center justify-between gap-4">
+          <div className="space-y-0.5">
+            <p className="font-medium">Export your data</p>
+            <p className="text-sm text-muted-foreground">
+              Your profile, complaints, their status history and uploaded images as a JSON file
+            </p>
+          </div>
+          <Button variant="outline" onClick={handleExport} disabled={isExporting}>
+            {isExporting ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <Download className="mr-2 h-4 w-4" />
+            )}
+            Export
+          </Button>
+        </div>
+
+        {status?.canDelete && (
+          <>
+            <Separator />
+
+            {status.deletionScheduledAt ? (
+              <div className="space-y-4">
+                <Alert variant="destructive">
+                  <AlertTriangle className="h-4 w-4" />
+                  <AlertDescription>
+                    Your account will be deleted on {new Date(status.deletionScheduledAt).toLocaleDateString()}.
+                    Your complaints will be kept without your name or email.
+                  </AlertDescription>
+                </Alert>
+                <Button variant="outline" onClick={handleCancelDeletion} disabled={isWorking}>
+                  {isWorking ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <Undo2 className="mr-2 h-4 w-4" />
+                  )}
+                  Keep my account
+                </Button>
+              </div>
+            ) : isDeleteFormOpen ? (
+              <form onSubmit={handleDelete} className="space-y-4">
+                <p className="text-sm text-muted-foreground">
+                  Your account will be deleted after {status.graceDays} days. Until then you can sign in and cancel.
+                  Complaints you filed are kept so they can still be handled, but without your name or email.
+                </p>
+                <div className="space-y-2">
+                  <Label htmlFor="deleteAccountPassword">Current Password</Label>
+                  <Input
+                    id="deleteAccountPassword"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    disabled={isWorking}
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <Button type="submit" variant="destructive" disabled={isWorking || !password}>
+                    {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    Delete my account
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    onClick={() => {
+                      setIsDeleteFormOpen(false);
+                      setPassword("");
+                    }}
+                    disabled={isWorking}
+                  >
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex items-center justify-between gap-4">
+                <div className="space-y-0.5">
+                  <p className="font-medium">Delete account</p>
+                  <p className="text-sm text-muted-foreground">
+                    Permanently remove your account after a {status.graceDays}-day grace period
+                  </p>
+                </div>
+                <Button variant="destructive" onClick={() => setIsDeleteFormOpen(true)}>
+                  <Trash2 className="mr-2 h-4 w-4" />
+                  Delete
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default YourDataCard;
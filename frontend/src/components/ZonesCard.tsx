@@ -0,0 +1,371 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import SvgMap from "@/components/SvgMap";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { fitView, type LatLng, type MapView, type Point } from "@/lib/geo";
+import { Loader2, Map as MapIcon, MapPinned, Trash2, Upload } from "lucide-react";
+
+type Ring = [number, number][];
+
+interface Zone {
+  id: number;
+  name: string;
+  geometry: { type: "Polygon"; coordinates: Ring[] } | { type: "MultiPolygon"; coordinates: Ring[][] };
+  min_lat: number;
+  min_lng: number;
+  max_lat: number;
+  max_lng: number;
+  assigned_admin_id: number | null;
+  assigned_admin_name: string | null;
+  assigned_admin_email: string | null;
+  assigned_role: string | null;
+  complaint_count: number;
+  updated_at: string;
+}
+
+interface Staff {
+  id: number;
+  name: string | null;
+  email: string;
+  role: string;
+}
+
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 420;
+
+// Routing targets share one Select: "none", "admin:<id>" or "team:<role>"
+const routingValue = (zone: Zone) =>
+  zone.assigned_admin_id ? `admin:${zone.assigned_admin_id}` : zone.assigned_role ? `team:${zone.assigned_role}` : "none";
+
+const zonePath = (zone: Zone, toScreen: (position: LatLng) => Point) => {
+  const polygons = zone.geometry.type === "Polygon" ? [zone.geometry.coordinates] : zone.geometry.coordinates;
+  return polygons
+    .flat()
+    .map((ring) => ring.map(([lng, lat], i) => {
+      const { x, y } = toScreen({ lat, lng });
+      return `${i === 0 ? "M" : "L"}${x.toFixed(1)} ${y.toFixed(1)}`;
+    }).join(" ") + " Z")
+    .join(" ");
+};
+
+const ZonesCard = () => {
+  const { toast } = useToast();
+  const [zones, setZones] = useState<Zone[]>([]);
+  const [staff, setStaff] = useState<Staff[]>([]);
+  const [teams, setTeams] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploadOpen, setIsUploadOpen] = useState(false);
+  const [file, setFile] = useState<File | null>(null);
+  const [nameProperty, setNameProperty] = useState("name");
+  const [isUploading, setIsUploading] = useState(false);
+  const [savingId, setSavingId] = useState<number | null>(null);
+  const [view, setView] = useState<MapView | null>(null);
+
+  const applyResponse = useCallback((data: { zones?: Zone[]; staff?: Staff[]; teams?: string[] }) => {
+    setZones(data.zones || []);
+    setStaff(data.staff || []);
+    setTeams(data.teams || []);
+  }, []);
+
+  const fetchZones = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await api.getZones();
+      applyResponse(res.data);
+    } catch (error) {
+      console.error("Failed to load zones:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [applyResponse]);
+
+  useEffect(() => {
+    fetchZones();
+  }, [fetchZones]);
+
+  const showError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Error",
+      description: getApiError(error).message || fallback,
+      variant: "destructive",
+    });
+  };
+
+  const openUpload = () => {
+    setFile(null);
+    setIsUploadOpen(true);
+  };
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setIsUploading(true);
+    try {
+      const res = await api.uploadZones({ geojson: await file.text(), nameProperty: nameProperty.trim() || undefined });
+      applyResponse(res.data);
+      setIsUploadOpen(false);
+      setView(null);
+      toast({
+        title: "Boundaries uploaded",
+        description: `${res.data.created} zone(s) added, ${res.data.updated} updated.`,
+      });
+    } catch (error) {
+      showError(error, "Failed to upload boundaries.");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRoutingChange = async (zone: Zone, value: string) => {
+    const [kind, target] = value.split(/:(.*)/);
+    setSavingId(zone.id);
+    try {
+      const res = await api.updateZone(zone.id, {
+        assignedAdminId: kind === "admin" ? Number(target) : null,
+        assignedRole: kind === "team" ? target : null,
+      });
+      applyResponse(res.data);
+      toast({
+        title: "Routing updated",
+        description: kind === "none"
+          ? `New complaints in ${zone.name} will be tagged but not assigned.`
+          : `New complaints in ${zone.name} will be assigned automatically.`,
+      });
+    } catch (error) {
+      showError(error, "Failed to update routing.");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (zone: Zone) => {
+    if (!window.confirm(`Delete the ${zone.name} zone? Its complaints keep their current assignee.`)) return;
+
+    setSavingId(zone.id);
+    try {
+      const res = await api.deleteZone(zone.id);
+      applyResponse(res.data);
+      toast({ title: "Zone deleted", description: `${zone.name} has been removed.` });
+    } catch (error) {
+      showError(error, "Failed to delete zone.");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const toggleMap = () => {
+    if (view) {
+      setView(null);
+      return;
+    }
+    const corners = zones.flatMap((z) => [{ lat: z.min_lat, lng: z.min_lng }, { lat: z.max_lat, lng: z.max_lng }]);
+    setView(fitView(corners, MAP_WIDTH, MAP_HEIGHT));
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center gap-2">
+            <MapPinned className="h-5 w-5" />
+            Wards & Zones
+          </CardTitle>
+          <CardDescription>
+            New complaints with a location are tagged with their zone and assigned to its staff member or team
+          </CardDescription>
+        </div>
+        <div className="flex gap-2">
+          <Button onClick={toggleMap} size="sm" variant="outline" disabled={isLoading || zones.length === 0}>
+            <MapIcon className="mr-2 h-4 w-4" />
+            {view ? "Hide Map" : "Show Map"}
+          </Button>
+          <Button onClick={openUpload} size="sm" disabled={isLoading}>
+            <Upload className="mr-2 h-4 w-4" />
+            Upload GeoJSON
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {view && (
+          <SvgMap view={view} onViewChange={setView} width={MAP_WIDTH} height={MAP_HEIGHT}>
+            {(toScreen) =>
+              zones.map((zone) => (
+                <path
+                  key={zone.id}
+                  d={zonePath(zone, toScreen)}
+                  fillRule="evenodd"
+                  className="text-primary"
+                  fill="currentColor"
+                  fillOpacity={0.15}
+                  stroke="currentColor"
+                  strokeWidth={1.5}
+                >
+                  <title>{zone.name}</title>
+                </path>
+              ))
+            }
+          </SvgMap>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : zones.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            No zones yet. Upload ward or zone boundaries as a GeoJSON FeatureCollection of polygons.
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Zone</TableHead>
+                <TableHead>Routes to</TableHead>
+                <TableHead>Complaints</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {zones.map((zone) => (
+                <TableRow key={zone.id}>
+                  <TableCell>
+                    <div className="font-medium">{zone.name}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {zone.geometry.type === "MultiPolygon" && `${zone.geometry.coordinates.length} parts · `}
+                      Updated {new Date(zone.updated_at).toLocaleDateString()}
+                    </div>
+                  </TableCell>
+                  <TableCell className="w-72">
+                    <Select
+                      value={routingValue(zone)}
+                      onValueChange={(value) => handleRoutingChange(zone, value)}
+                      disabled={savingId === zone.id}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">Nobody (tag only)</SelectItem>
+                        {teams.map((team) => (
+                          <SelectItem key={`team:${team}`} value={`team:${team}`}>
+                            <span className="capitalize">{team}</span> team
+                          </SelectItem>
+                        ))}
+                        {staff.map((member) => (
+                          <SelectItem key={`admin:${member.id}`} value={`admin:${member.id}`}>
+                            {member.name || member.email} <span className="text-muted-foreground">({member.role})</span>
+                          </SelectItem>
+                        ))}
+                        {/* An assignee who has since been deactivated still shows as the current value */}
+                        {zone.assigned_admin_id && !staff.some((m) => m.id === zone.assigned_admin_id) && (
+                          <SelectItem value={`admin:${zone.assigned_admin_id}`} disabled>
+                            {zone.assigned_admin_name || zone.assigned_admin_email} (inactive)
+                          </SelectItem>
+                        )}
+                      </SelectContent>
+                    </Select>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant="secondary">{zone.complaint_count}</Badge>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleDelete(zone)}
+                      disabled={savingId === zone.id}
+                    >
+                      {savingId === zone.id ? (
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      ) : (
+                        <Trash2 className="mr-2 h-4 w-4" />
+                      )}
+                      Delete
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={isUploadOpen} onOpenChange={setIsUploadOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Upload Boundaries</DialogTitle>
+            <DialogDescription>
+              A GeoJSON FeatureCollection of Polygon or MultiPolygon features in longitude/latitude (WGS84).
+              Zones whose name already exists get the new boundary and keep their routing.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleUpload} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="zonesFile">File</Label>
+              <Input
+                id="zonesFile"
+                type="file"
+                accept=".geojson,.json,application/geo+json,application/json"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+                disabled={isUploading}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="zonesNameProperty">Name property</Label>
+              <Input
+                id="zonesNameProperty"
+                value={nameProperty}
+                onChange={(e) => setNameProperty(e.target.value)}
+                placeholder="name"
+                disabled={isUploading}
+              />
+              <p className="text-xs text-muted-foreground">
+                The feature property that holds each ward or zone name, e.g. ward_name
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button type="submit" disabled={isUploading || !file}>
+                {isUploading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Upload
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => setIsUploadOpen(false)} disabled={isUploading}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ZonesCard;
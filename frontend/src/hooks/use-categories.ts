@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+import { api } from "@/lib/api";
+import type { Category } from "@/lib/complaints";
+
+// Active complaint categories for forms, in display order
+export function useCategories() {
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    api
+      .getCategories()
+      .then((res) => {
+        if (!cancelled) setCategories(res.data.categories || []);
+      })
+      .catch((error) => console.error("Failed to load categories:", error))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { categories, isLoading };
+}
@@ -1,4 +1,7 @@
 import axios, { AxiosError } from "axios";
+import { storePermissions } from "@/lib/permissions";
+import { getImpersonation, restoreImpersonator } from "@/lib/impersonation";
+import type { CategoryField } from "@/lib/complaints";
 
 // Use environment variable for API URL (supports both dev and production)
 // In development: set VITE_API_URL in .env (e.g., http://localhost:4000/api)
@@ -89,6 +92,12 @@ export const classifyError = (error: AxiosError): { type: string; message: strin
   };
 };
 
+// Extract the backend's { error, code } payload from a failed request
+export const getApiError = (error: unknown): { message?: string; code?: string } => {
+  const data = (error as AxiosError<{ error?: string; code?: string }>)?.response?.data;
+  return { message: data?.error, code: data?.code };
+};
+
 // Add auth token to all requests
 axiosInstance.interceptors.request.use(
   (config) => {
@@ -103,12 +112,42 @@ axiosInstance.interceptors.request.use(
   }
 );
 
+// Refresh tokens are single-use (rotated on every refresh), so concurrent 401s
+// must share one refresh call - replaying the same token revokes the session.
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (refreshToken: string): Promise<string> => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { accessToken, refreshToken: nextRefreshToken, user } = response.data;
+        localStorage.setItem("accessToken", accessToken);
+        localStorage.setItem("refreshToken", nextRefreshToken);
+        // Role may have changed server-side since login
+        if (user?.role) localStorage.setItem("userRole", user.role);
+        if (user?.permissions) storePermissions(user.permissions);
+        return accessToken as string;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Handle 401 responses (token expired)
 axiosInstance.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config;
 
+    // Impersonation tokens cannot be refreshed - once ended or expired, go back to the superadmin
+    if (error.response?.status === 401 && getImpersonation()) {
+      window.location.href = restoreImpersonator();
+      return Promise.reject(error);
+    }
+
     // If 401 and not already retrying
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
@@ -116,12 +155,13 @@ axiosInstance.interceptors.response.use(
       try {
         const refreshToken = localStorage.getItem("refreshToken");
         if (refreshToken) {
-          const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-            refreshToken,
-          });
+          const sentToken = originalRequest.headers?.Authorization?.replace("Bearer ", "");
+          const currentToken = localStorage.getItem("accessToken");
 
-          const { accessToken } = response.data;
-          localStorage.setItem("accessToken", accessToken);
+          // Another tab or request already rotated the tokens - just retry
+          const accessToken = currentToken && sentToken && currentToken !== sentToken
+            ? currentToken
+            : await refreshAccessToken(refreshToken);
 
           // Retry original request with new token
           originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -133,6 +173,7 @@ axiosInstance.interceptors.response.use(
         localStorage.removeItem("accessToken");
         localStorage.removeItem("refreshToken");
         localStorage.removeItem("userRole");
+        localStorage.removeItem("userPermissions");
         localStorage.removeItem("userEmail");
         localStorage.removeItem("userName");
         localStorage.removeItem("userId");
@@ -147,6 +188,16 @@ axiosInstance.interceptors.response.use(
 
 // Logout helper function
 export const logout = () => {
+  // Logging out while viewing as someone ends that and signs the superadmin out
+  if (getImpersonation()) {
+    axios
+      .post(`${API_BASE_URL}/auth/impersonation/end`, null, {
+        headers: { Authorization: `Bearer ${localStorage.getItem("accessToken")}` },
+      })
+      .catch(() => {});
+    restoreImpersonator();
+  }
+
   const refreshToken = localStorage.getItem("refreshToken");
   
   // Call logout API (best effort)
@@ -166,9 +217,9 @@ export const logout = () => {
 
 export const api = {
   // ================= COMPLAINTS =================
-  // Get all complaints (admin use)
-  getComplaints: () =>
-    axiosInstance.get("/admin/complaints"),
+  // Get all complaints (admin use); bbox is "west,south,east,north" and limits them to located ones inside it
+  getComplaints: (params?: { bbox?: string }) =>
+    axiosInstance.get("/admin/complaints", { params }),
 
   // ✅ Get only logged-in user's complaints (protected endpoint)
   getUserComplaints: () =>
@@ -184,6 +235,16 @@ export const api = {
       },
     }),
 
+  // Citizen: edit or withdraw an own complaint while it is still "new"
+  updateMyComplaint: (
+    id: number,
+    changes: { category?: string; description?: string; priority?: string; custom_fields?: Record<string, string> }
+  ) =>
+    axiosInstance.patch(`/user/complaints/${id}`, changes),
+
+  withdrawComplaint: (id: number, reason?: string) =>
+    axiosInstance.post(`/user/complaints/${id}/withdraw`, { reason }),
+
   // Admin: update complaint status
   updateComplaintStatus: (id: number, status: string, changed_by?: string) =>
     axiosInstance.put(`/admin/complaints/${id}/status`, {
@@ -200,6 +261,42 @@ export const api = {
       },
     }),
 
+  // Photos and PDFs on a complaint (owner or staff); `kind` is evidence, resolution or other
+  getAttachments: (complaintId: number) =>
+    axiosInstance.get(`/complaints/${complaintId}/attachments`),
+
+  uploadAttachments: (complaintId: number, files: File[], kind = "evidence") => {
+    const formData = new FormData();
+    formData.append("kind", kind);
+    files.forEach((file) => formData.append("attachments", file));
+    return axiosInstance.post(`/complaints/${complaintId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  deleteAttachment: (complaintId: number, attachmentId: number) =>
+    axiosInstance.delete(`/complaints/${complaintId}/attachments/${attachmentId}`),
+
+  // ================= COMMENTS =================
+  getComments: (complaintId: number) =>
+    axiosInstance.get(`/complaints/${complaintId}/comments`),
+
+  addComment: (complaintId: number, body: string, file?: File | null) => {
+    const formData = new FormData();
+    formData.append("body", body);
+    if (file) formData.append("attachments", file);
+    return axiosInstance.post(`/complaints/${complaintId}/comments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  // ================= INTERNAL NOTES (staff only) =================
+  getNotes: (complaintId: number) =>
+    axiosInstance.get(`/complaints/${complaintId}/notes`),
+
+  addNote: (complaintId: number, body: string) =>
+    axiosInstance.post(`/complaints/${complaintId}/notes`, { body }),
+
   // ================= ESCALATIONS =================
   // Admin: escalate a complaint
   escalateComplaint: (complaintId: number, reason?: string) =>
@@ -254,13 +351,100 @@ export const api = {
   assignComplaint: (complaintId: number, adminId: number) =>
     axiosInstance.post("/superadmin/assign", { complaintId, adminId }),
 
-  updateSuperadminSettings: (settings: { email?: string; escalationThreshold?: number }) =>
+  getSuperadminSettings: () =>
+    axiosInstance.get("/superadmin/settings"),
+
+  updateSuperadminSettings: (settings: {
+    email?: string;
+    escalationThreshold?: number;
+    notificationsEnabled?: boolean;
+    requireEmailVerification?: boolean;
+    twoFactorRequiredRoles?: string[];
+    magicLinkDisabledRoles?: string[];
+    referencePrefix?: string;
+  }) =>
     axiosInstance.put("/superadmin/settings", settings),
 
+  // Failed logins grouped per account over the last `hours`
+  getFailedLogins: (hours = 24) =>
+    axiosInstance.get(`/superadmin/failed-logins?hours=${hours}`),
+
+  getLoginAttempts: (email: string) =>
+    axiosInstance.get(`/superadmin/login-attempts?email=${encodeURIComponent(email)}`),
+
+  unlockUser: (userId: number) =>
+    axiosInstance.post(`/superadmin/users/${userId}/unlock`),
+
+  // Roles with their permissions, plus the permission catalogue
+  getRoles: () =>
+    axiosInstance.get("/superadmin/roles"),
+
+  createRole: (role: { name: string; description?: string; permissions: string[] }) =>
+    axiosInstance.post("/superadmin/roles", role),
+
+  updateRole: (name: string, role: { description?: string; permissions?: string[] }) =>
+    axiosInstance.put(`/superadmin/roles/${encodeURIComponent(name)}`, role),
+
+  deleteRole: (name: string) =>
+    axiosInstance.delete(`/superadmin/roles/${encodeURIComponent(name)}`),
+
+  // Ward/zone boundaries, plus the staff and teams they can route complaints to
+  getZones: () =>
+    axiosInstance.get("/superadmin/zones"),
+
+  uploadZones: (upload: { geojson: string; nameProperty?: string }) =>
+    axiosInstance.post("/superadmin/zones", upload),
+
+  updateZone: (id: number, zone: { name?: string; assignedAdminId?: number | null; assignedRole?: string | null }) =>
+    axiosInstance.put(`/superadmin/zones/${id}`, zone),
+
+  deleteZone: (id: number) =>
+    axiosInstance.delete(`/superadmin/zones/${id}`),
+
+  // Staff invites (pending, accepted and expired)
+  getInvites: () =>
+    axiosInstance.get("/superadmin/invites"),
+
+  createInvite: (invite: { email: string; role?: string }) =>
+    axiosInstance.post("/superadmin/invites", invite),
+
+  resendInvite: (id: number) =>
+    axiosInstance.post(`/superadmin/invites/${id}/resend`),
+
+  revokeInvite: (id: number) =>
+    axiosInstance.delete(`/superadmin/invites/${id}`),
+
+  // API keys for integrations, plus the scope catalogue
+  getApiKeys: () =>
+    axiosInstance.get("/superadmin/api-keys"),
+
+  createApiKey: (key: { name: string; scopes: string[]; rateLimit?: number; expiresInDays?: number | null }) =>
+    axiosInstance.post("/superadmin/api-keys", key),
+
+  rotateApiKey: (id: number) =>
+    axiosInstance.post(`/superadmin/api-keys/${id}/rotate`),
+
+  revokeApiKey: (id: number) =>
+    axiosInstance.delete(`/superadmin/api-keys/${id}`),
+
+  // "View as user": returns a short-lived, read-only token for the target
+  impersonateUser: (id: number, reason?: string) =>
+    axiosInstance.post(`/superadmin/users/${id}/impersonate`, { reason }),
+
+  getImpersonations: () =>
+    axiosInstance.get("/superadmin/impersonations"),
+
+  getImpersonationRequests: (id: number) =>
+    axiosInstance.get(`/superadmin/impersonations/${id}/requests`),
+
   // ================= USER ROLES (Admin) =================
   getUserRoles: () =>
     axiosInstance.get("/admin/users"),
 
+  // Role names for role pickers
+  getRoleNames: () =>
+    axiosInstance.get("/admin/roles"),
+
   createUser: (user: { email: string; password?: string; name?: string; role?: string; status?: string }) =>
     axiosInstance.post("/admin/users", user),
 
@@ -301,9 +485,35 @@ export const api = {
   fetchProfile: () =>
     axiosInstance.get("/auth/me"),
 
+  // ================= CATEGORIES =================
+  // Active categories, for complaint forms (no account needed)
+  getCategories: () =>
+    axiosInstance.get("/categories"),
+
+  // Every category including inactive ones, with complaint counts (categories.manage)
+  getAdminCategories: () =>
+    axiosInstance.get("/admin/categories"),
+
+  createCategory: (category: { slug: string; name: string; description?: string; icon?: string; displayOrder?: number; isActive?: boolean; fieldSchema?: CategoryField[] }) =>
+    axiosInstance.post("/admin/categories", category),
+
+  updateCategory: (id: number, category: { name?: string; description?: string; icon?: string; displayOrder?: number; isActive?: boolean; fieldSchema?: CategoryField[] }) =>
+    axiosInstance.put(`/admin/categories/${id}`, category),
+
+  deleteCategory: (id: number) =>
+    axiosInstance.delete(`/admin/categories/${id}`),
+
   // ================= ANONYMOUS TRACK =================
-  getTrack: (trackingId: string) =>
-    axiosInstance.get(`/track/${trackingId}`),
+  // No account needed; returns a tracking code (and the passphrase, if asked for)
+  createAnonymousComplaint: (formData: FormData) =>
+    axiosInstance.post("/public/complaints", formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+
+  getTrack: (trackingId: string, passphrase?: string) =>
+    axiosInstance.get(`/track/${encodeURIComponent(trackingId)}`, {
+      headers: passphrase ? { 'X-Tracking-Passphrase': passphrase } : {},
+    }),
 
   // Complaint history endpoint is not provided by backend in current API.
   // Return a rejected promise so callers know it's unsupported.
@@ -323,6 +533,106 @@ export const api = {
   refreshToken: (refreshToken: string) =>
     axiosInstance.post("/auth/refresh", { refreshToken }),
 
+  // ================= TWO-FACTOR AUTHENTICATION =================
+  // Second login step: pass either a TOTP code or a recovery code
+  verifyTwoFactor: (challengeToken: string, factor: { code?: string; recoveryCode?: string }) =>
+    axiosInstance.post("/auth/2fa/verify", { challengeToken, ...factor }),
+
+  getTwoFactorStatus: () =>
+    axiosInstance.get("/auth/2fa/status"),
+
+  // challengeToken is only needed when enrolment is forced during login
+  setupTwoFactor: (challengeToken?: string) =>
+    axiosInstance.post("/auth/2fa/setup", { challengeToken }),
+
+  enableTwoFactor: (code: string, challengeToken?: string) =>
+    axiosInstance.post("/auth/2fa/enable", { code, challengeToken }),
+
+  disableTwoFactor: (password: string, code: string) =>
+    axiosInstance.post("/auth/2fa/disable", { password, code }),
+
+  regenerateRecoveryCodes: (code: string) =>
+    axiosInstance.post("/auth/2fa/recovery-codes", { code }),
+
+  // ================= SESSIONS =================
+  getSessions: () =>
+    axiosInstance.get("/auth/sessions"),
+
+  revokeSession: (sessionId: string) =>
+    axiosInstance.delete(`/auth/sessions/${sessionId}`),
+
+  // Log out everywhere, including the current session
+  revokeAllSessions: () =>
+    axiosInstance.delete("/auth/sessions"),
+
+  // Sent with the impersonation token itself
+  endImpersonation: () =>
+    axiosInstance.post("/auth/impersonation/end"),
+
+  // ================= EMAIL VERIFICATION =================
+  verifyEmail: (token: string) =>
+    axiosInstance.post("/auth/verify-email", { token }),
+
+  // Uses the logged-in account when a token is present, otherwise the given email
+  resendVerification: (email?: string) =>
+    axiosInstance.post("/auth/resend-verification", { email }),
+
+  // ================= MAGIC LINK LOGIN =================
+  requestMagicLink: (email: string) =>
+    axiosInstance.post("/auth/magic-link", { email }),
+
+  // Same response shape as login (may ask for a two-factor step)
+  consumeMagicLink: (token: string) =>
+    axiosInstance.post("/auth/magic-link/verify", { token }),
+
+  // ================= STAFF SINGLE SIGN-ON =================
+  getOidcConfig: () =>
+    axiosInstance.get("/auth/oidc/config"),
+
+  // Full-page navigation target; the backend redirects on to the identity provider.
+  // binding is a random secret this tab keeps until the login completes
+  getOidcLoginUrl: (binding: string) =>
+    `${API_BASE_URL}/auth/oidc/login?binding=${encodeURIComponent(binding)}`,
+
+  // Swaps the one-time code from /login?oidc_code=... for the usual login response
+  completeOidcLogin: (code: string, binding: string) =>
+    axiosInstance.post("/auth/oidc/complete", { code, binding }),
+
+  // ================= EMAIL CHANGE =================
+  // Sends a confirmation link to the new address; nothing changes until it is opened
+  requestEmailChange: (newEmail: string, password: string) =>
+    axiosInstance.post("/auth/change-email", { newEmail, password }),
+
+  confirmEmailChange: (token: string) =>
+    axiosInstance.post("/auth/confirm-email-change", { token }),
+
+  // ================= YOUR DATA =================
+  // Everything stored about the signed-in user, as JSON
+  exportMyData: () =>
+    axiosInstance.get("/user/export"),
+
+  getAccountStatus: () =>
+    axiosInstance.get("/user/account"),
+
+  // Schedules deletion after a grace period; can be cancelled until then
+  deleteAccount: (password: string) =>
+    axiosInstance.delete("/user/account", { data: { password } }),
+
+  cancelAccountDeletion: () =>
+    axiosInstance.post("/user/account/cancel-deletion"),
+
+  // ================= STAFF INVITE =================
+  getInviteDetails: (token: string) =>
+    axiosInstance.post("/auth/invite/details", { token }),
+
+  // Creates the account; the response is the same as a login's first step
+  acceptInvite: (token: string, name: string, password: string) =>
+    axiosInstance.post("/auth/invite/accept", { token, name, password }),
+
+  // ================= ACCOUNT UNLOCK =================
+  unlockAccount: (token: string) =>
+    axiosInstance.post("/auth/unlock-account", { token }),
+
   // ================= PASSWORD RESET =================
   forgotPassword: (email: string) =>
     axiosInstance.post("/auth/forgot-password", { email }),
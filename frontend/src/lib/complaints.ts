@@ -0,0 +1,78 @@
+import {
+  Building2,
+  Construction,
+  Cpu,
+  Droplets,
+  HelpCircle,
+  Lightbulb,
+  ShieldAlert,
+  Tag,
+  Trash2,
+  UserX,
+  Wrench,
+  Zap,
+  type LucideIcon,
+} from "lucide-react";
+
+// Complaints carry a yearly reference (e.g. CMP-2026-000123); older rows may predate it
+export const complaintRef = (complaint: { id: number; reference?: string | null }): string =>
+  complaint.reference || `#${complaint.id}`;
+
+// Complaint categories live in the categories table (GET /api/categories); complaints store the slug
+export interface Category {
+  id: number;
+  slug: string;
+  name: string;
+  description: string | null;
+  icon: string | null;
+  display_order: number;
+  is_active: boolean;
+  field_schema: CategoryField[];
+}
+
+// "Road works" -> "road_works"; category slugs and field keys share this shape
+export const slugify = (name: string) =>
+  name.toLowerCase().trim().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 50);
+
+// Extra intake fields a category asks for; see backend/services/categoryService.js
+export type CategoryFieldType = "text" | "number" | "date" | "select";
+
+export interface CategoryField {
+  key: string;
+  label: string;
+  type: CategoryFieldType;
+  required: boolean;
+  pattern?: string;
+  options?: string[];
+}
+
+// complaints.custom_fields keeps each answer with the label it was asked under
+export interface FieldAnswer {
+  key: string;
+  label: string;
+  type: CategoryFieldType;
+  value: string | number;
+}
+
+// The first required field left empty, so forms can stop before the server rejects them
+export const missingRequiredField = (fields: CategoryField[], values: Record<string, string>) =>
+  fields.find((field) => field.required && !values[field.key]?.trim());
+
+// Icons staff can pick for a category; unknown names fall back to a tag
+export const CATEGORY_ICONS: Record<string, LucideIcon> = {
+  wrench: Wrench,
+  "user-x": UserX,
+  cpu: Cpu,
+  "help-circle": HelpCircle,
+  construction: Construction,
+  droplets: Droplets,
+  zap: Zap,
+  "trash-2": Trash2,
+  "shield-alert": ShieldAlert,
+  lightbulb: Lightbulb,
+  "building-2": Building2,
+  tag: Tag,
+};
+
+export const categoryIcon = (icon: string | null | undefined): LucideIcon =>
+  (icon && CATEGORY_ICONS[icon]) || Tag;
@@ -0,0 +1,91 @@
+// Web Mercator helpers for the built-in SVG map, using the usual 256px z/x/y tile grid
+
+export const TILE_SIZE = 256;
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 18;
+
+// Optional locally served tiles, e.g. "/tiles/{z}/{x}/{y}.png"; without it the map draws a plain grid
+export const MAP_TILE_URL: string = import.meta.env.VITE_MAP_TILE_URL || "";
+
+// Mercator cannot show the poles
+const MAX_LATITUDE = 85.0511;
+
+export interface LatLng {
+  lat: number;
+  lng: number;
+}
+
+export interface MapView {
+  center: LatLng;
+  zoom: number;
+}
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+export const DEFAULT_VIEW: MapView = { center: { lat: 20, lng: 0 }, zoom: 2 };
+
+const worldSize = (zoom: number) => TILE_SIZE * 2 ** zoom;
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+// Degrees -> world pixels at a zoom level
+export const project = ({ lat, lng }: LatLng, zoom: number): Point => {
+  const sin = Math.sin((clamp(lat, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * worldSize(zoom),
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize(zoom),
+  };
+};
+
+// World pixels -> degrees at a zoom level
+export const unproject = ({ x, y }: Point, zoom: number): LatLng => {
+  const size = worldSize(zoom);
+  const n = Math.PI - (2 * Math.PI * clamp(y, 0, size)) / size;
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    // Wrapped into -180..180 when panned past the antimeridian
+    lng: ((((x / size) * 360) % 360) + 360) % 360 - 180,
+  };
+};
+
+// The view's bbox as "west,south,east,north", as GET /api/admin/complaints?bbox= expects
+export const viewBbox = (view: MapView, width: number, height: number): string => {
+  const center = project(view.center, view.zoom);
+  const northWest = unproject({ x: center.x - width / 2, y: center.y - height / 2 }, view.zoom);
+  const southEast = unproject({ x: center.x + width / 2, y: center.y + height / 2 }, view.zoom);
+  // Wider than the world: take everything rather than a wrapped box
+  const spansWorld = width >= worldSize(view.zoom);
+  const west = spansWorld ? -180 : northWest.lng;
+  const east = spansWorld ? 180 : southEast.lng;
+  return [west, southEast.lat, east, northWest.lat].map((n) => n.toFixed(6)).join(",");
+};
+
+// The closest view that shows every point
+export const fitView = (points: LatLng[], width: number, height: number): MapView => {
+  if (points.length === 0) return DEFAULT_VIEW;
+
+  const lats = points.map((p) => p.lat);
+  const lngs = points.map((p) => p.lng);
+  const center = {
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+    lng: (Math.min(...lngs) + Math.max(...lngs)) / 2,
+  };
+
+  for (let zoom = 16; zoom > MIN_ZOOM; zoom--) {
+    const northWest = project({ lat: Math.max(...lats), lng: Math.min(...lngs) }, zoom);
+    const southEast = project({ lat: Math.min(...lats), lng: Math.max(...lngs) }, zoom);
+    // Keep a margin so markers at the edge stay clickable
+    if (southEast.x - northWest.x <= width * 0.8 && southEast.y - northWest.y <= height * 0.8) {
+      return { center, zoom };
+    }
+  }
+  return { center, zoom: MIN_ZOOM };
+};
+
+export const tileUrl = (template: string, zoom: number, x: number, y: number) =>
+  template.replace("{z}", String(zoom)).replace("{x}", String(x)).replace("{y}", String(y));
+
+export const formatLatLng = ({ lat, lng }: LatLng) => `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
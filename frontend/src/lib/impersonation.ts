@@ -0,0 +1,76 @@
+// Superadmin "view as user": the superadmin's own session is parked in localStorage
+// while the target's short-lived, read-only token takes its place.
+// The backend logs every request made with that token.
+
+const SESSION_KEYS = [
+  "isAuthenticated",
+  "accessToken",
+  "refreshToken",
+  "userEmail",
+  "userName",
+  "userRole",
+  "userPermissions",
+  "userId",
+];
+
+const IMPERSONATOR_SESSION_KEY = "impersonatorSession";
+const IMPERSONATION_KEY = "impersonation";
+
+export interface Impersonation {
+  email: string;
+  name: string | null;
+  role: string;
+  expiresAt: string;
+  returnTo: string;
+}
+
+interface ImpersonationStart {
+  accessToken: string;
+  expiresAt: string;
+  user: { id: number; email: string; name: string | null; role: string };
+}
+
+export const getImpersonation = (): Impersonation | null => {
+  try {
+    return JSON.parse(localStorage.getItem(IMPERSONATION_KEY) || "null");
+  } catch {
+    return null;
+  }
+};
+
+export const beginImpersonation = ({ accessToken, expiresAt, user }: ImpersonationStart, returnTo: string) => {
+  const saved = Object.fromEntries(SESSION_KEYS.map((key) => [key, localStorage.getItem(key)]));
+  localStorage.setItem(IMPERSONATOR_SESSION_KEY, JSON.stringify(saved));
+
+  SESSION_KEYS.forEach((key) => localStorage.removeItem(key));
+  localStorage.setItem("isAuthenticated", "true");
+  localStorage.setItem("accessToken", accessToken);
+  localStorage.setItem("userEmail", user.email);
+  localStorage.setItem("userName", user.name || "");
+  localStorage.setItem("userRole", user.role);
+  localStorage.setItem("userId", user.id.toString());
+
+  const impersonation: Impersonation = { email: user.email, name: user.name, role: user.role, expiresAt, returnTo };
+  localStorage.setItem(IMPERSONATION_KEY, JSON.stringify(impersonation));
+};
+
+// Put the superadmin's session back; returns where to send them
+export const restoreImpersonator = (): string => {
+  const returnTo = getImpersonation()?.returnTo || "/superadmin/dashboard";
+  let saved: Record<string, string | null> = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(IMPERSONATOR_SESSION_KEY) || "{}");
+  } catch {
+    saved = {};
+  }
+
+  SESSION_KEYS.forEach((key) => {
+    const value = saved[key];
+    if (value === null || value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+  });
+  localStorage.removeItem(IMPERSONATOR_SESSION_KEY);
+  localStorage.removeItem(IMPERSONATION_KEY);
+
+  return returnTo;
+};
@@ -0,0 +1,28 @@
+// Roles are collections of named permissions (see backend/config/permissions.js).
+// The signed-in user's permissions are cached in localStorage next to userRole;
+// the backend still checks every request, this only decides what to show.
+
+export const isStaffRole = (role: string | null): boolean => !!role && role !== "user";
+
+export const storePermissions = (permissions: string[] | undefined) => {
+  localStorage.setItem("userPermissions", JSON.stringify(permissions || []));
+};
+
+export const getStoredPermissions = (): string[] => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem("userPermissions") || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+export const hasPermission = (permission: string): boolean =>
+  localStorage.getItem("userRole") === "superadmin" || getStoredPermissions().includes(permission);
+
+// Superadmins have their own area; every other staff role uses the admin area
+export const getHomePath = (role: string | null): string => {
+  if (role === "superadmin") return "/superadmin/dashboard";
+  if (isStaffRole(role)) return "/admin/dashboard";
+  return "/user/dashboard";
+};
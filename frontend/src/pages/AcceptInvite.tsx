@@ -0,0 +1,197 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { Loader2, UserPlus, XCircle, Eye, EyeOff } from "lucide-react";
+
+interface InviteDetails {
+  email: string;
+  role: string;
+  invitedBy: string | null;
+}
+
+const AcceptInvite = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { toast } = useToast();
+
+  const [invite, setInvite] = useState<InviteDetails | null>(null);
+  const [isVerifying, setIsVerifying] = useState(true);
+  const [errorMessage, setErrorMessage] = useState<string>("");
+
+  const [name, setName] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isPasswordValid =
+    password.length >= 8 && /[A-Z]/.test(password) && /[a-z]/.test(password) && /\d/.test(password);
+  const passwordsMatch = password === confirmPassword && password.length > 0;
+
+  useEffect(() => {
+    const loadInvite = async () => {
+      if (!token) {
+        setIsVerifying(false);
+        setErrorMessage("No invite token provided. Please use the link from your email.");
+        return;
+      }
+
+      try {
+        const response = await api.getInviteDetails(token);
+        setInvite(response.data);
+      } catch (error) {
+        setErrorMessage(getApiError(error).message || "This invite link is invalid or has expired.");
+      } finally {
+        setIsVerifying(false);
+      }
+    };
+
+    loadInvite();
+  }, [token]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!isPasswordValid || !passwordsMatch) return;
+
+    setIsSubmitting(true);
+    try {
+      const response = await api.acceptInvite(token!, name.trim(), password);
+      // Login finishes the sign-in, including the 2FA step when the role requires it
+      navigate("/login", { replace: true, state: { inviteLogin: response.data } });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to accept the invite.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isVerifying) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+        <Card className="w-full max-w-md shadow-xl">
+          <CardContent className="py-10 text-center">
+            <Loader2 className="w-10 h-10 mx-auto animate-spin text-primary" />
+            <p className="mt-4 text-muted-foreground">Checking your invitation...</p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!invite) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+        <Card className="w-full max-w-md shadow-xl">
+          <CardHeader className="space-y-1 text-center">
+            <div className="mx-auto mb-4 w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
+              <XCircle className="w-8 h-8 text-red-600" />
+            </div>
+            <CardTitle className="text-2xl font-bold">Invite Not Valid</CardTitle>
+            <CardDescription className="text-base">{errorMessage}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Button onClick={() => navigate("/login")} className="w-full">
+              Go to Login
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+      <Card className="w-full max-w-md shadow-xl">
+        <CardHeader className="space-y-1 text-center">
+          <div className="mx-auto mb-4 w-16 h-16 bg-primary/10 rounded-full flex items-center justify-center">
+            <UserPlus className="w-8 h-8 text-primary" />
+          </div>
+          <CardTitle className="text-2xl font-bold">Join the Team</CardTitle>
+          <CardDescription className="text-base">
+            {invite.invitedBy ? `${invite.invitedBy} invited you` : "You've been invited"} as{" "}
+            <span className="font-medium capitalize">{invite.role}</span>. Set a password to activate your account.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="inviteEmail">Email</Label>
+              <Input id="inviteEmail" value={invite.email} disabled />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="inviteName">Name</Label>
+              <Input
+                id="inviteName"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Your full name"
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="invitePassword">Password</Label>
+              <div className="relative">
+                <Input
+                  id="invitePassword"
+                  type={showPassword ? "text" : "password"}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={isSubmitting}
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground"
+                >
+                  {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                </button>
+              </div>
+              {password && !isPasswordValid && (
+                <p className="text-xs text-destructive">
+                  At least 8 characters with uppercase, lowercase and a number
+                </p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="inviteConfirmPassword">Confirm Password</Label>
+              <Input
+                id="inviteConfirmPassword"
+                type={showPassword ? "text" : "password"}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={isSubmitting}
+                required
+              />
+              {confirmPassword && !passwordsMatch && (
+                <p className="text-xs text-destructive">Passwords don't match</p>
+              )}
+            </div>
+            <Button type="submit" className="w-full" disabled={isSubmitting || !isPasswordValid || !passwordsMatch}>
+              {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Activate Account
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AcceptInvite;
@@ -9,12 +9,19 @@ import { Textarea } from "@/components/ui/textarea";
 import { Label } from "@/components/ui/label";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
+import AttachmentGallery from "@/components/AttachmentGallery";
+import ComplaintThread from "@/components/ComplaintThread";
+import InternalNotes from "@/components/InternalNotes";
+import FieldAnswers from "@/components/FieldAnswers";
 import { useToast } from "@/hooks/use-toast";
 import { api } from "@/lib/api";
-import { AlertCircle, Upload, Image, CheckCircle, Loader2, Search, Filter } from "lucide-react";
+import { complaintRef, type FieldAnswer } from "@/lib/complaints";
+import { formatLatLng } from "@/lib/geo";
+import { AlertCircle, Upload, Image, CheckCircle, Loader2, Search, Filter, MapPin } from "lucide-react";
 
 interface Complaint {
   id: number;
+  reference?: string | null;
   category: string;
   description: string;
   priority: string;
@@ -30,8 +37,15 @@ interface Complaint {
   resolved_image_url?: string | null;
   admin_message?: string | null;
   resolution_message?: string | null;
+  custom_fields?: FieldAnswer[] | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  address?: string | null;
+  zone_name?: string | null;
 }
 
+const answerText = (answer: FieldAnswer) => String(answer.value).toLowerCase();
+
 const AdminComplaints = () => {
   const [complaints, setComplaints] = useState<Complaint[]>([]);
   const [filteredComplaints, setFilteredComplaints] = useState<Complaint[]>([]);
@@ -39,7 +53,7 @@ const AdminComplaints = () => {
   const [isResolving, setIsResolving] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [adminMessage, setAdminMessage] = useState("");
-  const [resolvedImage, setResolvedImage] = useState<File | null>(null);
+  const [resolvedFiles, setResolvedFiles] = useState<File[]>([]);
   const [resolvedImagePreview, setResolvedImagePreview] = useState<string | null>(null);
   const [isEscalating, setIsEscalating] = useState(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
@@ -51,6 +65,9 @@ const AdminComplaints = () => {
   const [statusFilter, setStatusFilter] = useState("all");
   const [priorityFilter, setPriorityFilter] = useState("all");
   const [categoryFilter, setCategoryFilter] = useState("all");
+  // Answers to a category's intake fields, e.g. "Area" is "North"
+  const [fieldFilter, setFieldFilter] = useState("all");
+  const [fieldValueFilter, setFieldValueFilter] = useState("");
 
   const fetchComplaints = async () => {
     setIsLoading(true);
@@ -82,14 +99,16 @@ const AdminComplaints = () => {
   useEffect(() => {
     let filtered = [...complaints];
 
-    // Search filter (email, category, description)
+    // Search filter (reference, email, category, description)
     if (searchTerm) {
       const term = searchTerm.toLowerCase();
       filtered = filtered.filter(c =>
+        c.reference?.toLowerCase().includes(term) ||
         c.email?.toLowerCase().includes(term) ||
         c.category?.toLowerCase().includes(term) ||
         c.description?.toLowerCase().includes(term) ||
-        c.name?.toLowerCase().includes(term)
+        c.name?.toLowerCase().includes(term) ||
+        c.custom_fields?.some(answer => answerText(answer).includes(term))
       );
     }
 
@@ -108,12 +127,38 @@ const AdminComplaints = () => {
       filtered = filtered.filter(c => c.category === categoryFilter);
     }
 
+    // Intake field filter: the chosen field's answer contains the value (or matches a select option exactly)
+    if (fieldFilter !== "all" && fieldValueFilter.trim()) {
+      const value = fieldValueFilter.trim().toLowerCase();
+      filtered = filtered.filter(c => c.custom_fields?.some(answer =>
+        answer.key === fieldFilter &&
+        (answer.type === "select" ? answerText(answer) === value : answerText(answer).includes(value))
+      ));
+    }
+
     setFilteredComplaints(filtered);
-  }, [complaints, searchTerm, statusFilter, priorityFilter, categoryFilter]);
+  }, [complaints, searchTerm, statusFilter, priorityFilter, categoryFilter, fieldFilter, fieldValueFilter]);
 
   // Get unique categories for filter dropdown
   const categories = [...new Set(complaints.map(c => c.category))];
 
+  // Intake fields answered on complaints in the chosen category, with the select answers seen for each
+  const answeredFields = new Map<string, { label: string; type: string; values: Set<string> }>();
+  complaints
+    .filter(c => categoryFilter === "all" || c.category === categoryFilter)
+    .forEach(c => c.custom_fields?.forEach(answer => {
+      const field = answeredFields.get(answer.key) || { label: answer.label, type: answer.type, values: new Set<string>() };
+      field.values.add(String(answer.value));
+      answeredFields.set(answer.key, field);
+    }));
+  const selectedField = fieldFilter !== "all" ? answeredFields.get(fieldFilter) : undefined;
+
+  const handleCategoryFilterChange = (category: string) => {
+    setCategoryFilter(category);
+    setFieldFilter("all");
+    setFieldValueFilter("");
+  };
+
   const updateStatus = async (id: number, newStatus: string) => {
     try {
       const adminEmail = localStorage.getItem('userEmail') || 'admin';
@@ -138,20 +183,26 @@ const AdminComplaints = () => {
   };
 
   const handleImageChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      setResolvedImage(file);
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+
+    setResolvedFiles(files);
+    setResolvedImagePreview(null);
+
+    // Preview the first image; PDFs are listed by name
+    const firstImage = files.find((file) => file.type.startsWith("image/"));
+    if (firstImage) {
       const reader = new FileReader();
       reader.onloadend = () => {
         setResolvedImagePreview(reader.result as string);
       };
-      reader.readAsDataURL(file);
+      reader.readAsDataURL(firstImage);
     }
   };
 
   const resetResolveForm = () => {
     setAdminMessage("");
-    setResolvedImage(null);
+    setResolvedFiles([]);
     setResolvedImagePreview(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = "";
@@ -198,10 +249,10 @@ const AdminComplaints = () => {
     if (!selectedComplaint) return;
 
     // Validate required resolution image
-    if (!resolvedImage) {
+    if (resolvedFiles.length === 0) {
       toast({
-        title: "Resolution Image Required",
-        description: "Please upload a resolution image before marking as resolved.",
+        title: "Resolution Evidence Required",
+        description: "Please upload a resolution photo or PDF before marking as resolved.",
         variant: "destructive",
       });
       return;
@@ -212,9 +263,7 @@ const AdminComplaints = () => {
       const formData = new FormData();
       formData.append("resolution_message", adminMessage);
       
-      if (resolvedImage) {
-        formData.append("image", resolvedImage);
-      }
+      resolvedFiles.forEach((file) => formData.append("attachments", file));
 
       const response = await api.resolveComplaint(selectedComplaint.id, formData);
       
@@ -288,6 +337,8 @@ const AdminComplaints = () => {
     setStatusFilter("all");
     setPriorityFilter("all");
     setCategoryFilter("all");
+    setFieldFilter("all");
+    setFieldValueFilter("");
   };
 
   return (
@@ -325,7 +376,7 @@ const AdminComplaints = () => {
                     <div className="relative">
                       <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
                       <Input
-                        placeholder="Search by email, category, name..."
+                        placeholder="Search by reference, email, category, name..."
                         value={searchTerm}
                         onChange={(e) => setSearchTerm(e.target.value)}
                         className="pl-10"
@@ -368,7 +419,7 @@ const AdminComplaints = () => {
                   {/* Category Filter */}
                   <div className="w-full md:w-40">
                     <Label className="text-sm mb-1 block">Category</Label>
-                    <Select value={categoryFilter} onValueChange={setCategoryFilter}>
+                    <Select value={categoryFilter} onValueChange={handleCategoryFilterChange}>
                       <SelectTrigger>
                         <SelectValue />
                       </SelectTrigger>
@@ -387,6 +438,55 @@ const AdminComplaints = () => {
                     Clear
                   </Button>
                 </div>
+
+                {/* Intake Field Filter - only when some complaints have answers */}
+                {answeredFields.size > 0 && (
+                  <div className="flex flex-col md:flex-row gap-4 items-end mt-4">
+                    <div className="w-full md:w-56">
+                      <Label className="text-sm mb-1 block">Field</Label>
+                      <Select
+                        value={fieldFilter}
+                        onValueChange={(key) => {
+                          setFieldFilter(key);
+                          setFieldValueFilter("");
+                        }}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="all">Any Field</SelectItem>
+                          {[...answeredFields].map(([key, field]) => (
+                            <SelectItem key={key} value={key}>{field.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {selectedField && (
+                      <div className="w-full md:w-56">
+                        <Label className="text-sm mb-1 block">{selectedField.label}</Label>
+                        {selectedField.type === "select" ? (
+                          <Select value={fieldValueFilter} onValueChange={setFieldValueFilter}>
+                            <SelectTrigger>
+                              <SelectValue placeholder="Any value" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {[...selectedField.values].sort().map(value => (
+                                <SelectItem key={value} value={value}>{value}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        ) : (
+                          <Input
+                            placeholder="Contains..."
+                            value={fieldValueFilter}
+                            onChange={(e) => setFieldValueFilter(e.target.value)}
+                          />
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
               </CardContent>
             </Card>
 
@@ -418,7 +518,7 @@ const AdminComplaints = () => {
                               )}
                               <div className="flex-1">
                                 <div className="flex items-center gap-2 flex-wrap">
-                                  <span className="text-xs text-muted-foreground">#{complaint.id}</span>
+                                  <span className="text-xs text-muted-foreground">{complaintRef(complaint)}</span>
                                   <h3 className="font-semibold capitalize">{complaint.category}</h3>
                                   <Badge variant="outline" className={getPriorityColor(complaint.priority)}>
                                     {complaint.priority} priority
@@ -434,6 +534,15 @@ const AdminComplaints = () => {
                               </div>
                             </div>
                             <p className="text-sm line-clamp-2">{complaint.description}</p>
+                            {complaint.custom_fields && complaint.custom_fields.length > 0 && (
+                              <div className="flex flex-wrap gap-1">
+                                {complaint.custom_fields.map(answer => (
+                                  <Badge key={answer.key} variant="secondary" className="font-normal">
+                                    {answer.label}: {answer.value}
+                                  </Badge>
+                                ))}
+                              </div>
+                            )}
                           </div>
                         </div>
 
@@ -483,7 +592,7 @@ const AdminComplaints = () => {
           <DialogHeader>
             <DialogTitle className="capitalize">{selectedComplaint?.category}</DialogTitle>
             <DialogDescription>
-              Complaint ID: #{selectedComplaint?.id}
+              Reference: {selectedComplaint && complaintRef(selectedComplaint)}
             </DialogDescription>
           </DialogHeader>
           <div className="space-y-4">
@@ -520,20 +629,35 @@ const AdminComplaints = () => {
               <p className="text-sm text-muted-foreground">{selectedComplaint?.description}</p>
             </div>
 
-            {selectedComplaint?.problem_image_url && (
+            <FieldAnswers answers={selectedComplaint?.custom_fields} />
+
+            {(selectedComplaint?.address || selectedComplaint?.latitude != null) && (
               <div>
-                <p className="text-sm font-medium mb-2 flex items-center gap-2">
-                  <Image className="h-4 w-4" />
-                  Before Image (Problem)
+                <p className="text-sm font-medium">Location</p>
+                <p className="text-sm text-muted-foreground flex items-center gap-1">
+                  <MapPin className="h-4 w-4" />
+                  {[
+                    selectedComplaint.address,
+                    selectedComplaint.latitude != null && selectedComplaint.longitude != null
+                      ? formatLatLng({ lat: selectedComplaint.latitude, lng: selectedComplaint.longitude })
+                      : null,
+                    selectedComplaint.zone_name ? `Zone: ${selectedComplaint.zone_name}` : null,
+                  ].filter(Boolean).join(" · ")}
                 </p>
-                <img
-                  src={selectedComplaint.problem_image_url}
-                  alt="Problem"
-                  className="w-full max-h-48 object-contain rounded-lg border"
-                />
               </div>
             )}
 
+            {selectedComplaint && (
+              <AttachmentGallery
+                complaintId={selectedComplaint.id}
+                defaultKind={selectedComplaint.status === "resolved" ? "resolution" : "evidence"}
+              />
+            )}
+
+            {selectedComplaint && <ComplaintThread complaintId={selectedComplaint.id} />}
+
+            {selectedComplaint && <InternalNotes complaintId={selectedComplaint.id} />}
+
             {selectedComplaint?.status !== "resolved" && (
               <div className="border-t pt-4 space-y-4">
                 <h4 className="font-semibold flex items-center gap-2">
@@ -554,14 +678,15 @@ const AdminComplaints = () => {
 
                 <div className="space-y-2">
                   <Label htmlFor="resolved_image" className="flex items-center gap-1">
-                    Resolution Image <span className="text-destructive">*</span>
+                    Resolution Photos or PDFs <span className="text-destructive">*</span>
                   </Label>
                   <div className="flex items-center gap-2">
                     <Input
                       ref={fileInputRef}
                       id="resolved_image"
                       type="file"
-                      accept="image/*"
+                      accept="image/*,application/pdf"
+                      multiple
                       onChange={handleImageChange}
                       className="hidden"
                     />
@@ -571,10 +696,12 @@ const AdminComplaints = () => {
                       onClick={() => fileInputRef.current?.click()}
                     >
                       <Upload className="h-4 w-4 mr-2" />
-                      {resolvedImage ? "Change Image" : "Upload Image"}
+                      {resolvedFiles.length > 0 ? "Change Files" : "Upload Files"}
                     </Button>
-                    {resolvedImage && (
-                      <span className="text-sm text-muted-foreground">{resolvedImage.name}</span>
+                    {resolvedFiles.length > 0 && (
+                      <span className="text-sm text-muted-foreground truncate">
+                        {resolvedFiles.map((file) => file.name).join(", ")}
+                      </span>
                     )}
                   </div>
                   
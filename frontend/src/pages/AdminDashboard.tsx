@@ -6,6 +6,7 @@ import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
 import { useToast } from "@/hooks/use-toast";
 import { api } from "@/lib/api";
+import { complaintRef } from "@/lib/complaints";
 import { useNavigate } from "react-router-dom";
 import { 
   AlertCircle, 
@@ -20,6 +21,7 @@ import {
 
 interface Complaint {
   id: number;
+  reference?: string | null;
   category: string;
   description: string;
   priority: string;
@@ -283,7 +285,7 @@ const AdminDashboard = () => {
                       >
                         <div className="flex-1">
                           <div className="flex items-center gap-2 mb-1">
-                            <span className="text-xs text-muted-foreground">#{complaint.id}</span>
+                            <span className="text-xs text-muted-foreground">{complaintRef(complaint)}</span>
                             <span className="font-medium capitalize">{complaint.category}</span>
                             <Badge variant="outline" className={getPriorityColor(complaint.priority)}>
                               {complaint.priority}
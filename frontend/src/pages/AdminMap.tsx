@@ -0,0 +1,235 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import Sidebar from "@/components/Sidebar";
+import Navbar from "@/components/Navbar";
+import SvgMap from "@/components/SvgMap";
+import { useToast } from "@/hooks/use-toast";
+import { api } from "@/lib/api";
+import { complaintRef } from "@/lib/complaints";
+import { MAX_ZOOM, fitView, formatLatLng, viewBbox, type MapView, type Point } from "@/lib/geo";
+import { Loader2, MapPin } from "lucide-react";
+
+interface LocatedComplaint {
+  id: number;
+  reference?: string | null;
+  category: string;
+  description: string;
+  priority: string;
+  status: string;
+  address?: string | null;
+  latitude: number;
+  longitude: number;
+}
+
+interface Cluster extends Point {
+  key: string;
+  complaints: LocatedComplaint[];
+  counts: Record<string, number>;
+  priority: string;
+}
+
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 520;
+
+// Complaints whose markers fall in the same cell (map pixels) are drawn as one cluster
+const CLUSTER_CELL = 56;
+
+const PRIORITIES = ["high", "medium", "low"];
+
+const PRIORITY_COLORS: Record<string, string> = {
+  high: "text-destructive",
+  medium: "text-warning",
+  low: "text-primary",
+};
+
+const CLOSED_STATUSES = ["resolved", "withdrawn"];
+
+// Group markers by screen cell; each cluster takes the colour of its most urgent complaint
+const clusterComplaints = (complaints: LocatedComplaint[], toScreen: (position: { lat: number; lng: number }) => Point) => {
+  const cells = new Map<string, Cluster>();
+
+  for (const complaint of complaints) {
+    const point = toScreen({ lat: complaint.latitude, lng: complaint.longitude });
+    const key = `${Math.floor(point.x / CLUSTER_CELL)}:${Math.floor(point.y / CLUSTER_CELL)}`;
+    const cluster = cells.get(key) || { key, x: 0, y: 0, complaints: [], counts: {}, priority: "low" };
+
+    cluster.x = (cluster.x * cluster.complaints.length + point.x) / (cluster.complaints.length + 1);
+    cluster.y = (cluster.y * cluster.complaints.length + point.y) / (cluster.complaints.length + 1);
+    cluster.complaints.push(complaint);
+    cluster.counts[complaint.priority] = (cluster.counts[complaint.priority] || 0) + 1;
+    if (PRIORITIES.indexOf(complaint.priority) !== -1 && PRIORITIES.indexOf(complaint.priority) < PRIORITIES.indexOf(cluster.priority)) {
+      cluster.priority = complaint.priority;
+    }
+    cells.set(key, cluster);
+  }
+
+  return [...cells.values()];
+};
+
+const AdminMap = () => {
+  const { toast } = useToast();
+  const [view, setView] = useState<MapView | null>(null);
+  const [complaints, setComplaints] = useState<LocatedComplaint[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [includeClosed, setIncludeClosed] = useState(false);
+  const [selected, setSelected] = useState<LocatedComplaint[]>([]);
+
+  const fetchComplaints = useCallback(async (bbox: string) => {
+    const res = await api.getComplaints({ bbox });
+    return res.data as LocatedComplaint[];
+  }, []);
+
+  // First load: every located complaint, to frame the map around them
+  useEffect(() => {
+    fetchComplaints("-180,-90,180,90")
+      .then((located) => {
+        setComplaints(located);
+        const open = located.filter((c) => !CLOSED_STATUSES.includes(c.status));
+        setView(fitView((open.length > 0 ? open : located).map((c) => ({ lat: c.latitude, lng: c.longitude })), MAP_WIDTH, MAP_HEIGHT));
+      })
+      .catch((error) => {
+        console.error("Failed to load complaint locations:", error);
+        toast({ title: "Error", description: "Failed to load complaint locations.", variant: "destructive" });
+        setView(fitView([], MAP_WIDTH, MAP_HEIGHT));
+      })
+      .finally(() => setIsLoading(false));
+  }, [fetchComplaints, toast]);
+
+  // Afterwards only what is in view, once panning or zooming settles
+  useEffect(() => {
+    if (!view) return;
+
+    const timer = setTimeout(() => {
+      fetchComplaints(viewBbox(view, MAP_WIDTH, MAP_HEIGHT))
+        .then(setComplaints)
+        .catch((error) => console.error("Failed to load complaint locations:", error));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [view, fetchComplaints]);
+
+  const visible = includeClosed ? complaints : complaints.filter((c) => !CLOSED_STATUSES.includes(c.status));
+
+  const handleClusterClick = (cluster: Cluster) => {
+    setSelected(cluster.complaints);
+    // Zoom into clusters until they split up
+    if (view && cluster.complaints.length > 1 && view.zoom < MAX_ZOOM) {
+      const lats = cluster.complaints.map((c) => c.latitude);
+      const lngs = cluster.complaints.map((c) => c.longitude);
+      const spread = Math.max(...lats) - Math.min(...lats) + Math.max(...lngs) - Math.min(...lngs);
+      if (spread > 0) {
+        setView({
+          center: { lat: lats.reduce((a, b) => a + b, 0) / lats.length, lng: lngs.reduce((a, b) => a + b, 0) / lngs.length },
+          zoom: Math.min(MAX_ZOOM, view.zoom + 2),
+        });
+      }
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Navbar />
+      <div className="flex">
+        <Sidebar role="admin" />
+        <main className="flex-1 p-6">
+          <div className="max-w-7xl mx-auto space-y-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+              <div>
+                <h1 className="text-3xl font-bold">Complaint Map</h1>
+                <p className="text-muted-foreground mt-2">
+                  {visible.length} {includeClosed ? "" : "open "}complaint{visible.length === 1 ? "" : "s"} with a location in view
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch id="includeClosed" checked={includeClosed} onCheckedChange={setIncludeClosed} />
+                <Label htmlFor="includeClosed">Include resolved and withdrawn</Label>
+              </div>
+            </div>
+
+            <div className="grid gap-6 lg:grid-cols-[1fr_320px]">
+              <Card>
+                <CardContent className="p-4 space-y-3">
+                  {isLoading || !view ? (
+                    <div className="flex items-center justify-center py-24">
+                      <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+                    </div>
+                  ) : (
+                    <SvgMap view={view} onViewChange={setView} width={MAP_WIDTH} height={MAP_HEIGHT}>
+                      {(toScreen) =>
+                        clusterComplaints(visible, toScreen).map((cluster) => {
+                          const count = cluster.complaints.length;
+                          const radius = count === 1 ? 8 : Math.min(28, 10 + Math.sqrt(count) * 4);
+                          return (
+                            <g
+                              key={cluster.key}
+                              transform={`translate(${cluster.x} ${cluster.y})`}
+                              className={`${PRIORITY_COLORS[cluster.priority] || "text-muted-foreground"} cursor-pointer`}
+                              onClick={() => handleClusterClick(cluster)}
+                            >
+                              <title>
+                                {PRIORITIES.filter((p) => cluster.counts[p]).map((p) => `${cluster.counts[p]} ${p}`).join(", ")}
+                              </title>
+                              <circle r={radius} fill="currentColor" fillOpacity={0.85} stroke="white" strokeWidth={2} />
+                              {count > 1 && (
+                                <text textAnchor="middle" dominantBaseline="central" fontSize={12} fontWeight={600} fill="white">
+                                  {count}
+                                </text>
+                              )}
+                            </g>
+                          );
+                        })
+                      }
+                    </SvgMap>
+                  )}
+                  <div className="flex flex-wrap items-center gap-4 text-xs text-muted-foreground">
+                    {PRIORITIES.map((priority) => (
+                      <span key={priority} className="flex items-center gap-1 capitalize">
+                        <svg width="10" height="10" className={PRIORITY_COLORS[priority]}>
+                          <circle cx="5" cy="5" r="5" fill="currentColor" />
+                        </svg>
+                        {priority}
+                      </span>
+                    ))}
+                    <span>Clusters take the colour of their most urgent complaint. Click one to list or zoom in.</span>
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2 text-lg">
+                    <MapPin className="h-5 w-5" />
+                    Selected
+                  </CardTitle>
+                  <CardDescription>
+                    {selected.length === 0 ? "Click a marker to see its complaints" : `${selected.length} complaint${selected.length === 1 ? "" : "s"}`}
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-3 max-h-[560px] overflow-y-auto">
+                  {selected.map((complaint) => (
+                    <div key={complaint.id} className="rounded-lg border p-3 space-y-1">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <span className="text-xs text-muted-foreground">{complaintRef(complaint)}</span>
+                        <span className="font-medium capitalize">{complaint.category}</span>
+                        <Badge variant="outline" className={PRIORITY_COLORS[complaint.priority]}>{complaint.priority}</Badge>
+                        <Badge variant="secondary">{complaint.status}</Badge>
+                      </div>
+                      <p className="text-sm line-clamp-2">{complaint.description}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {complaint.address || formatLatLng({ lat: complaint.latitude, lng: complaint.longitude })}
+                      </p>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            </div>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+};
+
+export default AdminMap;
@@ -4,8 +4,10 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Button } from "@/components/ui/button";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
-import { BarChart3, Download, TrendingUp, FileText, Clock } from "lucide-react";
+import { BarChart3, Download, TrendingUp, FileText, Clock, MapPinned } from "lucide-react";
 import { api } from "@/lib/api";
+import { complaintRef } from "@/lib/complaints";
+import { hasPermission } from "@/lib/permissions";
 
 const AdminReports = () => {
   const [complaints, setComplaints] = useState<any[]>([]);
@@ -50,11 +52,23 @@ const AdminReports = () => {
     return acc;
   }, {});
 
+  // Ward/zone each complaint was routed to on creation; complaints without a location stay unzoned
+  const zoneStats: Record<string, { total: number; open: number; resolved: number }> = {};
+  for (const complaint of complaints) {
+    const zone = complaint.zone_name || "Unzoned";
+    zoneStats[zone] = zoneStats[zone] || { total: 0, open: 0, resolved: 0 };
+    zoneStats[zone].total += 1;
+    if (complaint.status === "resolved") zoneStats[zone].resolved += 1;
+    else if (complaint.status !== "withdrawn") zoneStats[zone].open += 1;
+  }
+  const hasZones = complaints.some(c => c.zone_name);
+
   const exportToCSV = () => {
-    const headers = ["ID", "Category", "Priority", "Status", "Date", "Description"];
+    const headers = ["Reference", "Category", "Zone", "Priority", "Status", "Date", "Description"];
     const rows = complaints.map(c => [
-      c.id,
+      complaintRef(c),
       c.category,
+      c.zone_name || "",
       c.priority,
       c.status,
       new Date(c.date).toLocaleDateString(),
@@ -116,8 +130,9 @@ const AdminReports = () => {
           <table>
             <thead>
               <tr>
-                <th>ID</th>
+                <th>Reference</th>
                 <th>Category</th>
+                <th>Zone</th>
                 <th>Priority</th>
                 <th>Status</th>
                 <th>Date</th>
@@ -126,8 +141,9 @@ const AdminReports = () => {
             <tbody>
               ${complaints.map(c => `
                 <tr>
-                  <td>${c.id}</td>
+                  <td>${complaintRef(c)}</td>
                   <td>${c.category}</td>
+                  <td>${c.zone_name || ''}</td>
                   <td>${c.priority}</td>
                   <td>${c.status}</td>
                   <td>${new Date(c.date).toLocaleDateString()}</td>
@@ -161,16 +177,18 @@ const AdminReports = () => {
                   View complaint statistics and trends
                 </p>
               </div>
-              <div className="flex gap-2">
-                <Button variant="outline" onClick={() => exportToCSV()}>
-                  <Download className="mr-2 h-4 w-4" />
-                  Export CSV
-                </Button>
-                <Button variant="outline" onClick={() => exportToPDF()}>
-                  <Download className="mr-2 h-4 w-4" />
-                  Export PDF
-                </Button>
-              </div>
+              {hasPermission("reports.export") && (
+                <div className="flex gap-2">
+                  <Button variant="outline" onClick={() => exportToCSV()}>
+                    <Download className="mr-2 h-4 w-4" />
+                    Export CSV
+                  </Button>
+                  <Button variant="outline" onClick={() => exportToPDF()}>
+                    <Download className="mr-2 h-4 w-4" />
+                    Export PDF
+                  </Button>
+                </div>
+              )}
             </div>
 
             <div className="grid md:grid-cols-4 gap-4">
@@ -291,6 +309,44 @@ const AdminReports = () => {
               </Card>
             </div>
 
+            {hasZones && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <MapPinned className="h-5 w-5" />
+                    Complaints by Zone
+                  </CardTitle>
+                  <CardDescription>Wards and zones that complaints were routed to by their location</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-4">
+                    {Object.entries(zoneStats)
+                      .sort(([a, x], [b, y]) => (a === "Unzoned" ? 1 : b === "Unzoned" ? -1 : y.total - x.total || a.localeCompare(b)))
+                      .map(([zone, counts]) => (
+                        <div key={zone} className="space-y-2">
+                          <div className="flex items-center justify-between text-sm">
+                            <span className={`font-medium ${zone === "Unzoned" ? "text-muted-foreground" : ""}`}>{zone}</span>
+                            <span className="text-muted-foreground">
+                              {counts.total} complaints · {counts.open} open · {counts.resolved} resolved
+                            </span>
+                          </div>
+                          <div className="h-2 bg-muted rounded-full overflow-hidden flex">
+                            <div
+                              className="h-full bg-success transition-all"
+                              style={{ width: `${(counts.resolved / stats.total) * 100}%` }}
+                            />
+                            <div
+                              className="h-full bg-primary transition-all"
+                              style={{ width: `${((counts.total - counts.resolved) / stats.total) * 100}%` }}
+                            />
+                          </div>
+                        </div>
+                      ))}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
             <Card>
               <CardHeader>
                 <CardTitle>Resolution Rate</CardTitle>
@@ -11,8 +11,12 @@ import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
+import SessionsCard from "@/components/SessionsCard";
+import TwoFactorCard from "@/components/TwoFactorCard";
+import CategoriesCard from "@/components/CategoriesCard";
 import { useToast } from "@/hooks/use-toast";
-import { api, logout } from "@/lib/api";
+import { api, logout, getApiError } from "@/lib/api";
+import { hasPermission } from "@/lib/permissions";
 import { 
   User, 
   Mail, 
@@ -41,6 +45,9 @@ interface SystemStats {
   resolvedComplaints: number;
 }
 
+// Built-in roles by name in the security policy switches; custom roles show as "the <name> role"
+const ROLE_LABELS: Record<string, string> = { user: "Users", admin: "Admins", superadmin: "Super Admins" };
+
 const AdminSettings = () => {
   const { toast } = useToast();
   const location = useLocation();
@@ -67,6 +74,15 @@ const AdminSettings = () => {
   const [defaultPriority, setDefaultPriority] = useState("medium");
   const [escalationDays, setEscalationDays] = useState("3");
   const [emailNotificationsEnabled, setEmailNotificationsEnabled] = useState(true);
+
+  // Security policy (superadmin only, stored on the server)
+  const [requireEmailVerification, setRequireEmailVerification] = useState(false);
+  const [twoFactorRequiredRoles, setTwoFactorRequiredRoles] = useState<string[]>([]);
+  const [magicLinkDisabledRoles, setMagicLinkDisabledRoles] = useState<string[]>([]);
+  const [policyRoles, setPolicyRoles] = useState<string[]>(["user", "admin", "superadmin"]);
+  const [isSavingPolicy, setIsSavingPolicy] = useState(false);
+  const [referencePrefix, setReferencePrefix] = useState("");
+  const [isSavingPrefix, setIsSavingPrefix] = useState(false);
   
   // System stats
   const [stats, setStats] = useState<SystemStats>({
@@ -96,7 +112,115 @@ const AdminSettings = () => {
     
     // Fetch system stats
     fetchSystemStats();
-  }, []);
+
+    if (isSuperAdmin) {
+      api.getSuperadminSettings()
+        .then((res) => {
+          setRequireEmailVerification(!!res.data.settings?.requireEmailVerification);
+          setTwoFactorRequiredRoles(res.data.settings?.twoFactorRequiredRoles || []);
+          setMagicLinkDisabledRoles(res.data.settings?.magicLinkDisabledRoles || []);
+          setReferencePrefix(res.data.settings?.referencePrefix || "");
+        })
+        .catch((error) => console.error("Failed to load security settings:", error));
+
+      // Custom roles from the role editor get the same policy switches
+      api.getRoles()
+        .then((res) => setPolicyRoles((res.data.roles || []).map((r: { name: string }) => r.name)))
+        .catch((error) => console.error("Failed to load roles:", error));
+    }
+  }, [isSuperAdmin]);
+
+  const handleTwoFactorRoleChange = async (role: string, checked: boolean) => {
+    const roles = checked
+      ? [...twoFactorRequiredRoles, role]
+      : twoFactorRequiredRoles.filter((r) => r !== role);
+
+    setIsSavingPolicy(true);
+    try {
+      const res = await api.updateSuperadminSettings({ twoFactorRequiredRoles: roles });
+      setTwoFactorRequiredRoles(res.data.settings?.twoFactorRequiredRoles || []);
+      toast({
+        title: checked ? "Enabled" : "Disabled",
+        description: checked
+          ? `Two-factor authentication is now required for ${role} accounts. Accounts without it will be asked to enrol at their next login.`
+          : `Two-factor authentication is now optional for ${role} accounts.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to update security settings.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSavingPolicy(false);
+    }
+  };
+
+  const handleMagicLinkRoleChange = async (role: string, enabled: boolean) => {
+    const roles = enabled
+      ? magicLinkDisabledRoles.filter((r) => r !== role)
+      : [...magicLinkDisabledRoles, role];
+
+    setIsSavingPolicy(true);
+    try {
+      const res = await api.updateSuperadminSettings({ magicLinkDisabledRoles: roles });
+      setMagicLinkDisabledRoles(res.data.settings?.magicLinkDisabledRoles || []);
+      toast({
+        title: enabled ? "Enabled" : "Disabled",
+        description: enabled
+          ? `${role} accounts can now log in with an emailed link.`
+          : `${role} accounts must log in with their password.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to update security settings.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSavingPolicy(false);
+    }
+  };
+
+  const handleSaveReferencePrefix = async () => {
+    setIsSavingPrefix(true);
+    try {
+      const res = await api.updateSuperadminSettings({ referencePrefix });
+      setReferencePrefix(res.data.settings?.referencePrefix || "");
+      toast({
+        title: "Saved",
+        description: "New complaints will use this reference prefix.",
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to update reference prefix.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSavingPrefix(false);
+    }
+  };
+
+  const handleRequireEmailVerificationChange = async (checked: boolean) => {
+    setIsSavingPolicy(true);
+    try {
+      const res = await api.updateSuperadminSettings({ requireEmailVerification: checked });
+      setRequireEmailVerification(!!res.data.settings?.requireEmailVerification);
+      toast({
+        title: checked ? "Enabled" : "Disabled",
+        description: "Email verification requirement updated.",
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to update security settings.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSavingPolicy(false);
+    }
+  };
 
   const fetchSystemStats = async () => {
     setIsLoadingStats(true);
@@ -533,9 +657,122 @@ const AdminSettings = () => {
                     Default priority assigned to new complaints if not specified
                   </p>
                 </div>
+
+                {isSuperAdmin && (
+                  <>
+                    <Separator />
+
+                    <div className="space-y-2">
+                      <Label htmlFor="referencePrefix">Complaint Reference Prefix</Label>
+                      <div className="flex gap-2">
+                        <Input
+                          id="referencePrefix"
+                          value={referencePrefix}
+                          onChange={(e) => setReferencePrefix(e.target.value.toUpperCase())}
+                          maxLength={6}
+                          className="w-[180px] font-mono"
+                        />
+                        <Button
+                          variant="outline"
+                          onClick={handleSaveReferencePrefix}
+                          disabled={isSavingPrefix || !/^[A-Z]{2,6}$/.test(referencePrefix)}
+                        >
+                          {isSavingPrefix ? <Loader2 className="h-4 w-4 animate-spin" /> : "Save"}
+                        </Button>
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        2-6 letters; new complaints get references like {referencePrefix || "CMP"}-{new Date().getFullYear()}-000123
+                      </p>
+                    </div>
+                  </>
+                )}
               </CardContent>
             </Card>
 
+            {/* Complaint Categories */}
+            {hasPermission("categories.manage") && <CategoriesCard />}
+
+            {/* Security Policy */}
+            {isSuperAdmin && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Shield className="h-5 w-5" />
+                    Security Policy
+                  </CardTitle>
+                  <CardDescription>
+                    Account requirements applied to all users
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="flex items-center justify-between">
+                    <div className="space-y-0.5">
+                      <div className="flex items-center gap-2">
+                        <Mail className="h-4 w-4" />
+                        <p className="font-medium">Require Verified Email</p>
+                      </div>
+                      <p className="text-sm text-muted-foreground">
+                        Users must verify their email address before submitting complaints
+                      </p>
+                    </div>
+                    <Switch
+                      checked={requireEmailVerification}
+                      disabled={isSavingPolicy}
+                      onCheckedChange={handleRequireEmailVerificationChange}
+                    />
+                  </div>
+
+                  <Separator />
+
+                  {policyRoles.filter((role) => role !== "user").map((role) => ({
+                    role,
+                    label: `Require Two-Factor for ${ROLE_LABELS[role] || `the ${role} role`}`,
+                  })).map(({ role, label }) => (
+                    <div key={role} className="flex items-center justify-between">
+                      <div className="space-y-0.5">
+                        <div className="flex items-center gap-2">
+                          <Lock className="h-4 w-4" />
+                          <p className="font-medium">{label}</p>
+                        </div>
+                        <p className="text-sm text-muted-foreground">
+                          Accounts with this role must sign in with an authenticator code
+                        </p>
+                      </div>
+                      <Switch
+                        checked={twoFactorRequiredRoles.includes(role)}
+                        disabled={isSavingPolicy}
+                        onCheckedChange={(checked) => handleTwoFactorRoleChange(role, checked)}
+                      />
+                    </div>
+                  ))}
+
+                  <Separator />
+
+                  {policyRoles.map((role) => ({
+                    role,
+                    label: `Email Login Links for ${ROLE_LABELS[role] || `the ${role} role`}`,
+                  })).map(({ role, label }) => (
+                    <div key={role} className="flex items-center justify-between">
+                      <div className="space-y-0.5">
+                        <div className="flex items-center gap-2">
+                          <Mail className="h-4 w-4" />
+                          <p className="font-medium">{label}</p>
+                        </div>
+                        <p className="text-sm text-muted-foreground">
+                          Accounts with this role can log in with a one-time link sent by email
+                        </p>
+                      </div>
+                      <Switch
+                        checked={!magicLinkDisabledRoles.includes(role)}
+                        disabled={isSavingPolicy}
+                        onCheckedChange={(checked) => handleMagicLinkRoleChange(role, checked)}
+                      />
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            )}
+
             {/* Email Configuration */}
             <Card>
               <CardHeader>
@@ -586,6 +823,12 @@ const AdminSettings = () => {
               </CardContent>
             </Card>
 
+            {/* Two-Factor Authentication */}
+            <TwoFactorCard />
+
+            {/* Active Sessions */}
+            <SessionsCard />
+
             {/* Account Actions */}
             <Card>
               <CardHeader>
@@ -8,8 +8,10 @@ import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
-import { api, classifyError } from "@/lib/api";
-import { Search, UserPlus, Loader2 } from "lucide-react";
+import { api, classifyError, getApiError } from "@/lib/api";
+import { hasPermission, getHomePath } from "@/lib/permissions";
+import { beginImpersonation } from "@/lib/impersonation";
+import { Search, UserPlus, Loader2, Eye } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { AxiosError } from "axios";
 
@@ -37,9 +39,12 @@ const AdminUsers = () => {
   const [isCreating, setIsCreating] = useState(false);
   const [isUpdating, setIsUpdating] = useState(false);
 
-  // Check if current user is superadmin
-  const userRole = localStorage.getItem("userRole") || "";
-  const isSuperAdmin = userRole === "superadmin";
+  // Add / manage actions need users.manage; everyone here can at least view
+  const canManageUsers = hasPermission("users.manage");
+  // Only superadmins may view the portal as another (non-superadmin) user
+  const canImpersonate = localStorage.getItem("userRole") === "superadmin";
+  const [impersonatingId, setImpersonatingId] = useState<number | null>(null);
+  const [roleOptions, setRoleOptions] = useState<{ name: string; description: string | null }[]>([]);
 
   const loadUsers = async () => {
     setIsLoading(true);
@@ -79,6 +84,16 @@ const AdminUsers = () => {
     };
   }, []);
 
+  useEffect(() => {
+    if (!canManageUsers) return;
+    api.getRoleNames()
+      .then((res) => setRoleOptions(
+        // Superadmins are appointed elsewhere, not from this list
+        (res.data.roles || []).filter((r: { name: string }) => r.name !== "superadmin")
+      ))
+      .catch((error) => console.error("Failed to load roles:", error));
+  }, [canManageUsers]);
+
   const filteredUsers = users.filter(user =>
     user.email.toLowerCase().includes(searchTerm.toLowerCase())
   );
@@ -107,6 +122,27 @@ const AdminUsers = () => {
     setIsDialogOpen(true);
   };
 
+  const handleViewAs = async (user: User) => {
+    if (!user.id) return;
+    const reason = window.prompt(`View the portal as ${user.email}? Optionally note why (kept in the audit log).`, "");
+    if (reason === null) return;
+
+    setImpersonatingId(user.id);
+    try {
+      const res = await api.impersonateUser(user.id, reason.trim() || undefined);
+      beginImpersonation(res.data, "/admin/users");
+      // Full reload so every page starts from the target's session
+      window.location.href = getHomePath(res.data.user.role);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to view as this user.",
+        variant: "destructive",
+      });
+      setImpersonatingId(null);
+    }
+  };
+
   const handleUpdateUser = async () => {
     if (!selectedUser) return;
     
@@ -206,10 +242,10 @@ const AdminUsers = () => {
               <div>
                 <h1 className="text-3xl font-bold">User Management</h1>
                 <p className="text-muted-foreground mt-2">
-                  {isSuperAdmin ? "Manage all registered users" : "View registered users"}
+                  {canManageUsers ? "Manage all registered users" : "View registered users"}
                 </p>
               </div>
-              {isSuperAdmin && (
+              {canManageUsers && (
                 <Button onClick={() => setIsAddOpen(true)}>
                   <UserPlus className="mr-2 h-4 w-4" />
                   Add User
@@ -217,10 +253,10 @@ const AdminUsers = () => {
               )}
             </div>
 
-            {!isSuperAdmin && (
+            {!canManageUsers && (
               <Card className="border-orange-200 bg-orange-50 dark:bg-orange-950/20">
                 <CardContent className="p-4 text-sm text-orange-800 dark:text-orange-200">
-                  📋 Admin users can view the user list, but only SuperAdmins can add, modify, or delete users.
+                  📋 Your role can view the user list, but not add, modify, or delete users.
                 </CardContent>
               </Card>
             )}
@@ -267,7 +303,22 @@ const AdminUsers = () => {
                         <Badge className={getStatusBadgeColor(user.status)}>
                           {user.status}
                         </Badge>
-                        {isSuperAdmin && (
+                        {canImpersonate && user.role !== "superadmin" && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleViewAs(user)}
+                            disabled={impersonatingId === user.id}
+                          >
+                            {impersonatingId === user.id ? (
+                              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                            ) : (
+                              <Eye className="mr-2 h-4 w-4" />
+                            )}
+                            View as
+                          </Button>
+                        )}
+                        {canManageUsers && (
                           <Button variant="outline" size="sm" onClick={() => handleManageUser(user)}>
                             Manage
                           </Button>
@@ -308,8 +359,9 @@ const AdminUsers = () => {
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="user">User</SelectItem>
-                    <SelectItem value="admin">Admin</SelectItem>
+                    {roleOptions.map((r) => (
+                      <SelectItem key={r.name} value={r.name} className="capitalize">{r.name}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
@@ -384,8 +436,9 @@ const AdminUsers = () => {
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="user">User</SelectItem>
-                  <SelectItem value="admin">Admin</SelectItem>
+                  {roleOptions.map((r) => (
+                    <SelectItem key={r.name} value={r.name} className="capitalize">{r.name}</SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </div>
@@ -4,134 +4,398 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { useToast } from "@/hooks/use-toast";
+import { useCategories } from "@/hooks/use-categories";
 import { useNavigate } from "react-router-dom";
-import { ArrowLeft } from "lucide-react";
+import { api, getApiError } from "@/lib/api";
+import { categoryIcon } from "@/lib/complaints";
+import CategoryFields from "@/components/CategoryFields";
+import { ArrowLeft, Loader2, Copy, Search, CheckCircle2, KeyRound } from "lucide-react";
+
+interface Submission {
+  reference: string;
+  trackingCode: string;
+  passphrase: string | null;
+}
+
+interface TrackedComplaint {
+  trackingCode: string;
+  reference: string | null;
+  category: string;
+  priority: string;
+  status: string;
+  createdAt: string;
+  resolvedAt: string | null;
+  resolutionMessage: string | null;
+  resolvedImageUrl: string | null;
+  timeline: { status: string; previousStatus: string | null; changedAt: string; by: "citizen" | "staff" }[];
+}
+
+const getStatusColor = (status: string) => {
+  switch (status) {
+    case "new":
+      return "bg-primary text-primary-foreground";
+    case "under-review":
+      return "bg-warning text-warning-foreground";
+    case "resolved":
+      return "bg-success text-success-foreground";
+    default:
+      return "bg-muted text-muted-foreground";
+  }
+};
 
 const AnonymousComplaint = () => {
   const { toast } = useToast();
+  const { categories } = useCategories();
   const navigate = useNavigate();
   const [name, setName] = useState("");
   const [category, setCategory] = useState("");
   const [description, setDescription] = useState("");
   const [priority, setPriority] = useState("");
+  const [fieldValues, setFieldValues] = useState<Record<string, string>>({});
   const [file, setFile] = useState<File | null>(null);
+  const [withPassphrase, setWithPassphrase] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submission, setSubmission] = useState<Submission | null>(null);
+
+  const [trackCode, setTrackCode] = useState("");
+  const [trackPassphrase, setTrackPassphrase] = useState("");
+  const [needsPassphrase, setNeedsPassphrase] = useState(false);
+  const [isTracking, setIsTracking] = useState(false);
+  const [tracked, setTracked] = useState<TrackedComplaint | null>(null);
+
+  const fields = categories.find((c) => c.slug === category)?.field_schema || [];
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const formData = new FormData();
+      formData.append("category", category);
+      formData.append("description", description);
+      formData.append("priority", priority || "medium");
+      if (fields.length > 0) formData.append("custom_fields", JSON.stringify(fieldValues));
+      if (name.trim()) formData.append("name", name.trim());
+      if (withPassphrase) formData.append("withPassphrase", "true");
+      if (file) formData.append("image", file);
+
+      const res = await api.createAnonymousComplaint(formData);
+      setSubmission({
+        reference: res.data.reference,
+        trackingCode: res.data.trackingCode,
+        passphrase: res.data.passphrase,
+      });
+
+      setName("");
+      setCategory("");
+      setDescription("");
+      setPriority("");
+      setFieldValues({});
+      setFile(null);
+      setWithPassphrase(false);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to submit complaint.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCopy = async (value: string, label: string) => {
+    await navigator.clipboard.writeText(value);
+    toast({ title: "Copied", description: `${label} copied to clipboard.` });
+  };
 
-  const handleSubmit = (e: React.FormEvent) => {
+  const handleTrack = async (e: React.FormEvent) => {
     e.preventDefault();
+    setIsTracking(true);
+    setTracked(null);
 
-    const complaint = {
-      id: Date.now(),
-      name: name || "Anonymous",
-      category,
-      description,
-      priority,
-      status: "new",
-      date: new Date().toISOString(),
-      anonymous: !name,
-    };
-
-    const existingComplaints = JSON.parse(localStorage.getItem("complaints") || "[]");
-    localStorage.setItem("complaints", JSON.stringify([...existingComplaints, complaint]));
-
-    toast({
-      title: "Complaint submitted",
-      description: "Your complaint has been submitted anonymously. Thank you.",
-    });
-
-    setName("");
-    setCategory("");
-    setDescription("");
-    setPriority("");
-    setFile(null);
+    try {
+      const res = await api.getTrack(trackCode.trim(), trackPassphrase.trim() || undefined);
+      setTracked(res.data.complaint);
+    } catch (error) {
+      const { message, code } = getApiError(error);
+      if (code === "PASSPHRASE_REQUIRED") setNeedsPassphrase(true);
+      toast({
+        title: code === "PASSPHRASE_REQUIRED" ? "Passphrase needed" : "Not found",
+        description: message || "Could not look up this tracking code.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsTracking(false);
+    }
+  };
+
+  const trackSubmission = () => {
+    if (!submission) return;
+    setTrackCode(submission.trackingCode);
+    setTrackPassphrase(submission.passphrase || "");
+    setNeedsPassphrase(!!submission.passphrase);
+    setTracked(null);
   };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-background via-secondary to-background p-4">
-      <div className="max-w-2xl mx-auto pt-8">
+      <div className="max-w-2xl mx-auto pt-8 space-y-6">
         <Button
           variant="ghost"
           onClick={() => navigate("/")}
-          className="mb-4"
         >
           <ArrowLeft className="mr-2 h-4 w-4" />
           Back to Home
         </Button>
-        <Card className="shadow-xl">
-          <CardHeader>
-            <CardTitle className="text-2xl">Submit Anonymous Complaint</CardTitle>
-            <CardDescription>
-              Your identity will remain confidential. Fill in the details below.
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="name">Name (Optional)</Label>
-                <Input
-                  id="name"
-                  placeholder="Leave blank to remain anonymous"
-                  value={name}
-                  onChange={(e) => setName(e.target.value)}
-                />
-              </div>
 
+        {submission ? (
+          <Card className="shadow-xl">
+            <CardHeader>
+              <CardTitle className="text-2xl flex items-center gap-2">
+                <CheckCircle2 className="h-6 w-6 text-green-600" />
+                Complaint submitted
+              </CardTitle>
+              <CardDescription>
+                Reference {submission.reference}. Keep the details below - they are the only way to follow your complaint.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
               <div className="space-y-2">
-                <Label htmlFor="category">Complaint Category</Label>
-                <Select value={category} onValueChange={setCategory} required>
-                  <SelectTrigger id="category">
-                    <SelectValue placeholder="Select category" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="service">Service</SelectItem>
-                    <SelectItem value="behavior">Behavior</SelectItem>
-                    <SelectItem value="technical">Technical</SelectItem>
-                    <SelectItem value="other">Other</SelectItem>
-                  </SelectContent>
-                </Select>
+                <Label>Tracking code</Label>
+                <div className="flex gap-2">
+                  <Input value={submission.trackingCode} readOnly className="font-mono" />
+                  <Button variant="outline" onClick={() => handleCopy(submission.trackingCode, "Tracking code")}>
+                    <Copy className="h-4 w-4" />
+                  </Button>
+                </div>
               </div>
-
-              <div className="space-y-2">
-                <Label htmlFor="description">Description</Label>
-                <Textarea
-                  id="description"
-                  placeholder="Describe your complaint in detail..."
-                  value={description}
-                  onChange={(e) => setDescription(e.target.value)}
-                  required
-                  rows={6}
-                />
+              {submission.passphrase && (
+                <div className="space-y-2">
+                  <Label>Passphrase</Label>
+                  <div className="flex gap-2">
+                    <Input value={submission.passphrase} readOnly className="font-mono" />
+                    <Button variant="outline" onClick={() => handleCopy(submission.passphrase as string, "Passphrase")}>
+                      <Copy className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              )}
+              <Alert>
+                <KeyRound className="h-4 w-4" />
+                <AlertDescription>
+                  {submission.passphrase
+                    ? "Both are needed to view your complaint and cannot be recovered if lost."
+                    : "Anyone with this code can see the status of your complaint. It cannot be recovered if lost."}
+                </AlertDescription>
+              </Alert>
+              <div className="flex gap-2">
+                <Button onClick={trackSubmission}>
+                  <Search className="mr-2 h-4 w-4" />
+                  Track it
+                </Button>
+                <Button variant="ghost" onClick={() => setSubmission(null)}>
+                  Submit another
+                </Button>
               </div>
+            </CardContent>
+          </Card>
+        ) : (
+          <Card className="shadow-xl">
+            <CardHeader>
+              <CardTitle className="text-2xl">Submit Anonymous Complaint</CardTitle>
+              <CardDescription>
+                Your identity will remain confidential. Fill in the details below.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="name">Name (Optional)</Label>
+                  <Input
+                    id="name"
+                    placeholder="Leave blank to remain anonymous"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                  />
+                </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="priority">Priority</Label>
-                <Select value={priority} onValueChange={setPriority} required>
-                  <SelectTrigger id="priority">
-                    <SelectValue placeholder="Select priority" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="low">Low</SelectItem>
-                    <SelectItem value="medium">Medium</SelectItem>
-                    <SelectItem value="high">High</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
+                <div className="space-y-2">
+                  <Label htmlFor="category">Complaint Category</Label>
+                  <Select
+                    value={category}
+                    onValueChange={(slug) => {
+                      setCategory(slug);
+                      setFieldValues({});
+                    }}
+                    required
+                  >
+                    <SelectTrigger id="category">
+                      <SelectValue placeholder="Select category" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {categories.map((c) => {
+                        const Icon = categoryIcon(c.icon);
+                        return (
+                          <SelectItem key={c.slug} value={c.slug}>
+                            <span className="flex items-center gap-2">
+                              <Icon className="h-4 w-4" />
+                              {c.name}
+                            </span>
+                          </SelectItem>
+                        );
+                      })}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <CategoryFields fields={fields} values={fieldValues} onChange={setFieldValues} disabled={isSubmitting} />
+
+                <div className="space-y-2">
+                  <Label htmlFor="description">Description</Label>
+                  <Textarea
+                    id="description"
+                    placeholder="Describe your complaint in detail..."
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    required
+                    minLength={10}
+                    maxLength={2000}
+                    rows={6}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="priority">Priority</Label>
+                  <Select value={priority} onValueChange={setPriority} required>
+                    <SelectTrigger id="priority">
+                      <SelectValue placeholder="Select priority" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="low">Low</SelectItem>
+                      <SelectItem value="medium">Medium</SelectItem>
+                      <SelectItem value="high">High</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="file">Upload Photo (Optional)</Label>
+                  <Input
+                    id="file"
+                    type="file"
+                    onChange={(e) => setFile(e.target.files?.[0] || null)}
+                    accept="image/*"
+                  />
+                </div>
 
+                <label className="flex items-start gap-3 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={withPassphrase}
+                    onCheckedChange={(checked) => setWithPassphrase(checked === true)}
+                  />
+                  <span>
+                    Protect with a passphrase
+                    <span className="block text-muted-foreground">
+                      The tracking code alone will not be enough to see your complaint
+                    </span>
+                  </span>
+                </label>
+
+                <Button type="submit" className="w-full" disabled={isSubmitting || !category}>
+                  {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  Submit Complaint
+                </Button>
+              </form>
+            </CardContent>
+          </Card>
+        )}
+
+        <Card className="shadow-xl">
+          <CardHeader>
+            <CardTitle className="text-2xl">Track a Complaint</CardTitle>
+            <CardDescription>Enter the tracking code you received when submitting</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <form onSubmit={handleTrack} className="space-y-4">
               <div className="space-y-2">
-                <Label htmlFor="file">Upload Evidence (Optional)</Label>
+                <Label htmlFor="trackCode">Tracking code</Label>
                 <Input
-                  id="file"
-                  type="file"
-                  onChange={(e) => setFile(e.target.files?.[0] || null)}
-                  accept="image/*,.pdf,.doc,.docx"
+                  id="trackCode"
+                  placeholder="XXXX-XXXX-XXXX-XXXX"
+                  value={trackCode}
+                  onChange={(e) => setTrackCode(e.target.value)}
+                  className="font-mono"
+                  required
                 />
               </div>
-
-              <Button type="submit" className="w-full">
-                Submit Complaint
+              {needsPassphrase && (
+                <div className="space-y-2">
+                  <Label htmlFor="trackPassphrase">Passphrase</Label>
+                  <Input
+                    id="trackPassphrase"
+                    value={trackPassphrase}
+                    onChange={(e) => setTrackPassphrase(e.target.value)}
+                    className="font-mono"
+                    required
+                  />
+                </div>
+              )}
+              <Button type="submit" disabled={isTracking || !trackCode.trim()}>
+                {isTracking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Search className="mr-2 h-4 w-4" />}
+                Track
               </Button>
             </form>
+
+            {tracked && (
+              <div className="space-y-4 border-t pt-4">
+                <div className="flex flex-wrap items-center gap-2">
+                  <Badge className={getStatusColor(tracked.status)}>{tracked.status}</Badge>
+                  {tracked.reference && (
+                    <span className="text-sm font-mono">{tracked.reference}</span>
+                  )}
+                  <span className="text-sm text-muted-foreground capitalize">
+                    {tracked.category} · {tracked.priority} priority · filed{" "}
+                    {new Date(tracked.createdAt).toLocaleDateString()}
+                  </span>
+                </div>
+
+                {tracked.resolutionMessage && (
+                  <Alert>
+                    <CheckCircle2 className="h-4 w-4" />
+                    <AlertDescription>{tracked.resolutionMessage}</AlertDescription>
+                  </Alert>
+                )}
+                {tracked.resolvedImageUrl && (
+                  <img
+                    src={tracked.resolvedImageUrl}
+                    alt="Resolution"
+                    className="max-h-64 rounded-lg border"
+                  />
+                )}
+
+                <ol className="space-y-3">
+                  {tracked.timeline.map((entry, index) => (
+                    <li key={index} className="flex gap-3">
+                      <span className="mt-1.5 h-2 w-2 rounded-full bg-primary shrink-0" />
+                      <div>
+                        <p className="text-sm font-medium capitalize">
+                          {entry.previousStatus ? `${entry.previousStatus} → ${entry.status}` : "Submitted"}
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                          {new Date(entry.changedAt).toLocaleString()} · by {entry.by === "staff" ? "staff" : "you"}
+                        </p>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
           </CardContent>
         </Card>
       </div>
@@ -0,0 +1,102 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { api, getApiError } from "@/lib/api";
+import { Loader2, CheckCircle, XCircle } from "lucide-react";
+
+const ConfirmEmailChange = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [isConfirming, setIsConfirming] = useState(true);
+  const [newEmail, setNewEmail] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string>("");
+
+  useEffect(() => {
+    const confirm = async () => {
+      if (!token) {
+        setIsConfirming(false);
+        setErrorMessage("No confirmation token provided. Please use the link from your email.");
+        return;
+      }
+
+      try {
+        const response = await api.confirmEmailChange(token);
+        const { email, previousEmail } = response.data;
+        // Keep this browser's session in step if it belongs to the same account
+        if (localStorage.getItem("userEmail")?.toLowerCase() === previousEmail?.toLowerCase()) {
+          localStorage.setItem("userEmail", email);
+        }
+        setNewEmail(email);
+      } catch (error) {
+        const { message } = getApiError(error);
+        console.error("📧 Email change error:", message);
+        setErrorMessage(message || "Unable to change your email. Please try again.");
+      } finally {
+        setIsConfirming(false);
+      }
+    };
+
+    confirm();
+  }, [token]);
+
+  const isAuthenticated = localStorage.getItem("isAuthenticated") === "true";
+  const settingsPath = `/${localStorage.getItem("userRole") || "user"}/settings`;
+
+  if (isConfirming) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+        <Card className="w-full max-w-md shadow-xl">
+          <CardContent className="py-10 text-center">
+            <Loader2 className="w-10 h-10 mx-auto animate-spin text-primary" />
+            <p className="mt-4 text-muted-foreground">Confirming your new email...</p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+      <Card className="w-full max-w-md shadow-xl">
+        <CardHeader className="space-y-1 text-center">
+          {newEmail ? (
+            <div className="mx-auto mb-4 w-16 h-16 bg-green-100 rounded-full flex items-center justify-center">
+              <CheckCircle className="w-8 h-8 text-green-600" />
+            </div>
+          ) : (
+            <div className="mx-auto mb-4 w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
+              <XCircle className="w-8 h-8 text-red-600" />
+            </div>
+          )}
+          <CardTitle className="text-2xl font-bold">
+            {newEmail ? "Email Changed" : "Email Change Failed"}
+          </CardTitle>
+          <CardDescription className="text-base">
+            {newEmail
+              ? `Your account and complaints now use ${newEmail}.`
+              : errorMessage || "This email change link is invalid or has expired."}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Button
+            onClick={() => navigate(isAuthenticated ? settingsPath : "/login")}
+            className="w-full"
+          >
+            {isAuthenticated ? "Back to Settings" : "Go to Login"}
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ConfirmEmailChange;
@@ -11,6 +11,7 @@ import { api } from "@/lib/api";
 interface EscalationRecord {
   id: number;
   complaint_id?: number;
+  reference?: string | null;
   category?: string;
   description?: string;
   priority?: string;
@@ -135,7 +136,7 @@ const fetchEscalations = async () => {
                       <CardHeader>
                         <CardTitle className="flex items-center justify-between">
                           <div className="flex items-center gap-3">
-                            <span>Complaint #{escalation.complaint_id ?? escalation.id ?? '—'}</span>
+                            <span>Complaint {escalation.reference || `#${escalation.complaint_id ?? escalation.id ?? '—'}`}</span>
                             <Badge className={getPriorityColor(priority)}>
                               {(priority || 'unknown').toString().toUpperCase()
                             }
@@ -1,5 +1,5 @@
-import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useState, useEffect, useCallback } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import { Button } from "@/components/ui/button";
 import {
   Card,
@@ -11,11 +11,42 @@ import {
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { useToast } from "@/hooks/use-toast";
-import { api, classifyError } from "@/lib/api";
-import { Loader2, Eye, EyeOff } from "lucide-react";
+import TwoFactorCodeInput from "@/components/TwoFactorCodeInput";
+import RecoveryCodesList from "@/components/RecoveryCodesList";
+import { api, classifyError, getApiError } from "@/lib/api";
+import { getHomePath, isStaffRole, storePermissions } from "@/lib/permissions";
+import { Loader2, Eye, EyeOff, ArrowLeft, ShieldCheck, Mail, LogIn } from "lucide-react";
+
+// Password, magic-link and SSO logins may stop for a two-factor step instead
+interface FirstFactorResponse {
+  twoFactorRequired?: boolean;
+  twoFactorSetupRequired?: boolean;
+  challengeToken?: string;
+}
+
+interface LoginResponse {
+  accessToken: string;
+  refreshToken: string;
+  user: {
+    id: number;
+    email: string;
+    name?: string;
+    displayName?: string;
+    role: string;
+    permissions?: string[];
+  };
+}
+
+// credentials -> (verify | setup -> recovery) -> signed in
+type LoginStep = "credentials" | "verify" | "setup" | "recovery";
+
+// sessionStorage key for the secret that ties an SSO login to the tab that started it
+const OIDC_BINDING_KEY = "oidcBinding";
 
 const Login = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { toast } = useToast();
 
   const [email, setEmail] = useState("");
@@ -23,64 +54,209 @@ const Login = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
 
+  // Two-factor state
+  const [step, setStep] = useState<LoginStep>("credentials");
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [enrollment, setEnrollment] = useState<{ secret: string; qrCode: string } | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [pendingLogin, setPendingLogin] = useState<LoginResponse | null>(null);
+
+  // Magic link state
+  const [useMagicLink, setUseMagicLink] = useState(false);
+  const [magicLinkSent, setMagicLinkSent] = useState(false);
+
+  // Staff SSO (only shown when the backend has an identity provider configured)
+  const [oidc, setOidc] = useState<{ enabled: boolean; providerName: string } | null>(null);
+
   // Check if already logged in and redirect
   useEffect(() => {
     const isAuthenticated = localStorage.getItem("isAuthenticated") === "true";
     const userRole = localStorage.getItem("userRole");
     
     if (isAuthenticated && userRole) {
-      if (userRole === "superadmin") {
-        navigate("/superadmin/dashboard", { replace: true });
-      } else if (userRole === "admin") {
-        navigate("/admin/dashboard", { replace: true });
-      } else {
-        navigate("/user/dashboard", { replace: true });
-      }
+      navigate(getHomePath(userRole), { replace: true });
     }
   }, [navigate]);
 
-  const handleLogin = async (e: React.FormEvent) => {
-    e.preventDefault();
+  // Store the session and go to the user's dashboard
+  const completeLogin = useCallback(({ accessToken, refreshToken, user }: LoginResponse) => {
+    // ✅ CRITICAL: Clear ALL previous session data first
+    localStorage.clear();
+    sessionStorage.clear();
+
+    console.log("🔐 Login successful for:", user.email, "Role:", user.role);
+    console.log("🔐 Display name from DB:", user.displayName || user.name || "Not set");
+
+    // Store ONLY current user's authentication data
+    localStorage.setItem("isAuthenticated", "true");
+    localStorage.setItem("accessToken", accessToken);
+    localStorage.setItem("refreshToken", refreshToken);
+    localStorage.setItem("userEmail", user.email);
+    // Use displayName from DB (persisted), fallback to name or empty
+    localStorage.setItem("userName", user.displayName || user.name || "");
+    localStorage.setItem("userRole", user.role);
+    storePermissions(user.permissions);
+    localStorage.setItem("userId", user.id.toString());
+
+    toast({
+      title: "Login successful",
+      description: user.role === "superadmin" 
+        ? "Welcome Super Admin!" 
+        : isStaffRole(user.role) 
+        ? "Welcome Admin!" 
+        : "Welcome back!",
+    });
+
+    // Redirect based on role (use replace to prevent back navigation)
+    navigate(getHomePath(user.role), { replace: true });
+  }, [navigate, toast]);
+
+  const resetTwoFactor = () => {
+    setStep("credentials");
+    setChallengeToken("");
+    setCode("");
+    setRecoveryCode("");
+    setUseRecoveryCode(false);
+    setEnrollment(null);
+  };
+
+  // Expired challenge or locked account - start over from the password step
+  const handleTwoFactorError = (err: unknown, fallback: string) => {
+    const { message, code: errorCode } = getApiError(err);
+    if (errorCode === "INVALID_CHALLENGE" || errorCode === "ACCOUNT_LOCKED") resetTwoFactor();
+    setCode("");
+    toast({
+      variant: "destructive",
+      title: "Verification failed",
+      description: message || fallback,
+    });
+  };
+
+  // After the password, a login link or SSO: continue to 2FA or sign straight in
+  const handleFirstFactor = useCallback(async (data: FirstFactorResponse & LoginResponse) => {
+    if (data.twoFactorRequired && data.challengeToken) {
+      setChallengeToken(data.challengeToken);
+      setStep("verify");
+      return;
+    }
+
+    if (data.twoFactorSetupRequired && data.challengeToken) {
+      const setup = await api.setupTwoFactor(data.challengeToken);
+      setChallengeToken(data.challengeToken);
+      setEnrollment({ secret: setup.data.secret, qrCode: setup.data.qrCode });
+      setStep("setup");
+      return;
+    }
+
+    completeLogin(data);
+  }, [completeLogin]);
+
+  // Opened from an emailed login link (/login?magic_token=...), or sent here by AcceptInvite
+  // with the response of the invite it just accepted. Both are cleared on first use, so
+  // re-runs after the URL or state changes find nothing left to consume
+  useEffect(() => {
+    const inviteLogin = (location.state as { inviteLogin?: FirstFactorResponse & LoginResponse } | null)?.inviteLogin;
+    if (inviteLogin) {
+      // Drop the state so a reload does not replay it
+      navigate(location.pathname, { replace: true, state: null });
+      handleFirstFactor(inviteLogin).catch((err) => {
+        toast({
+          variant: "destructive",
+          title: "Sign-in failed",
+          description: getApiError(err).message || "Your account is ready. Please log in.",
+        });
+      });
+      return;
+    }
+
+    const magicToken = searchParams.get("magic_token");
+    if (!magicToken) return;
+
+    // Drop the token from the URL so a reload does not try to reuse it
+    setSearchParams({}, { replace: true });
     setIsLoading(true);
 
-    try {
-      const response = await api.login(email, password);
-      const { accessToken, refreshToken, user } = response.data;
+    api.consumeMagicLink(magicToken)
+      .then((response) => handleFirstFactor(response.data))
+      .catch((err) => {
+        toast({
+          variant: "destructive",
+          title: "Login link not valid",
+          description: getApiError(err).message || "Please request a new login link.",
+        });
+      })
+      .finally(() => setIsLoading(false));
+  }, [handleFirstFactor, location.pathname, location.state, navigate, searchParams, setSearchParams, toast]);
 
-      // ✅ CRITICAL: Clear ALL previous session data first
-      localStorage.clear();
-      sessionStorage.clear();
+  // Whether to offer the SSO button
+  useEffect(() => {
+    api.getOidcConfig()
+      .then((response) => setOidc(response.data))
+      .catch(() => setOidc(null));
+  }, []);
 
-      console.log("🔐 Login successful for:", user.email, "Role:", user.role);
-      console.log("🔐 Display name from DB:", user.displayName || user.name || "Not set");
+  // Back from the identity provider (/login?oidc_code=... or ?oidc_error=...)
+  useEffect(() => {
+    const oidcCode = searchParams.get("oidc_code");
+    const oidcError = searchParams.get("oidc_error");
+    if (!oidcCode && !oidcError) return;
 
-      // Store ONLY current user's authentication data
-      localStorage.setItem("isAuthenticated", "true");
-      localStorage.setItem("accessToken", accessToken);
-      localStorage.setItem("refreshToken", refreshToken);
-      localStorage.setItem("userEmail", user.email);
-      // Use displayName from DB (persisted), fallback to name or empty
-      localStorage.setItem("userName", user.displayName || user.name || "");
-      localStorage.setItem("userRole", user.role);
-      localStorage.setItem("userId", user.id.toString());
+    setSearchParams({}, { replace: true });
 
+    if (oidcError) {
       toast({
-        title: "Login successful",
-        description: user.role === "superadmin" 
-          ? "Welcome Super Admin!" 
-          : user.role === "admin" 
-          ? "Welcome Admin!" 
-          : "Welcome back!",
+        variant: "destructive",
+        title: "Single sign-on failed",
+        description: oidcError,
       });
+      return;
+    }
 
-      // Redirect based on role (use replace to prevent back navigation)
-      if (user.role === "superadmin") {
-        navigate("/superadmin/dashboard", { replace: true });
-      } else if (user.role === "admin") {
-        navigate("/admin/dashboard", { replace: true });
-      } else {
-        navigate("/user/dashboard", { replace: true });
-      }
+    // Only this tab knows the secret it started the login with
+    const binding = sessionStorage.getItem(OIDC_BINDING_KEY) || "";
+    sessionStorage.removeItem(OIDC_BINDING_KEY);
+    setIsLoading(true);
+
+    api.completeOidcLogin(oidcCode as string, binding)
+      .then((response) => handleFirstFactor(response.data))
+      .catch((err) => {
+        toast({
+          variant: "destructive",
+          title: "Single sign-on failed",
+          description: getApiError(err).message || "Please try again.",
+        });
+      })
+      .finally(() => setIsLoading(false));
+  }, [handleFirstFactor, searchParams, setSearchParams, toast]);
+
+  const handleRequestMagicLink = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      await api.requestMagicLink(email.trim());
+      setMagicLinkSent(true);
+    } catch (err) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: getApiError(err).message || "Failed to send login link.",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleLogin = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const response = await api.login(email, password);
+      await handleFirstFactor(response.data);
     } catch (err: any) {
       // 🔍 DEBUG: Use classifyError for better error diagnostics
       const errorInfo = classifyError(err);
@@ -111,6 +287,10 @@ const Login = () => {
           errorMessage = "API endpoint not found. Please contact support.";
           console.error("🚨 404 ERROR - Check if backend routes match frontend API calls!");
           break;
+        case 'FORBIDDEN':
+          errorTitle = "Account disabled";
+          errorMessage = getApiError(err).message || "Your account is not active. Please contact support.";
+          break;
         case 'UNAUTHORIZED':
           errorMessage = "Invalid email or password. Please try again or use 'Forgot password?' if you've forgotten your credentials.";
           break;
@@ -118,6 +298,14 @@ const Login = () => {
           errorTitle = "Server error";
           errorMessage = "Server error. Please try again later.";
           break;
+        case 'API_ERROR': {
+          // 423 locked account, 429 too many attempts from this network
+          const { code: errorCode } = getApiError(err);
+          if (errorCode === 'ACCOUNT_LOCKED') errorTitle = "Account locked";
+          else if (errorCode === 'IP_BLOCKED' || errorCode === 'TOO_MANY_ATTEMPTS') errorTitle = "Too many attempts";
+          errorMessage = errorInfo.message;
+          break;
+        }
         default:
           errorMessage = errorInfo.message || "Login failed. Please check your credentials.";
       }
@@ -132,79 +320,315 @@ const Login = () => {
     }
   };
 
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const response = await api.verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: recoveryCode.trim() } : { code }
+      );
+      completeLogin(response.data);
+    } catch (err) {
+      handleTwoFactorError(err, "Invalid verification code");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEnable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const response = await api.enableTwoFactor(code, challengeToken);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setPendingLogin(response.data);
+      setStep("recovery");
+    } catch (err) {
+      handleTwoFactorError(err, "Invalid verification code");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const backToLogin = (
+    <Button
+      type="button"
+      variant="link"
+      className="w-full"
+      onClick={resetTwoFactor}
+      disabled={isLoading}
+    >
+      <ArrowLeft className="w-4 h-4 mr-2" />
+      Back to Login
+    </Button>
+  );
+
+  if (step !== "credentials") {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+        <Card className="w-full max-w-md shadow-xl">
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl font-bold flex items-center gap-2">
+              <ShieldCheck className="h-6 w-6" />
+              {step === "verify" ? "Two-Factor Authentication" :
+               step === "setup" ? "Set Up Two-Factor Authentication" :
+               "Save Your Recovery Codes"}
+            </CardTitle>
+            <CardDescription>
+              {step === "verify" ? (useRecoveryCode
+                ? "Enter one of your recovery codes"
+                : "Enter the 6-digit code from your authenticator app") :
+               step === "setup" ? "Your role requires two-factor authentication. Scan the QR code with an authenticator app, then enter the code it shows." :
+               "Two-factor authentication is now enabled"}
+            </CardDescription>
+          </CardHeader>
+
+          <CardContent>
+            {step === "verify" && (
+              <form onSubmit={handleVerify} className="space-y-4">
+                {useRecoveryCode ? (
+                  <div className="space-y-2">
+                    <Label htmlFor="recoveryCode">Recovery code</Label>
+                    <Input
+                      id="recoveryCode"
+                      placeholder="xxxxx-xxxxx"
+                      value={recoveryCode}
+                      onChange={(e) => setRecoveryCode(e.target.value)}
+                      required
+                      disabled={isLoading}
+                      autoFocus
+                    />
+                  </div>
+                ) : (
+                  <div className="flex justify-center">
+                    <TwoFactorCodeInput value={code} onChange={setCode} disabled={isLoading} autoFocus />
+                  </div>
+                )}
+
+                <Button
+                  type="submit"
+                  className="w-full"
+                  disabled={isLoading || (useRecoveryCode ? !recoveryCode.trim() : code.length !== 6)}
+                >
+                  {isLoading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Verifying...
+                    </>
+                  ) : (
+                    "Verify"
+                  )}
+                </Button>
+
+                <Button
+                  type="button"
+                  variant="link"
+                  className="w-full p-0 h-auto text-xs"
+                  onClick={() => setUseRecoveryCode(!useRecoveryCode)}
+                  disabled={isLoading}
+                >
+                  {useRecoveryCode ? "Use authenticator app instead" : "Lost your device? Use a recovery code"}
+                </Button>
+                {backToLogin}
+              </form>
+            )}
+
+            {step === "setup" && enrollment && (
+              <form onSubmit={handleEnable} className="space-y-4">
+                <div className="flex justify-center">
+                  <img src={enrollment.qrCode} alt="Authenticator QR code" className="w-48 h-48" />
+                </div>
+                <div className="space-y-1 text-center">
+                  <p className="text-xs text-muted-foreground">Can't scan? Enter this key manually:</p>
+                  <p className="font-mono text-sm break-all">{enrollment.secret}</p>
+                </div>
+                <div className="flex justify-center">
+                  <TwoFactorCodeInput value={code} onChange={setCode} disabled={isLoading} autoFocus />
+                </div>
+                <Button type="submit" className="w-full" disabled={isLoading || code.length !== 6}>
+                  {isLoading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Verifying...
+                    </>
+                  ) : (
+                    "Enable and continue"
+                  )}
+                </Button>
+                {backToLogin}
+              </form>
+            )}
+
+            {step === "recovery" && pendingLogin && (
+              <div className="space-y-4">
+                <RecoveryCodesList codes={recoveryCodes} />
+                <Button className="w-full" onClick={() => completeLogin(pendingLogin)}>
+                  I've saved my codes, continue
+                </Button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
       <Card className="w-full max-w-md shadow-xl">
         <CardHeader className="space-y-1">
           <CardTitle className="text-2xl font-bold">Login</CardTitle>
           <CardDescription>
-            Enter your credentials to access your account
+            {useMagicLink
+              ? "We'll email you a one-time link to log in without a password"
+              : "Enter your credentials to access your account"}
           </CardDescription>
         </CardHeader>
 
         <CardContent>
-          <form onSubmit={handleLogin} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="email">Email</Label>
-              <Input
-                id="email"
-                type="email"
-                placeholder="name@example.com"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                required
-                disabled={isLoading}
-              />
-            </div>
-
-            <div className="space-y-2">
-              <div className="flex items-center justify-between">
-                <Label htmlFor="password">Password</Label>
-                <Button
-                  variant="link"
-                  className="p-0 h-auto text-xs"
-                  onClick={() => navigate("/forgot-password")}
-                  type="button"
-                >
-                  Forgot password?
+          {useMagicLink ? (
+            magicLinkSent ? (
+              <div className="space-y-4 text-center">
+                <div className="mx-auto w-12 h-12 bg-green-100 rounded-full flex items-center justify-center">
+                  <Mail className="w-6 h-6 text-green-600" />
+                </div>
+                <p className="text-sm text-muted-foreground">
+                  If login links are available for <strong>{email}</strong>, one is on its way.
+                  It expires in 15 minutes and works once.
+                </p>
+                <Button variant="outline" className="w-full" onClick={() => setMagicLinkSent(false)}>
+                  Send another link
                 </Button>
               </div>
-              <div className="relative">
+            ) : (
+              <form onSubmit={handleRequestMagicLink} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="magicEmail">Email</Label>
+                  <Input
+                    id="magicEmail"
+                    type="email"
+                    placeholder="name@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                    disabled={isLoading}
+                  />
+                </div>
+                <Button type="submit" className="w-full" disabled={isLoading || !email.trim()}>
+                  {isLoading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Sending...
+                    </>
+                  ) : (
+                    <>
+                      <Mail className="mr-2 h-4 w-4" />
+                      Email me a login link
+                    </>
+                  )}
+                </Button>
+              </form>
+            )
+          ) : (
+            <form onSubmit={handleLogin} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="email">Email</Label>
                 <Input
-                  id="password"
-                  type={showPassword ? "text" : "password"}
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
+                  id="email"
+                  type="email"
+                  placeholder="name@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
                   required
                   disabled={isLoading}
                 />
-                <Button
-                  type="button"
-                  variant="ghost"
-                  size="sm"
-                  className="absolute right-0 top-0 h-full px-3 py-2 hover:bg-transparent"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <EyeOff className="h-4 w-4 text-muted-foreground" />
-                  ) : (
-                    <Eye className="h-4 w-4 text-muted-foreground" />
-                  )}
-                </Button>
               </div>
-            </div>
 
-            <Button type="submit" className="w-full" disabled={isLoading}>
-              {isLoading ? (
-                <>
-                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                  Logging in...
-                </>
-              ) : (
-                "Login"
-              )}
-            </Button>
-          </form>
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="password">Password</Label>
+                  <Button
+                    variant="link"
+                    className="p-0 h-auto text-xs"
+                    onClick={() => navigate("/forgot-password")}
+                    type="button"
+                  >
+                    Forgot password?
+                  </Button>
+                </div>
+                <div className="relative">
+                  <Input
+                    id="password"
+                    type={showPassword ? "text" : "password"}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    disabled={isLoading}
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    className="absolute right-0 top-0 h-full px-3 py-2 hover:bg-transparent"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-4 w-4 text-muted-foreground" />
+                    ) : (
+                      <Eye className="h-4 w-4 text-muted-foreground" />
+                    )}
+                  </Button>
+                </div>
+              </div>
+
+              <Button type="submit" className="w-full" disabled={isLoading}>
+                {isLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Logging in...
+                  </>
+                ) : (
+                  "Login"
+                )}
+              </Button>
+            </form>
+          )}
+
+          <Button
+            type="button"
+            variant="link"
+            className="w-full mt-2"
+            onClick={() => {
+              setUseMagicLink(!useMagicLink);
+              setMagicLinkSent(false);
+            }}
+            disabled={isLoading}
+          >
+            {useMagicLink ? "Log in with your password instead" : "Email me a login link instead"}
+          </Button>
+
+          {oidc?.enabled && (
+            <div className="mt-4 space-y-2">
+              <Button
+                type="button"
+                variant="outline"
+                className="w-full"
+                onClick={() => {
+                  const binding = Array.from(crypto.getRandomValues(new Uint8Array(32)), (b) => b.toString(16).padStart(2, "0")).join("");
+                  sessionStorage.setItem(OIDC_BINDING_KEY, binding);
+                  window.location.href = api.getOidcLoginUrl(binding);
+                }}
+                disabled={isLoading}
+              >
+                <LogIn className="mr-2 h-4 w-4" />
+                Sign in with {oidc.providerName}
+              </Button>
+              <p className="text-xs text-center text-muted-foreground">For staff accounts</p>
+            </div>
+          )}
 
           <div className="mt-6 text-center space-y-2 text-sm">
             <p className="text-muted-foreground">
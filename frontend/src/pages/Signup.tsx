@@ -8,6 +8,7 @@ import { useToast } from "@/hooks/use-toast";
 import { api, classifyError } from "@/lib/api";
 import { Loader2, Eye, EyeOff, CheckCircle2, XCircle } from "lucide-react";
 import { AxiosError } from "axios";
+import { isStaffRole } from "@/lib/permissions";
 
 const Signup = () => {
   const navigate = useNavigate();
@@ -34,7 +35,7 @@ const Signup = () => {
     const userRole = localStorage.getItem("userRole");
     
     if (isAuthenticated && userRole) {
-      if (userRole === "admin" || userRole === "superadmin") {
+      if (isStaffRole(userRole)) {
         navigate("/admin/dashboard", { replace: true });
       } else {
         navigate("/user/dashboard", { replace: true });
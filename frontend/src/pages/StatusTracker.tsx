@@ -7,10 +7,12 @@ import Navbar from "@/components/Navbar";
 import { CheckCircle2, Circle, Clock } from "lucide-react";
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { api } from "@/lib/api";
+import { complaintRef } from "@/lib/complaints";
 import { useToast } from "@/hooks/use-toast";
 
 interface Complaint {
   id: number;
+  reference?: string | null;
   category: string;
   description: string;
   priority: string;
@@ -207,7 +209,7 @@ const StatusTracker = () => {
                         <div className="flex items-center gap-4 text-sm text-muted-foreground">
                           <span>Priority: <span className="capitalize font-medium">{complaint.priority}</span></span>
                           <span>•</span>
-                          <span>ID: #{complaint.id}</span>
+                          <span>{complaintRef(complaint)}</span>
                         </div>
                         <div className="flex items-center justify-end mt-4">
                           <Button variant="outline" size="sm" onClick={() => openHistory(complaint.id)}>View Progress</Button>
@@ -28,6 +28,12 @@ import {
 } from "@/components/ui/select";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
+import FailedLoginsCard from "@/components/FailedLoginsCard";
+import RoleEditorCard from "@/components/RoleEditorCard";
+import InvitesCard from "@/components/InvitesCard";
+import ApiKeysCard from "@/components/ApiKeysCard";
+import ImpersonationLogCard from "@/components/ImpersonationLogCard";
+import ZonesCard from "@/components/ZonesCard";
 import { api, classifyError } from "@/lib/api";
 import { Search, Shield, ShieldCheck, Mail, Calendar, User, Loader2, RefreshCw, UserCog } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
@@ -52,6 +58,7 @@ const SuperAdminAdmins = () => {
   const [isDialogOpen, setIsDialogOpen] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isUpdating, setIsUpdating] = useState(false);
+  const [roleNames, setRoleNames] = useState<string[]>([]);
 
   const loadAdmins = async () => {
     setIsLoading(true);
@@ -73,6 +80,9 @@ const SuperAdminAdmins = () => {
 
   useEffect(() => {
     loadAdmins();
+    api.getRoleNames()
+      .then((res) => setRoleNames((res.data.roles || []).map((r: { name: string }) => r.name)))
+      .catch((error) => console.error("Failed to load roles:", error));
   }, []);
 
   const filteredAdmins = admins.filter(admin =>
@@ -84,6 +94,12 @@ const SuperAdminAdmins = () => {
     return role === "superadmin" ? "default" : "secondary";
   };
 
+  const getRoleLabel = (role: string) => {
+    if (role === "superadmin") return "Super Admin";
+    if (role === "admin") return "Admin";
+    return role.charAt(0).toUpperCase() + role.slice(1);
+  };
+
   const getRoleIcon = (role: string) => {
     return role === "superadmin" ? ShieldCheck : Shield;
   };
@@ -112,6 +128,7 @@ const SuperAdminAdmins = () => {
     setIsUpdating(true);
     try {
       await api.updateUser(selectedAdmin.id, {
+        role: selectedAdmin.role,
         status: selectedAdmin.status
       });
       
@@ -119,7 +136,7 @@ const SuperAdminAdmins = () => {
         a.id === selectedAdmin.id ? selectedAdmin : a
       ));
       
-      toast({ title: 'Admin updated', description: 'Admin status has been updated successfully.' });
+      toast({ title: 'Admin updated', description: 'Admin role and status have been updated successfully.' });
       setIsDialogOpen(false);
     } catch (err: any) {
       console.error('Failed to update admin:', err);
@@ -279,7 +296,7 @@ const SuperAdminAdmins = () => {
                             </TableCell>
                             <TableCell>
                               <Badge variant={getRoleBadgeVariant(admin.role)}>
-                                {admin.role === 'superadmin' ? 'Super Admin' : 'Admin'}
+                                {getRoleLabel(admin.role)}
                               </Badge>
                             </TableCell>
                             <TableCell>
@@ -310,6 +327,24 @@ const SuperAdminAdmins = () => {
                 )}
               </CardContent>
             </Card>
+
+            {/* Staff Invites */}
+            <InvitesCard />
+
+            {/* Roles */}
+            <RoleEditorCard />
+
+            {/* Wards & Zones */}
+            <ZonesCard />
+
+            {/* API Keys */}
+            <ApiKeysCard />
+
+            {/* Impersonation Log */}
+            <ImpersonationLogCard />
+
+            {/* Failed Logins */}
+            <FailedLoginsCard />
           </div>
         </main>
       </div>
@@ -354,16 +389,21 @@ const SuperAdminAdmins = () => {
 
               <div className="space-y-2">
                 <Label className="text-muted-foreground text-xs uppercase">Role</Label>
-                <div className="flex items-center gap-2 p-2 bg-muted rounded-md">
-                  {selectedAdmin.role === 'superadmin' ? (
-                    <ShieldCheck className="h-4 w-4 text-primary" />
-                  ) : (
-                    <Shield className="h-4 w-4 text-primary" />
-                  )}
-                  <Badge variant={getRoleBadgeVariant(selectedAdmin.role)}>
-                    {selectedAdmin.role === 'superadmin' ? 'Super Admin' : 'Admin'}
-                  </Badge>
-                </div>
+                <Select
+                  value={selectedAdmin.role}
+                  onValueChange={(value) => 
+                    setSelectedAdmin({ ...selectedAdmin, role: value })
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {roleNames.map((role) => (
+                      <SelectItem key={role} value={role}>{getRoleLabel(role)}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
               </div>
 
               <div className="space-y-2">
@@ -22,6 +22,7 @@ import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
 import { useToast } from "@/hooks/use-toast";
 import { api } from "@/lib/api";
+import { complaintRef } from "@/lib/complaints";
 import { 
   AlertTriangle,
   RefreshCw,
@@ -41,6 +42,7 @@ import {
 
 interface EscalatedComplaint {
   id: number;
+  reference?: string | null;
   category: string;
   description: string;
   priority: string;
@@ -131,7 +133,7 @@ const SuperAdminDashboard = () => {
       await api.manualEscalate(complaint.id, "Manual escalation by superadmin");
       toast({
         title: "Success",
-        description: `Complaint #${complaint.id} has been escalated to Level ${complaint.escalation_level + 1}.`,
+        description: `Complaint ${complaintRef(complaint)} has been escalated to Level ${complaint.escalation_level + 1}.`,
       });
       fetchAllData();
     } catch (error: any) {
@@ -150,7 +152,7 @@ const SuperAdminDashboard = () => {
       await api.assignComplaint(selectedComplaint.id, parseInt(selectedAdmin));
       toast({
         title: "Success",
-        description: `Complaint #${selectedComplaint.id} has been assigned.`,
+        description: `Complaint ${complaintRef(selectedComplaint)} has been assigned.`,
       });
       setShowAssignDialog(false);
       setSelectedAdmin("");
@@ -401,7 +403,7 @@ const SuperAdminDashboard = () => {
                               </div>
                               
                               <div className="flex flex-col gap-2">
-                                <p className="text-xs text-muted-foreground text-right">ID: #{complaint.id}</p>
+                                <p className="text-xs text-muted-foreground text-right">{complaintRef(complaint)}</p>
                                 <div className="flex gap-2">
                                   <Button
                                     size="sm"
@@ -597,7 +599,7 @@ const SuperAdminDashboard = () => {
       <Dialog open={showAssignDialog} onOpenChange={setShowAssignDialog}>
         <DialogContent>
           <DialogHeader>
-            <DialogTitle>Assign Complaint #{selectedComplaint?.id}</DialogTitle>
+            <DialogTitle>Assign Complaint {selectedComplaint && complaintRef(selectedComplaint)}</DialogTitle>
             <DialogDescription>
               Select an admin to assign this complaint to
             </DialogDescription>
@@ -631,7 +633,7 @@ const SuperAdminDashboard = () => {
       <Dialog open={showDetailsDialog} onOpenChange={setShowDetailsDialog}>
         <DialogContent className="max-w-2xl">
           <DialogHeader>
-            <DialogTitle>Complaint Details #{selectedComplaint?.id}</DialogTitle>
+            <DialogTitle>Complaint Details {selectedComplaint && complaintRef(selectedComplaint)}</DialogTitle>
           </DialogHeader>
           {selectedComplaint && (
             <div className="space-y-4">
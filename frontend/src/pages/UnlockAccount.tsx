@@ -0,0 +1,103 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { api, getApiError } from "@/lib/api";
+import { KeyRound, Loader2, LockOpen, XCircle } from "lucide-react";
+
+const UnlockAccount = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [isUnlocking, setIsUnlocking] = useState(true);
+  const [isUnlocked, setIsUnlocked] = useState(false);
+  const [errorMessage, setErrorMessage] = useState<string>("");
+
+  useEffect(() => {
+    const unlock = async () => {
+      if (!token) {
+        setIsUnlocking(false);
+        setErrorMessage("No unlock token provided. Please use the link from your email.");
+        return;
+      }
+
+      try {
+        await api.unlockAccount(token);
+        setIsUnlocked(true);
+        setErrorMessage("");
+      } catch (error) {
+        const { message } = getApiError(error);
+        console.error("🔐 Account unlock error:", message);
+        setIsUnlocked(false);
+        setErrorMessage(message || "Unable to unlock your account. Please try again.");
+      } finally {
+        setIsUnlocking(false);
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  if (isUnlocking) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+        <Card className="w-full max-w-md shadow-xl">
+          <CardContent className="py-10 text-center">
+            <Loader2 className="w-10 h-10 mx-auto animate-spin text-primary" />
+            <p className="mt-4 text-muted-foreground">Unlocking your account...</p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+      <Card className="w-full max-w-md shadow-xl">
+        <CardHeader className="space-y-1 text-center">
+          {isUnlocked ? (
+            <div className="mx-auto mb-4 w-16 h-16 bg-green-100 rounded-full flex items-center justify-center">
+              <LockOpen className="w-8 h-8 text-green-600" />
+            </div>
+          ) : (
+            <div className="mx-auto mb-4 w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
+              <XCircle className="w-8 h-8 text-red-600" />
+            </div>
+          )}
+          <CardTitle className="text-2xl font-bold">
+            {isUnlocked ? "Account Unlocked" : "Unlock Failed"}
+          </CardTitle>
+          <CardDescription className="text-base">
+            {isUnlocked
+              ? "You can log in again. If you did not cause the failed attempts, reset your password."
+              : errorMessage || "This unlock link is invalid or has expired."}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <Button onClick={() => navigate("/login")} className="w-full">
+            Go to Login
+          </Button>
+          {isUnlocked && (
+            <Button
+              variant="link"
+              onClick={() => navigate("/forgot-password")}
+              className="w-full"
+            >
+              <KeyRound className="w-4 h-4 mr-2" />
+              Reset my password
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default UnlockAccount;
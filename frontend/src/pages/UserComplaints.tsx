@@ -4,16 +4,25 @@ import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import ComplaintForm from "@/components/ComplaintForm";
-import { api } from "@/lib/api";
+import AttachmentGallery from "@/components/AttachmentGallery";
+import CategoryFields from "@/components/CategoryFields";
+import FieldAnswers from "@/components/FieldAnswers";
+import ComplaintThread from "@/components/ComplaintThread";
+import { api, getApiError } from "@/lib/api";
+import { categoryIcon, complaintRef, missingRequiredField, type FieldAnswer } from "@/lib/complaints";
 import { useToast } from "@/hooks/use-toast";
+import { useCategories } from "@/hooks/use-categories";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
-import { Plus, Search, RefreshCw, Eye, Image, CheckCircle } from "lucide-react";
+import { Plus, Search, RefreshCw, Eye, Image, CheckCircle, Pencil, Undo2, Loader2 } from "lucide-react";
 
 interface Complaint {
   id: number;
+  reference?: string | null;
   category: string;
   description: string;
   priority: string;
@@ -23,6 +32,7 @@ interface Complaint {
   resolution_message?: string | null;
   resolved_image_url?: string | null;
   problem_image_url?: string | null;
+  custom_fields?: FieldAnswer[] | null;
 }
 
 const UserComplaints = () => {
@@ -37,8 +47,13 @@ const UserComplaints = () => {
   const [historyData, setHistoryData] = useState<any[]>([]);
   const [isHistoryLoading, setIsHistoryLoading] = useState(false);
   const [isDetailsOpen, setIsDetailsOpen] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editForm, setEditForm] = useState({ category: "", description: "", priority: "" });
+  const [editFieldValues, setEditFieldValues] = useState<Record<string, string>>({});
+  const [isSaving, setIsSaving] = useState(false);
   const fetchCalledRef = useRef(false);
   const { toast } = useToast();
+  const { categories } = useCategories();
   const userEmail = localStorage.getItem("userEmail") || "User";
 
   const fetchComplaints = async () => {
@@ -83,6 +98,7 @@ const UserComplaints = () => {
     if (searchTerm) {
       const term = searchTerm.toLowerCase();
       result = result.filter(c => 
+        c.reference?.toLowerCase().includes(term) ||
         c.category.toLowerCase().includes(term) ||
         c.description.toLowerCase().includes(term)
       );
@@ -104,6 +120,7 @@ const UserComplaints = () => {
       case "new": return "bg-primary text-primary-foreground";
       case "under-review": return "bg-warning text-warning-foreground";
       case "resolved": return "bg-success text-success-foreground";
+      case "withdrawn": return "bg-muted text-muted-foreground line-through";
       default: return "bg-muted text-muted-foreground";
     }
   };
@@ -144,6 +161,86 @@ const UserComplaints = () => {
     setIsDetailsOpen(false);
     setSelectedComplaint(null);
     setHistoryData([]);
+    setIsEditing(false);
+  };
+
+  // A retired category is not in the list, so its answers are left as they are
+  const editFields = categories.find((c) => c.slug === editForm.category)?.field_schema || [];
+
+  const startEditing = (complaint: Complaint) => {
+    setEditForm({
+      category: complaint.category,
+      description: complaint.description,
+      priority: complaint.priority,
+    });
+    setEditFieldValues(
+      Object.fromEntries((complaint.custom_fields || []).map((answer) => [answer.key, String(answer.value)]))
+    );
+    setIsEditing(true);
+  };
+
+  // The backend refuses changes once staff have picked the complaint up; refresh so the list shows why
+  const showActionError = (error: unknown, fallback: string) => {
+    const { message, code } = getApiError(error);
+    toast({
+      title: code === "COMPLAINT_LOCKED" ? "Complaint can no longer be changed" : "Error",
+      description: message || fallback,
+      variant: "destructive",
+    });
+    if (code === "COMPLAINT_LOCKED") {
+      handleCloseDetails();
+      fetchComplaints();
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!selectedComplaint) return;
+    if (!editForm.description.trim()) {
+      toast({ title: "Missing fields", description: "Description cannot be empty.", variant: "destructive" });
+      return;
+    }
+
+    const missingField = missingRequiredField(editFields, editFieldValues);
+    if (missingField) {
+      toast({ title: "Missing fields", description: `Please fill in ${missingField.label}.`, variant: "destructive" });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const res = await api.updateMyComplaint(
+        selectedComplaint.id,
+        editFields.length > 0 ? { ...editForm, custom_fields: editFieldValues } : editForm
+      );
+      const updated = { ...selectedComplaint, ...res.data.complaint, date: selectedComplaint.date };
+      setSelectedComplaint(updated);
+      setComplaints((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+      setIsEditing(false);
+      toast({ title: "Complaint updated", description: "Your changes have been saved." });
+    } catch (error) {
+      showActionError(error, "Failed to update complaint.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleWithdraw = async (complaint: Complaint) => {
+    const reason = window.prompt(
+      `Withdraw complaint ${complaintRef(complaint)}? It will be closed and no longer handled.\n\nReason (optional):`
+    );
+    if (reason === null) return;
+
+    setIsSaving(true);
+    try {
+      await api.withdrawComplaint(complaint.id, reason.trim() || undefined);
+      toast({ title: "Complaint withdrawn", description: `${complaintRef(complaint)} has been withdrawn.` });
+      handleCloseDetails();
+      fetchComplaints();
+    } catch (error) {
+      showActionError(error, "Failed to withdraw complaint.");
+    } finally {
+      setIsSaving(false);
+    }
   };
 
   const clearFilters = () => {
@@ -203,7 +300,7 @@ const UserComplaints = () => {
                   <div className="relative flex-1">
                     <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
                     <Input
-                      placeholder="Search by category or description..."
+                      placeholder="Search by reference, category or description..."
                       value={searchTerm}
                       onChange={(e) => setSearchTerm(e.target.value)}
                       className="pl-10"
@@ -218,6 +315,7 @@ const UserComplaints = () => {
                       <SelectItem value="new">New</SelectItem>
                       <SelectItem value="under-review">Under Review</SelectItem>
                       <SelectItem value="resolved">Resolved</SelectItem>
+                      <SelectItem value="withdrawn">Withdrawn</SelectItem>
                     </SelectContent>
                   </Select>
                   <Select value={priorityFilter} onValueChange={setPriorityFilter}>
@@ -271,7 +369,7 @@ const UserComplaints = () => {
                       <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
                         <div className="space-y-2 flex-1">
                           <div className="flex items-center gap-2 flex-wrap">
-                            <span className="text-xs text-muted-foreground">#{complaint.id}</span>
+                            <span className="text-xs text-muted-foreground">{complaintRef(complaint)}</span>
                             <h3 className="font-semibold capitalize">{complaint.category}</h3>
                             <Badge variant="outline" className={getPriorityColor(complaint.priority)}>
                               {complaint.priority} priority
@@ -304,6 +402,7 @@ const UserComplaints = () => {
                             {complaint.status === "new" && "New"}
                             {complaint.status === "under-review" && "Under Review"}
                             {complaint.status === "resolved" && "Resolved"}
+                            {complaint.status === "withdrawn" && "Withdrawn"}
                           </Badge>
                           <Button 
                             variant="outline" 
@@ -330,7 +429,7 @@ const UserComplaints = () => {
           <DialogHeader>
             <DialogTitle className="capitalize">{selectedComplaint?.category}</DialogTitle>
             <DialogDescription>
-              Complaint ID: #{selectedComplaint?.id}
+              Reference: {selectedComplaint && complaintRef(selectedComplaint)}
             </DialogDescription>
           </DialogHeader>
           
@@ -372,21 +471,102 @@ const UserComplaints = () => {
                 </p>
               </div>
 
-              {/* Problem Image */}
-              {selectedComplaint.problem_image_url && (
-                <div>
-                  <p className="text-sm font-medium mb-2 flex items-center gap-2">
-                    <Image className="h-4 w-4" />
-                    Attached Image
-                  </p>
-                  <img
-                    src={selectedComplaint.problem_image_url}
-                    alt="Problem"
-                    className="w-full max-h-48 object-contain rounded-lg border"
+              <FieldAnswers answers={selectedComplaint.custom_fields} />
+
+              {/* Edit / Withdraw - only before staff review */}
+              {selectedComplaint.status === "new" && !isEditing && (
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={() => startEditing(selectedComplaint)} disabled={isSaving}>
+                    <Pencil className="h-4 w-4 mr-2" />
+                    Edit
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="text-destructive"
+                    onClick={() => handleWithdraw(selectedComplaint)}
+                    disabled={isSaving}
+                  >
+                    <Undo2 className="h-4 w-4 mr-2" />
+                    Withdraw
+                  </Button>
+                </div>
+              )}
+
+              {isEditing && (
+                <div className="border rounded-lg p-4 space-y-4">
+                  <div className="space-y-2">
+                    <Label>Category</Label>
+                    <Select
+                      value={editForm.category}
+                      onValueChange={(category) => {
+                        setEditForm({ ...editForm, category });
+                        setEditFieldValues({});
+                      }}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select category" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {categories.map((c) => {
+                          const Icon = categoryIcon(c.icon);
+                          return (
+                            <SelectItem key={c.slug} value={c.slug}>
+                              <span className="flex items-center gap-2">
+                                <Icon className="h-4 w-4" />
+                                {c.name}
+                              </span>
+                            </SelectItem>
+                          );
+                        })}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <CategoryFields
+                    fields={editFields}
+                    values={editFieldValues}
+                    onChange={setEditFieldValues}
+                    disabled={isSaving}
                   />
+                  <div className="space-y-2">
+                    <Label>Description</Label>
+                    <Textarea
+                      value={editForm.description}
+                      onChange={(e) => setEditForm({ ...editForm, description: e.target.value })}
+                      rows={5}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Priority</Label>
+                    <Select value={editForm.priority} onValueChange={(priority) => setEditForm({ ...editForm, priority })}>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select priority" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="low">Low</SelectItem>
+                        <SelectItem value="medium">Medium</SelectItem>
+                        <SelectItem value="high">High</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="flex justify-end gap-2">
+                    <Button variant="ghost" onClick={() => setIsEditing(false)} disabled={isSaving}>
+                      Cancel
+                    </Button>
+                    <Button onClick={handleSaveEdit} disabled={isSaving}>
+                      {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                      Save Changes
+                    </Button>
+                  </div>
                 </div>
               )}
 
+              {/* Attachments */}
+              <AttachmentGallery complaintId={selectedComplaint.id} />
+
+              {/* Conversation with staff */}
+              <ComplaintThread complaintId={selectedComplaint.id} />
+
               {/* Resolution Details - Only show if resolved */}
               {selectedComplaint.status === "resolved" && (
                 <div className="border-t pt-4 space-y-4">
@@ -441,6 +621,9 @@ const UserComplaints = () => {
                             By: {h.changed_by}
                           </div>
                         )}
+                        {h.notes && (
+                          <div className="text-xs text-muted-foreground mt-1">{h.notes}</div>
+                        )}
                       </div>
                     ))}
                   </div>
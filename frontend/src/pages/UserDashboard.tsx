@@ -5,6 +5,7 @@ import { Badge } from "@/components/ui/badge";
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import ComplaintForm from "@/components/ComplaintForm";
 import { api } from "@/lib/api";
+import { complaintRef } from "@/lib/complaints";
 import { useToast } from "@/hooks/use-toast";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
@@ -21,6 +22,7 @@ import {
 
 interface Complaint {
   id: number;
+  reference?: string | null;
   category: string;
   description: string;
   priority: string;
@@ -237,7 +239,7 @@ const UserDashboard = () => {
                   <div className="flex items-center justify-between p-4 border rounded-lg bg-muted/30">
                     <div className="flex-1">
                       <div className="flex items-center gap-2 mb-1">
-                        <span className="text-xs text-muted-foreground">#{latestComplaint.id}</span>
+                        <span className="text-xs text-muted-foreground">{complaintRef(latestComplaint)}</span>
                         <span className="font-medium capitalize">{latestComplaint.category}</span>
                         <Badge variant="outline" className={getPriorityColor(latestComplaint.priority)}>
                           {latestComplaint.priority}
@@ -298,7 +300,7 @@ const UserDashboard = () => {
                       >
                         <div className="flex-1">
                           <div className="flex items-center gap-2 mb-1">
-                            <span className="text-xs text-muted-foreground">#{complaint.id}</span>
+                            <span className="text-xs text-muted-foreground">{complaintRef(complaint)}</span>
                             <span className="font-medium capitalize">{complaint.category}</span>
                             <Badge variant="outline" className={getPriorityColor(complaint.priority)}>
                               {complaint.priority}
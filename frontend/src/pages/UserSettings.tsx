@@ -6,10 +6,13 @@ import { Button } from "@/components/ui/button";
 import { Switch } from "@/components/ui/switch";
 import { Separator } from "@/components/ui/separator";
 import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
 import Sidebar from "@/components/Sidebar";
 import Navbar from "@/components/Navbar";
+import SessionsCard from "@/components/SessionsCard";
+import YourDataCard from "@/components/YourDataCard";
 import { useToast } from "@/hooks/use-toast";
-import { api, logout } from "@/lib/api";
+import { api, logout, getApiError } from "@/lib/api";
 import { 
   User, 
   Mail, 
@@ -20,7 +23,8 @@ import {
   EyeOff,
   Shield,
   Loader2,
-  CheckCircle
+  CheckCircle,
+  AtSign
 } from "lucide-react";
 
 const UserSettings = () => {
@@ -31,6 +35,14 @@ const UserSettings = () => {
   // Profile state
   const [name, setName] = useState(userName);
   const [email] = useState(userEmail);
+  const [emailVerified, setEmailVerified] = useState<boolean | null>(null);
+  const [isResendingVerification, setIsResendingVerification] = useState(false);
+
+  // Email change state
+  const [newEmail, setNewEmail] = useState("");
+  const [emailChangePassword, setEmailChangePassword] = useState("");
+  const [isRequestingEmailChange, setIsRequestingEmailChange] = useState(false);
+  const [pendingEmail, setPendingEmail] = useState<string | null>(null);
   
   // Password state
   const [currentPassword, setCurrentPassword] = useState("");
@@ -59,8 +71,34 @@ const UserSettings = () => {
     
     const savedResolutionAlerts = localStorage.getItem("resolutionAlerts");
     setResolutionAlerts(savedResolutionAlerts !== "false");
+
+    // Load verification status
+    api.fetchProfile()
+      .then((res) => setEmailVerified(!!res.data.user?.email_verified))
+      .catch((error) => console.error("Failed to load profile:", error));
   }, []);
 
+  const handleResendVerification = async () => {
+    setIsResendingVerification(true);
+    try {
+      await api.resendVerification();
+      toast({
+        title: "Verification email sent",
+        description: `Check ${email} for a new verification link.`,
+      });
+    } catch (error) {
+      const { message, code } = getApiError(error);
+      if (code === "ALREADY_VERIFIED") setEmailVerified(true);
+      toast({
+        title: "Error",
+        description: message || "Failed to send verification email.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsResendingVerification(false);
+    }
+  };
+
   const handleSaveProfile = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsSaving(true);
@@ -85,6 +123,29 @@ const UserSettings = () => {
     }
   };
 
+  const handleRequestEmailChange = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsRequestingEmailChange(true);
+    try {
+      const res = await api.requestEmailChange(newEmail.trim(), emailChangePassword);
+      setPendingEmail(newEmail.trim());
+      setNewEmail("");
+      setEmailChangePassword("");
+      toast({
+        title: "Check your new inbox",
+        description: res.data.message || "We sent a confirmation link to your new email address.",
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: getApiError(error).message || "Failed to start email change.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsRequestingEmailChange(false);
+    }
+  };
+
   const handleChangePassword = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -126,11 +187,11 @@ const UserSettings = () => {
         setCurrentPassword("");
         setNewPassword("");
         setConfirmPassword("");
-      } catch (err: any) {
+      } catch (err) {
         console.error('Change password failed', err);
         toast({
           title: 'Error',
-          description: err?.response?.data?.error || 'Failed to change password.',
+          description: getApiError(err).message || 'Failed to change password.',
           variant: 'destructive',
         });
       } finally {
@@ -201,7 +262,19 @@ const UserSettings = () => {
                     />
                   </div>
                   <div className="space-y-2">
-                    <Label htmlFor="email">Email Address</Label>
+                    <div className="flex items-center gap-2">
+                      <Label htmlFor="email">Email Address</Label>
+                      {emailVerified === true && (
+                        <Badge variant="outline" className="text-green-600 border-green-600">
+                          Verified
+                        </Badge>
+                      )}
+                      {emailVerified === false && (
+                        <Badge variant="outline" className="text-amber-600 border-amber-600">
+                          Not verified
+                        </Badge>
+                      )}
+                    </div>
                     <div className="relative">
                       <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
                       <Input
@@ -214,9 +287,27 @@ const UserSettings = () => {
                       />
                     </div>
                     <p className="text-xs text-muted-foreground">
-                      Email cannot be changed. Contact support if needed.
+                      Use Change Email Address below to switch to a different email.
                     </p>
                   </div>
+                  {emailVerified === false && (
+                    <Alert>
+                      <Mail className="h-4 w-4" />
+                      <AlertDescription className="flex flex-wrap items-center justify-between gap-2">
+                        <span>Verify your email address to make sure you receive complaint updates.</span>
+                        <Button
+                          type="button"
+                          variant="outline"
+                          size="sm"
+                          onClick={handleResendVerification}
+                          disabled={isResendingVerification}
+                        >
+                          {isResendingVerification && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                          Resend verification email
+                        </Button>
+                      </AlertDescription>
+                    </Alert>
+                  )}
                   <Button type="submit" disabled={isSaving}>
                     {isSaving ? (
                       <>
@@ -234,6 +325,66 @@ const UserSettings = () => {
               </CardContent>
             </Card>
 
+            {/* Change Email */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <AtSign className="h-5 w-5" />
+                  Change Email Address
+                </CardTitle>
+                <CardDescription>
+                  We'll send a confirmation link to the new address. Your complaints move with your account.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleRequestEmailChange} className="space-y-4">
+                  {pendingEmail && (
+                    <Alert>
+                      <Mail className="h-4 w-4" />
+                      <AlertDescription>
+                        Open the link we sent to <strong>{pendingEmail}</strong> within an hour to finish the change.
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                  <div className="space-y-2">
+                    <Label htmlFor="newEmail">New Email Address</Label>
+                    <Input
+                      id="newEmail"
+                      type="email"
+                      placeholder="you@example.com"
+                      value={newEmail}
+                      onChange={(e) => setNewEmail(e.target.value)}
+                      required
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="emailChangePassword">Current Password</Label>
+                    <Input
+                      id="emailChangePassword"
+                      type="password"
+                      placeholder="Enter current password"
+                      value={emailChangePassword}
+                      onChange={(e) => setEmailChangePassword(e.target.value)}
+                      required
+                    />
+                  </div>
+                  <Button type="submit" disabled={isRequestingEmailChange || !newEmail.trim() || !emailChangePassword}>
+                    {isRequestingEmailChange ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Sending...
+                      </>
+                    ) : (
+                      <>
+                        <Mail className="mr-2 h-4 w-4" />
+                        Send Confirmation Link
+                      </>
+                    )}
+                  </Button>
+                </form>
+              </CardContent>
+            </Card>
+
             {/* Change Password */}
             <Card>
               <CardHeader>
@@ -402,6 +553,12 @@ const UserSettings = () => {
               </CardContent>
             </Card>
 
+            {/* Active Sessions */}
+            <SessionsCard />
+
+            {/* Data Export & Account Deletion */}
+            <YourDataCard />
+
             {/* Account Actions */}
             <Card>
               <CardHeader>
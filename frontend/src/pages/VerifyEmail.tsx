@@ -0,0 +1,166 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/hooks/use-toast";
+import { api, getApiError } from "@/lib/api";
+import { ArrowLeft, Loader2, CheckCircle, XCircle, Mail } from "lucide-react";
+
+const VerifyEmail = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { toast } = useToast();
+
+  const [isVerifying, setIsVerifying] = useState(true);
+  const [isVerified, setIsVerified] = useState(false);
+  const [errorMessage, setErrorMessage] = useState<string>("");
+  const [email, setEmail] = useState(localStorage.getItem("userEmail") || "");
+  const [isResending, setIsResending] = useState(false);
+
+  useEffect(() => {
+    const verify = async () => {
+      if (!token) {
+        setIsVerifying(false);
+        setErrorMessage("No verification token provided. Please request a new verification email.");
+        return;
+      }
+
+      try {
+        const response = await api.verifyEmail(token);
+        console.log("📧 Email verification response:", response.data);
+        setIsVerified(true);
+        setErrorMessage("");
+      } catch (error) {
+        const { message } = getApiError(error);
+        console.error("📧 Email verification error:", message);
+        setIsVerified(false);
+        setErrorMessage(message || "Unable to verify your email. Please try again.");
+      } finally {
+        setIsVerifying(false);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const handleResend = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsResending(true);
+
+    try {
+      const response = await api.resendVerification(email.trim());
+      toast({
+        title: "Verification email sent",
+        description: response.data.message || "Please check your inbox for a new verification link.",
+      });
+    } catch (error) {
+      const { message } = getApiError(error);
+      toast({
+        title: "Error",
+        description: message || "Failed to send verification email",
+        variant: "destructive",
+      });
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  if (isVerifying) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+        <Card className="w-full max-w-md shadow-xl">
+          <CardContent className="py-10 text-center">
+            <Loader2 className="w-10 h-10 mx-auto animate-spin text-primary" />
+            <p className="mt-4 text-muted-foreground">Verifying your email...</p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (isVerified) {
+    const isAuthenticated = localStorage.getItem("isAuthenticated") === "true";
+
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+        <Card className="w-full max-w-md shadow-xl">
+          <CardHeader className="space-y-1 text-center">
+            <div className="mx-auto mb-4 w-16 h-16 bg-green-100 rounded-full flex items-center justify-center">
+              <CheckCircle className="w-8 h-8 text-green-600" />
+            </div>
+            <CardTitle className="text-2xl font-bold">Email Verified!</CardTitle>
+            <CardDescription>
+              Your email address has been confirmed. You can now submit complaints.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Button
+              onClick={() => navigate(isAuthenticated ? "/user/dashboard" : "/login")}
+              className="w-full"
+            >
+              {isAuthenticated ? "Go to Dashboard" : "Go to Login"}
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-secondary to-background p-4">
+      <Card className="w-full max-w-md shadow-xl">
+        <CardHeader className="space-y-1 text-center">
+          <div className="mx-auto mb-4 w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
+            <XCircle className="w-8 h-8 text-red-600" />
+          </div>
+          <CardTitle className="text-2xl font-bold">Verification Failed</CardTitle>
+          <CardDescription className="text-base">
+            {errorMessage || "This verification link is invalid or has expired."}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleResend} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                type="email"
+                placeholder="you@example.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+            <Button type="submit" className="w-full" disabled={isResending || !email.trim()}>
+              {isResending ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Mail className="w-4 h-4 mr-2" />
+              )}
+              Send a new verification link
+            </Button>
+          </form>
+          <Button
+            variant="link"
+            onClick={() => navigate("/login")}
+            className="w-full mt-2"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back to Login
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyEmail;